@@ -1,16 +1,22 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.28;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "./IDataFeed.sol";
 
 /**
- * @title DecentralizedInsurance
+ * @title DecentralizedInsuranceBase
  * @dev A comprehensive decentralized insurance platform supporting multiple coverage types
  * Features: Premium calculation, claims processing, staking pools, governance, and fraud detection
+ * Parametric policies are sold from owner-defined products and pay their full coverage when the product's
+ * data feed meets its trigger, without investigators
+ * Owner-only functions are meant to be governed by stakers through InsuranceGovernor as the owner
+ * The logic is shared by the immutable DecentralizedInsurance and the proxied DecentralizedInsuranceUpgradeable,
+ * so new state variables must only ever be appended after the existing ones
  */
-contract DecentralizedInsurance is Ownable, ReentrancyGuard, Pausable {
+abstract contract DecentralizedInsuranceBase is OwnableUpgradeable, ReentrancyGuardUpgradeable, PausableUpgradeable {
     
     // Insurance Types
     enum InsuranceType { HEALTH, PROPERTY, TRAVEL, CRYPTO, LIFE }
@@ -58,54 +64,107 @@ contract DecentralizedInsurance is Ownable, ReentrancyGuard, Pausable {
         uint256 amount;
         uint256 stakingDate;
         uint256 rewardsEarned;
-        uint256 lastRewardUpdate;
+        uint256 rewardDebt; // amount * accRewardPerShare already accounted for
+    }
+    
+    struct FraudRecord {
+        uint256[] claimIds; // Claims reported as fraudulent
+        uint256 lastReportedAt;
+        bool appealPending;
+        string appealReason;
     }
     
     struct InsurancePool {
         uint256 totalStaked;
         uint256 totalClaims;
         uint256 availableFunds;
-        uint256 rewardRate; // Annual percentage rate (in basis points)
+        uint256 rewardRate; // Share of premium income paid to stakers (in basis points)
+        bool active;
+        uint256 totalPremiums;
+        uint256 rewardFunds; // Premium income set aside for stakers and not yet claimed
+        uint256 accRewardPerShare; // Scaled by REWARD_PRECISION
+        uint256 activeCoverage; // Coverage of policies not yet expired or cancelled
+    }
+    
+    struct ParametricProduct {
+        InsuranceType insuranceType;
+        FeedConditions.Condition trigger;
+        uint256 premiumRate; // In basis points, per year
         bool active;
     }
     
     // State Variables
-    uint256 private nextPolicyId = 1;
-    uint256 private nextClaimId = 1;
+    uint256 private nextPolicyId;
+    uint256 private nextClaimId;
     
     // Mappings
     mapping(uint256 => Policy) public policies;
     mapping(uint256 => Claim) public claims;
     mapping(address => uint256[]) public userPolicies;
     mapping(address => uint256[]) public userClaims;
-    mapping(address => StakeInfo) public stakes;
+    mapping(address => mapping(InsuranceType => StakeInfo)) public stakes;
     mapping(InsuranceType => InsurancePool) public insurancePools;
     mapping(address => bool) public authorizedInvestigators;
     mapping(address => bool) public authorizedOracles;
+    mapping(address => FraudRecord) private fraudRecords;
+    mapping(uint256 => bool) public fraudReported;
     
     // Constants
     uint256 public constant INVESTIGATION_PERIOD = 7 days;
     uint256 public constant MIN_STAKE_AMOUNT = 100 ether; // 100 CELO minimum
     uint256 public constant MAX_COVERAGE_RATIO = 80; // 80% of pool can be used for coverage
     uint256 public constant FRAUD_PENALTY = 1000; // 10% penalty in basis points
+    uint256 public constant MAX_FRAUD_REPORTS = 3; // Reports after which an address can no longer buy cover
+    uint256 private constant REWARD_PRECISION = 1e18;
     
     // Premium rates (in basis points, per year)
     mapping(InsuranceType => mapping(RiskLevel => uint256)) public premiumRates;
     
+    // Parametric products defined by the owner, and the product each parametric policy was bought from
+    mapping(uint256 => ParametricProduct) public parametricProducts;
+    uint256 public parametricProductCount;
+    mapping(uint256 => uint256) public policyProducts;
+    
+    // Time until which a staker cannot withdraw, set by the owner (InsuranceGovernor) while their votes are open
+    mapping(address => uint256) public stakeLockedUntil;
+    
+    // Part of each policy's premiums kept in its pool's claim reserves, the most a cancellation can refund
+    mapping(uint256 => uint256) public policyReserves;
+    
     // Events
     event PolicyCreated(uint256 indexed policyId, address indexed policyholder, InsuranceType insuranceType, uint256 coverageAmount);
     event PremiumPaid(uint256 indexed policyId, address indexed policyholder, uint256 amount);
+    event PolicyExpired(uint256 indexed policyId);
+    event PolicyCancelled(uint256 indexed policyId, address indexed policyholder, uint256 refundAmount);
+    event PolicyRenewed(uint256 indexed policyId, uint256 newEndDate, uint256 premiumAmount);
     event ClaimSubmitted(uint256 indexed claimId, uint256 indexed policyId, address indexed claimant, uint256 amount);
     event ClaimInvestigated(uint256 indexed claimId, address indexed investigator, ClaimStatus status);
     event ClaimPaid(uint256 indexed claimId, address indexed claimant, uint256 amount);
-    event StakeDeposited(address indexed staker, uint256 amount);
-    event StakeWithdrawn(address indexed staker, uint256 amount);
+    event StakeDeposited(address indexed staker, InsuranceType indexed insuranceType, uint256 amount);
+    event StakeWithdrawn(address indexed staker, InsuranceType indexed insuranceType, uint256 amount);
+    event RewardsDistributed(InsuranceType indexed insuranceType, uint256 amount);
     event RewardsClaimed(address indexed staker, uint256 amount);
     event InvestigatorAdded(address indexed investigator);
     event OracleAdded(address indexed oracle);
     event FraudDetected(uint256 indexed claimId, address indexed claimant);
+    event FraudPenaltyApplied(uint256 indexed policyId, address indexed policyholder, uint256 coverageReduction);
+    event FraudAppealFiled(address indexed account, string reason);
+    event FraudAppealResolved(address indexed account, bool recordCleared);
+    event EmergencyWithdrawal(address indexed recipient, uint256 amount);
+    event ParametricProductAdded(uint256 indexed productId, InsuranceType insuranceType, address indexed feed, uint256 premiumRate);
+    event ParametricProductStatusChanged(uint256 indexed productId, bool active);
+    event ParametricPolicyCreated(uint256 indexed policyId, uint256 indexed productId);
     
-    constructor() Ownable(msg.sender) {
+    /**
+     * @dev Sets the owner, premium rates and insurance pools; run once by the constructor or initializer
+     */
+    function __DecentralizedInsurance_init(address _initialOwner) internal onlyInitializing {
+        __Ownable_init(_initialOwner);
+        __ReentrancyGuard_init();
+        __Pausable_init();
+        nextPolicyId = 1;
+        nextClaimId = 1;
+
         // Initialize premium rates (in basis points per year)
         // Health Insurance
         premiumRates[InsuranceType.HEALTH][RiskLevel.LOW] = 200;    // 2%
@@ -144,8 +203,12 @@ contract DecentralizedInsurance is Ownable, ReentrancyGuard, Pausable {
                 totalStaked: 0,
                 totalClaims: 0,
                 availableFunds: 0,
-                rewardRate: 1000, // 10% annual reward rate
-                active: true
+                rewardRate: 1000, // 10% of premiums go to stakers
+                active: true,
+                totalPremiums: 0,
+                rewardFunds: 0,
+                accRewardPerShare: 0,
+                activeCoverage: 0
             });
         }
     }
@@ -162,16 +225,24 @@ contract DecentralizedInsurance is Ownable, ReentrancyGuard, Pausable {
     }
     
     modifier validPolicy(uint256 _policyId) {
-        require(_policyId > 0 && _policyId < nextPolicyId, "Invalid policy ID");
-        require(policies[_policyId].status == PolicyStatus.ACTIVE, "Policy not active");
+        _checkPolicy(_policyId);
         _;
     }
     
     modifier validClaim(uint256 _claimId) {
-        require(_claimId > 0 && _claimId < nextClaimId, "Invalid claim ID");
+        _checkClaim(_claimId);
         _;
     }
     
+    function _checkPolicy(uint256 _policyId) internal view {
+        require(_policyId > 0 && _policyId < nextPolicyId, "Invalid policy ID");
+        require(policies[_policyId].status == PolicyStatus.ACTIVE, "Policy not active");
+    }
+    
+    function _checkClaim(uint256 _claimId) internal view {
+        require(_claimId > 0 && _claimId < nextClaimId, "Invalid claim ID");
+    }
+    
     // Policy Management Functions
     
     /**
@@ -184,18 +255,52 @@ contract DecentralizedInsurance is Ownable, ReentrancyGuard, Pausable {
         RiskLevel _riskLevel,
         string memory _metadataURI
     ) external payable nonReentrant whenNotPaused {
+        uint256 premiumAmount = calculatePremiumFor(msg.sender, _insuranceType, _coverageAmount, _duration, _riskLevel);
+        _createPolicy(_insuranceType, _coverageAmount, _duration, _riskLevel, _metadataURI, premiumAmount);
+    }
+    
+    /**
+     * @dev Buy cover from a parametric product, which pays the full coverage once the product's trigger is met
+     * during the coverage period, e.g. CELO/USD below a price for CRYPTO cover
+     * @notice The payout is claimed with triggerParametricClaim
+     */
+    function createParametricPolicy(
+        uint256 _productId,
+        uint256 _coverageAmount,
+        uint256 _duration, // in seconds
+        string memory _metadataURI
+    ) external payable nonReentrant whenNotPaused {
+        ParametricProduct storage product = parametricProducts[_productId];
+        require(product.active, "Product not available");
+        
+        uint256 premiumAmount = calculateParametricPremium(_productId, _coverageAmount, _duration);
+        uint256 policyId = _createPolicy(product.insuranceType, _coverageAmount, _duration, RiskLevel.LOW, _metadataURI, premiumAmount);
+        policyProducts[policyId] = _productId;
+        
+        emit ParametricPolicyCreated(policyId, _productId);
+    }
+    
+    function _createPolicy(
+        InsuranceType _insuranceType,
+        uint256 _coverageAmount,
+        uint256 _duration,
+        RiskLevel _riskLevel,
+        string memory _metadataURI,
+        uint256 _premiumAmount
+    ) internal returns (uint256) {
         require(_coverageAmount > 0, "Coverage amount must be positive");
         require(_duration >= 30 days, "Minimum duration is 30 days");
         require(_duration <= 365 days, "Maximum duration is 365 days");
         require(insurancePools[_insuranceType].active, "Insurance type not active");
+        require(!isBlocked(msg.sender), "Address blocked for fraud");
         
-        // Calculate premium
-        uint256 premiumAmount = calculatePremium(_insuranceType, _coverageAmount, _duration, _riskLevel);
-        require(msg.value >= premiumAmount, "Insufficient premium payment");
+        require(msg.value >= _premiumAmount, "Insufficient premium payment");
         
-        // Check pool capacity
-        uint256 maxCoverage = (insurancePools[_insuranceType].availableFunds * MAX_COVERAGE_RATIO) / 100;
-        require(_coverageAmount <= maxCoverage, "Coverage exceeds pool capacity");
+        // Check pool capacity against the coverage already written
+        InsurancePool storage pool = insurancePools[_insuranceType];
+        uint256 maxCoverage = (pool.availableFunds * MAX_COVERAGE_RATIO) / 100;
+        require(pool.activeCoverage + _coverageAmount <= maxCoverage, "Coverage exceeds pool capacity");
+        pool.activeCoverage += _coverageAmount;
         
         // Create policy
         uint256 policyId = nextPolicyId++;
@@ -204,7 +309,7 @@ contract DecentralizedInsurance is Ownable, ReentrancyGuard, Pausable {
             policyholder: msg.sender,
             insuranceType: _insuranceType,
             coverageAmount: _coverageAmount,
-            premiumAmount: premiumAmount,
+            premiumAmount: _premiumAmount,
             startDate: block.timestamp,
             endDate: block.timestamp + _duration,
             status: PolicyStatus.ACTIVE,
@@ -217,15 +322,96 @@ contract DecentralizedInsurance is Ownable, ReentrancyGuard, Pausable {
         userPolicies[msg.sender].push(policyId);
         
         // Add premium to insurance pool
-        insurancePools[_insuranceType].availableFunds += premiumAmount;
+        policyReserves[policyId] = _distributePremium(_insuranceType, _premiumAmount);
+        
+        // Refund excess payment
+        if (msg.value > _premiumAmount) {
+            payable(msg.sender).transfer(msg.value - _premiumAmount);
+        }
+        
+        emit PolicyCreated(policyId, msg.sender, _insuranceType, _coverageAmount);
+        emit PremiumPaid(policyId, msg.sender, _premiumAmount);
+        return policyId;
+    }
+    
+    /**
+     * @dev Mark ended policies as expired and release their coverage (callable by anyone)
+     * @notice IDs that are unknown, not active or not yet ended are skipped
+     */
+    function expirePolicies(uint256[] calldata _policyIds) external {
+        for (uint256 i = 0; i < _policyIds.length; i++) {
+            Policy storage policy = policies[_policyIds[i]];
+            if (policy.status != PolicyStatus.ACTIVE || policy.policyholder == address(0) || block.timestamp <= policy.endDate) {
+                continue;
+            }
+            
+            policy.status = PolicyStatus.EXPIRED;
+            insurancePools[policy.insuranceType].activeCoverage -= policy.coverageAmount;
+            
+            emit PolicyExpired(policy.policyId);
+        }
+    }
+    
+    /**
+     * @dev Cancel an active policy and refund the unused part of its premium
+     * @notice Only the part kept in the pool's reserves is refunded; stakers keep the rewards already paid out of it
+     */
+    function cancelPolicy(uint256 _policyId) external nonReentrant validPolicy(_policyId) {
+        Policy storage policy = policies[_policyId];
+        require(msg.sender == policy.policyholder, "Not policy holder");
+        require(block.timestamp <= policy.endDate, "Policy expired");
+        require(!_hasClaims(_policyId), "Policy has open or paid claims");
+        
+        uint256 refundAmount = (policyReserves[_policyId] * (policy.endDate - block.timestamp)) / (policy.endDate - policy.startDate);
+        InsurancePool storage pool = insurancePools[policy.insuranceType];
+        require(pool.availableFunds >= refundAmount, "Insufficient pool funds");
+        
+        policy.status = PolicyStatus.CANCELLED;
+        pool.activeCoverage -= policy.coverageAmount;
+        pool.availableFunds -= refundAmount;
+        pool.totalPremiums -= refundAmount;
+        
+        if (refundAmount > 0) {
+            payable(msg.sender).transfer(refundAmount);
+        }
+        
+        emit PolicyCancelled(_policyId, msg.sender, refundAmount);
+    }
+    
+    /**
+     * @dev Extend an active policy, paying a premium priced at the current rates
+     */
+    function renewPolicy(uint256 _policyId, uint256 _duration) external payable nonReentrant whenNotPaused validPolicy(_policyId) {
+        Policy storage policy = policies[_policyId];
+        require(msg.sender == policy.policyholder, "Not policy holder");
+        require(block.timestamp <= policy.endDate, "Policy expired");
+        require(_duration >= 30 days, "Minimum duration is 30 days");
+        require(policy.endDate + _duration - block.timestamp <= 365 days, "Maximum duration is 365 days");
+        require(insurancePools[policy.insuranceType].active, "Insurance type not active");
+        require(!isBlocked(msg.sender), "Address blocked for fraud");
+        
+        uint256 productId = policyProducts[_policyId];
+        uint256 premiumAmount;
+        if (productId == 0) {
+            premiumAmount = calculatePremiumFor(msg.sender, policy.insuranceType, policy.coverageAmount, _duration, policy.riskLevel);
+        } else {
+            require(parametricProducts[productId].active, "Product not available");
+            premiumAmount = calculateParametricPremium(productId, policy.coverageAmount, _duration);
+        }
+        require(msg.value >= premiumAmount, "Insufficient premium payment");
+        
+        policy.endDate += _duration;
+        policy.premiumAmount += premiumAmount;
+        
+        policyReserves[_policyId] += _distributePremium(policy.insuranceType, premiumAmount);
         
         // Refund excess payment
         if (msg.value > premiumAmount) {
             payable(msg.sender).transfer(msg.value - premiumAmount);
         }
         
-        emit PolicyCreated(policyId, msg.sender, _insuranceType, _coverageAmount);
-        emit PremiumPaid(policyId, msg.sender, premiumAmount);
+        emit PolicyRenewed(_policyId, policy.endDate, premiumAmount);
+        emit PremiumPaid(_policyId, msg.sender, premiumAmount);
     }
     
     /**
@@ -242,6 +428,30 @@ contract DecentralizedInsurance is Ownable, ReentrancyGuard, Pausable {
         return premium;
     }
     
+    /**
+     * @dev Calculate premium for a specific policyholder, pricing in their fraud record
+     */
+    function calculatePremiumFor(
+        address _policyholder,
+        InsuranceType _insuranceType,
+        uint256 _coverageAmount,
+        uint256 _duration,
+        RiskLevel _riskLevel
+    ) public view returns (uint256) {
+        return calculatePremium(_insuranceType, _coverageAmount, _duration, getEffectiveRiskLevel(_policyholder, _riskLevel));
+    }
+    
+    /**
+     * @dev Calculate the premium of cover bought from a parametric product, at the product's rate
+     */
+    function calculateParametricPremium(
+        uint256 _productId,
+        uint256 _coverageAmount,
+        uint256 _duration
+    ) public view returns (uint256) {
+        return (_coverageAmount * parametricProducts[_productId].premiumRate * _duration) / (10000 * 365 days);
+    }
+    
     /**
      * @dev Submit a claim
      */
@@ -253,6 +463,7 @@ contract DecentralizedInsurance is Ownable, ReentrancyGuard, Pausable {
         Policy storage policy = policies[_policyId];
         require(msg.sender == policy.policyholder, "Not policy holder");
         require(block.timestamp <= policy.endDate, "Policy expired");
+        require(policyProducts[_policyId] == 0, "Parametric policies pay on their trigger");
         require(_claimAmount > 0, "Claim amount must be positive");
         require(_claimAmount <= policy.coverageAmount, "Claim exceeds coverage");
         
@@ -336,101 +547,177 @@ contract DecentralizedInsurance is Ownable, ReentrancyGuard, Pausable {
         emit ClaimPaid(_claimId, claim.claimant, claim.approvedAmount);
     }
     
+    /**
+     * @dev Pay a parametric policy's full coverage from a feed round that meets its trigger (callable by anyone)
+     * @notice The round must have been published during the coverage period; the policy is then CLAIMED.
+     * Policies already swept by expirePolicies can still be paid for a round from their coverage period
+     */
+    function triggerParametricClaim(uint256 _policyId, uint80 _roundId) external nonReentrant {
+        uint256 productId = policyProducts[_policyId];
+        require(productId != 0, "Not a parametric policy");
+        FeedConditions.Condition memory trigger = parametricProducts[productId].trigger;
+        
+        Policy storage policy = policies[_policyId];
+        bool expired = policy.status == PolicyStatus.EXPIRED;
+        require(expired || policy.status == PolicyStatus.ACTIVE, "Policy not active");
+        (int256 answer, uint256 updatedAt) = FeedConditions.readRound(trigger.feed, _roundId);
+        require(updatedAt >= policy.startDate && updatedAt <= policy.endDate, "Round outside coverage period");
+        require(FeedConditions.isMet(trigger, answer), "Trigger not met");
+        
+        uint256 payout = policy.coverageAmount;
+        InsurancePool storage pool = insurancePools[policy.insuranceType];
+        require(pool.availableFunds >= payout, "Insufficient pool funds");
+        
+        // Record the payout as a claim approved by the feed
+        uint256 claimId = nextClaimId++;
+        Claim storage claim = claims[claimId];
+        claim.claimId = claimId;
+        claim.policyId = _policyId;
+        claim.claimant = policy.policyholder;
+        claim.claimAmount = payout;
+        claim.submissionDate = block.timestamp;
+        claim.investigationDeadline = block.timestamp;
+        claim.status = ClaimStatus.PAID;
+        claim.approvedAmount = payout;
+        claim.payoutDate = block.timestamp;
+        claim.investigator = address(trigger.feed);
+        userClaims[policy.policyholder].push(claimId);
+        
+        policy.status = PolicyStatus.CLAIMED;
+        policy.claimsCount++;
+        policy.totalClaimsAmount += payout;
+        
+        // expirePolicies already released the coverage of expired policies
+        if (!expired) pool.activeCoverage -= payout;
+        pool.availableFunds -= payout;
+        pool.totalClaims += payout;
+        
+        payable(policy.policyholder).transfer(payout);
+        
+        emit ClaimSubmitted(claimId, _policyId, policy.policyholder, payout);
+        emit ClaimInvestigated(claimId, address(trigger.feed), ClaimStatus.APPROVED);
+        emit ClaimPaid(claimId, policy.policyholder, payout);
+    }
+    
     // Staking Functions
     
     /**
-     * @dev Stake CELO to provide liquidity
+     * @dev Stake CELO into one insurance pool to provide coverage capacity
      */
-    function stake() external payable nonReentrant whenNotPaused {
+    function stake(InsuranceType _insuranceType) external payable nonReentrant whenNotPaused {
         require(msg.value >= MIN_STAKE_AMOUNT, "Minimum stake amount not met");
+        InsurancePool storage pool = insurancePools[_insuranceType];
+        require(pool.active, "Insurance type not active");
         
-        StakeInfo storage stakeInfo = stakes[msg.sender];
+        StakeInfo storage stakeInfo = stakes[msg.sender][_insuranceType];
         
-        // Update rewards before modifying stake
-        if (stakeInfo.amount > 0) {
-            updateRewards(msg.sender);
-        }
+        // Settle rewards before modifying stake
+        updateRewards(msg.sender, _insuranceType);
         
         stakeInfo.amount += msg.value;
         stakeInfo.stakingDate = block.timestamp;
-        stakeInfo.lastRewardUpdate = block.timestamp;
+        stakeInfo.rewardDebt = (stakeInfo.amount * pool.accRewardPerShare) / REWARD_PRECISION;
         
-        // Distribute stake across all active pools equally
-        uint256 stakePerPool = msg.value / 5;
-        for (uint i = 0; i < 5; i++) {
-            InsuranceType insType = InsuranceType(i);
-            if (insurancePools[insType].active) {
-                insurancePools[insType].totalStaked += stakePerPool;
-                insurancePools[insType].availableFunds += stakePerPool;
-            }
-        }
+        pool.totalStaked += msg.value;
+        pool.availableFunds += msg.value;
         
-        emit StakeDeposited(msg.sender, msg.value);
+        emit StakeDeposited(msg.sender, _insuranceType, msg.value);
     }
     
     /**
-     * @dev Withdraw stake
+     * @dev Withdraw stake from one insurance pool
      */
-    function withdrawStake(uint256 _amount) external nonReentrant {
-        StakeInfo storage stakeInfo = stakes[msg.sender];
+    function withdrawStake(InsuranceType _insuranceType, uint256 _amount) external nonReentrant {
+        StakeInfo storage stakeInfo = stakes[msg.sender][_insuranceType];
         require(stakeInfo.amount >= _amount, "Insufficient stake");
         require(_amount > 0, "Amount must be positive");
+        require(block.timestamp > stakeLockedUntil[msg.sender], "Stake locked by an open vote");
         
-        // Update rewards before withdrawal
-        updateRewards(msg.sender);
+        InsurancePool storage pool = insurancePools[_insuranceType];
         
         // Check if withdrawal affects pool solvency
-        uint256 totalPoolFunds = getTotalPoolFunds();
-        uint256 totalCoverage = getTotalActiveCoverage();
-        require(totalPoolFunds - _amount >= (totalCoverage * MAX_COVERAGE_RATIO) / 100, "Withdrawal would affect solvency");
+        uint256 requiredFunds = (getActiveCoverage(_insuranceType) * MAX_COVERAGE_RATIO) / 100;
+        require(pool.availableFunds >= _amount + requiredFunds, "Withdrawal would affect solvency");
+        
+        // Settle rewards before withdrawal
+        updateRewards(msg.sender, _insuranceType);
         
         stakeInfo.amount -= _amount;
+        stakeInfo.rewardDebt = (stakeInfo.amount * pool.accRewardPerShare) / REWARD_PRECISION;
         
-        // Remove stake from pools proportionally
-        uint256 withdrawalPerPool = _amount / 5;
-        for (uint i = 0; i < 5; i++) {
-            InsuranceType insType = InsuranceType(i);
-            if (insurancePools[insType].totalStaked >= withdrawalPerPool) {
-                insurancePools[insType].totalStaked -= withdrawalPerPool;
-                insurancePools[insType].availableFunds -= withdrawalPerPool;
-            }
-        }
+        pool.totalStaked -= _amount;
+        pool.availableFunds -= _amount;
         
         payable(msg.sender).transfer(_amount);
         
-        emit StakeWithdrawn(msg.sender, _amount);
+        emit StakeWithdrawn(msg.sender, _insuranceType, _amount);
     }
     
     /**
-     * @dev Claim staking rewards
+     * @dev Claim staking rewards from every pool
      */
     function claimRewards() external nonReentrant {
-        updateRewards(msg.sender);
-        
-        StakeInfo storage stakeInfo = stakes[msg.sender];
-        uint256 rewards = stakeInfo.rewardsEarned;
+        uint256 rewards = 0;
+        for (uint i = 0; i < 5; i++) {
+            InsuranceType insType = InsuranceType(i);
+            updateRewards(msg.sender, insType);
+            
+            StakeInfo storage stakeInfo = stakes[msg.sender][insType];
+            if (stakeInfo.rewardsEarned > 0) {
+                insurancePools[insType].rewardFunds -= stakeInfo.rewardsEarned;
+                rewards += stakeInfo.rewardsEarned;
+                stakeInfo.rewardsEarned = 0;
+            }
+        }
         require(rewards > 0, "No rewards to claim");
         
-        stakeInfo.rewardsEarned = 0;
-        
         payable(msg.sender).transfer(rewards);
         
         emit RewardsClaimed(msg.sender, rewards);
     }
     
     /**
-     * @dev Update staking rewards for a user
+     * @dev Move a staker's accrued share of pool rewards into rewardsEarned
      */
-    function updateRewards(address _staker) internal {
-        StakeInfo storage stakeInfo = stakes[_staker];
+    function updateRewards(address _staker, InsuranceType _insuranceType) internal {
+        StakeInfo storage stakeInfo = stakes[_staker][_insuranceType];
         if (stakeInfo.amount == 0) return;
         
-        uint256 timeElapsed = block.timestamp - stakeInfo.lastRewardUpdate;
-        uint256 annualReward = (stakeInfo.amount * 1000) / 10000; // 10% annual rate
-        uint256 reward = (annualReward * timeElapsed) / 365 days;
+        uint256 accumulated = (stakeInfo.amount * insurancePools[_insuranceType].accRewardPerShare) / REWARD_PRECISION;
+        stakeInfo.rewardsEarned += accumulated - stakeInfo.rewardDebt;
+        stakeInfo.rewardDebt = accumulated;
+    }
+    
+    /**
+     * @dev Whether a policy has any claim that was not rejected
+     */
+    function _hasClaims(uint256 _policyId) internal view returns (bool) {
+        uint256[] storage claimIds = userClaims[policies[_policyId].policyholder];
+        for (uint256 i = 0; i < claimIds.length; i++) {
+            Claim storage claim = claims[claimIds[i]];
+            if (claim.policyId == _policyId && claim.status != ClaimStatus.REJECTED) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * @dev Split a premium between the pool's claim reserves and its stakers, returning the reserves' part
+     */
+    function _distributePremium(InsuranceType _insuranceType, uint256 _premium) internal returns (uint256) {
+        InsurancePool storage pool = insurancePools[_insuranceType];
+        pool.totalPremiums += _premium;
         
-        stakeInfo.rewardsEarned += reward;
-        stakeInfo.lastRewardUpdate = block.timestamp;
+        uint256 rewards = 0;
+        if (pool.totalStaked > 0) {
+            rewards = (_premium * pool.rewardRate) / 10000;
+            pool.accRewardPerShare += (rewards * REWARD_PRECISION) / pool.totalStaked;
+            pool.rewardFunds += rewards;
+            emit RewardsDistributed(_insuranceType, rewards);
+        }
+        pool.availableFunds += _premium - rewards;
+        return _premium - rewards;
     }
     
     // View Functions
@@ -464,10 +751,21 @@ contract DecentralizedInsurance is Ownable, ReentrancyGuard, Pausable {
     }
     
     /**
-     * @dev Get stake information
+     * @dev Get a staker's position in one insurance pool
      */
-    function getStakeInfo(address _staker) external view returns (StakeInfo memory) {
-        return stakes[_staker];
+    function getStakeInfo(address _staker, InsuranceType _insuranceType) external view returns (StakeInfo memory) {
+        return stakes[_staker][_insuranceType];
+    }
+    
+    /**
+     * @dev Get a staker's total stake across all insurance pools
+     */
+    function getTotalStake(address _staker) public view returns (uint256) {
+        uint256 total = 0;
+        for (uint i = 0; i < 5; i++) {
+            total += stakes[_staker][InsuranceType(i)].amount;
+        }
+        return total;
     }
     
     /**
@@ -489,30 +787,68 @@ contract DecentralizedInsurance is Ownable, ReentrancyGuard, Pausable {
     }
     
     /**
-     * @dev Get total active coverage across all policies
+     * @dev Get total active coverage across all pools
+     * @notice Ended policies keep counting until they are swept with expirePolicies
      */
     function getTotalActiveCoverage() public view returns (uint256) {
         uint256 total = 0;
-        for (uint256 i = 1; i < nextPolicyId; i++) {
-            if (policies[i].status == PolicyStatus.ACTIVE && block.timestamp <= policies[i].endDate) {
-                total += policies[i].coverageAmount;
-            }
+        for (uint i = 0; i < 5; i++) {
+            total += insurancePools[InsuranceType(i)].activeCoverage;
         }
         return total;
     }
     
     /**
-     * @dev Calculate pending rewards for a staker
+     * @dev Get active coverage written against one insurance pool
+     */
+    function getActiveCoverage(InsuranceType _insuranceType) public view returns (uint256) {
+        return insurancePools[_insuranceType].activeCoverage;
+    }
+    
+    /**
+     * @dev Get an address's fraud record
+     */
+    function getFraudRecord(address _account) external view returns (FraudRecord memory) {
+        return fraudRecords[_account];
+    }
+    
+    /**
+     * @dev Number of fraud reports currently recorded against an address
+     */
+    function getFraudReportCount(address _account) public view returns (uint256) {
+        return fraudRecords[_account].claimIds.length;
+    }
+    
+    /**
+     * @dev Whether an address has too many fraud reports to buy or renew cover
+     */
+    function isBlocked(address _account) public view returns (bool) {
+        return getFraudReportCount(_account) >= MAX_FRAUD_REPORTS;
+    }
+    
+    /**
+     * @dev Risk level a policyholder is priced at: one tier higher per fraud report, up to CRITICAL
+     */
+    function getEffectiveRiskLevel(address _account, RiskLevel _riskLevel) public view returns (RiskLevel) {
+        uint256 tier = uint256(_riskLevel) + getFraudReportCount(_account);
+        if (tier > uint256(RiskLevel.CRITICAL)) {
+            tier = uint256(RiskLevel.CRITICAL);
+        }
+        return RiskLevel(tier);
+    }
+    
+    /**
+     * @dev Calculate pending rewards for a staker across all pools
      */
     function calculatePendingRewards(address _staker) external view returns (uint256) {
-        StakeInfo memory stakeInfo = stakes[_staker];
-        if (stakeInfo.amount == 0) return stakeInfo.rewardsEarned;
-        
-        uint256 timeElapsed = block.timestamp - stakeInfo.lastRewardUpdate;
-        uint256 annualReward = (stakeInfo.amount * 1000) / 10000; // 10% annual rate
-        uint256 newReward = (annualReward * timeElapsed) / 365 days;
-        
-        return stakeInfo.rewardsEarned + newReward;
+        uint256 total = 0;
+        for (uint i = 0; i < 5; i++) {
+            InsuranceType insType = InsuranceType(i);
+            StakeInfo memory stakeInfo = stakes[_staker][insType];
+            uint256 accumulated = (stakeInfo.amount * insurancePools[insType].accRewardPerShare) / REWARD_PRECISION;
+            total += stakeInfo.rewardsEarned + accumulated - stakeInfo.rewardDebt;
+        }
+        return total;
     }
     
     // Admin Functions
@@ -547,6 +883,37 @@ contract DecentralizedInsurance is Ownable, ReentrancyGuard, Pausable {
         authorizedOracles[_oracle] = false;
     }
     
+    /**
+     * @dev Define a parametric product: the trigger its policies pay on and its premium rate (basis points, per year)
+     * @notice A product cannot change once policies are sold; stop selling it and add a new one instead
+     */
+    function addParametricProduct(
+        InsuranceType _type,
+        FeedConditions.Condition calldata _trigger,
+        uint256 _rate
+    ) external onlyOwner returns (uint256 productId) {
+        require(address(_trigger.feed) != address(0), "Invalid feed");
+        require(_rate > 0 && _rate <= 5000, "Invalid premium rate");
+        
+        productId = ++parametricProductCount;
+        ParametricProduct storage product = parametricProducts[productId];
+        product.insuranceType = _type;
+        product.trigger = _trigger;
+        product.premiumRate = _rate;
+        product.active = true;
+        
+        emit ParametricProductAdded(productId, _type, address(_trigger.feed), _rate);
+    }
+    
+    /**
+     * @dev Stop or resume selling a parametric product; policies already sold keep their trigger
+     */
+    function setParametricProductActive(uint256 _productId, bool _active) external onlyOwner {
+        require(parametricProducts[_productId].premiumRate > 0, "Invalid product ID");
+        parametricProducts[_productId].active = _active;
+        emit ParametricProductStatusChanged(_productId, _active);
+    }
+    
     /**
      * @dev Update premium rates
      */
@@ -560,13 +927,23 @@ contract DecentralizedInsurance is Ownable, ReentrancyGuard, Pausable {
     }
     
     /**
-     * @dev Update pool reward rate
+     * @dev Update the share of a pool's premiums paid to its stakers
      */
     function updatePoolRewardRate(InsuranceType _type, uint256 _rate) external onlyOwner {
         require(_rate <= 2000, "Rate cannot exceed 20%");
         insurancePools[_type].rewardRate = _rate;
     }
     
+    /**
+     * @dev Keep a staker from withdrawing until `_until`, so stake that voted stays in the pools while the vote is open
+     * @notice Only ever extends an existing lock
+     */
+    function lockStake(address _staker, uint256 _until) external onlyOwner {
+        if (_until > stakeLockedUntil[_staker]) {
+            stakeLockedUntil[_staker] = _until;
+        }
+    }
+    
     /**
      * @dev Toggle insurance pool active status
      */
@@ -605,21 +982,78 @@ contract DecentralizedInsurance is Ownable, ReentrancyGuard, Pausable {
     }
     
     /**
-     * @dev Report fraud (reduces claimant's future coverage and applies penalty)
+     * @dev Report fraud: records it against the claimant and cuts the coverage of their active policies
      */
     function reportFraud(uint256 _claimId) external onlyInvestigator validClaim(_claimId) {
         Claim storage claim = claims[_claimId];
         require(claim.status == ClaimStatus.REJECTED, "Claim must be rejected first");
+        require(!fraudReported[_claimId], "Fraud already reported");
+        
+        fraudReported[_claimId] = true;
+        FraudRecord storage record = fraudRecords[claim.claimant];
+        record.claimIds.push(_claimId);
+        record.lastReportedAt = block.timestamp;
         
-        // Apply fraud penalty - reduce future coverage for this address
-        // This is a simplified implementation; in practice, you'd want more sophisticated fraud tracking
+        // Apply the fraud penalty to every policy the claimant still holds
+        uint256[] storage policyIds = userPolicies[claim.claimant];
+        for (uint256 i = 0; i < policyIds.length; i++) {
+            Policy storage policy = policies[policyIds[i]];
+            if (policy.status != PolicyStatus.ACTIVE) continue;
+            
+            uint256 reduction = (policy.coverageAmount * FRAUD_PENALTY) / 10000;
+            policy.coverageAmount -= reduction;
+            insurancePools[policy.insuranceType].activeCoverage -= reduction;
+            
+            emit FraudPenaltyApplied(policy.policyId, claim.claimant, reduction);
+        }
         
         emit FraudDetected(_claimId, claim.claimant);
     }
     
-    // Emergency withdrawal for contract upgrades (only owner)
-    function emergencyWithdraw() external onlyOwner {
-        payable(owner()).transfer(address(this).balance);
+    /**
+     * @dev Ask the owner to review the caller's fraud record
+     */
+    function fileFraudAppeal(string memory _reason) external {
+        FraudRecord storage record = fraudRecords[msg.sender];
+        require(record.claimIds.length > 0, "No fraud record");
+        require(!record.appealPending, "Appeal already pending");
+        require(bytes(_reason).length > 0, "Appeal reason required");
+        
+        record.appealPending = true;
+        record.appealReason = _reason;
+        
+        emit FraudAppealFiled(msg.sender, _reason);
+    }
+    
+    /**
+     * @dev Decide a pending appeal; upholding it clears the fraud record
+     * @notice Coverage already cut by FRAUD_PENALTY is not restored
+     */
+    function resolveFraudAppeal(address _account, bool _clearRecord) external onlyOwner {
+        FraudRecord storage record = fraudRecords[_account];
+        require(record.appealPending, "No pending appeal");
+        
+        if (_clearRecord) {
+            delete fraudRecords[_account];
+        } else {
+            record.appealPending = false;
+        }
+        
+        emit FraudAppealResolved(_account, _clearRecord);
+    }
+    
+    /**
+     * @dev Move funds out while the contract is paused, e.g. for a migration
+     * @notice With InsuranceGovernor as owner this only runs after a staker vote and the timelock delay
+     */
+    function emergencyWithdraw(address payable _recipient, uint256 _amount) external onlyOwner whenPaused nonReentrant {
+        require(_recipient != address(0), "Invalid recipient");
+        require(_amount <= address(this).balance, "Insufficient balance");
+        
+        (bool success, ) = _recipient.call{value: _amount}("");
+        require(success, "Emergency withdrawal failed");
+        
+        emit EmergencyWithdrawal(_recipient, _amount);
     }
     
     // Receive function to accept CELO
@@ -627,3 +1061,13 @@ contract DecentralizedInsurance is Ownable, ReentrancyGuard, Pausable {
         // Allow contract to receive CELO for staking and premiums
     }
 }
+
+/**
+ * @title DecentralizedInsurance
+ * @dev The immutable deployment of DecentralizedInsuranceBase, owned by its deployer
+ */
+contract DecentralizedInsurance is DecentralizedInsuranceBase {
+    constructor() initializer {
+        __DecentralizedInsurance_init(msg.sender);
+    }
+}
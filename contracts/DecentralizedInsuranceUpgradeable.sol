@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "./DecentralizedInsurance.sol";
+
+/**
+ * @title DecentralizedInsuranceUpgradeable
+ * @dev DecentralizedInsuranceBase behind a UUPS proxy (ERC1967Proxy). The owner authorizes upgrades,
+ * which gives a fix for a bug a path other than pausing and emergencyWithdraw
+ * State lives in DecentralizedInsuranceBase; storage-layouts/DecentralizedInsuranceUpgradeable.json records
+ * the deployed layout that every upgrade must stay compatible with
+ */
+contract DecentralizedInsuranceUpgradeable is DecentralizedInsuranceBase, UUPSUpgradeable {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Initializes the proxy; replaces DecentralizedInsurance's constructor
+     */
+    function initialize(address _initialOwner) external initializer {
+        __DecentralizedInsurance_init(_initialOwner);
+    }
+
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+}
@@ -0,0 +1,128 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./IDataFeed.sol";
+import "./PredictionMarket.sol";
+
+/**
+ * @title FeedMarketResolver
+ * @dev Creates binary prediction markets on a feed condition, e.g. "CELO/USD > 1 at time T",
+ * and resolves them from the feed. It is the markets' resolver, so anyone can trigger the
+ * resolution once the resolution time has passed: YES if the feed's answer at that time meets the
+ * condition, NO otherwise. The proposal goes through the market's usual challenge period, which
+ * leaves a faulty feed open to dispute.
+ */
+contract FeedMarketResolver is Ownable, ReentrancyGuard {
+    uint8 private constant NO = 0;
+    uint8 private constant YES = 1;
+
+    PredictionMarketBase public immutable predictionMarket;
+
+    // Feeds markets can be created on, so traders are not exposed to a feed the creator controls
+    mapping(address => bool) public approvedFeeds;
+    mapping(uint256 => FeedConditions.Condition) public conditions;
+    // Who proposed each market's outcome, and can reclaim the bonds once the proposal stands
+    mapping(uint256 => address) public bondPosters;
+
+    event FeedApproved(address indexed feed, bool approved);
+    event FeedMarketCreated(uint256 indexed marketId, address indexed feed, FeedConditions.Comparison comparison, int256 threshold);
+    event FeedMarketResolved(uint256 indexed marketId, uint80 roundId, int256 answer, uint8 outcome);
+    event BondReclaimed(uint256 indexed marketId, address indexed poster, uint256 amount);
+
+    constructor(address _predictionMarket, address _initialOwner) Ownable(_initialOwner) {
+        require(_predictionMarket != address(0), "Prediction market cannot be zero address");
+        predictionMarket = PredictionMarketBase(_predictionMarket);
+    }
+
+    /**
+     * @notice Allows or disallows markets on a feed.
+     * @param _feed The data feed.
+     * @param _approved Whether new markets can use the feed.
+     */
+    function setFeedApproval(address _feed, bool _approved) external onlyOwner {
+        require(_feed != address(0), "Feed cannot be zero address");
+        approvedFeeds[_feed] = _approved;
+        emit FeedApproved(_feed, _approved);
+    }
+
+    /**
+     * @notice Creates a binary market that resolves YES if the condition holds at the resolution time.
+     * @param _question The question of the market (e.g., "Will CELO/USD be above 1 on 1 January?").
+     * @param _resolutionTimestamp The time the condition is checked at.
+     * @param _condition The feed, comparison and threshold, in the feed's decimals.
+     * @param _collateralToken The ERC-20 collateral token, or address(0) for CELO.
+     * @return marketId The ID of the new market.
+     */
+    function createFeedMarket(
+        string memory _question,
+        uint256 _resolutionTimestamp,
+        FeedConditions.Condition memory _condition,
+        address _collateralToken
+    ) external returns (uint256 marketId) {
+        require(approvedFeeds[address(_condition.feed)], "Feed not approved");
+
+        if (_collateralToken == address(0)) {
+            predictionMarket.createMarket(_question, address(this), _resolutionTimestamp);
+        } else {
+            predictionMarket.createMarketWithCollateral(_question, address(this), _resolutionTimestamp, _collateralToken);
+        }
+        marketId = predictionMarket.marketCounter();
+        conditions[marketId] = _condition;
+
+        emit FeedMarketCreated(marketId, address(_condition.feed), _condition.comparison, _condition.threshold);
+    }
+
+    /**
+     * @notice Proposes the market's outcome from the feed. Anyone can call this after the resolution time.
+     * @dev The caller posts the market's resolution bond, if any, and can reclaim it with reclaimBond.
+     * @param _marketId The ID of the feed market.
+     * @param _roundId The last feed round updated at or before the resolution time.
+     */
+    function resolve(uint256 _marketId, uint80 _roundId) external payable nonReentrant {
+        FeedConditions.Condition memory condition = conditions[_marketId];
+        require(address(condition.feed) != address(0), "Not a feed market");
+
+        uint256 resolutionTimestamp = predictionMarket.getMarket(_marketId).resolutionTimestamp;
+        int256 answer = FeedConditions.answerAt(condition.feed, _roundId, resolutionTimestamp);
+        uint8 outcome = FeedConditions.isMet(condition, answer) ? YES : NO;
+
+        bondPosters[_marketId] = msg.sender;
+        predictionMarket.resolveMarket{value: msg.value}(_marketId, outcome);
+
+        emit FeedMarketResolved(_marketId, _roundId, answer, outcome);
+    }
+
+    /**
+     * @notice Returns the resolution bond to whoever proposed the outcome, once the feed's outcome is final.
+     * @dev If the proposal was disputed and upheld, the disputer's bond is paid out as well.
+     * @param _marketId The ID of the feed market.
+     */
+    function reclaimBond(uint256 _marketId) external nonReentrant {
+        address poster = bondPosters[_marketId];
+        require(poster != address(0), "Market not resolved from the feed");
+
+        (PredictionMarketBase.ResolutionStatus status, uint8 proposedOutcome, , uint256 proposerBond, address disputer, uint256 disputeBond) =
+            predictionMarket.resolutions(_marketId);
+        require(status == PredictionMarketBase.ResolutionStatus.FINALIZED, "Resolution not final");
+        require(predictionMarket.getMarket(_marketId).winningOutcome == proposedOutcome, "Proposal was overturned");
+
+        uint256 amount = disputer == address(0) ? proposerBond : proposerBond + disputeBond;
+        require(amount > 0, "No bond to reclaim");
+        delete bondPosters[_marketId];
+        // The market credits this contract with the bonds of every feed market it resolved
+        if (predictionMarket.pendingBonds(address(this)) > 0) {
+            predictionMarket.withdrawBond();
+        }
+        (bool success, ) = poster.call{value: amount}("");
+        require(success, "Bond return failed");
+
+        emit BondReclaimed(_marketId, poster, amount);
+    }
+
+    // Bonds come back from the prediction market through withdrawBond when a proposal stands
+    receive() external payable {
+        require(msg.sender == address(predictionMarket), "Only the prediction market can pay");
+    }
+}
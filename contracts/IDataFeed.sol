@@ -0,0 +1,70 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IDataFeed
+ * @dev A price or data feed that publishes answers in rounds. It matches Chainlink's
+ * AggregatorV3Interface, so Chainlink and RedStone feeds on Celo can be used directly.
+ * Round IDs are assumed to be consecutive, as they are within one aggregator phase.
+ */
+interface IDataFeed {
+    function decimals() external view returns (uint8);
+
+    function description() external view returns (string memory);
+
+    function getRoundData(uint80 _roundId)
+        external
+        view
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound);
+
+    function latestRoundData()
+        external
+        view
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound);
+}
+
+/**
+ * @title FeedConditions
+ * @dev A condition on a feed's answer, such as "CELO/USD > 1" or "flight delay > 120 minutes",
+ * and helpers to read the round a condition is checked against.
+ */
+library FeedConditions {
+    enum Comparison { GREATER_THAN, LESS_THAN }
+
+    struct Condition {
+        IDataFeed feed;
+        Comparison comparison;
+        int256 threshold; // In the feed's decimals
+    }
+
+    function isMet(Condition memory _condition, int256 _answer) internal pure returns (bool) {
+        if (_condition.comparison == Comparison.GREATER_THAN) {
+            return _answer > _condition.threshold;
+        }
+        return _answer < _condition.threshold;
+    }
+
+    /**
+     * @dev Reads a round, rejecting rounds that have not been answered.
+     */
+    function readRound(IDataFeed _feed, uint80 _roundId) internal view returns (int256 answer, uint256 updatedAt) {
+        uint80 answeredInRound;
+        (, answer, , updatedAt, answeredInRound) = _feed.getRoundData(_roundId);
+        require(updatedAt > 0 && answeredInRound >= _roundId, "Round not answered");
+    }
+
+    /**
+     * @dev The feed's answer at `_timestamp`: `_roundId` must be the last round updated at or before it.
+     */
+    function answerAt(IDataFeed _feed, uint80 _roundId, uint256 _timestamp) internal view returns (int256) {
+        (int256 answer, uint256 updatedAt) = readRound(_feed, _roundId);
+        require(updatedAt <= _timestamp, "Round is after the timestamp");
+
+        (uint80 latestRoundId, , , , ) = _feed.latestRoundData();
+        if (_roundId < latestRoundId) {
+            (, , , uint256 nextUpdatedAt, ) = _feed.getRoundData(_roundId + 1);
+            require(nextUpdatedAt > _timestamp, "A later round is before the timestamp");
+        }
+        return answer;
+    }
+}
@@ -0,0 +1,226 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./DecentralizedInsurance.sol";
+
+/**
+ * @title InsuranceGovernor
+ * @dev Staker governance for DecentralizedInsurance. Meant to own the insurance contract so that
+ * every owner-only parameter change goes through a proposal, a vote and a timelock.
+ * Voting weight is the voter's stake across all insurance pools, counting only positions that
+ * were last topped up in a block before the proposal was created. Voting locks the voter's stake
+ * in the insurance contract until the vote ends, so the governor must own it.
+ */
+contract InsuranceGovernor is ReentrancyGuard {
+
+    enum ProposalState { ACTIVE, DEFEATED, SUCCEEDED, QUEUED, EXPIRED, EXECUTED, CANCELED }
+
+    struct Proposal {
+        uint256 id;
+        address proposer;
+        string description;
+        address[] targets;
+        bytes[] calldatas;
+        uint256 startTime;
+        uint256 endTime;
+        uint256 forVotes;
+        uint256 againstVotes;
+        uint256 quorumVotes; // The quorum when the proposal was created
+        uint256 eta; // Earliest execution time once queued
+        bool executed;
+        bool canceled;
+    }
+
+    DecentralizedInsuranceBase public immutable insurance;
+
+    uint256 public constant VOTING_PERIOD = 3 days;
+    uint256 public constant TIMELOCK_DELAY = 2 days;
+    uint256 public constant GRACE_PERIOD = 14 days;
+
+    uint256 public quorumVotes; // Minimum stake voting in favour for a proposal to pass
+    uint256 public proposalThreshold; // Minimum stake needed to create a proposal
+
+    uint256 private nextProposalId = 1;
+    mapping(uint256 => Proposal) private proposals;
+    mapping(uint256 => mapping(address => bool)) public hasVoted;
+
+    event ProposalCreated(uint256 indexed proposalId, address indexed proposer, address[] targets, bytes[] calldatas, string description, uint256 endTime);
+    event VoteCast(uint256 indexed proposalId, address indexed voter, bool support, uint256 weight);
+    event ProposalQueued(uint256 indexed proposalId, uint256 eta);
+    event ProposalExecuted(uint256 indexed proposalId);
+    event ProposalCanceled(uint256 indexed proposalId);
+    event GovernanceParametersUpdated(uint256 quorumVotes, uint256 proposalThreshold);
+
+    modifier onlyGovernance() {
+        require(msg.sender == address(this), "Only callable through governance");
+        _;
+    }
+
+    modifier validProposal(uint256 _proposalId) {
+        require(_proposalId > 0 && _proposalId < nextProposalId, "Invalid proposal ID");
+        _;
+    }
+
+    constructor(DecentralizedInsuranceBase _insurance, uint256 _quorumVotes, uint256 _proposalThreshold) {
+        require(address(_insurance) != address(0), "Invalid insurance address");
+        require(_quorumVotes > 0, "Quorum must be positive");
+        insurance = _insurance;
+        quorumVotes = _quorumVotes;
+        proposalThreshold = _proposalThreshold;
+    }
+
+    // --- Proposal Lifecycle ---
+
+    /**
+     * @dev Create a proposal; each call targets the insurance contract or this governor
+     */
+    function propose(
+        address[] memory _targets,
+        bytes[] memory _calldatas,
+        string memory _description
+    ) external returns (uint256) {
+        require(_targets.length > 0, "Proposal must contain calls");
+        require(_targets.length == _calldatas.length, "Proposal length mismatch");
+        for (uint256 i = 0; i < _targets.length; i++) {
+            require(_targets[i] == address(insurance) || _targets[i] == address(this), "Invalid proposal target");
+        }
+        require(getVotingPower(msg.sender, block.timestamp) >= proposalThreshold, "Stake below proposal threshold");
+
+        uint256 proposalId = nextProposalId++;
+        Proposal storage proposal = proposals[proposalId];
+        proposal.id = proposalId;
+        proposal.proposer = msg.sender;
+        proposal.description = _description;
+        proposal.targets = _targets;
+        proposal.calldatas = _calldatas;
+        proposal.startTime = block.timestamp;
+        proposal.endTime = block.timestamp + VOTING_PERIOD;
+        proposal.quorumVotes = quorumVotes;
+
+        emit ProposalCreated(proposalId, msg.sender, _targets, _calldatas, _description, proposal.endTime);
+        return proposalId;
+    }
+
+    /**
+     * @dev Vote on an active proposal with the caller's stake, which stays locked until voting ends
+     */
+    function castVote(uint256 _proposalId, bool _support) external validProposal(_proposalId) {
+        require(state(_proposalId) == ProposalState.ACTIVE, "Voting is closed");
+        require(!hasVoted[_proposalId][msg.sender], "Already voted");
+
+        Proposal storage proposal = proposals[_proposalId];
+        uint256 weight = getVotingPower(msg.sender, proposal.startTime);
+        require(weight > 0, "No voting power");
+
+        hasVoted[_proposalId][msg.sender] = true;
+        if (_support) {
+            proposal.forVotes += weight;
+        } else {
+            proposal.againstVotes += weight;
+        }
+        // The counted stake cannot be withdrawn while the vote is open
+        insurance.lockStake(msg.sender, proposal.endTime);
+
+        emit VoteCast(_proposalId, msg.sender, _support, weight);
+    }
+
+    /**
+     * @dev Start the timelock on a proposal that passed
+     */
+    function queue(uint256 _proposalId) external validProposal(_proposalId) {
+        require(state(_proposalId) == ProposalState.SUCCEEDED, "Proposal has not succeeded");
+
+        Proposal storage proposal = proposals[_proposalId];
+        proposal.eta = block.timestamp + TIMELOCK_DELAY;
+
+        emit ProposalQueued(_proposalId, proposal.eta);
+    }
+
+    /**
+     * @dev Run a queued proposal's calls once its timelock has passed
+     */
+    function execute(uint256 _proposalId) external nonReentrant validProposal(_proposalId) {
+        require(state(_proposalId) == ProposalState.QUEUED, "Proposal is not queued");
+
+        Proposal storage proposal = proposals[_proposalId];
+        require(block.timestamp >= proposal.eta, "Timelock has not expired");
+
+        proposal.executed = true;
+        for (uint256 i = 0; i < proposal.targets.length; i++) {
+            Address.functionCall(proposal.targets[i], proposal.calldatas[i]);
+        }
+
+        emit ProposalExecuted(_proposalId);
+    }
+
+    /**
+     * @dev Let the proposer withdraw a proposal that has not been executed
+     */
+    function cancel(uint256 _proposalId) external validProposal(_proposalId) {
+        Proposal storage proposal = proposals[_proposalId];
+        require(msg.sender == proposal.proposer, "Not proposer");
+        ProposalState currentState = state(_proposalId);
+        require(currentState != ProposalState.EXECUTED && currentState != ProposalState.CANCELED, "Proposal already closed");
+
+        proposal.canceled = true;
+
+        emit ProposalCanceled(_proposalId);
+    }
+
+    // --- Governance Settings ---
+
+    /**
+     * @dev Update quorum and proposal threshold (only through a proposal)
+     */
+    function setGovernanceParameters(uint256 _quorumVotes, uint256 _proposalThreshold) external onlyGovernance {
+        require(_quorumVotes > 0, "Quorum must be positive");
+        quorumVotes = _quorumVotes;
+        proposalThreshold = _proposalThreshold;
+
+        emit GovernanceParametersUpdated(_quorumVotes, _proposalThreshold);
+    }
+
+    // --- View Functions ---
+
+    /**
+     * @dev Current state of a proposal, measured against the quorum it was created under so that
+     * later governance changes do not flip the outcome of proposals already voted on
+     */
+    function state(uint256 _proposalId) public view validProposal(_proposalId) returns (ProposalState) {
+        Proposal storage proposal = proposals[_proposalId];
+        if (proposal.canceled) return ProposalState.CANCELED;
+        if (proposal.executed) return ProposalState.EXECUTED;
+        if (block.timestamp <= proposal.endTime) return ProposalState.ACTIVE;
+        if (proposal.forVotes <= proposal.againstVotes || proposal.forVotes < proposal.quorumVotes) {
+            return ProposalState.DEFEATED;
+        }
+        if (proposal.eta == 0) return ProposalState.SUCCEEDED;
+        if (block.timestamp > proposal.eta + GRACE_PERIOD) return ProposalState.EXPIRED;
+        return ProposalState.QUEUED;
+    }
+
+    /**
+     * @dev Get proposal details
+     */
+    function getProposal(uint256 _proposalId) external view validProposal(_proposalId) returns (Proposal memory) {
+        return proposals[_proposalId];
+    }
+
+    /**
+     * @dev Stake a voter can vote with, counting only positions last topped up before `_timestamp`
+     * @notice Every block has a later timestamp than the one before it, so stake added in the block that
+     * created a proposal does not count towards it
+     */
+    function getVotingPower(address _voter, uint256 _timestamp) public view returns (uint256) {
+        uint256 power = 0;
+        for (uint256 i = 0; i < 5; i++) {
+            DecentralizedInsuranceBase.StakeInfo memory stakeInfo = insurance.getStakeInfo(_voter, DecentralizedInsuranceBase.InsuranceType(i));
+            if (stakeInfo.amount > 0 && stakeInfo.stakingDate < _timestamp) {
+                power += stakeInfo.amount;
+            }
+        }
+        return power;
+    }
+}
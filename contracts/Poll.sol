@@ -0,0 +1,317 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/interfaces/IERC5805.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+
+/**
+ * @title Poll
+ * @dev A multiple-choice on-chain poll with an optional voting window and voter allowlist.
+ * Votes can be counted one per address, weighted by a token snapshot, limited to a Merkle-committed
+ * list of voters, or bought quadratically with voting credits.
+ * Token-weighted polls read the snapshot from the token's vote checkpoints, so the token must implement
+ * IERC5805 (e.g. OpenZeppelin's ERC20Votes) and holders only count if they delegated before the poll was
+ * created. A plain ERC-20 has no past balances to read, and a live balance could be voted again after a transfer.
+ * One-per-address and token-weighted votes can also be cast gaslessly: the voter signs an
+ * EIP-712 message and a relayer submits it through voteBySig.
+ * Polls are normally created through PollFactory.
+ */
+contract Poll is EIP712, Nonces {
+    // How votes are weighted
+    enum VotingMode { ONE_PER_ADDRESS, TOKEN_WEIGHTED, MERKLE_ALLOWLIST, QUADRATIC }
+
+    // Settings for the weighted voting modes; unused fields are left empty
+    struct VotingConfig {
+        VotingMode mode;
+        address token; // TOKEN_WEIGHTED: an ERC20Votes-style token (IERC5805); plain ERC-20s are rejected
+        bytes32 merkleRoot; // MERKLE_ALLOWLIST: root over keccak256(keccak256(abi.encode(voter))) leaves
+        uint256 creditsPerVoter; // QUADRATIC: credits each voter can spend; n votes on an option cost n * n credits
+    }
+
+    // Upper bound on options so tallies stay cheap to read
+    uint256 public constant MAX_OPTIONS = 20;
+
+    // EIP-712 type of a signed vote
+    bytes32 public constant VOTE_TYPEHASH = keccak256("Vote(address voter,uint256 option,uint256 nonce,uint256 deadline)");
+
+    // The account that created the poll and controls it
+    address public immutable creator;
+
+    // The question for the poll
+    string public question;
+
+    // Voting window; an end time of zero means the poll stays open until closed
+    uint256 public immutable startTime;
+    uint256 public immutable endTime;
+
+    // Whether only allowlisted addresses can vote
+    bool public immutable restricted;
+
+    // Weighting strategy and its settings
+    VotingMode public immutable votingMode;
+    IERC5805 public immutable token;
+    uint256 public immutable snapshot; // Token clock value when the poll was created
+    bytes32 public immutable merkleRoot;
+    uint256 public immutable creditsPerVoter;
+
+    // Set when the creator closes the poll early
+    bool public closed;
+
+    string[] private options;
+    uint256[] private voteCounts;
+
+    // Mapping to track who has already voted
+    mapping(address => bool) public hasVoted;
+
+    // Addresses allowed to vote on a restricted poll
+    mapping(address => bool) public isAllowed;
+
+    // Quadratic voting: credits spent and votes bought per option
+    mapping(address => uint256) public creditsSpent;
+    mapping(address => mapping(uint256 => uint256)) public quadraticVotes;
+
+    // Event to announce a new vote; weight is the number of votes it added
+    event Voted(address indexed voter, uint256 indexed option, uint256 weight, uint256 optionVotes);
+
+    // Events for creator actions
+    event AllowlistUpdated(address indexed voter, bool allowed);
+    event PollClosed(uint256 closedAt);
+
+    modifier onlyCreator() {
+        require(msg.sender == creator, "Only the poll creator can do this.");
+        _;
+    }
+
+    /**
+     * @dev Sets up the poll.
+     * @param _creator The account that controls the poll.
+     * @param _question The question for this poll.
+     * @param _options The labels of the options voters choose from.
+     * @param _startTime When voting opens; zero opens it immediately.
+     * @param _endTime When voting closes; zero leaves the poll open until the creator closes it.
+     * @param _allowlist Addresses allowed to vote; an empty list lets anyone vote.
+     * @param _config How votes are weighted; TOKEN_WEIGHTED needs an IERC5805 token.
+     */
+    constructor(
+        address _creator,
+        string memory _question,
+        string[] memory _options,
+        uint256 _startTime,
+        uint256 _endTime,
+        address[] memory _allowlist,
+        VotingConfig memory _config
+    ) EIP712("Poll", "1") {
+        require(_creator != address(0), "Creator cannot be the zero address");
+        require(bytes(_question).length > 0, "Question cannot be empty");
+        require(_options.length >= 2 && _options.length <= MAX_OPTIONS, "Poll needs between 2 and 20 options");
+
+        uint256 start = _startTime == 0 ? block.timestamp : _startTime;
+        require(_endTime == 0 || _endTime > start, "End time must be after start time");
+        if (_endTime != 0) {
+            require(_endTime > block.timestamp, "End time must be in the future");
+        }
+
+        for (uint256 i = 0; i < _options.length; i++) {
+            require(bytes(_options[i]).length > 0, "Option cannot be empty");
+            options.push(_options[i]);
+            voteCounts.push(0);
+        }
+
+        for (uint256 i = 0; i < _allowlist.length; i++) {
+            isAllowed[_allowlist[i]] = true;
+        }
+
+        uint256 snapshotTimepoint = 0;
+        if (_config.mode == VotingMode.TOKEN_WEIGHTED) {
+            require(_config.token != address(0), "Token-weighted polls need a token");
+            require(_config.token.code.length > 0, "Token must support IERC5805 vote checkpoints");
+            try IERC5805(_config.token).clock() returns (uint48 timepoint) {
+                snapshotTimepoint = timepoint;
+            } catch {
+                revert("Token must support IERC5805 vote checkpoints");
+            }
+        } else if (_config.mode == VotingMode.MERKLE_ALLOWLIST) {
+            require(_config.merkleRoot != bytes32(0), "Merkle polls need a root");
+        } else if (_config.mode == VotingMode.QUADRATIC) {
+            require(_config.creditsPerVoter > 0, "Quadratic polls need voting credits");
+        }
+
+        creator = _creator;
+        question = _question;
+        startTime = start;
+        endTime = _endTime;
+        restricted = _allowlist.length > 0;
+        votingMode = _config.mode;
+        token = IERC5805(_config.token);
+        snapshot = snapshotTimepoint;
+        merkleRoot = _config.merkleRoot;
+        creditsPerVoter = _config.creditsPerVoter;
+    }
+
+    /**
+     * @dev Allows a user to cast their vote on a one-per-address or token-weighted poll.
+     * A user can only vote once.
+     * @param _option The index of the chosen option.
+     */
+    function vote(uint256 _option) public {
+        _vote(msg.sender, _option);
+    }
+
+    /**
+     * @dev Casts a vote signed by `_voter`, so a relayer can pay the gas.
+     * Works for the same voting modes as vote().
+     * @param _voter The account that signed the vote.
+     * @param _option The index of the chosen option.
+     * @param _deadline The time after which the signature is no longer valid.
+     * @param _signature The voter's EIP-712 signature over the Vote message.
+     */
+    function voteBySig(address _voter, uint256 _option, uint256 _deadline, bytes calldata _signature) external {
+        require(block.timestamp <= _deadline, "Signature has expired.");
+
+        bytes32 structHash = keccak256(abi.encode(VOTE_TYPEHASH, _voter, _option, _useNonce(_voter), _deadline));
+        require(ECDSA.recover(_hashTypedDataV4(structHash), _signature) == _voter, "Invalid signature.");
+
+        _vote(_voter, _option);
+    }
+
+    /**
+     * @dev Allows a listed user to cast their vote on a Merkle allowlist poll.
+     * A user can only vote once.
+     * @param _option The index of the chosen option.
+     * @param _proof Proof that the caller is in the published voter list.
+     */
+    function voteWithProof(uint256 _option, bytes32[] calldata _proof) external {
+        require(votingMode == VotingMode.MERKLE_ALLOWLIST, "Wrong vote function for this poll.");
+
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(msg.sender))));
+        require(MerkleProof.verifyCalldata(_proof, merkleRoot, leaf), "Invalid Merkle proof.");
+
+        _recordVote(msg.sender, _option, 1);
+    }
+
+    /**
+     * @dev Buys votes for an option on a quadratic poll.
+     * Holding n votes on one option costs n * n credits, so a voter may call this
+     * several times and spread credits across options.
+     * @param _option The index of the chosen option.
+     * @param _votes The number of votes to add to that option.
+     */
+    function voteQuadratic(uint256 _option, uint256 _votes) external {
+        require(votingMode == VotingMode.QUADRATIC, "Wrong vote function for this poll.");
+        require(_votes > 0, "Must cast at least one vote.");
+        _checkCanVote(msg.sender, _option);
+
+        uint256 held = quadraticVotes[msg.sender][_option];
+        uint256 cost = (held + _votes) * (held + _votes) - held * held;
+        require(creditsSpent[msg.sender] + cost <= creditsPerVoter, "Not enough voting credits.");
+
+        creditsSpent[msg.sender] += cost;
+        quadraticVotes[msg.sender][_option] = held + _votes;
+        hasVoted[msg.sender] = true;
+        voteCounts[_option] += _votes;
+
+        emit Voted(msg.sender, _option, _votes, voteCounts[_option]);
+    }
+
+    /**
+     * @dev Adds or removes voters on a restricted poll.
+     * @param _voters The addresses to update.
+     * @param _allowed Whether they may vote.
+     */
+    function setAllowed(address[] calldata _voters, bool _allowed) external onlyCreator {
+        require(restricted, "Poll has no allowlist.");
+        for (uint256 i = 0; i < _voters.length; i++) {
+            isAllowed[_voters[i]] = _allowed;
+            emit AllowlistUpdated(_voters[i], _allowed);
+        }
+    }
+
+    /**
+     * @dev Ends voting before the scheduled end time.
+     */
+    function close() external onlyCreator {
+        require(!isFinalized(), "Poll is already finalized.");
+        closed = true;
+        emit PollClosed(block.timestamp);
+    }
+
+    /**
+     * @dev Whether votes are currently accepted.
+     */
+    function isOpen() public view returns (bool) {
+        return block.timestamp >= startTime && !isFinalized();
+    }
+
+    /**
+     * @dev Whether the results can no longer change.
+     */
+    function isFinalized() public view returns (bool) {
+        return closed || (endTime != 0 && block.timestamp > endTime);
+    }
+
+    /**
+     * @dev Credits a quadratic voter has left to spend.
+     * @param _voter The voter to look up.
+     */
+    function remainingCredits(address _voter) external view returns (uint256) {
+        if (votingMode != VotingMode.QUADRATIC) return 0;
+        return creditsPerVoter - creditsSpent[_voter];
+    }
+
+    /**
+     * @dev Retrieves the option labels.
+     */
+    function getOptions() external view returns (string[] memory) {
+        return options;
+    }
+
+    /**
+     * @dev Retrieves the current poll results.
+     * @return _voteCounts The weighted votes for each option, in option order.
+     * @return _finalized Whether voting has ended and the results are final.
+     */
+    function getResults() public view returns (uint256[] memory _voteCounts, bool _finalized) {
+        return (voteCounts, isFinalized());
+    }
+
+    /**
+     * @dev Casts a one-per-address or token-weighted vote for `_voter`.
+     */
+    function _vote(address _voter, uint256 _option) private {
+        require(votingMode == VotingMode.ONE_PER_ADDRESS || votingMode == VotingMode.TOKEN_WEIGHTED, "Wrong vote function for this poll.");
+
+        uint256 weight = 1;
+        if (votingMode == VotingMode.TOKEN_WEIGHTED) {
+            // Voting needs the snapshot to be in the past, i.e. from the block after creation
+            weight = token.getPastVotes(_voter, snapshot);
+            require(weight > 0, "You had no voting weight at the snapshot.");
+        }
+
+        _recordVote(_voter, _option, weight);
+    }
+
+    /**
+     * @dev Checks the voting window, allowlist and option shared by every voting mode.
+     */
+    function _checkCanVote(address _voter, uint256 _option) private view {
+        require(isOpen(), "Poll is not open.");
+        require(!restricted || isAllowed[_voter], "You are not allowed to vote in this poll.");
+        require(_option < options.length, "Invalid option.");
+    }
+
+    /**
+     * @dev Records a single vote of the given weight.
+     */
+    function _recordVote(address _voter, uint256 _option, uint256 _weight) private {
+        _checkCanVote(_voter, _option);
+        require(!hasVoted[_voter], "You have already voted.");
+
+        hasVoted[_voter] = true;
+        voteCounts[_option] += _weight;
+
+        emit Voted(_voter, _option, _weight, voteCounts[_option]);
+    }
+}
@@ -0,0 +1,104 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./Poll.sol";
+
+/**
+ * @title PollFactory
+ * @dev Creates and keeps track of Poll contracts, so a new question does not need a redeploy.
+ */
+contract PollFactory {
+    // Every poll created through this factory, in creation order
+    address[] private polls;
+
+    // Polls grouped by the account that created them
+    mapping(address => address[]) private pollsByCreator;
+
+    // Event to announce a new poll
+    event PollCreated(address indexed poll, address indexed creator, string question, uint256 optionCount, uint256 startTime, uint256 endTime, Poll.VotingMode votingMode);
+
+    /**
+     * @dev Creates a new one-vote-per-address poll controlled by the caller.
+     * Token-weighted polls are created with createWeightedPoll, on a token with IERC5805 vote checkpoints.
+     * @param _question The question for the poll.
+     * @param _options The labels of the options voters choose from.
+     * @param _startTime When voting opens; zero opens it immediately.
+     * @param _endTime When voting closes; zero leaves the poll open until the creator closes it.
+     * @param _allowlist Addresses allowed to vote; an empty list lets anyone vote.
+     * @return The address of the new poll.
+     */
+    function createPoll(
+        string memory _question,
+        string[] memory _options,
+        uint256 _startTime,
+        uint256 _endTime,
+        address[] memory _allowlist
+    ) public returns (address) {
+        Poll.VotingConfig memory config;
+        return createWeightedPoll(_question, _options, _startTime, _endTime, _allowlist, config);
+    }
+
+    /**
+     * @dev Creates a new poll with a weighted voting mode, controlled by the caller.
+     * A TOKEN_WEIGHTED poll needs a token with vote checkpoints (IERC5805, e.g. ERC20Votes) and counts
+     * the votes holders had delegated when the poll was created; plain ERC-20 tokens are rejected.
+     * @param _question The question for the poll.
+     * @param _options The labels of the options voters choose from.
+     * @param _startTime When voting opens; zero opens it immediately.
+     * @param _endTime When voting closes; zero leaves the poll open until the creator closes it.
+     * @param _allowlist Addresses allowed to vote; an empty list lets anyone vote.
+     * @param _config The voting mode and its settings.
+     * @return The address of the new poll.
+     */
+    function createWeightedPoll(
+        string memory _question,
+        string[] memory _options,
+        uint256 _startTime,
+        uint256 _endTime,
+        address[] memory _allowlist,
+        Poll.VotingConfig memory _config
+    ) public returns (address) {
+        Poll poll = new Poll(msg.sender, _question, _options, _startTime, _endTime, _allowlist, _config);
+
+        polls.push(address(poll));
+        pollsByCreator[msg.sender].push(address(poll));
+
+        emit PollCreated(address(poll), msg.sender, _question, _options.length, poll.startTime(), _endTime, _config.mode);
+        return address(poll);
+    }
+
+    /**
+     * @dev Creates an open-ended Yes/No poll, like SimplePoll.
+     * Option 0 is Yes and option 1 is No.
+     * @param _question The question for the poll.
+     * @return The address of the new poll.
+     */
+    function createYesNoPoll(string memory _question) external returns (address) {
+        string[] memory options = new string[](2);
+        options[0] = "Yes";
+        options[1] = "No";
+        return createPoll(_question, options, 0, 0, new address[](0));
+    }
+
+    /**
+     * @dev Retrieves every poll created through this factory.
+     */
+    function getPolls() external view returns (address[] memory) {
+        return polls;
+    }
+
+    /**
+     * @dev Retrieves the number of polls created through this factory.
+     */
+    function getPollCount() external view returns (uint256) {
+        return polls.length;
+    }
+
+    /**
+     * @dev Retrieves the polls created by a given account.
+     * @param _creator The account to look up.
+     */
+    function getPollsByCreator(address _creator) external view returns (address[] memory) {
+        return pollsByCreator[_creator];
+    }
+}
@@ -1,16 +1,25 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "./OutcomeToken.sol";
 
 /**
- * @title PredictionMarket
+ * @title PredictionMarketBase
  * @dev A factory contract for creating and managing decentralized prediction markets.
  * Users can bet on the outcomes of future events by buying and selling outcome tokens.
+ * Markets are either binary (YES/NO) or categorical, with one outcome token per label.
+ * Each market is collateralized in CELO or in an allowlisted ERC-20 token such as cUSD.
+ * Each market also runs a constant-product pool so a single outcome can be traded on its own.
+ * The logic is shared by the immutable PredictionMarket and the proxied PredictionMarketUpgradeable,
+ * so new state variables must only ever be appended after the existing ones.
  */
-contract PredictionMarket is Ownable, ReentrancyGuard {
+abstract contract PredictionMarketBase is OwnableUpgradeable, ReentrancyGuardUpgradeable {
+    using SafeERC20 for IERC20;
 
     // --- Structs ---
 
@@ -20,33 +29,84 @@ contract PredictionMarket is Ownable, ReentrancyGuard {
         address resolver;
         uint256 resolutionTimestamp;
         bool isResolved;
-        uint8 winningOutcome; // 0 = NO, 1 = YES, 2 = INVALID
-        address yesToken;
-        address noToken;
-        uint256 liquidityPool; // Total CELO in the market
+        uint8 winningOutcome; // Outcome index; the outcome count means INVALID (0 = NO, 1 = YES, 2 = INVALID for binary markets)
+        address yesToken; // Binary markets only
+        address noToken; // Binary markets only
+        uint256 liquidityPool; // Total collateral in the market
+        address collateralToken; // address(0) for CELO
+    }
+
+    enum ResolutionStatus { NONE, PROPOSED, DISPUTED, FINALIZED }
+
+    struct Resolution {
+        ResolutionStatus status;
+        uint8 proposedOutcome;
+        uint256 challengeDeadline;
+        uint256 proposerBond;
+        address disputer;
+        uint256 disputeBond;
     }
 
     // --- State Variables ---
 
+    uint256 public constant MAX_OUTCOMES = 8;
+
     uint256 public marketCounter;
     mapping(uint256 => Market) public markets;
+    // Outcome tokens of each market, indexed by outcome ([NO, YES] for binary markets)
+    mapping(uint256 => address[]) private outcomeTokens;
 
     uint256 public platformFeeBps; // Fee in basis points (e.g., 100 bps = 1%)
-    uint256 public accumulatedFees;
+    uint256 public accumulatedFees; // Fees collected in CELO
+    mapping(address => uint256) public accumulatedTokenFees; // Fees collected per ERC-20 collateral
+    mapping(address => bool) public allowedCollateral;
+
+    // Two-phase resolution: a proposed outcome can be disputed until its challenge deadline,
+    // which escalates the market to the arbitrator.
+    mapping(uint256 => Resolution) public resolutions;
+    address public arbitrator;
+    uint256 public challengePeriod;
+    uint256 public resolutionBond; // Bond the resolver posts with a proposal
+    uint256 public disputeBond; // Bond a challenger posts to dispute a proposal
+
+    // Outcome token reserves of each market's pool, indexed by outcome.
+    // The reserves are backed by complete sets counted in the market's liquidityPool.
+    mapping(uint256 => uint256[]) private poolBalances;
+    mapping(uint256 => uint256) public totalLiquidityShares;
+    mapping(uint256 => mapping(address => uint256)) public liquidityShares;
+
+    // Bonds returned or awarded once a resolution is final, waiting to be withdrawn with withdrawBond
+    mapping(address => uint256) public pendingBonds;
 
     // --- Events ---
 
     event MarketCreated(uint256 indexed marketId, string question, address indexed resolver, uint256 resolutionTimestamp);
+    event CategoricalMarketCreated(uint256 indexed marketId, string[] outcomeLabels);
+    event CollateralAllowed(address indexed token, bool allowed);
     event SharesBought(uint256 indexed marketId, address indexed user, uint256 amount, uint256 celoAmount);
     event SharesSold(uint256 indexed marketId, address indexed user, uint256 amount, uint256 celoAmount);
     event MarketResolved(uint256 indexed marketId, uint8 winningOutcome);
+    event OutcomeProposed(uint256 indexed marketId, uint8 proposedOutcome, uint256 challengeDeadline);
+    event ResolutionDisputed(uint256 indexed marketId, address indexed disputer, uint256 bond);
+    event DisputeSettled(uint256 indexed marketId, uint8 winningOutcome, address indexed bondRecipient, uint256 bondPayout);
     event WinningsRedeemed(uint256 indexed marketId, address indexed user, uint256 amount, uint256 payout);
-
-    // --- Constructor ---
-
-    constructor(address initialOwner, uint256 _initialFeeBps) Ownable(initialOwner) {
+    event RefundClaimed(uint256 indexed marketId, address indexed user, uint256 sharesBurned, uint256 refund);
+    event LiquidityAdded(uint256 indexed marketId, address indexed provider, uint256 celoAmount, uint256 sharesMinted);
+    event LiquidityRemoved(uint256 indexed marketId, address indexed provider, uint256 sharesBurned);
+    event OutcomeBought(uint256 indexed marketId, address indexed user, uint8 outcome, uint256 celoAmount, uint256 sharesOut);
+    event OutcomeSold(uint256 indexed marketId, address indexed user, uint8 outcome, uint256 amount, uint256 celoAmount);
+    event BondWithdrawn(address indexed recipient, uint256 amount);
+
+    // --- Initialization ---
+
+    function __PredictionMarket_init(address initialOwner, uint256 _initialFeeBps) internal onlyInitializing {
+        __Ownable_init(initialOwner);
+        __ReentrancyGuard_init();
         require(_initialFeeBps <= 500, "Fee cannot exceed 5%"); // Max fee 5%
         platformFeeBps = _initialFeeBps;
+        arbitrator = initialOwner;
+        challengePeriod = 1 days;
+        disputeBond = 1 ether;
     }
 
     // --- Market Creation ---
@@ -58,107 +118,321 @@ contract PredictionMarket is Ownable, ReentrancyGuard {
      * @param _resolutionTimestamp The timestamp after which the market can be resolved.
      */
     function createMarket(string memory _question, address _resolver, uint256 _resolutionTimestamp) external {
-        require(_resolutionTimestamp > block.timestamp, "Resolution time must be in the future");
-        require(_resolver != address(0), "Resolver cannot be zero address");
-
-        marketCounter++;
-        uint256 newMarketId = marketCounter;
-
-        // Create YES and NO outcome tokens
-        string memory yesName = string.concat("Market #", _toString(newMarketId), " - YES");
-        string memory yesSymbol = string.concat("M", _toString(newMarketId), "Y");
-        OutcomeToken yesToken = new OutcomeToken(yesName, yesSymbol, address(this));
+        _createBinaryMarket(_question, _resolver, _resolutionTimestamp, address(0));
+    }
 
-        string memory noName = string.concat("Market #", _toString(newMarketId), " - NO");
-        string memory noSymbol = string.concat("M", _toString(newMarketId), "N");
-        OutcomeToken noToken = new OutcomeToken(noName, noSymbol, address(this));
+    /**
+     * @notice Creates a new prediction market that trades in an allowlisted ERC-20 collateral token.
+     * @param _question The question of the market (e.g., "Will X happen by date Y?").
+     * @param _resolver The address authorized to resolve the market.
+     * @param _resolutionTimestamp The timestamp after which the market can be resolved.
+     * @param _collateralToken The ERC-20 token used for buying, selling and redeeming shares.
+     */
+    function createMarketWithCollateral(
+        string memory _question,
+        address _resolver,
+        uint256 _resolutionTimestamp,
+        address _collateralToken
+    ) external {
+        require(_collateralToken != address(0), "Collateral token cannot be zero address");
+        _createBinaryMarket(_question, _resolver, _resolutionTimestamp, _collateralToken);
+    }
 
-        markets[newMarketId] = Market({
-            id: newMarketId,
-            question: _question,
-            resolver: _resolver,
-            resolutionTimestamp: _resolutionTimestamp,
-            isResolved: false,
-            winningOutcome: 0,
-            yesToken: address(yesToken),
-            noToken: address(noToken),
-            liquidityPool: 0
-        });
+    /**
+     * @notice Creates a categorical market with one outcome token per label.
+     * @dev Outcome indices follow the order of the labels; an index equal to the number of labels means INVALID.
+     * @param _question The question of the market (e.g., "Which team wins the cup?").
+     * @param _resolver The address authorized to resolve the market.
+     * @param _resolutionTimestamp The timestamp after which the market can be resolved.
+     * @param _outcomeLabels The outcome labels, between 2 and MAX_OUTCOMES of them.
+     * @param _collateralToken The ERC-20 collateral token, or address(0) for CELO.
+     */
+    function createCategoricalMarket(
+        string memory _question,
+        address _resolver,
+        uint256 _resolutionTimestamp,
+        string[] memory _outcomeLabels,
+        address _collateralToken
+    ) external {
+        require(_outcomeLabels.length >= 2 && _outcomeLabels.length <= MAX_OUTCOMES, "Invalid number of outcomes");
+        uint256 newMarketId = _initMarket(_question, _resolver, _resolutionTimestamp, _collateralToken);
+
+        for (uint256 i = 0; i < _outcomeLabels.length; i++) {
+            require(bytes(_outcomeLabels[i]).length > 0, "Outcome label cannot be empty");
+            string memory name = string.concat("Market #", _toString(newMarketId), " - ", _outcomeLabels[i]);
+            string memory symbol = string.concat("M", _toString(newMarketId), "O", _toString(i));
+            OutcomeToken token = new OutcomeToken(name, symbol, address(this));
+            outcomeTokens[newMarketId].push(address(token));
+        }
+        poolBalances[newMarketId] = new uint256[](_outcomeLabels.length);
 
         emit MarketCreated(newMarketId, _question, _resolver, _resolutionTimestamp);
+        emit CategoricalMarketCreated(newMarketId, _outcomeLabels);
     }
 
     // --- Trading Functions ---
 
     /**
-     * @notice Buy a set of outcome shares (1 YES + 1 NO) for 1 CELO each.
+     * @notice Buy complete sets of outcome shares (one share of every outcome) for 1 CELO each.
      * @param _marketId The ID of the market to buy shares from.
      */
     function buyShares(uint256 _marketId) external payable nonReentrant {
+        _buyShares(_marketId, msg.value);
+    }
+
+    /**
+     * @notice Buy complete sets of outcome shares in an ERC-20 collateralized market, 1 token each.
+     * @dev The caller must first approve this contract to spend `_amount` of the collateral token.
+     * @param _marketId The ID of the market to buy shares from.
+     * @param _amount The amount of collateral to spend.
+     */
+    function buySharesWithToken(uint256 _marketId, uint256 _amount) external nonReentrant {
+        _buyShares(_marketId, _amount);
+    }
+
+    /**
+     * @notice Sell complete sets of outcome shares back to the market.
+     * @param _marketId The ID of the market.
+     * @param _amount The number of share sets to sell.
+     */
+    function sellShares(uint256 _marketId, uint256 _amount) external nonReentrant {
         Market storage market = markets[_marketId];
         require(market.id != 0, "Market does not exist");
         require(!market.isResolved, "Market is already resolved");
-        require(msg.value > 0, "Must send CELO to buy shares");
+        require(_amount > 0, "Amount must be greater than zero");
+
+        market.liquidityPool -= _amount;
+        address[] storage tokens = outcomeTokens[_marketId];
+        for (uint256 i = 0; i < tokens.length; i++) {
+            OutcomeToken token = OutcomeToken(tokens[i]);
+            require(token.balanceOf(msg.sender) >= _amount, "Insufficient outcome tokens");
+            token.burn(msg.sender, _amount);
+        }
 
-        uint256 sharesToMint = msg.value; // 1 CELO = 1 share set
+        _sendCollateral(market, msg.sender, _amount);
 
-        market.liquidityPool += msg.value;
-        OutcomeToken(market.yesToken).mint(msg.sender, sharesToMint);
-        OutcomeToken(market.noToken).mint(msg.sender, sharesToMint);
+        emit SharesSold(_marketId, msg.sender, _amount, _amount);
+    }
 
-        emit SharesBought(_marketId, msg.sender, sharesToMint, msg.value);
+    // --- Automated Market Maker ---
+
+    /**
+     * @notice Add CELO liquidity to a market's pool.
+     * @dev The deposit mints complete sets into the pool. The first deposit sets equal reserves;
+     * later deposits keep the current prices and return the surplus outcome tokens to the provider.
+     * @param _marketId The ID of the market.
+     */
+    function addLiquidity(uint256 _marketId) external payable nonReentrant {
+        _addLiquidity(_marketId, msg.value);
     }
 
     /**
-     * @notice Sell a set of outcome shares back to the market.
+     * @notice Add ERC-20 collateral liquidity to a market's pool. See addLiquidity.
      * @param _marketId The ID of the market.
-     * @param _amount The number of share sets to sell.
+     * @param _amount The amount of collateral to deposit.
      */
-    function sellShares(uint256 _marketId, uint256 _amount) external nonReentrant {
+    function addLiquidityWithToken(uint256 _marketId, uint256 _amount) external nonReentrant {
+        _addLiquidity(_marketId, _amount);
+    }
+
+    /**
+     * @notice Withdraw liquidity as the pool's outcome tokens.
+     * @dev The tokens can be merged back into collateral with sellShares, or redeemed once the market resolves.
+     * @param _marketId The ID of the market.
+     * @param _shares The number of liquidity shares to burn.
+     */
+    function removeLiquidity(uint256 _marketId, uint256 _shares) external nonReentrant {
         Market storage market = markets[_marketId];
         require(market.id != 0, "Market does not exist");
-        require(!market.isResolved, "Market is already resolved");
+        require(_shares > 0, "Amount must be greater than zero");
+        require(liquidityShares[_marketId][msg.sender] >= _shares, "Insufficient liquidity shares");
+
+        uint256[] storage balances = poolBalances[_marketId];
+        uint256 totalShares = totalLiquidityShares[_marketId];
+
+        liquidityShares[_marketId][msg.sender] -= _shares;
+        totalLiquidityShares[_marketId] = totalShares - _shares;
+
+        for (uint8 i = 0; i < balances.length; i++) {
+            uint256 amountOut = (balances[i] * _shares) / totalShares;
+            balances[i] -= amountOut;
+            if (amountOut > 0) {
+                _outcomeToken(_marketId, i).mint(msg.sender, amountOut);
+            }
+        }
+
+        emit LiquidityRemoved(_marketId, msg.sender, _shares);
+    }
+
+    /**
+     * @notice Buy shares of a single outcome from the market's pool, until the market's resolution time.
+     * @param _marketId The ID of the market.
+     * @param _outcome The outcome index to buy (0 for NO, 1 for YES in binary markets).
+     * @param _minSharesOut The minimum number of shares to receive, protecting against slippage.
+     */
+    function buyOutcome(uint256 _marketId, uint8 _outcome, uint256 _minSharesOut) external payable nonReentrant {
+        _buyOutcome(_marketId, _outcome, msg.value, _minSharesOut);
+    }
+
+    /**
+     * @notice Buy shares of a single outcome in an ERC-20 collateralized market. See buyOutcome.
+     * @param _marketId The ID of the market.
+     * @param _outcome The outcome index to buy.
+     * @param _amount The amount of collateral to spend.
+     * @param _minSharesOut The minimum number of shares to receive, protecting against slippage.
+     */
+    function buyOutcomeWithToken(uint256 _marketId, uint8 _outcome, uint256 _amount, uint256 _minSharesOut) external nonReentrant {
+        _buyOutcome(_marketId, _outcome, _amount, _minSharesOut);
+    }
+
+    /**
+     * @notice Sell shares of a single outcome back to the market's pool, until the market's resolution time.
+     * @param _marketId The ID of the market.
+     * @param _outcome The outcome index to sell (0 for NO, 1 for YES in binary markets).
+     * @param _amount The number of shares to sell.
+     * @param _minCeloOut The minimum amount of collateral to receive, protecting against slippage.
+     */
+    function sellOutcome(uint256 _marketId, uint8 _outcome, uint256 _amount, uint256 _minCeloOut) external nonReentrant {
+        Market storage market = markets[_marketId];
+        require(market.id != 0, "Market does not exist");
+        require(resolutions[_marketId].status == ResolutionStatus.NONE, "Market is closed for trading");
+        require(block.timestamp < market.resolutionTimestamp, "Trading has ended");
+        require(_outcome < poolBalances[_marketId].length, "Invalid outcome");
         require(_amount > 0, "Amount must be greater than zero");
+        require(totalLiquidityShares[_marketId] > 0, "Market has no liquidity");
 
-        OutcomeToken yesToken = OutcomeToken(market.yesToken);
-        OutcomeToken noToken = OutcomeToken(market.noToken);
+        OutcomeToken token = _outcomeToken(_marketId, _outcome);
+        require(token.balanceOf(msg.sender) >= _amount, "Insufficient outcome tokens");
 
-        require(yesToken.balanceOf(msg.sender) >= _amount, "Insufficient YES tokens");
-        require(noToken.balanceOf(msg.sender) >= _amount, "Insufficient NO tokens");
+        uint256[] storage balances = poolBalances[_marketId];
+        uint256 celoOut = _calcSellReturn(balances, _outcome, _amount);
+        require(celoOut > 0, "Sale amount too small");
+        require(celoOut >= _minCeloOut, "Slippage limit exceeded");
 
-        market.liquidityPool -= _amount;
-        yesToken.burn(msg.sender, _amount);
-        noToken.burn(msg.sender, _amount);
+        // The pool takes the shares, then burns complete sets to pay the seller.
+        token.burn(msg.sender, _amount);
+        balances[_outcome] += _amount;
+        for (uint8 i = 0; i < balances.length; i++) {
+            balances[i] -= celoOut;
+        }
+        market.liquidityPool -= celoOut;
 
-        (bool success, ) = msg.sender.call{value: _amount}("");
-        require(success, "Transfer failed");
+        _sendCollateral(market, msg.sender, celoOut);
 
-        emit SharesSold(_marketId, msg.sender, _amount, _amount);
+        emit OutcomeSold(_marketId, msg.sender, _outcome, _amount, celoOut);
     }
 
     // --- Resolution and Redemption ---
 
     /**
-     * @notice Resolves a market with the final outcome.
+     * @notice Proposes the final outcome of a market, opening the challenge period.
+     * @dev The resolver must post the current resolutionBond, which is returned once the proposal stands.
+     * Pool trading has already stopped at the resolution time. Redemption opens only after finalizeResolution or settleDispute.
      * @param _marketId The ID of the market to resolve.
-     * @param _winningOutcome The outcome (0 for NO, 1 for YES, 2 for INVALID).
+     * @param _winningOutcome The outcome index, or the outcome count for INVALID (0 NO, 1 YES, 2 INVALID in binary markets).
      */
-    function resolveMarket(uint256 _marketId, uint8 _winningOutcome) external {
+    function resolveMarket(uint256 _marketId, uint8 _winningOutcome) external payable {
         Market storage market = markets[_marketId];
         require(market.id != 0, "Market does not exist");
         require(msg.sender == market.resolver, "Only resolver can call");
         require(block.timestamp >= market.resolutionTimestamp, "Market not yet ready for resolution");
-        require(!market.isResolved, "Market already resolved");
-        require(_winningOutcome <= 2, "Invalid outcome");
+        require(resolutions[_marketId].status == ResolutionStatus.NONE, "Market already resolved");
+        require(_winningOutcome <= outcomeTokens[_marketId].length, "Invalid outcome");
+        require(msg.value == resolutionBond, "Incorrect resolution bond");
+
+        uint256 challengeDeadline = block.timestamp + challengePeriod;
+        resolutions[_marketId] = Resolution({
+            status: ResolutionStatus.PROPOSED,
+            proposedOutcome: _winningOutcome,
+            challengeDeadline: challengeDeadline,
+            proposerBond: msg.value,
+            disputer: address(0),
+            disputeBond: 0
+        });
 
+        emit OutcomeProposed(_marketId, _winningOutcome, challengeDeadline);
+    }
+
+    /**
+     * @notice Disputes a proposed outcome by posting the dispute bond.
+     * @dev The market is escalated to the arbitrator, who settles it with settleDispute.
+     * @param _marketId The ID of the market whose proposal is disputed.
+     */
+    function disputeResolution(uint256 _marketId) external payable nonReentrant {
+        Resolution storage resolution = resolutions[_marketId];
+        require(resolution.status == ResolutionStatus.PROPOSED, "No proposal to dispute");
+        require(block.timestamp < resolution.challengeDeadline, "Challenge period has ended");
+        require(msg.value == disputeBond, "Incorrect dispute bond");
+
+        resolution.status = ResolutionStatus.DISPUTED;
+        resolution.disputer = msg.sender;
+        resolution.disputeBond = msg.value;
+
+        emit ResolutionDisputed(_marketId, msg.sender, msg.value);
+    }
+
+    /**
+     * @notice Finalizes an undisputed proposal once its challenge period has ended.
+     * @dev Anyone can call this. The resolver's bond is credited to it, to be withdrawn with withdrawBond.
+     * @param _marketId The ID of the market to finalize.
+     */
+    function finalizeResolution(uint256 _marketId) external nonReentrant {
+        Resolution storage resolution = resolutions[_marketId];
+        require(resolution.status == ResolutionStatus.PROPOSED, "No proposal to finalize");
+        require(block.timestamp >= resolution.challengeDeadline, "Challenge period not over");
+
+        Market storage market = markets[_marketId];
+        resolution.status = ResolutionStatus.FINALIZED;
+        market.isResolved = true;
+        market.winningOutcome = resolution.proposedOutcome;
+
+        pendingBonds[market.resolver] += resolution.proposerBond;
+
+        emit MarketResolved(_marketId, resolution.proposedOutcome);
+    }
+
+    /**
+     * @notice Settles a disputed market with the arbitrator's outcome.
+     * @dev If the proposal is upheld the resolver is credited both bonds; if it is overturned the disputer is.
+     * They are withdrawn with withdrawBond.
+     * @param _marketId The ID of the disputed market.
+     * @param _winningOutcome The final outcome index, or the outcome count for INVALID.
+     */
+    function settleDispute(uint256 _marketId, uint8 _winningOutcome) external nonReentrant {
+        require(msg.sender == arbitrator, "Only arbitrator can call");
+        Resolution storage resolution = resolutions[_marketId];
+        require(resolution.status == ResolutionStatus.DISPUTED, "Market is not disputed");
+        require(_winningOutcome <= outcomeTokens[_marketId].length, "Invalid outcome");
+
+        Market storage market = markets[_marketId];
+        resolution.status = ResolutionStatus.FINALIZED;
         market.isResolved = true;
         market.winningOutcome = _winningOutcome;
 
+        address bondRecipient = _winningOutcome == resolution.proposedOutcome ? market.resolver : resolution.disputer;
+        uint256 bondPayout = resolution.proposerBond + resolution.disputeBond;
+        pendingBonds[bondRecipient] += bondPayout;
+
+        emit DisputeSettled(_marketId, _winningOutcome, bondRecipient, bondPayout);
         emit MarketResolved(_marketId, _winningOutcome);
     }
 
     /**
-     * @notice Redeem winning shares for CELO.
+     * @notice Withdraws the caller's bonds from finalized resolutions.
+     * @dev Bonds are pulled rather than sent, so a recipient that cannot take CELO cannot block a resolution.
+     */
+    function withdrawBond() external nonReentrant {
+        uint256 amount = pendingBonds[msg.sender];
+        require(amount > 0, "No bonds to withdraw");
+        pendingBonds[msg.sender] = 0;
+        (bool success, ) = msg.sender.call{value: amount}("");
+        require(success, "Bond withdrawal failed");
+
+        emit BondWithdrawn(msg.sender, amount);
+    }
+
+    /**
+     * @notice Redeem winning shares for the market's collateral.
      * @param _marketId The ID of the resolved market.
      */
     function redeemWinnings(uint256 _marketId) external nonReentrant {
@@ -166,18 +440,10 @@ contract PredictionMarket is Ownable, ReentrancyGuard {
         require(market.id != 0, "Market does not exist");
         require(market.isResolved, "Market must be resolved");
 
-        address winningTokenAddress;
-        if (market.winningOutcome == 1) {
-            winningTokenAddress = market.yesToken;
-        } else if (market.winningOutcome == 0) {
-            winningTokenAddress = market.noToken;
-        } else { // Market is invalid
-            // If invalid, everyone can redeem both tokens for their original value
-            // This logic is simplified here. A full implementation might handle this differently.
-            revert("Market resolved as invalid; use a separate refund function");
-        }
+        address[] storage tokens = outcomeTokens[_marketId];
+        require(market.winningOutcome < tokens.length, "Market resolved as invalid; use claimRefund");
 
-        OutcomeToken winningToken = OutcomeToken(winningTokenAddress);
+        OutcomeToken winningToken = OutcomeToken(tokens[market.winningOutcome]);
         uint256 userBalance = winningToken.balanceOf(msg.sender);
         require(userBalance > 0, "No winning shares to redeem");
 
@@ -186,15 +452,59 @@ contract PredictionMarket is Ownable, ReentrancyGuard {
         uint256 feeAmount = (userBalance * platformFeeBps) / 10000;
         uint256 payoutAmount = userBalance - feeAmount;
 
-        accumulatedFees += feeAmount;
+        if (market.collateralToken == address(0)) {
+            accumulatedFees += feeAmount;
+        } else {
+            accumulatedTokenFees[market.collateralToken] += feeAmount;
+        }
         market.liquidityPool -= userBalance;
 
-        (bool success, ) = msg.sender.call{value: payoutAmount}("");
-        require(success, "Payout failed");
+        _sendCollateral(market, msg.sender, payoutAmount);
 
         emit WinningsRedeemed(_marketId, msg.sender, userBalance, payoutAmount);
     }
 
+    /**
+     * @notice Refund outcome shares of a market resolved as INVALID.
+     * @dev Burns the caller's outcome tokens and pays 1/N of a collateral unit for each in an N-outcome market,
+     * so a complete set returns its full price and holders who sold some outcomes get back their share of the pool.
+     * Only the largest multiple of N is burned, so shares that would round to nothing are left with the holder.
+     * No platform fee is taken: an invalid market is not a win, and refunds should be made whole.
+     * Liquidity providers withdraw their pool tokens with removeLiquidity first.
+     * @param _marketId The ID of the invalid market.
+     */
+    function claimRefund(uint256 _marketId) external nonReentrant {
+        Market storage market = markets[_marketId];
+        require(market.id != 0, "Market does not exist");
+        require(market.isResolved, "Market must be resolved");
+        address[] storage tokens = outcomeTokens[_marketId];
+        require(market.winningOutcome == tokens.length, "Market was not resolved as invalid");
+
+        uint256 shares;
+        for (uint256 i = 0; i < tokens.length; i++) {
+            shares += OutcomeToken(tokens[i]).balanceOf(msg.sender);
+        }
+        uint256 refundAmount = shares / tokens.length;
+        require(refundAmount > 0, "No shares to refund");
+
+        // Burn only the shares that are paid for; the remainder stays with the holder
+        uint256 sharesBurned = refundAmount * tokens.length;
+        uint256 toBurn = sharesBurned;
+        for (uint256 i = 0; toBurn > 0; i++) {
+            OutcomeToken token = OutcomeToken(tokens[i]);
+            uint256 amount = Math.min(token.balanceOf(msg.sender), toBurn);
+            if (amount > 0) {
+                token.burn(msg.sender, amount);
+                toBurn -= amount;
+            }
+        }
+        market.liquidityPool -= refundAmount;
+
+        _sendCollateral(market, msg.sender, refundAmount);
+
+        emit RefundClaimed(_marketId, msg.sender, sharesBurned, refundAmount);
+    }
+
     // --- Admin Functions ---
 
     function setPlatformFee(uint256 _newFeeBps) external onlyOwner {
@@ -202,6 +512,28 @@ contract PredictionMarket is Ownable, ReentrancyGuard {
         platformFeeBps = _newFeeBps;
     }
 
+    function setCollateralAllowed(address _token, bool _allowed) external onlyOwner {
+        require(_token != address(0), "Token cannot be zero address");
+        allowedCollateral[_token] = _allowed;
+        emit CollateralAllowed(_token, _allowed);
+    }
+
+    function setArbitrator(address _arbitrator) external onlyOwner {
+        require(_arbitrator != address(0), "Arbitrator cannot be zero address");
+        arbitrator = _arbitrator;
+    }
+
+    /**
+     * @notice Updates the dispute settings. Markets already proposed keep the deadline and bonds they started with.
+     */
+    function setDisputeParameters(uint256 _challengePeriod, uint256 _resolutionBond, uint256 _disputeBond) external onlyOwner {
+        require(_challengePeriod > 0 && _challengePeriod <= 30 days, "Invalid challenge period");
+        require(_disputeBond > 0, "Dispute bond must be greater than zero");
+        challengePeriod = _challengePeriod;
+        resolutionBond = _resolutionBond;
+        disputeBond = _disputeBond;
+    }
+
     function withdrawFees() external onlyOwner {
         uint256 feesToWithdraw = accumulatedFees;
         require(feesToWithdraw > 0, "No fees to withdraw");
@@ -210,13 +542,282 @@ contract PredictionMarket is Ownable, ReentrancyGuard {
         require(success, "Fee withdrawal failed");
     }
 
+    function withdrawTokenFees(address _token) external onlyOwner {
+        uint256 feesToWithdraw = accumulatedTokenFees[_token];
+        require(feesToWithdraw > 0, "No fees to withdraw");
+        accumulatedTokenFees[_token] = 0;
+        IERC20(_token).safeTransfer(owner(), feesToWithdraw);
+    }
+
     // --- View Functions ---
 
     function getMarket(uint256 _marketId) external view returns (Market memory) {
         return markets[_marketId];
     }
 
-    // --- Internal Helper ---
+    function getOutcomeTokens(uint256 _marketId) external view returns (address[] memory) {
+        return outcomeTokens[_marketId];
+    }
+
+    function getPoolBalances(uint256 _marketId) external view returns (uint256[] memory) {
+        return poolBalances[_marketId];
+    }
+
+    /**
+     * @notice Quote the current price of each outcome token.
+     * @dev Prices are scaled by 1e18 and sum to roughly 1e18 (one CELO per complete set).
+     * A constant-product pool prices each outcome inversely to its reserve.
+     * @param _marketId The ID of the market.
+     * @return prices The price of each outcome, indexed by outcome.
+     */
+    function getOutcomePrices(uint256 _marketId) external view returns (uint256[] memory prices) {
+        require(totalLiquidityShares[_marketId] > 0, "Market has no liquidity");
+        uint256[] memory balances = poolBalances[_marketId];
+        prices = new uint256[](balances.length);
+
+        uint256 inverseSum;
+        for (uint256 i = 0; i < balances.length; i++) {
+            prices[i] = 1e36 / balances[i];
+            inverseSum += prices[i];
+        }
+        for (uint256 i = 0; i < balances.length; i++) {
+            prices[i] = (prices[i] * 1e18) / inverseSum;
+        }
+    }
+
+    /**
+     * @notice Quote how many shares a CELO investment buys in a single outcome.
+     */
+    function calcBuyAmount(uint256 _marketId, uint8 _outcome, uint256 _investmentAmount) external view returns (uint256) {
+        require(_outcome < poolBalances[_marketId].length, "Invalid outcome");
+        return _calcBuyAmount(poolBalances[_marketId], _outcome, _investmentAmount);
+    }
+
+    /**
+     * @notice Quote how much CELO selling shares of a single outcome returns.
+     */
+    function calcSellReturn(uint256 _marketId, uint8 _outcome, uint256 _amount) external view returns (uint256) {
+        require(_outcome < poolBalances[_marketId].length, "Invalid outcome");
+        return _calcSellReturn(poolBalances[_marketId], _outcome, _amount);
+    }
+
+    // --- Internal Helpers ---
+
+    function _initMarket(
+        string memory _question,
+        address _resolver,
+        uint256 _resolutionTimestamp,
+        address _collateralToken
+    ) internal returns (uint256) {
+        require(_resolutionTimestamp > block.timestamp, "Resolution time must be in the future");
+        require(_resolver != address(0), "Resolver cannot be zero address");
+        require(_collateralToken == address(0) || allowedCollateral[_collateralToken], "Collateral token not allowed");
+
+        marketCounter++;
+        uint256 newMarketId = marketCounter;
+
+        markets[newMarketId] = Market({
+            id: newMarketId,
+            question: _question,
+            resolver: _resolver,
+            resolutionTimestamp: _resolutionTimestamp,
+            isResolved: false,
+            winningOutcome: 0,
+            yesToken: address(0),
+            noToken: address(0),
+            liquidityPool: 0,
+            collateralToken: _collateralToken
+        });
+        return newMarketId;
+    }
+
+    function _createBinaryMarket(
+        string memory _question,
+        address _resolver,
+        uint256 _resolutionTimestamp,
+        address _collateralToken
+    ) internal {
+        uint256 newMarketId = _initMarket(_question, _resolver, _resolutionTimestamp, _collateralToken);
+
+        // Create YES and NO outcome tokens
+        string memory yesName = string.concat("Market #", _toString(newMarketId), " - YES");
+        string memory yesSymbol = string.concat("M", _toString(newMarketId), "Y");
+        OutcomeToken yesToken = new OutcomeToken(yesName, yesSymbol, address(this));
+
+        string memory noName = string.concat("Market #", _toString(newMarketId), " - NO");
+        string memory noSymbol = string.concat("M", _toString(newMarketId), "N");
+        OutcomeToken noToken = new OutcomeToken(noName, noSymbol, address(this));
+
+        Market storage market = markets[newMarketId];
+        market.yesToken = address(yesToken);
+        market.noToken = address(noToken);
+        outcomeTokens[newMarketId].push(address(noToken));
+        outcomeTokens[newMarketId].push(address(yesToken));
+        poolBalances[newMarketId] = new uint256[](2);
+
+        emit MarketCreated(newMarketId, _question, _resolver, _resolutionTimestamp);
+    }
+
+    function _buyShares(uint256 _marketId, uint256 _amount) internal {
+        Market storage market = markets[_marketId];
+        require(market.id != 0, "Market does not exist");
+        require(!market.isResolved, "Market is already resolved");
+        require(_amount > 0, "Must send collateral to buy shares");
+
+        _collectCollateral(market, _amount);
+        uint256 sharesToMint = _amount; // 1 collateral unit = 1 share set
+
+        market.liquidityPool += _amount;
+        address[] storage tokens = outcomeTokens[_marketId];
+        for (uint256 i = 0; i < tokens.length; i++) {
+            OutcomeToken(tokens[i]).mint(msg.sender, sharesToMint);
+        }
+
+        emit SharesBought(_marketId, msg.sender, sharesToMint, _amount);
+    }
+
+    function _addLiquidity(uint256 _marketId, uint256 _amount) internal {
+        Market storage market = markets[_marketId];
+        require(market.id != 0, "Market does not exist");
+        require(resolutions[_marketId].status == ResolutionStatus.NONE, "Market is closed for trading");
+        require(_amount > 0, "Must send collateral to add liquidity");
+
+        _collectCollateral(market, _amount);
+        uint256[] storage balances = poolBalances[_marketId];
+        uint256 totalShares = totalLiquidityShares[_marketId];
+        uint256 sharesToMint;
+
+        if (totalShares == 0) {
+            sharesToMint = _amount;
+            for (uint8 i = 0; i < balances.length; i++) {
+                balances[i] += _amount;
+            }
+        } else {
+            uint256 poolWeight;
+            for (uint8 i = 0; i < balances.length; i++) {
+                if (balances[i] > poolWeight) poolWeight = balances[i];
+            }
+            for (uint8 i = 0; i < balances.length; i++) {
+                uint256 added = (_amount * balances[i]) / poolWeight;
+                balances[i] += added;
+                if (_amount > added) {
+                    _outcomeToken(_marketId, i).mint(msg.sender, _amount - added);
+                }
+            }
+            sharesToMint = (_amount * totalShares) / poolWeight;
+        }
+
+        market.liquidityPool += _amount;
+        liquidityShares[_marketId][msg.sender] += sharesToMint;
+        totalLiquidityShares[_marketId] = totalShares + sharesToMint;
+
+        emit LiquidityAdded(_marketId, msg.sender, _amount, sharesToMint);
+    }
+
+    function _buyOutcome(uint256 _marketId, uint8 _outcome, uint256 _amount, uint256 _minSharesOut) internal {
+        Market storage market = markets[_marketId];
+        require(market.id != 0, "Market does not exist");
+        require(resolutions[_marketId].status == ResolutionStatus.NONE, "Market is closed for trading");
+        require(block.timestamp < market.resolutionTimestamp, "Trading has ended");
+        require(_outcome < poolBalances[_marketId].length, "Invalid outcome");
+        require(_amount > 0, "Must send collateral to buy shares");
+        require(totalLiquidityShares[_marketId] > 0, "Market has no liquidity");
+
+        uint256[] storage balances = poolBalances[_marketId];
+        uint256 sharesOut = _calcBuyAmount(balances, _outcome, _amount);
+        require(sharesOut >= _minSharesOut, "Slippage limit exceeded");
+
+        _collectCollateral(market, _amount);
+
+        // The payment mints complete sets into the pool, which then releases the bought outcome.
+        for (uint8 i = 0; i < balances.length; i++) {
+            balances[i] += _amount;
+        }
+        balances[_outcome] -= sharesOut;
+        market.liquidityPool += _amount;
+
+        _outcomeToken(_marketId, _outcome).mint(msg.sender, sharesOut);
+
+        emit OutcomeBought(_marketId, msg.sender, _outcome, _amount, sharesOut);
+    }
+
+    /**
+     * @dev Takes `_amount` of the market's collateral from the caller: CELO must arrive as msg.value,
+     * ERC-20 collateral is pulled with transferFrom and no CELO may be attached.
+     */
+    function _collectCollateral(Market storage market, uint256 _amount) internal {
+        if (market.collateralToken == address(0)) {
+            require(msg.value == _amount, "Market only accepts CELO");
+        } else {
+            require(msg.value == 0, "Market only accepts its collateral token");
+            IERC20(market.collateralToken).safeTransferFrom(msg.sender, address(this), _amount);
+        }
+    }
+
+    function _sendCollateral(Market storage market, address _to, uint256 _amount) internal {
+        if (market.collateralToken == address(0)) {
+            (bool success, ) = _to.call{value: _amount}("");
+            require(success, "Transfer failed");
+        } else {
+            IERC20(market.collateralToken).safeTransfer(_to, _amount);
+        }
+    }
+
+    function _outcomeToken(uint256 _marketId, uint8 _outcome) internal view returns (OutcomeToken) {
+        return OutcomeToken(outcomeTokens[_marketId][_outcome]);
+    }
+
+    /**
+     * @dev Shares received for `investment`, keeping the product of the reserves constant.
+     * Every intermediate step rounds in the pool's favour.
+     */
+    function _calcBuyAmount(uint256[] memory balances, uint8 outcome, uint256 investment) internal pure returns (uint256) {
+        uint256 endingBalance = balances[outcome];
+        for (uint256 i = 0; i < balances.length; i++) {
+            if (i != outcome) {
+                endingBalance = Math.mulDiv(endingBalance, balances[i], balances[i] + investment, Math.Rounding.Ceil);
+            }
+        }
+        return balances[outcome] + investment - endingBalance;
+    }
+
+    /**
+     * @dev Shares the pool must take in to release `returnAmount` CELO while keeping the product
+     * of the reserves constant. Requires `returnAmount` to be below every other reserve.
+     */
+    function _calcSharesToSell(uint256[] memory balances, uint8 outcome, uint256 returnAmount) internal pure returns (uint256) {
+        uint256 endingBalance = balances[outcome];
+        for (uint256 i = 0; i < balances.length; i++) {
+            if (i != outcome) {
+                endingBalance = Math.mulDiv(endingBalance, balances[i], balances[i] - returnAmount, Math.Rounding.Ceil);
+            }
+        }
+        return returnAmount + endingBalance - balances[outcome];
+    }
+
+    /**
+     * @dev CELO returned for selling `amount` shares: the largest return whose required shares fit in `amount`.
+     * There is no closed form for more than two reserves, so this bisects on the return amount.
+     * Any unused remainder of `amount` stays in the pool.
+     */
+    function _calcSellReturn(uint256[] memory balances, uint8 outcome, uint256 amount) internal pure returns (uint256) {
+        // The return can never exceed the shares sold, nor drain another reserve.
+        uint256 high = amount + 1;
+        for (uint256 i = 0; i < balances.length; i++) {
+            if (i != outcome && balances[i] < high) high = balances[i];
+        }
+
+        uint256 low = 0;
+        while (low + 1 < high) {
+            uint256 mid = (low + high) / 2;
+            if (_calcSharesToSell(balances, outcome, mid) <= amount) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
 
     function _toString(uint256 value) internal pure returns (string memory) {
         if (value == 0) {
@@ -237,3 +838,13 @@ contract PredictionMarket is Ownable, ReentrancyGuard {
         return string(buffer);
     }
 }
+
+/**
+ * @title PredictionMarket
+ * @dev The immutable deployment of PredictionMarketBase, initialized in its constructor.
+ */
+contract PredictionMarket is PredictionMarketBase {
+    constructor(address initialOwner, uint256 _initialFeeBps) initializer {
+        __PredictionMarket_init(initialOwner, _initialFeeBps);
+    }
+}
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "./PredictionMarket.sol";
+
+/**
+ * @title PredictionMarketUpgradeable
+ * @dev PredictionMarketBase behind a UUPS proxy (ERC1967Proxy). The owner authorizes upgrades.
+ * State lives in PredictionMarketBase; storage-layouts/PredictionMarketUpgradeable.json records the
+ * deployed layout that every upgrade must stay compatible with.
+ */
+contract PredictionMarketUpgradeable is PredictionMarketBase, UUPSUpgradeable {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @notice Initializes the proxy; replaces PredictionMarket's constructor.
+     * @param initialOwner The owner and initial arbitrator.
+     * @param _initialFeeBps The platform fee in basis points, at most 500.
+     */
+    function initialize(address initialOwner, uint256 _initialFeeBps) external initializer {
+        __PredictionMarket_init(initialOwner, _initialFeeBps);
+    }
+
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+}
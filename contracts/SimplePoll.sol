@@ -1,12 +1,21 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+
 /**
  * @title SimplePoll
  * @dev A basic on-chain polling contract where users can vote Yes or No.
  * Each contract instance represents a single poll.
+ * Votes can also be cast gaslessly: the voter signs an EIP-712 message and a relayer
+ * submits it through voteBySig.
  */
-contract SimplePoll {
+contract SimplePoll is EIP712, Nonces {
+    // EIP-712 type of a signed vote
+    bytes32 public constant VOTE_TYPEHASH = keccak256("Vote(address voter,bool vote,uint256 nonce,uint256 deadline)");
+
     // The question for the poll
     string public question;
 
@@ -24,7 +33,7 @@ contract SimplePoll {
      * @dev Sets the poll question upon deployment.
      * @param _question The question for this poll.
      */
-    constructor(string memory _question) {
+    constructor(string memory _question) EIP712("SimplePoll", "1") {
         require(bytes(_question).length > 0, "Question cannot be empty");
         question = _question;
     }
@@ -35,17 +44,23 @@ contract SimplePoll {
      * @param _vote The user's vote: true for Yes, false for No.
      */
     function vote(bool _vote) public {
-        require(!hasVoted[msg.sender], "You have already voted.");
+        _recordVote(msg.sender, _vote);
+    }
 
-        hasVoted[msg.sender] = true;
+    /**
+     * @dev Casts a vote signed by `_voter`, so a relayer can pay the gas.
+     * @param _voter The account that signed the vote.
+     * @param _vote The voter's vote: true for Yes, false for No.
+     * @param _deadline The time after which the signature is no longer valid.
+     * @param _signature The voter's EIP-712 signature over the Vote message.
+     */
+    function voteBySig(address _voter, bool _vote, uint256 _deadline, bytes calldata _signature) external {
+        require(block.timestamp <= _deadline, "Signature has expired.");
 
-        if (_vote) {
-            yesVotes++;
-        } else {
-            noVotes++;
-        }
+        bytes32 structHash = keccak256(abi.encode(VOTE_TYPEHASH, _voter, _vote, _useNonce(_voter), _deadline));
+        require(ECDSA.recover(_hashTypedDataV4(structHash), _signature) == _voter, "Invalid signature.");
 
-        emit Voted(msg.sender, _vote, yesVotes, noVotes);
+        _recordVote(_voter, _vote);
     }
 
     /**
@@ -56,4 +71,21 @@ contract SimplePoll {
     function getResults() public view returns (uint256 _yesVotes, uint256 _noVotes) {
         return (yesVotes, noVotes);
     }
+
+    /**
+     * @dev Records `_voter`'s vote. A voter can only vote once.
+     */
+    function _recordVote(address _voter, bool _vote) private {
+        require(!hasVoted[_voter], "You have already voted.");
+
+        hasVoted[_voter] = true;
+
+        if (_vote) {
+            yesVotes++;
+        } else {
+            noVotes++;
+        }
+
+        emit Voted(_voter, _vote, yesVotes, noVotes);
+    }
 }
@@ -2,36 +2,133 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
 
 /**
  * @title TipJar
- * @dev A simple, elegant contract that allows anyone to send a tip (in CELO)
- * to the owner, along with a public message. It demonstrates handling payments,
- * storing data, and secure ownership patterns.
+ * @dev A simple, elegant contract that allows anyone to send a tip (in CELO
+ * or an allowlisted ERC-20 such as cUSD) to the owner or a team of beneficiaries,
+ * along with a public message.
+ * It demonstrates handling payments, storing data, and secure ownership patterns.
  *
  * Features:
  * - Anyone can send a tip with a message.
- * - All tips are stored on-chain for a transparent history.
- * - The contract owner can withdraw the entire balance.
- * - Events are emitted for new tips and withdrawals.
+ * - ERC-20 tips can be signed off-chain and submitted by a relayer (EIP-712 + ERC-2612 permit).
+ * - Supporters can prepay a CELO stream that unlocks linearly over time and cancel it
+ *   to get back the part that has not unlocked yet. Each collection is recorded as a tip.
+ * - All tips are stored on-chain for a transparent history that can be paged through
+ *   and filtered by sender, with per-tipper stats and a top-tippers leaderboard.
+ * - The owner can split incoming tips between beneficiaries by basis-point shares.
+ *   Each beneficiary pulls their own share with release/releaseToken.
+ * - Without beneficiaries, the contract owner can withdraw the entire balance of each token.
+ * - Events are emitted for new tips, withdrawals and payouts.
  */
-contract TipJar is Ownable {
+contract TipJar is Ownable, EIP712, Nonces {
+    using SafeERC20 for IERC20;
+
+    // EIP-712 type of a signed ERC-20 tip
+    bytes32 public constant TIP_TYPEHASH =
+        keccak256("Tip(address sender,address token,uint256 amount,string message,uint256 nonce,uint256 deadline)");
+
+    /**
+     * @dev An optional ERC-2612 permit letting a gasless tip approve its own transfer.
+     * A zero `v` means no permit; the tipper must then have approved this contract already.
+     */
+    struct PermitSignature {
+        uint256 deadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+
     /**
      * @dev A struct to hold all information about a single tip.
      */
     struct Tip {
         address sender; // The address of the person who sent the tip
-        uint256 amount; // The amount of CELO sent
+        uint256 amount; // The amount sent, in CELO or in `token`
         string message; // The message they included
         uint256 timestamp; // The block timestamp when the tip was sent
+        address token; // The ERC-20 token tipped, or address(0) for CELO
+    }
+
+    // Lifecycle of a streamed tip
+    enum StreamStatus { ACTIVE, COMPLETED, CANCELED }
+
+    /**
+     * @dev A prepaid CELO stream that unlocks to the jar linearly between startTime and endTime.
+     */
+    struct Stream {
+        address supporter; // The address that funded the stream
+        uint256 deposit; // The CELO deposited up front
+        uint256 startTime; // When funds start to unlock
+        uint256 endTime; // When the whole deposit has unlocked
+        uint256 collected; // Unlocked CELO already counted as tipped
+        bool canceled; // Whether the supporter cancelled and took the rest back
+        string message; // The message they included
     }
 
     // An array to store all tips received by the contract
     Tip[] private s_tips;
 
+    // Every stream ever started; a stream's ID is its index
+    Stream[] private s_streams;
+
+    // Stream IDs funded by each supporter
+    mapping(address => uint256[]) private s_streamIdsBySupporter;
+
+    // CELO held for streams that has not unlocked and been collected yet
+    uint256 private s_streamLocked;
+
     // The total amount of CELO ever tipped to this contract
     uint256 public totalTipped;
 
+    // The total amount of each ERC-20 token ever tipped to this contract
+    mapping(address => uint256) public totalTippedByToken;
+
+    // Indexes into s_tips of every tip from each sender
+    mapping(address => uint256[]) private s_tipIdsBySender;
+
+    // The total each sender has tipped, per token (address(0) for CELO)
+    mapping(address => mapping(address => uint256)) public totalTippedBySender;
+
+    // Number of entries on the top-tippers leaderboard
+    uint256 public constant LEADERBOARD_SIZE = 10;
+
+    // The biggest CELO tippers, highest total first
+    address[] private s_topTippers;
+
+    // ERC-20 tokens the contract accepts as tips
+    mapping(address => bool) public allowedTokens;
+
+    // Shares are in basis points and must add up to TOTAL_SHARES
+    uint256 public constant TOTAL_SHARES = 10_000;
+
+    // Upper bound on beneficiaries so settling income stays cheap
+    uint256 public constant MAX_BENEFICIARIES = 20;
+
+    // The accounts tips are split between; empty means everything goes to the owner
+    address[] private s_beneficiaries;
+
+    // Each beneficiary's share of incoming tips, in basis points
+    mapping(address => uint256) public shares;
+
+    // Every token that has ever been allowlisted, so income in it can be settled
+    address[] private s_tokens;
+    mapping(address => bool) private s_knownTokens;
+
+    // Income already assigned to a payee but not yet paid out, per token (address(0) for CELO)
+    mapping(address => mapping(address => uint256)) private s_owed;
+    mapping(address => uint256) private s_totalOwed;
+
+    // The total amount paid out to each payee, per token (address(0) for CELO)
+    mapping(address => mapping(address => uint256)) public released;
+
     /**
      * @dev Emitted when a new tip is successfully sent to the contract.
      * @param sender The address of the tipper.
@@ -40,6 +137,15 @@ contract TipJar is Ownable {
      */
     event TipReceived(address indexed sender, uint256 amount, string message);
 
+    /**
+     * @dev Emitted when a new ERC-20 tip is successfully sent to the contract.
+     * @param sender The address of the tipper.
+     * @param token The ERC-20 token tipped.
+     * @param amount The amount of the token tipped.
+     * @param message The message included with the tip.
+     */
+    event TokenTipReceived(address indexed sender, address indexed token, uint256 amount, string message);
+
     /**
      * @dev Emitted when the owner successfully withdraws funds.
      * @param amount The total amount of CELO withdrawn.
@@ -47,11 +153,71 @@ contract TipJar is Ownable {
      */
     event Withdrawn(uint256 amount, address indexed recipient);
 
+    /**
+     * @dev Emitted when the owner successfully withdraws an ERC-20 token.
+     * @param token The ERC-20 token withdrawn.
+     * @param amount The total amount of the token withdrawn.
+     * @param recipient The address the funds were sent to (the owner).
+     */
+    event TokenWithdrawn(address indexed token, uint256 amount, address indexed recipient);
+
+    /**
+     * @dev Emitted when the owner adds or removes a token from the allowlist.
+     * @param token The ERC-20 token.
+     * @param allowed Whether the token is now accepted.
+     */
+    event TokenAllowed(address indexed token, bool allowed);
+
+    /**
+     * @dev Emitted when the owner replaces the beneficiary list.
+     * @param beneficiaries The new beneficiaries.
+     * @param shares Their shares, in basis points.
+     */
+    event BeneficiariesUpdated(address[] beneficiaries, uint256[] shares);
+
+    /**
+     * @dev Emitted when a payee's share is paid out.
+     * @param token The ERC-20 token paid, or address(0) for CELO.
+     * @param payee The account that received the payout.
+     * @param amount The amount paid.
+     */
+    event PaymentReleased(address indexed token, address indexed payee, uint256 amount);
+
+    /**
+     * @dev Emitted when a supporter starts a stream.
+     * @param streamId The ID of the new stream.
+     * @param supporter The address that funded the stream.
+     * @param deposit The CELO deposited.
+     * @param startTime When funds start to unlock.
+     * @param endTime When the whole deposit has unlocked.
+     * @param message The message included with the stream.
+     */
+    event StreamStarted(uint256 indexed streamId, address indexed supporter, uint256 deposit, uint256 startTime, uint256 endTime, string message);
+
+    /**
+     * @dev Emitted when unlocked stream funds are added to the jar's tips.
+     * @param streamId The stream collected from.
+     * @param amount The CELO collected.
+     */
+    event StreamCollected(uint256 indexed streamId, uint256 amount);
+
+    /**
+     * @dev Emitted when a supporter cancels a stream.
+     * @param streamId The cancelled stream.
+     * @param refund The CELO returned to the supporter.
+     */
+    event StreamCanceled(uint256 indexed streamId, uint256 refund);
+
+    modifier validStream(uint256 _streamId) {
+        require(_streamId < s_streams.length, "TipJar: Invalid stream.");
+        _;
+    }
+
     /**
      * @dev Sets the initial owner of the contract.
      * The deployer of the contract will be the initial owner.
      */
-    constructor(address initialOwner) Ownable(initialOwner) {}
+    constructor(address initialOwner) Ownable(initialOwner) EIP712("TipJar", "1") {}
 
     /**
      * @notice Sends a tip to the contract owner.
@@ -62,31 +228,425 @@ contract TipJar is Ownable {
     function sendTip(string memory _message) external payable {
         require(msg.value > 0, "TipJar: Tip amount must be greater than zero.");
 
-        s_tips.push(Tip({
-            sender: msg.sender,
-            amount: msg.value,
-            message: _message,
-            timestamp: block.timestamp
-        }));
-
+        _recordTip(msg.sender, address(0), msg.value, _message);
         totalTipped += msg.value;
+        _updateLeaderboard(msg.sender);
 
         emit TipReceived(msg.sender, msg.value, _message);
     }
 
     /**
-     * @notice Withdraws the entire balance of the contract to the owner.
-     * @dev Can only be called by the contract owner.
+     * @notice Sends a tip in an allowlisted ERC-20 token to the contract owner.
+     * @dev The sender must first approve this contract to spend `_amount` of `_token`.
+     * @param _token The ERC-20 token to tip.
+     * @param _amount The amount of the token to tip.
+     * @param _message A public message to accompany the tip.
+     */
+    function sendTokenTip(address _token, uint256 _amount, string memory _message) external {
+        _sendTokenTip(msg.sender, _token, _amount, _message);
+    }
+
+    /**
+     * @notice Sends an ERC-20 tip signed by `_sender`, so a relayer can pay the gas.
+     * @dev The tip is recorded under `_sender`. If `_permit.v` is non-zero, the permit is
+     * submitted first to approve the transfer; a permit that was already used (e.g. front-run)
+     * is tolerated as long as the allowance is in place.
+     * @param _sender The account that signed the tip and pays the tokens.
+     * @param _token The ERC-20 token to tip.
+     * @param _amount The amount of the token to tip.
+     * @param _message A public message to accompany the tip.
+     * @param _deadline The time after which the tip signature is no longer valid.
+     * @param _signature The sender's EIP-712 signature over the Tip message.
+     * @param _permit An optional ERC-2612 permit for `_amount`.
+     */
+    function sendTipBySig(
+        address _sender,
+        address _token,
+        uint256 _amount,
+        string calldata _message,
+        uint256 _deadline,
+        bytes calldata _signature,
+        PermitSignature calldata _permit
+    ) external {
+        require(block.timestamp <= _deadline, "TipJar: Signature has expired.");
+
+        bytes32 structHash = keccak256(abi.encode(
+            TIP_TYPEHASH,
+            _sender,
+            _token,
+            _amount,
+            keccak256(bytes(_message)),
+            _useNonce(_sender),
+            _deadline
+        ));
+        require(ECDSA.recover(_hashTypedDataV4(structHash), _signature) == _sender, "TipJar: Invalid signature.");
+
+        if (_permit.v != 0) {
+            try IERC20Permit(_token).permit(_sender, address(this), _amount, _permit.deadline, _permit.v, _permit.r, _permit.s) {
+            } catch {}
+        }
+
+        _sendTokenTip(_sender, _token, _amount, _message);
+    }
+
+    /**
+     * @notice Starts a prepaid stream of CELO that unlocks to the jar linearly over `_duration`.
+     * @dev Unlocked funds become tips once collected with collectStream. The supporter can
+     * cancel at any time and get back whatever has not unlocked yet.
+     * @param _duration How long, in seconds, the deposit takes to unlock.
+     * @param _message A public message to accompany the stream.
+     * @return streamId The ID of the new stream.
+     */
+    function startStream(uint256 _duration, string memory _message) external payable returns (uint256 streamId) {
+        require(msg.value > 0, "TipJar: Stream deposit must be greater than zero.");
+        require(_duration > 0, "TipJar: Stream duration must be greater than zero.");
+
+        streamId = s_streams.length;
+        s_streams.push(Stream({
+            supporter: msg.sender,
+            deposit: msg.value,
+            startTime: block.timestamp,
+            endTime: block.timestamp + _duration,
+            collected: 0,
+            canceled: false,
+            message: _message
+        }));
+        s_streamIdsBySupporter[msg.sender].push(streamId);
+        s_streamLocked += msg.value;
+
+        emit StreamStarted(streamId, msg.sender, msg.value, block.timestamp, block.timestamp + _duration, _message);
+    }
+
+    /**
+     * @notice Adds the unlocked part of a stream to the jar's tips.
+     * @dev Anyone can collect; each collection enters the tip history as a tip from the
+     * supporter, and the funds then pay out like any other CELO tip, through withdraw or
+     * the beneficiaries' release.
+     * @param _streamId The stream to collect from.
+     */
+    function collectStream(uint256 _streamId) external validStream(_streamId) {
+        require(_collectStream(_streamId) > 0, "TipJar: Nothing to collect.");
+    }
+
+    /**
+     * @notice Cancels a stream and refunds the part that has not unlocked yet.
+     * @dev Whatever has unlocked up to now is collected for the jar first.
+     * @param _streamId The stream to cancel.
+     */
+    function cancelStream(uint256 _streamId) external validStream(_streamId) {
+        Stream storage stream = s_streams[_streamId];
+        require(msg.sender == stream.supporter, "TipJar: Only the supporter can cancel.");
+        require(_streamStatus(stream) == StreamStatus.ACTIVE, "TipJar: Stream is not active.");
+
+        _collectStream(_streamId);
+
+        uint256 refund = stream.deposit - stream.collected;
+        stream.canceled = true;
+        s_streamLocked -= refund;
+
+        (bool success, ) = stream.supporter.call{value: refund}("");
+        require(success, "TipJar: Refund failed.");
+
+        emit StreamCanceled(_streamId, refund);
+    }
+
+    /**
+     * @notice Withdraws the owner's CELO to the owner.
+     * @dev Can only be called by the contract owner. Without beneficiaries this is the
+     * entire balance; with beneficiaries it is only what was owed to the owner.
      * This is a protective measure to ensure funds are secure.
      */
     function withdraw() external onlyOwner {
-        uint256 balance = address(this).balance;
-        require(balance > 0, "TipJar: No funds to withdraw.");
+        uint256 amount = _release(address(0), owner());
+        require(amount > 0, "TipJar: No funds to withdraw.");
+
+        emit Withdrawn(amount, owner());
+    }
+
+    /**
+     * @notice Withdraws the owner's balance of an ERC-20 token to the owner.
+     * @dev Works for tokens that have since been removed from the allowlist.
+     * Without beneficiaries this is the entire balance of the token.
+     * @param _token The ERC-20 token to withdraw.
+     */
+    function withdrawToken(address _token) external onlyOwner {
+        require(_token != address(0), "TipJar: Token cannot be the zero address.");
+        uint256 amount = _release(_token, owner());
+        require(amount > 0, "TipJar: No funds to withdraw.");
+
+        emit TokenWithdrawn(_token, amount, owner());
+    }
 
-        (bool success, ) = owner().call{value: balance}("");
-        require(success, "TipJar: Withdrawal failed.");
+    /**
+     * @notice Pays out the CELO owed to a payee.
+     * @dev Anyone can trigger a payout; the funds always go to `_payee`.
+     * Each payee is paid separately, so a payee that cannot receive CELO only blocks itself.
+     * @param _payee The beneficiary (or past beneficiary, or owner) to pay.
+     */
+    function release(address _payee) external {
+        uint256 amount = _release(address(0), _payee);
+        require(amount > 0, "TipJar: Nothing to release.");
+
+        emit PaymentReleased(address(0), _payee, amount);
+    }
 
-        emit Withdrawn(balance, owner());
+    /**
+     * @notice Pays out the ERC-20 tokens owed to a payee.
+     * @param _token The ERC-20 token to pay out.
+     * @param _payee The beneficiary (or past beneficiary, or owner) to pay.
+     */
+    function releaseToken(address _token, address _payee) external {
+        require(_token != address(0), "TipJar: Token cannot be the zero address.");
+        uint256 amount = _release(_token, _payee);
+        require(amount > 0, "TipJar: Nothing to release.");
+
+        emit PaymentReleased(_token, _payee, amount);
+    }
+
+    /**
+     * @notice Replaces the beneficiaries that incoming tips are split between.
+     * @dev Tips received so far are first assigned under the old shares, so changing
+     * shares never moves money that has already arrived. An empty list sends all
+     * future tips to the owner again.
+     * @param _beneficiaries The new beneficiaries.
+     * @param _shares Their shares in basis points, adding up to TOTAL_SHARES.
+     */
+    function setBeneficiaries(address[] calldata _beneficiaries, uint256[] calldata _shares) external onlyOwner {
+        require(_beneficiaries.length == _shares.length, "TipJar: Beneficiaries and shares length mismatch.");
+        require(_beneficiaries.length <= MAX_BENEFICIARIES, "TipJar: Too many beneficiaries.");
+
+        _settle(address(0));
+        for (uint256 i = 0; i < s_tokens.length; i++) {
+            _settle(s_tokens[i]);
+        }
+
+        for (uint256 i = 0; i < s_beneficiaries.length; i++) {
+            shares[s_beneficiaries[i]] = 0;
+        }
+        delete s_beneficiaries;
+
+        uint256 total = 0;
+        for (uint256 i = 0; i < _beneficiaries.length; i++) {
+            require(_beneficiaries[i] != address(0), "TipJar: Beneficiary cannot be the zero address.");
+            require(_shares[i] > 0, "TipJar: Share must be greater than zero.");
+            require(shares[_beneficiaries[i]] == 0, "TipJar: Duplicate beneficiary.");
+
+            shares[_beneficiaries[i]] = _shares[i];
+            s_beneficiaries.push(_beneficiaries[i]);
+            total += _shares[i];
+        }
+        require(_beneficiaries.length == 0 || total == TOTAL_SHARES, "TipJar: Shares must add up to 10000.");
+
+        emit BeneficiariesUpdated(_beneficiaries, _shares);
+    }
+
+    /**
+     * @notice Adds or removes an ERC-20 token from the tip allowlist.
+     * @param _token The ERC-20 token.
+     * @param _allowed Whether tips in the token are accepted.
+     */
+    function setTokenAllowed(address _token, bool _allowed) external onlyOwner {
+        require(_token != address(0), "TipJar: Token cannot be the zero address.");
+        allowedTokens[_token] = _allowed;
+
+        if (_allowed && !s_knownTokens[_token]) {
+            s_knownTokens[_token] = true;
+            s_tokens.push(_token);
+        }
+
+        emit TokenAllowed(_token, _allowed);
+    }
+
+    /**
+     * @dev Pulls an ERC-20 tip from `_sender` and records it.
+     */
+    function _sendTokenTip(address _sender, address _token, uint256 _amount, string memory _message) private {
+        require(allowedTokens[_token], "TipJar: Token not allowed.");
+        require(_amount > 0, "TipJar: Tip amount must be greater than zero.");
+
+        IERC20(_token).safeTransferFrom(_sender, address(this), _amount);
+
+        _recordTip(_sender, _token, _amount, _message);
+        totalTippedByToken[_token] += _amount;
+
+        emit TokenTipReceived(_sender, _token, _amount, _message);
+    }
+
+    /**
+     * @dev Stores a tip in the history and updates the sender's stats.
+     */
+    function _recordTip(address _sender, address _token, uint256 _amount, string memory _message) private {
+        s_tipIdsBySender[_sender].push(s_tips.length);
+        s_tips.push(Tip({
+            sender: _sender,
+            amount: _amount,
+            message: _message,
+            timestamp: block.timestamp,
+            token: _token
+        }));
+
+        totalTippedBySender[_sender][_token] += _amount;
+    }
+
+    /**
+     * @dev Moves `_sender` to its place on the CELO leaderboard after a tip.
+     * Ties keep the earlier tipper ahead.
+     */
+    function _updateLeaderboard(address _sender) private {
+        uint256 total = totalTippedBySender[_sender][address(0)];
+        uint256 length = s_topTippers.length;
+
+        uint256 position = length;
+        for (uint256 i = 0; i < length; i++) {
+            if (s_topTippers[i] == _sender) {
+                position = i;
+                break;
+            }
+        }
+
+        if (position == length) {
+            if (length < LEADERBOARD_SIZE) {
+                s_topTippers.push(_sender);
+            } else if (total > totalTippedBySender[s_topTippers[length - 1]][address(0)]) {
+                position = length - 1;
+                s_topTippers[position] = _sender;
+            } else {
+                return;
+            }
+        }
+
+        while (position > 0 && total > totalTippedBySender[s_topTippers[position - 1]][address(0)]) {
+            s_topTippers[position] = s_topTippers[position - 1];
+            s_topTippers[position - 1] = _sender;
+            position--;
+        }
+    }
+
+    /**
+     * @dev Records the unlocked, uncollected part of a stream as a CELO tip from its supporter,
+     * with the stream's message.
+     * @return amount The CELO collected, zero if nothing had unlocked since the last collection.
+     */
+    function _collectStream(uint256 _streamId) private returns (uint256 amount) {
+        Stream storage stream = s_streams[_streamId];
+        amount = _unlocked(stream) - stream.collected;
+        if (amount == 0) return 0;
+
+        stream.collected += amount;
+        s_streamLocked -= amount;
+        _recordTip(stream.supporter, address(0), amount, stream.message);
+        totalTipped += amount;
+        _updateLeaderboard(stream.supporter);
+
+        emit TipReceived(stream.supporter, amount, stream.message);
+        emit StreamCollected(_streamId, amount);
+    }
+
+    /**
+     * @dev The part of a stream's deposit that has unlocked so far.
+     */
+    function _unlocked(Stream storage _stream) private view returns (uint256) {
+        if (_stream.canceled) return _stream.collected;
+        if (block.timestamp >= _stream.endTime) return _stream.deposit;
+        return _stream.deposit * (block.timestamp - _stream.startTime) / (_stream.endTime - _stream.startTime);
+    }
+
+    /**
+     * @dev Where a stream is in its lifecycle.
+     */
+    function _streamStatus(Stream storage _stream) private view returns (StreamStatus) {
+        if (_stream.canceled) return StreamStatus.CANCELED;
+        if (block.timestamp >= _stream.endTime) return StreamStatus.COMPLETED;
+        return StreamStatus.ACTIVE;
+    }
+
+    /**
+     * @dev Income that has arrived but is not yet assigned to a payee.
+     * CELO still locked in streams is not income yet.
+     */
+    function _unassigned(address _token) private view returns (uint256) {
+        uint256 locked = _token == address(0) ? s_streamLocked : 0;
+        return _balanceOf(_token) - s_totalOwed[_token] - locked;
+    }
+
+    /**
+     * @dev Assigns income that has arrived since the last settlement under the current shares.
+     * Rounding dust stays unassigned and is picked up by the next settlement.
+     * @param _token The ERC-20 token, or address(0) for CELO.
+     */
+    function _settle(address _token) private {
+        uint256 pending = _unassigned(_token);
+        if (pending == 0) return;
+
+        if (s_beneficiaries.length == 0) {
+            s_owed[_token][owner()] += pending;
+            s_totalOwed[_token] += pending;
+            return;
+        }
+
+        for (uint256 i = 0; i < s_beneficiaries.length; i++) {
+            uint256 amount = pending * shares[s_beneficiaries[i]] / TOTAL_SHARES;
+            s_owed[_token][s_beneficiaries[i]] += amount;
+            s_totalOwed[_token] += amount;
+        }
+    }
+
+    /**
+     * @dev Settles income and pays out everything owed to `_payee`.
+     * @return amount The amount paid, zero if nothing was owed.
+     */
+    function _release(address _token, address _payee) private returns (uint256 amount) {
+        _settle(_token);
+
+        amount = s_owed[_token][_payee];
+        if (amount == 0) return 0;
+
+        s_owed[_token][_payee] = 0;
+        s_totalOwed[_token] -= amount;
+        released[_token][_payee] += amount;
+
+        if (_token == address(0)) {
+            (bool success, ) = _payee.call{value: amount}("");
+            require(success, "TipJar: Withdrawal failed.");
+        } else {
+            IERC20(_token).safeTransfer(_payee, amount);
+        }
+    }
+
+    /**
+     * @dev The contract's balance of an ERC-20 token, or of CELO for address(0).
+     */
+    function _balanceOf(address _token) private view returns (uint256) {
+        return _token == address(0) ? address(this).balance : IERC20(_token).balanceOf(address(this));
+    }
+
+    /**
+     * @notice Gets the amount a payee can currently release.
+     * @param _token The ERC-20 token, or address(0) for CELO.
+     * @param _payee The beneficiary (or past beneficiary, or owner) to look up.
+     * @return The amount `release`/`releaseToken` would pay out now.
+     */
+    function releasable(address _token, address _payee) external view returns (uint256) {
+        uint256 pending = _unassigned(_token);
+        uint256 owed = s_owed[_token][_payee];
+
+        if (s_beneficiaries.length == 0) {
+            return _payee == owner() ? owed + pending : owed;
+        }
+        return owed + pending * shares[_payee] / TOTAL_SHARES;
+    }
+
+    /**
+     * @notice Gets the current beneficiaries and their shares.
+     * @return beneficiaries The beneficiaries, in the order they were set.
+     * @return beneficiaryShares Their shares, in basis points.
+     */
+    function getBeneficiaries() external view returns (address[] memory beneficiaries, uint256[] memory beneficiaryShares) {
+        beneficiaries = s_beneficiaries;
+        beneficiaryShares = new uint256[](beneficiaries.length);
+        for (uint256 i = 0; i < beneficiaries.length; i++) {
+            beneficiaryShares[i] = shares[beneficiaries[i]];
+        }
     }
 
     /**
@@ -115,6 +675,114 @@ contract TipJar is Ownable {
         return latestTips;
     }
 
+    /**
+     * @notice Pages through all tips, oldest first.
+     * @param _offset The number of tips to skip.
+     * @param _limit The maximum number of tips to return.
+     * @return An array of Tip structs; empty if `_offset` is past the end.
+     */
+    function getTips(uint256 _offset, uint256 _limit) external view returns (Tip[] memory) {
+        uint256 count = _pageSize(s_tips.length, _offset, _limit);
+
+        Tip[] memory tips = new Tip[](count);
+        for (uint256 i = 0; i < count; i++) {
+            tips[i] = s_tips[_offset + i];
+        }
+
+        return tips;
+    }
+
+    /**
+     * @notice Pages through the tips from one sender, oldest first.
+     * @param _sender The tipper to filter by.
+     * @param _offset The number of the sender's tips to skip.
+     * @param _limit The maximum number of tips to return.
+     * @return An array of Tip structs; empty if `_offset` is past the end.
+     */
+    function getTipsBySender(address _sender, uint256 _offset, uint256 _limit) external view returns (Tip[] memory) {
+        uint256[] storage ids = s_tipIdsBySender[_sender];
+        uint256 count = _pageSize(ids.length, _offset, _limit);
+
+        Tip[] memory tips = new Tip[](count);
+        for (uint256 i = 0; i < count; i++) {
+            tips[i] = s_tips[ids[_offset + i]];
+        }
+
+        return tips;
+    }
+
+    /**
+     * @notice Gets the number of tips an address has sent, in any token.
+     * @param _sender The tipper to look up.
+     * @return The count of tips.
+     */
+    function getTipCountBySender(address _sender) external view returns (uint256) {
+        return s_tipIdsBySender[_sender].length;
+    }
+
+    /**
+     * @notice Gets the biggest CELO tippers.
+     * @dev ERC-20 tips are not ranked, since amounts in different tokens cannot be compared.
+     * @return tippers Up to LEADERBOARD_SIZE addresses, highest total first.
+     * @return totals The CELO each of them has tipped, in wei.
+     */
+    function getTopTippers() external view returns (address[] memory tippers, uint256[] memory totals) {
+        tippers = s_topTippers;
+        totals = new uint256[](tippers.length);
+        for (uint256 i = 0; i < tippers.length; i++) {
+            totals[i] = totalTippedBySender[tippers[i]][address(0)];
+        }
+    }
+
+    /**
+     * @notice Gets a stream and where it stands.
+     * @param _streamId The stream to look up.
+     * @return stream The stream's details.
+     * @return status Whether the stream is active, fully unlocked or cancelled.
+     * @return collectable CELO that has unlocked but not been collected yet.
+     * @return refundable CELO the supporter would get back by cancelling now.
+     */
+    function getStream(uint256 _streamId) external view validStream(_streamId) returns (
+        Stream memory stream,
+        StreamStatus status,
+        uint256 collectable,
+        uint256 refundable
+    ) {
+        Stream storage stored = s_streams[_streamId];
+        uint256 unlocked = _unlocked(stored);
+
+        stream = stored;
+        status = _streamStatus(stored);
+        collectable = unlocked - stored.collected;
+        refundable = status == StreamStatus.ACTIVE ? stored.deposit - unlocked : 0;
+    }
+
+    /**
+     * @notice Gets the IDs of the streams a supporter has started.
+     * @param _supporter The supporter to look up.
+     * @return The stream IDs, oldest first.
+     */
+    function getStreamsBySupporter(address _supporter) external view returns (uint256[] memory) {
+        return s_streamIdsBySupporter[_supporter];
+    }
+
+    /**
+     * @notice Gets the total number of streams ever started.
+     * @return The count of streams.
+     */
+    function getStreamCount() external view returns (uint256) {
+        return s_streams.length;
+    }
+
+    /**
+     * @dev Number of items a page starting at `_offset` holds out of `_total`.
+     */
+    function _pageSize(uint256 _total, uint256 _offset, uint256 _limit) private pure returns (uint256) {
+        if (_offset >= _total) return 0;
+        uint256 remaining = _total - _offset;
+        return _limit < remaining ? _limit : remaining;
+    }
+
     /**
      * @notice Gets the entire contract's current CELO balance.
      * @return The balance in wei.
@@ -122,4 +790,13 @@ contract TipJar is Ownable {
     function getContractBalance() external view returns (uint256) {
         return address(this).balance;
     }
+
+    /**
+     * @notice Gets the contract's current balance of an ERC-20 token.
+     * @param _token The ERC-20 token.
+     * @return The balance in the token's smallest unit.
+     */
+    function getTokenBalance(address _token) external view returns (uint256) {
+        return IERC20(_token).balanceOf(address(this));
+    }
 }
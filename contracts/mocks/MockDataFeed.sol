@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../IDataFeed.sol";
+
+/**
+ * @title MockDataFeed
+ * @dev A data feed whose answers anyone can publish, standing in for Chainlink price feeds
+ * and flight-delay feeds in tests.
+ */
+contract MockDataFeed is IDataFeed {
+    struct Round {
+        int256 answer;
+        uint256 updatedAt;
+    }
+
+    uint8 public immutable decimals;
+    string public description;
+    uint80 public latestRound;
+    mapping(uint80 => Round) private rounds;
+
+    constructor(uint8 _decimals, string memory _description) {
+        decimals = _decimals;
+        description = _description;
+    }
+
+    /**
+     * @notice Publishes a new round with the current block timestamp. For testing only.
+     * @param _answer The new answer, in the feed's decimals.
+     */
+    function updateAnswer(int256 _answer) external {
+        latestRound++;
+        rounds[latestRound] = Round({answer: _answer, updatedAt: block.timestamp});
+    }
+
+    function getRoundData(uint80 _roundId) public view returns (uint80, int256, uint256, uint256, uint80) {
+        Round storage round = rounds[_roundId];
+        require(round.updatedAt > 0, "No data present");
+        return (_roundId, round.answer, round.updatedAt, round.updatedAt, _roundId);
+    }
+
+    function latestRoundData() external view returns (uint80, int256, uint256, uint256, uint80) {
+        return getRoundData(latestRound);
+    }
+}
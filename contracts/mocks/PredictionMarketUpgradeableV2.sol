@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "../PredictionMarketUpgradeable.sol";
+
+/**
+ * @dev A later PredictionMarketUpgradeable release for upgrade tests: it appends a state variable
+ * and sets it in a reinitializer.
+ */
+contract PredictionMarketUpgradeableV2 is PredictionMarketUpgradeable {
+    string public releaseNotes;
+
+    function initializeV2(string calldata _releaseNotes) external reinitializer(2) {
+        releaseNotes = _releaseNotes;
+    }
+
+    function version() external pure returns (uint256) {
+        return 2;
+    }
+}
@@ -0,0 +1,5 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+// Compiles the proxy that Ignition deploys in front of the upgradeable contracts.
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
@@ -1,5 +1,7 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("@openzeppelin/hardhat-upgrades");
 require("dotenv").config();
+require("./tasks");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -0,0 +1,15 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+// Deploys DecentralizedInsuranceUpgradeable behind a UUPS proxy, initialized in the proxy's constructor.
+module.exports = buildModule("DecentralizedInsuranceProxyModule", (m) => {
+  const initialOwner = m.getParameter("owner", m.getAccount(0));
+
+  const implementation = m.contract("DecentralizedInsuranceUpgradeable", [], { id: "DecentralizedInsuranceImplementation" });
+  const initialize = m.encodeFunctionCall(implementation, "initialize", [initialOwner]);
+  const proxy = m.contract("ERC1967Proxy", [implementation, initialize]);
+
+  // Talk to the proxy through the implementation's ABI
+  const decentralizedInsurance = m.contractAt("DecentralizedInsuranceUpgradeable", proxy);
+
+  return { decentralizedInsurance, proxy, implementation };
+});
@@ -0,0 +1,17 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+// The module ID names the release: bump it for every upgrade so Ignition deploys the current
+// DecentralizedInsuranceUpgradeable source as a new implementation and points the proxy at it.
+// Record the new layout with scripts/storage-layout.js once it is live.
+const RELEASE = "V2";
+
+module.exports = buildModule(`DecentralizedInsuranceUpgrade${RELEASE}Module`, (m) => {
+  // The proxy deployed by DecentralizedInsuranceProxyModule
+  const decentralizedInsurance = m.contractAt("DecentralizedInsuranceUpgradeable", m.getParameter("proxy"));
+
+  // Only the owner may upgrade; if that is a multisig or InsuranceGovernor, submit this call through it instead.
+  const implementation = m.contract("DecentralizedInsuranceUpgradeable", [], { id: "DecentralizedInsuranceImplementation" });
+  m.call(decentralizedInsurance, "upgradeToAndCall", [implementation, "0x"]);
+
+  return { decentralizedInsurance, implementation };
+});
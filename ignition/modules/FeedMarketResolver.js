@@ -0,0 +1,16 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const PredictionMarketModule = require("./PredictionMarket");
+
+module.exports = buildModule("FeedMarketResolverModule", (m) => {
+  const { predictionMarket } = m.useModule(PredictionMarketModule);
+
+  // The owner approves the feeds markets can be created on.
+  const owner = m.getParameter("owner", m.getAccount(0));
+
+  const feedMarketResolver = m.contract("FeedMarketResolver", [
+    predictionMarket,
+    owner,
+  ]);
+
+  return { predictionMarket, feedMarketResolver };
+});
@@ -0,0 +1,70 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const TipJarModule = require("./TipJar");
+const PredictionMarketModule = require("./PredictionMarket");
+const SimplePollModule = require("./SimplePoll");
+const PollFactoryModule = require("./PollFactory");
+const DecentralizedInsuranceModule = require("./DecentralizedInsurance");
+
+// Enum order from DecentralizedInsurance.sol
+const INSURANCE_TYPES = ["HEALTH", "PROPERTY", "TRAVEL", "CRYPTO", "LIFE"];
+
+const SEED_STAKE = 100n * 10n ** 18n; // The contract's minimum stake, in every pool
+const CHALLENGE_PERIOD = 24n * 60n * 60n; // 1 day
+const RESOLUTION_BOND = 0n;
+const DISPUTE_BOND = 10n ** 18n; // 1 CELO
+// The governor owns the insurance contract from the start, when the seed stake is the only stake there is, so
+// its quorum must not exceed the seed stake across all pools or no proposal could ever pass (see
+// test/deployment.test.js). Until other stakers join, the deployer's seed stake alone decides votes.
+const QUORUM_VOTES = SEED_STAKE * BigInt(INSURANCE_TYPES.length); // The whole seed stake must vote in favour
+const PROPOSAL_THRESHOLD = SEED_STAKE; // Same as the minimum stake
+
+// Deploys every contract and configures it. Per-network values live in ignition/parameters/<network>.json:
+//   npx hardhat ignition deploy ignition/modules/FullStack.js --network celo --parameters ignition/parameters/celo.json \
+//     --deployment-id full-stack-chain-42220
+// The futures of the single-contract modules are already recorded, from older bytecode, in the default
+// chain-<id> deployment, so the full stack goes in a deployment of its own.
+module.exports = buildModule("FullStackModule", (m) => {
+  const { tipJar } = m.useModule(TipJarModule);
+  const { predictionMarket } = m.useModule(PredictionMarketModule);
+  const { poll } = m.useModule(SimplePollModule);
+  const { pollFactory } = m.useModule(PollFactoryModule);
+  const { decentralizedInsurance } = m.useModule(DecentralizedInsuranceModule);
+
+  // The deployer sets everything up, then hands the owner-only functions to `owner`, e.g. a multisig,
+  // except for the insurance contract's: those go to stakers through InsuranceGovernor, so that
+  // parameter changes and emergencyWithdraw only run after a vote and the governor's timelock.
+  const deployer = m.getAccount(0);
+  const owner = m.getParameter("owner", deployer);
+  const investigator = m.getParameter("investigator", deployer);
+  const oracle = m.getParameter("oracle", deployer);
+  const seedStake = m.getParameter("seedStake", SEED_STAKE);
+
+  const insuranceGovernor = m.contract("InsuranceGovernor", [
+    decentralizedInsurance,
+    m.getParameter("quorumVotes", QUORUM_VOTES),
+    m.getParameter("proposalThreshold", PROPOSAL_THRESHOLD),
+  ]);
+
+  const setup = [
+    m.call(decentralizedInsurance, "addInvestigator", [investigator]),
+    m.call(decentralizedInsurance, "addOracle", [oracle]),
+    m.call(predictionMarket, "setDisputeParameters", [
+      m.getParameter("challengePeriod", CHALLENGE_PERIOD),
+      m.getParameter("resolutionBond", RESOLUTION_BOND),
+      m.getParameter("disputeBond", DISPUTE_BOND),
+    ]),
+    // Disputed markets are settled by the owner
+    m.call(predictionMarket, "setArbitrator", [owner]),
+  ];
+
+  // Seed every insurance pool so policies of each type can be bought from the start.
+  INSURANCE_TYPES.forEach((name, insuranceType) => {
+    m.call(decentralizedInsurance, "stake", [insuranceType], { id: `stake_${name}`, value: seedStake });
+  });
+
+  m.call(tipJar, "transferOwnership", [owner], { after: setup });
+  m.call(predictionMarket, "transferOwnership", [owner], { after: setup });
+  m.call(decentralizedInsurance, "transferOwnership", [insuranceGovernor], { after: setup });
+
+  return { tipJar, predictionMarket, poll, pollFactory, decentralizedInsurance, insuranceGovernor };
+});
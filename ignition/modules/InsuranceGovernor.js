@@ -0,0 +1,23 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const DecentralizedInsuranceModule = require("./DecentralizedInsurance");
+
+const QUORUM_VOTES = 1000n * 10n ** 18n; // 1000 CELO of stake must vote in favour
+const PROPOSAL_THRESHOLD = 100n * 10n ** 18n; // Same as the minimum stake
+
+module.exports = buildModule("InsuranceGovernorModule", (m) => {
+  const { decentralizedInsurance } = m.useModule(DecentralizedInsuranceModule);
+
+  const quorumVotes = m.getParameter("quorumVotes", QUORUM_VOTES);
+  const proposalThreshold = m.getParameter("proposalThreshold", PROPOSAL_THRESHOLD);
+
+  const insuranceGovernor = m.contract("InsuranceGovernor", [
+    decentralizedInsurance,
+    quorumVotes,
+    proposalThreshold,
+  ]);
+
+  // Hand the insurance contract's owner-only functions over to stakers.
+  m.call(decentralizedInsurance, "transferOwnership", [insuranceGovernor]);
+
+  return { decentralizedInsurance, insuranceGovernor };
+});
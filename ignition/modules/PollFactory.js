@@ -0,0 +1,8 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+module.exports = buildModule("PollFactoryModule", (m) => {
+  // Polls are created through the factory, so it takes no constructor arguments.
+  const pollFactory = m.contract("PollFactory", []);
+
+  return { pollFactory };
+});
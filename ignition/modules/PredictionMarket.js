@@ -5,11 +5,12 @@ const INITIAL_FEE_BPS = 100; // 1% platform fee (100 basis points)
 module.exports = buildModule("PredictionMarketModule", (m) => {
   // Get the deployer's account to set as the initial owner.
   const initialOwner = m.getAccount(0);
+  const feeBps = m.getParameter("feeBps", INITIAL_FEE_BPS);
 
   // The constructor requires the initial owner and the initial platform fee.
   const predictionMarket = m.contract("PredictionMarket", [
     initialOwner,
-    INITIAL_FEE_BPS,
+    feeBps,
   ]);
 
   return { predictionMarket };
@@ -0,0 +1,18 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+const INITIAL_FEE_BPS = 100; // 1% platform fee (100 basis points)
+
+// Deploys PredictionMarketUpgradeable behind a UUPS proxy, initialized in the proxy's constructor.
+module.exports = buildModule("PredictionMarketProxyModule", (m) => {
+  const initialOwner = m.getParameter("owner", m.getAccount(0));
+  const feeBps = m.getParameter("feeBps", INITIAL_FEE_BPS);
+
+  const implementation = m.contract("PredictionMarketUpgradeable", [], { id: "PredictionMarketImplementation" });
+  const initialize = m.encodeFunctionCall(implementation, "initialize", [initialOwner, feeBps]);
+  const proxy = m.contract("ERC1967Proxy", [implementation, initialize]);
+
+  // Talk to the proxy through the implementation's ABI
+  const predictionMarket = m.contractAt("PredictionMarketUpgradeable", proxy);
+
+  return { predictionMarket, proxy, implementation };
+});
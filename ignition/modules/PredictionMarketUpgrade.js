@@ -0,0 +1,17 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+// The module ID names the release: bump it for every upgrade so Ignition deploys the current
+// PredictionMarketUpgradeable source as a new implementation and points the proxy at it.
+// Record the new layout with scripts/storage-layout.js once it is live.
+const RELEASE = "V2";
+
+module.exports = buildModule(`PredictionMarketUpgrade${RELEASE}Module`, (m) => {
+  // The proxy deployed by PredictionMarketProxyModule
+  const predictionMarket = m.contractAt("PredictionMarketUpgradeable", m.getParameter("proxy"));
+
+  // Only the owner may upgrade; if that is a multisig, submit this call through it instead.
+  const implementation = m.contract("PredictionMarketUpgradeable", [], { id: "PredictionMarketImplementation" });
+  m.call(predictionMarket, "upgradeToAndCall", [implementation, "0x"]);
+
+  return { predictionMarket, implementation };
+});
@@ -3,7 +3,8 @@ const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
 const POLL_QUESTION = "Is building on CELO a good experience?";
 
 module.exports = buildModule("SimplePollModule", (m) => {
-  const poll = m.contract("SimplePoll", [POLL_QUESTION]);
+  const question = m.getParameter("question", POLL_QUESTION);
+  const poll = m.contract("SimplePoll", [question]);
 
   return { poll };
 });
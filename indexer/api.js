@@ -0,0 +1,106 @@
+const http = require("http");
+const { getAddress, isAddress } = require("ethers");
+const { getTipsBySender, getPositions, getPollTallies, getPolicyTimeline } = require("./queries");
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function parseAddress(value, name) {
+  if (!isAddress(value)) throw httpError(400, `Invalid ${name}: ${value}`);
+  return getAddress(value);
+}
+
+// Parses a whole-number path segment or query parameter; IDs stay decimal strings, like the stored event args.
+function parseNumber(value, name) {
+  if (!/^\d+$/.test(value)) throw httpError(400, `Invalid ${name}: ${value}`);
+  return value;
+}
+
+function parseOptionalNumber(query, name) {
+  return query.has(name) ? Number(parseNumber(query.get(name), name)) : undefined;
+}
+
+function parsePage(query) {
+  const limit = parseOptionalNumber(query, "limit") ?? DEFAULT_PAGE_SIZE;
+  if (limit === 0 || limit > MAX_PAGE_SIZE) throw httpError(400, `Invalid limit: must be between 1 and ${MAX_PAGE_SIZE}`);
+  return { limit, offset: parseOptionalNumber(query, "offset") ?? 0 };
+}
+
+// [pattern, handler(match, query, context)] pairs, tried in order.
+const ROUTES = [
+  [/^\/status$/, (match, query, { store, getContracts }) => ({
+    chainId: store.getChainId() ?? null,
+    checkpoint: store.getCheckpoint() ?? null,
+    contracts: getContracts(),
+  })],
+
+  // Raw events, filtered by ?contract=TipJar&name=TipReceived&address=0x..&fromBlock=&toBlock=&limit=&offset=
+  [/^\/events$/, (match, query, { store }) => {
+    const names = query.getAll("name");
+    return store.getEvents({
+      contract: query.get("contract") ?? undefined,
+      address: query.has("address") ? parseAddress(query.get("address"), "address") : undefined,
+      names,
+      fromBlock: parseOptionalNumber(query, "fromBlock"),
+      toBlock: parseOptionalNumber(query, "toBlock"),
+      ...parsePage(query),
+    });
+  }],
+
+  [/^\/tips\/([^/]+)$/, ([, sender], query, { store }) => getTipsBySender(store, parseAddress(sender, "sender"), parsePage(query))],
+
+  [/^\/markets\/([^/]+)\/positions$/, ([, marketId], query, { store }) => getPositions(store, { marketId: parseNumber(marketId, "market ID") })],
+
+  [/^\/positions\/([^/]+)$/, ([, user], query, { store }) => getPositions(store, { user: parseAddress(user, "user") })],
+
+  [/^\/polls\/([^/]+)\/tallies$/, ([, poll], query, { store, getContracts }) => {
+    const tallies = getPollTallies(store, getContracts(), parseAddress(poll, "poll"));
+    if (!tallies) throw httpError(404, `${poll} is not an indexed poll`);
+    return tallies;
+  }],
+
+  [/^\/policies\/([^/]+)\/timeline$/, ([, policyId], query, { store }) => {
+    const timeline = getPolicyTimeline(store, parseNumber(policyId, "policy ID"));
+    if (!timeline) throw httpError(404, `Policy ${policyId} not found`);
+    return timeline;
+  }],
+];
+
+function send(response, status, body) {
+  response.writeHead(status, { "Content-Type": "application/json" });
+  response.end(JSON.stringify(body));
+}
+
+/**
+ * Creates the read-only HTTP/JSON API over an indexer store. `getContracts` lists the indexed contracts.
+ * The server is returned unstarted; call listen() on it.
+ */
+function createApi({ store, getContracts }) {
+  return http.createServer((request, response) => {
+    const url = new URL(request.url, "http://localhost");
+    if (request.method !== "GET") {
+      send(response, 405, { error: "Only GET is supported" });
+      return;
+    }
+
+    for (const [pattern, handler] of ROUTES) {
+      const match = url.pathname.match(pattern);
+      if (!match) continue;
+      try {
+        send(response, 200, handler(match, url.searchParams, { store, getContracts }));
+      } catch (error) {
+        send(response, error.status ?? 500, { error: error.message });
+      }
+      return;
+    }
+    send(response, 404, { error: `No route for ${url.pathname}` });
+  });
+}
+
+module.exports = { createApi };
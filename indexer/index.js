@@ -0,0 +1,98 @@
+const fs = require("fs");
+const path = require("path");
+const { getAddress } = require("ethers");
+const { createApi } = require("./api");
+const { createIndexer } = require("./indexer");
+const { openStore } = require("./store");
+const { getDeploymentDir } = require("../tasks/helpers");
+
+// The queries read events by contract name. Upgradeable versions emit the same events as the contracts they
+// replace, so they are indexed under the same names; INDEXER_CONTRACT_NAMES adds more, e.g. {"MyTipJar":"TipJar"}.
+const CONTRACT_NAMES = {
+  PredictionMarketUpgradeable: "PredictionMarket",
+  DecentralizedInsuranceUpgradeable: "DecentralizedInsurance",
+};
+
+// Reads the contracts Ignition deployed on the network together with the ABIs they were deployed with,
+// recorded in the deployment's artifacts/ directory. Each is named after its source contract, mapped through
+// `names`. Deployments without a recorded artifact fall back to the ABI compiled in this repository, and are
+// skipped when the contract is not compiled here either.
+async function loadDeployedContracts(hre, deploymentDir, names = CONTRACT_NAMES) {
+  const file = path.join(deploymentDir, "deployed_addresses.json");
+  if (!fs.existsSync(file)) {
+    throw new Error(`No Ignition deployments found in ${deploymentDir}`);
+  }
+
+  // A proxy and the contractAt future that talks to it share an address. Ignition records the contractAt
+  // future after the proxy, so the later entry, with the ABI of the contract behind the proxy, wins.
+  const contracts = new Map();
+  for (const [futureId, address] of Object.entries(JSON.parse(fs.readFileSync(file, "utf8")))) {
+    const artifact = path.join(deploymentDir, "artifacts", `${futureId}.json`);
+    let source;
+    let abi;
+    if (fs.existsSync(artifact)) {
+      ({ contractName: source, abi } = JSON.parse(fs.readFileSync(artifact, "utf8")));
+    } else {
+      source = futureId.split("#")[1];
+      if (!(await hre.artifacts.artifactExists(source))) {
+        console.warn(`Skipping ${futureId}: no deployment artifact and ${source} is not compiled in this repository`);
+        continue;
+      }
+      abi = (await hre.artifacts.readArtifact(source)).abi;
+    }
+    contracts.set(getAddress(address), { name: names[source] ?? source, address, abi });
+  }
+  return [...contracts.values()];
+}
+
+// Usage:
+//   npx hardhat run indexer/index.js --network celo
+//   INDEXER_START_BLOCK=30000000 INDEXER_PORT=8080 npx hardhat run indexer/index.js --network celo
+// INDEXER_DB sets the SQLite file (indexer/data/<deployment id>.db by default), INDEXER_CONFIRMATIONS
+// the block depth to index to and INDEXER_POLL_INTERVAL the milliseconds between syncs. IGNITION_DEPLOYMENT_ID
+// picks the deployment to follow, which defaults to the full-stack one when the network has it.
+async function main() {
+  const hre = require("hardhat");
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const deploymentDir = getDeploymentDir(hre, chainId);
+
+  const names = { ...CONTRACT_NAMES, ...JSON.parse(process.env.INDEXER_CONTRACT_NAMES || "{}") };
+  const store = openStore(process.env.INDEXER_DB || path.join(__dirname, "data", `${path.basename(deploymentDir)}.db`));
+  const indexer = createIndexer({
+    provider: hre.ethers.provider,
+    store,
+    contracts: await loadDeployedContracts(hre, deploymentDir, names),
+    getAbi: (name) => hre.artifacts.readArtifactSync(name).abi,
+    startBlock: Number(process.env.INDEXER_START_BLOCK || 0),
+    confirmations: Number(process.env.INDEXER_CONFIRMATIONS || 3),
+  });
+
+  const port = Number(process.env.INDEXER_PORT || 8080);
+  const server = createApi({ store, getContracts: indexer.getContracts });
+  await new Promise((resolve) => server.listen(port, resolve));
+  console.log(`Serving the ${hre.network.name} index on http://localhost:${port}`);
+
+  indexer.start(Number(process.env.INDEXER_POLL_INTERVAL || 5000));
+  await new Promise((resolve) => process.once("SIGINT", resolve));
+
+  indexer.stop();
+  await new Promise((resolve) => server.close(resolve));
+  store.close();
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit())
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  CONTRACT_NAMES,
+  loadDeployedContracts,
+  createApi,
+  createIndexer,
+  openStore,
+};
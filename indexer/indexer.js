@@ -0,0 +1,204 @@
+const { Interface, Indexed, getAddress } = require("ethers");
+
+// Contracts created by an indexed contract, followed from the event that announces them.
+const CHILD_CONTRACTS = {
+  PollFactory: { event: "PollCreated", arg: "poll", contract: "Poll" },
+};
+
+// Converts decoded values to JSON: integers become decimal strings so wei amounts keep their precision.
+function toJson(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Indexed.isIndexed(value)) return value.hash;
+  if (Array.isArray(value)) return Array.from(value, toJson);
+  return value;
+}
+
+function decodeArgs(fragment, args) {
+  return Object.fromEntries(fragment.inputs.map((input, index) => [input.name || `arg${index}`, toJson(args[index])]));
+}
+
+/**
+ * Follows the events of `contracts` ({ name, address, abi }) into `store` from `startBlock`.
+ * `getAbi(name)` supplies the ABI of contracts discovered while indexing, such as factory polls.
+ * Only blocks at least `confirmations` deep are indexed; shallower reorgs are detected from the stored
+ * block hashes and rolled back to the last block both chains share.
+ */
+function createIndexer({ provider, store, contracts, getAbi, startBlock = 0, batchSize = 2000, confirmations = 0, logger = console }) {
+  const interfaces = new Map();
+  const deployed = contracts.map(({ name, address, abi }) => {
+    interfaces.set(name, new Interface(abi));
+    return { name, address: getAddress(address), fromBlock: startBlock };
+  });
+
+  function getInterface(name) {
+    if (!interfaces.has(name)) interfaces.set(name, new Interface(getAbi(name)));
+    return interfaces.get(name);
+  }
+
+  // The deployed contracts followed by the ones discovered so far.
+  function getContracts() {
+    return [...deployed, ...store.getContracts()];
+  }
+
+  async function checkChain() {
+    const chainId = Number((await provider.getNetwork()).chainId);
+    const indexed = store.getChainId();
+    if (indexed === undefined) {
+      store.setChainId(chainId);
+    } else if (indexed !== chainId) {
+      throw new Error(`The index was created for chain ${indexed} but the provider is on chain ${chainId}`);
+    }
+  }
+
+  // Decodes a log with its contract's ABI. Logs the ABI does not describe are reported and skipped rather than
+  // stopping the sync, since they usually mean the contract was deployed from a different version of its source.
+  function parseLog(contract, log) {
+    let parsed = null;
+    let reason = `no ${contract} event has topic ${log.topics[0]}`;
+    try {
+      parsed = getInterface(contract).parseLog(log);
+    } catch (error) {
+      reason = error.shortMessage || error.message;
+    }
+    if (!parsed) {
+      logger.warn(`Skipping log ${log.index} of block ${log.blockNumber} from ${contract} at ${log.address}: ${reason}`);
+    }
+    return parsed;
+  }
+
+  async function fetchEvents(addresses, names, fromBlock, toBlock) {
+    if (addresses.length === 0) return [];
+    const logs = await provider.getLogs({ address: addresses, fromBlock, toBlock });
+    const events = [];
+    for (const log of logs) {
+      const address = getAddress(log.address);
+      const contract = names.get(address);
+      const parsed = parseLog(contract, log);
+      if (!parsed) continue;
+
+      events.push({
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+        blockHash: log.blockHash,
+        txHash: log.transactionHash,
+        address,
+        contract,
+        name: parsed.name,
+        args: decodeArgs(parsed.fragment, parsed.args),
+      });
+    }
+    return events;
+  }
+
+  // Indexes one block range and stores it in a single transaction, together with the new checkpoint.
+  async function syncRange(fromBlock, toBlock) {
+    const names = new Map(getContracts().map((contract) => [contract.address, contract.name]));
+    const events = await fetchEvents([...names.keys()], names, fromBlock, toBlock);
+
+    const children = [];
+    for (const event of events) {
+      const child = CHILD_CONTRACTS[event.contract];
+      if (child && event.name === child.event) {
+        const address = getAddress(event.args[child.arg]);
+        names.set(address, child.contract);
+        children.push({ address, name: child.contract, fromBlock: event.blockNumber });
+      }
+    }
+    if (children.length > 0) {
+      const first = Math.min(...children.map((child) => child.fromBlock));
+      events.push(...(await fetchEvents(children.map((child) => child.address), names, first, toBlock)));
+    }
+
+    // Headers give the event timestamps and the hashes later syncs check for reorgs. A log whose block
+    // hash no longer matches means the chain moved under us; the next sync starts over from the checkpoint.
+    const blocks = new Map();
+    for (const number of new Set([fromBlock, toBlock, ...events.map((event) => event.blockNumber)])) {
+      const block = await provider.getBlock(number);
+      if (!block) throw new Error(`Block ${number} is not available yet`);
+      blocks.set(number, block);
+    }
+    const parentHash = store.getBlockHash(fromBlock - 1);
+    if (parentHash !== undefined && blocks.get(fromBlock).parentHash !== parentHash) {
+      throw new Error(`Block ${fromBlock} does not extend the indexed chain`);
+    }
+    for (const event of events) {
+      const block = blocks.get(event.blockNumber);
+      if (block.hash !== event.blockHash) {
+        throw new Error(`Block ${event.blockNumber} was replaced while indexing`);
+      }
+      event.timestamp = block.timestamp;
+    }
+
+    store.saveRange({
+      blocks: [...blocks.values()].map((block) => ({ number: block.number, hash: block.hash })),
+      events,
+      contracts: children,
+      checkpoint: toBlock,
+    });
+  }
+
+  // Walks back through the stored blocks to the newest one still on the chain and drops everything after it.
+  async function rollbackReorg(checkpoint) {
+    let ancestor = startBlock - 1;
+    for (const block of store.getBlocksBefore(checkpoint)) {
+      const current = await provider.getBlock(block.number);
+      if (current && current.hash === block.hash) {
+        ancestor = block.number;
+        break;
+      }
+    }
+    logger.warn(`Reorg detected at block ${checkpoint}; rolling back to block ${ancestor}`);
+    store.rollback(ancestor);
+    return ancestor;
+  }
+
+  // Indexes every confirmed block since the checkpoint and returns the new checkpoint.
+  async function sync() {
+    await checkChain();
+    let checkpoint = store.getCheckpoint() ?? startBlock - 1;
+
+    if (checkpoint >= startBlock) {
+      const current = await provider.getBlock(checkpoint);
+      if (!current || current.hash !== store.getBlockHash(checkpoint)) {
+        checkpoint = await rollbackReorg(checkpoint);
+      }
+    }
+
+    const head = (await provider.getBlockNumber()) - confirmations;
+    while (checkpoint < head) {
+      const toBlock = Math.min(head, checkpoint + batchSize);
+      await syncRange(checkpoint + 1, toBlock);
+      checkpoint = toBlock;
+    }
+    return checkpoint;
+  }
+
+  let timer;
+  let running = false;
+
+  // Syncs now and then every `pollInterval` milliseconds until stop(); failed syncs are logged and retried.
+  function start(pollInterval = 5000) {
+    running = true;
+    let reported;
+    const tick = async () => {
+      try {
+        const checkpoint = await sync();
+        if (checkpoint !== reported) logger.log(`Indexed up to block ${checkpoint}`);
+        reported = checkpoint;
+      } catch (error) {
+        logger.error(`Sync failed: ${error.message}`);
+      }
+      if (running) timer = setTimeout(tick, pollInterval);
+    };
+    return tick();
+  }
+
+  function stop() {
+    running = false;
+    clearTimeout(timer);
+  }
+
+  return { sync, start, stop, getContracts };
+}
+
+module.exports = { CHILD_CONTRACTS, createIndexer };
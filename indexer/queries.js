@@ -0,0 +1,183 @@
+const { ZeroAddress } = require("ethers");
+
+const TIP_EVENTS = ["TipReceived", "TokenTipReceived"];
+const TRADE_EVENTS = ["SharesBought", "SharesSold", "OutcomeBought", "OutcomeSold", "WinningsRedeemed", "RefundClaimed"];
+const LIQUIDITY_EVENTS = ["LiquidityAdded", "LiquidityRemoved"];
+const POLICY_EVENTS = ["PolicyCreated", "PremiumPaid", "PolicyRenewed", "PolicyCancelled", "PolicyExpired", "FraudPenaltyApplied", "ClaimSubmitted"];
+const CLAIM_EVENTS = ["ClaimInvestigated", "FraudDetected", "ClaimPaid"];
+
+// Where and when an event happened, for API responses.
+function origin(event) {
+  return { blockNumber: event.blockNumber, timestamp: event.timestamp, txHash: event.txHash };
+}
+
+function byChainOrder(a, b) {
+  return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+function add(a, b) {
+  return (BigInt(a) + BigInt(b)).toString();
+}
+
+// Drops undefined filters.
+function pick(args) {
+  return Object.fromEntries(Object.entries(args).filter(([, value]) => value !== undefined));
+}
+
+// CELO and ERC-20 tips from one sender, newest last, with the total per token (CELO is the zero address).
+function getTipsBySender(store, sender, { limit, offset }) {
+  const events = store.getEvents({ contract: "TipJar", names: TIP_EVENTS, args: { sender } });
+  const totals = {};
+  const tips = events.map((event) => {
+    const token = event.args.token ?? ZeroAddress;
+    totals[token] = add(totals[token] ?? 0, event.args.amount);
+    return { ...origin(event), tipJar: event.address, token, amount: event.args.amount, message: event.args.message };
+  });
+  return { sender, count: tips.length, totals, tips: tips.slice(offset, offset + limit) };
+}
+
+/**
+ * Rebuilds PredictionMarket positions from trading events, for one market and/or one user.
+ * `shares` counts the outcome tokens bought, sold and redeemed through the market; tokens moved by transfer
+ * or returned by removeLiquidity are not seen. `pnl` is what the user received minus what they paid for
+ * shares, so it is realized P&L; liquidity deposits are reported separately.
+ */
+function getPositions(store, { marketId, user }) {
+  const trades = store.getEvents({ contract: "PredictionMarket", names: TRADE_EVENTS, args: pick({ marketId, user }) });
+  const liquidity = store.getEvents({ contract: "PredictionMarket", names: LIQUIDITY_EVENTS, args: pick({ marketId, provider: user }) });
+  const events = [...trades, ...liquidity].sort(byChainOrder);
+  if (events.length === 0) return [];
+
+  const marketIds = [...new Set(events.map((event) => event.args.marketId))];
+  const markets = new Map(marketIds.map((id) => [id, { outcomeCount: 2, winningOutcome: null }]));
+  for (const event of store.getEvents({ contract: "PredictionMarket", names: ["CategoricalMarketCreated", "MarketResolved"], args: { marketId: marketIds } })) {
+    const market = markets.get(event.args.marketId);
+    if (event.name === "CategoricalMarketCreated") market.outcomeCount = event.args.outcomeLabels.length;
+    else market.winningOutcome = Number(event.args.winningOutcome);
+  }
+
+  const positions = new Map();
+  for (const event of events) {
+    const { args } = event;
+    const holder = args.user ?? args.provider;
+    const key = `${args.marketId}:${holder}`;
+    if (!positions.has(key)) {
+      const { outcomeCount, winningOutcome } = markets.get(args.marketId);
+      positions.set(key, {
+        marketId: args.marketId,
+        user: holder,
+        winningOutcome,
+        shares: Array(outcomeCount).fill(0n),
+        spent: 0n,
+        received: 0n,
+        liquidity: { deposited: 0n, shares: 0n },
+      });
+    }
+    const position = positions.get(key);
+    const { shares } = position;
+
+    switch (event.name) {
+      case "SharesBought":
+        shares.forEach((_, i) => { shares[i] += BigInt(args.amount); });
+        position.spent += BigInt(args.celoAmount);
+        break;
+      case "SharesSold":
+        shares.forEach((_, i) => { shares[i] -= BigInt(args.amount); });
+        position.received += BigInt(args.celoAmount);
+        break;
+      case "OutcomeBought":
+        shares[Number(args.outcome)] += BigInt(args.sharesOut);
+        position.spent += BigInt(args.celoAmount);
+        break;
+      case "OutcomeSold":
+        shares[Number(args.outcome)] -= BigInt(args.amount);
+        position.received += BigInt(args.celoAmount);
+        break;
+      case "WinningsRedeemed":
+        shares[position.winningOutcome] -= BigInt(args.amount);
+        position.received += BigInt(args.payout);
+        break;
+      case "RefundClaimed":
+        shares.fill(0n);
+        position.received += BigInt(args.refund);
+        break;
+      case "LiquidityAdded":
+        position.liquidity.deposited += BigInt(args.celoAmount);
+        position.liquidity.shares += BigInt(args.sharesMinted);
+        break;
+      case "LiquidityRemoved":
+        position.liquidity.shares -= BigInt(args.sharesBurned);
+        break;
+    }
+  }
+
+  return [...positions.values()].map((position) => ({
+    ...position,
+    shares: position.shares.map(String),
+    spent: position.spent.toString(),
+    received: position.received.toString(),
+    pnl: (position.received - position.spent).toString(),
+    liquidity: { deposited: position.liquidity.deposited.toString(), shares: position.liquidity.shares.toString() },
+  }));
+}
+
+/**
+ * The tally after every vote in a PollFactory poll or the SimplePoll. SimplePoll votes are reported
+ * as option 0 for yes and 1 for no. Returns undefined when `address` is not an indexed poll.
+ */
+function getPollTallies(store, contracts, address) {
+  const contract = contracts.find((candidate) => candidate.address === address);
+  if (!contract || (contract.name !== "Poll" && contract.name !== "SimplePoll")) return undefined;
+
+  let question = null;
+  let tallies = ["0", "0"];
+  if (contract.name === "Poll") {
+    const [created] = store.getEvents({ contract: "PollFactory", names: ["PollCreated"], args: { poll: address } });
+    question = created.args.question;
+    tallies = Array(Number(created.args.optionCount)).fill("0");
+  }
+
+  const history = store.getEvents({ address, names: ["Voted"] }).map((event) => {
+    const { args } = event;
+    let option;
+    let weight;
+    if (contract.name === "Poll") {
+      option = Number(args.option);
+      weight = args.weight;
+      tallies = tallies.map((votes, i) => (i === option ? args.optionVotes : votes));
+    } else {
+      option = args.vote ? 0 : 1;
+      weight = "1";
+      tallies = [args.totalYes, args.totalNo];
+    }
+    return { ...origin(event), voter: args.voter, option, weight, tallies };
+  });
+
+  return { poll: address, contract: contract.name, question, tallies, history };
+}
+
+// Every event of a DecentralizedInsurance policy and its claims in chain order, or undefined for an unknown policy.
+function getPolicyTimeline(store, policyId) {
+  const policyEvents = store.getEvents({ contract: "DecentralizedInsurance", names: POLICY_EVENTS, args: { policyId } });
+  const created = policyEvents.find((event) => event.name === "PolicyCreated");
+  if (!created) return undefined;
+
+  const claims = policyEvents.filter((event) => event.name === "ClaimSubmitted").map((event) => event.args.claimId);
+  const claimEvents = claims.length > 0
+    ? store.getEvents({ contract: "DecentralizedInsurance", names: CLAIM_EVENTS, args: { claimId: claims } })
+    : [];
+
+  return {
+    policyId,
+    policyholder: created.args.policyholder,
+    claims,
+    timeline: [...policyEvents, ...claimEvents].sort(byChainOrder).map((event) => ({ event: event.name, ...origin(event), args: event.args })),
+  };
+}
+
+module.exports = {
+  getTipsBySender,
+  getPositions,
+  getPollTallies,
+  getPolicyTimeline,
+};
@@ -0,0 +1,164 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  -- Hashes of the blocks the indexer has stored data from, used to detect reorgs.
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL
+  );
+
+  -- Contracts found while indexing, such as polls created through PollFactory.
+  CREATE TABLE IF NOT EXISTS contracts (
+    address TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    from_block INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    address TEXT NOT NULL,
+    contract TEXT NOT NULL,
+    name TEXT NOT NULL,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+
+  CREATE INDEX IF NOT EXISTS events_by_name ON events (contract, name, block_number);
+  CREATE INDEX IF NOT EXISTS events_by_address ON events (address, block_number);
+`;
+
+function toRow(row) {
+  return {
+    blockNumber: row.block_number,
+    logIndex: row.log_index,
+    blockHash: row.block_hash,
+    timestamp: row.timestamp,
+    txHash: row.tx_hash,
+    address: row.address,
+    contract: row.contract,
+    name: row.name,
+    args: JSON.parse(row.args),
+  };
+}
+
+// Opens (or creates) the SQLite database at `file`; ":memory:" keeps everything in memory.
+function openStore(file) {
+  if (file !== ":memory:") fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+
+  const getMeta = db.prepare("SELECT value FROM meta WHERE key = ?").pluck();
+  const setMeta = db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value");
+  const insertBlock = db.prepare("INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)");
+  const insertContract = db.prepare("INSERT OR IGNORE INTO contracts (address, name, from_block) VALUES (?, ?, ?)");
+  const insertEvent = db.prepare(`
+    INSERT OR REPLACE INTO events (block_number, log_index, block_hash, timestamp, tx_hash, address, contract, name, args)
+    VALUES (@blockNumber, @logIndex, @blockHash, @timestamp, @txHash, @address, @contract, @name, @args)
+  `);
+
+  const store = {
+    db,
+
+    getChainId() {
+      const value = getMeta.get("chainId");
+      return value === undefined ? undefined : Number(value);
+    },
+
+    setChainId(chainId) {
+      setMeta.run("chainId", String(chainId));
+    },
+
+    // The last block whose events are fully stored, or undefined before the first sync.
+    getCheckpoint() {
+      const value = getMeta.get("checkpoint");
+      return value === undefined ? undefined : Number(value);
+    },
+
+    getBlockHash(number) {
+      return db.prepare("SELECT hash FROM blocks WHERE number = ?").pluck().get(number);
+    },
+
+    // Stored blocks from newest to oldest, for finding where a reorg forked off.
+    getBlocksBefore(number) {
+      return db.prepare("SELECT number, hash FROM blocks WHERE number <= ? ORDER BY number DESC").all(number);
+    },
+
+    getContracts() {
+      return db.prepare("SELECT address, name, from_block AS fromBlock FROM contracts ORDER BY from_block, address").all();
+    },
+
+    // Atomically stores one synced range: its blocks, events and new contracts, then moves the checkpoint.
+    saveRange: db.transaction(({ blocks, events, contracts, checkpoint }) => {
+      for (const block of blocks) insertBlock.run(block.number, block.hash);
+      for (const contract of contracts) insertContract.run(contract.address, contract.name, contract.fromBlock);
+      for (const event of events) insertEvent.run({ ...event, args: JSON.stringify(event.args) });
+      setMeta.run("checkpoint", String(checkpoint));
+    }),
+
+    // Drops everything above `number` after a reorg; `number` becomes the checkpoint.
+    rollback: db.transaction((number) => {
+      db.prepare("DELETE FROM events WHERE block_number > ?").run(number);
+      db.prepare("DELETE FROM blocks WHERE number > ?").run(number);
+      db.prepare("DELETE FROM contracts WHERE from_block > ?").run(number);
+      setMeta.run("checkpoint", String(number));
+    }),
+
+    // Finds events, oldest first. `args` matches decoded arguments by name, e.g. { sender: "0x..." };
+    // an array of values matches any of them.
+    getEvents({ contract, address, names, args = {}, fromBlock, toBlock, limit = -1, offset = 0 } = {}) {
+      const clauses = [];
+      const params = [];
+      if (contract) {
+        clauses.push("contract = ?");
+        params.push(contract);
+      }
+      if (address) {
+        clauses.push("address = ?");
+        params.push(address);
+      }
+      if (names && names.length > 0) {
+        clauses.push(`name IN (${names.map(() => "?").join(", ")})`);
+        params.push(...names);
+      }
+      for (const [name, value] of Object.entries(args)) {
+        if (!/^\w+$/.test(name)) throw new Error(`Invalid argument name "${name}"`);
+        const values = Array.isArray(value) ? value : [value];
+        clauses.push(`json_extract(args, '$.${name}') IN (${values.map(() => "?").join(", ")})`);
+        params.push(...values);
+      }
+      if (fromBlock !== undefined) {
+        clauses.push("block_number >= ?");
+        params.push(fromBlock);
+      }
+      if (toBlock !== undefined) {
+        clauses.push("block_number <= ?");
+        params.push(toBlock);
+      }
+
+      const where = clauses.length > 0 ? `WHERE ${clauses.join(" AND ")}` : "";
+      return db
+        .prepare(`SELECT * FROM events ${where} ORDER BY block_number, log_index LIMIT ? OFFSET ?`)
+        .all(...params, limit, offset)
+        .map(toRow);
+    },
+
+    close() {
+      db.close();
+    },
+  };
+  return store;
+}
+
+module.exports = { openStore };
@@ -0,0 +1,370 @@
+const fs = require("fs");
+const path = require("path");
+const { formatEther, formatUnits } = require("ethers");
+const { setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+
+// Data sizes each flow is measured at: how many markets, trades, stakers, policies, claims or tips exist already.
+const DEFAULT_SIZES = [1, 10, 50];
+// A cost more than this percentage above the baseline is a regression.
+const DEFAULT_THRESHOLD_PCT = 5;
+// Extra gas per item between the two largest sizes from which a cost counts as growing without bound.
+const GROWTH_LIMIT = 100;
+
+const REPORT_DIR = path.join(__dirname, "..", "gas-reports");
+const BASELINE_FILE = path.join(REPORT_DIR, "baseline.json");
+
+// Enum values from DecentralizedInsurance.sol
+const HEALTH = 0;
+const LOW_RISK = 0;
+const REJECTED = 3;
+
+const RESOLUTION_TIME = 4102444800; // 1 January 2100; a fixed value keeps calldata costs stable between runs
+const POLICY_DURATION = 90 * 24 * 60 * 60;
+const CELO = 10n ** 18n;
+
+// A funded account derived from `label`, so every run touches the same addresses.
+async function account(hre, label) {
+  const wallet = new hre.ethers.Wallet(hre.ethers.id(`gas-benchmark:${label}`), hre.ethers.provider);
+  await setBalance(wallet.address, 1_000_000n * CELO);
+  return wallet;
+}
+
+async function gasUsed(transaction) {
+  const receipt = await (await transaction).wait();
+  return receipt.gasUsed;
+}
+
+// Insurance with 1000 CELO staked in the HEALTH pool by the deployer, who is also an investigator.
+async function deployInsurance(hre) {
+  const [owner] = await hre.ethers.getSigners();
+  const insurance = await hre.ethers.deployContract("DecentralizedInsurance");
+  await insurance.stake(HEALTH, { value: 1000n * CELO });
+  await insurance.addInvestigator(owner.address);
+  return { insurance, owner, holder: await account(hre, "policyholder"), policies: 0, claims: 0 };
+}
+
+async function buyPolicy(state) {
+  const premium = await state.insurance.calculatePremiumFor(state.holder.address, HEALTH, CELO, POLICY_DURATION, LOW_RISK);
+  const gas = await gasUsed(state.insurance.connect(state.holder).createPolicy(HEALTH, CELO, POLICY_DURATION, LOW_RISK, "", { value: premium }));
+  return { policyId: ++state.policies, gas };
+}
+
+async function rejectClaim(state, policyId) {
+  await state.insurance.connect(state.holder).submitClaim(policyId, CELO, "");
+  await state.insurance.investigateClaim(++state.claims, REJECTED, 0, "Benchmark");
+  return state.claims;
+}
+
+// Each benchmark builds up `size` items with grow() and measures one call with measure(), which
+// returns its gas: the receipt's gasUsed for writes and estimateGas for views.
+const BENCHMARKS = [
+  {
+    name: "PredictionMarket.createMarket",
+    kind: "write",
+    size: "markets",
+    async setup(hre) {
+      const [owner] = await hre.ethers.getSigners();
+      return { owner, predictionMarket: await hre.ethers.deployContract("PredictionMarket", [owner.address, 100]) };
+    },
+    grow: ({ predictionMarket, owner }) => predictionMarket.createMarket("Benchmark market", owner.address, RESOLUTION_TIME),
+    measure: ({ predictionMarket, owner }) => gasUsed(predictionMarket.createMarket("Benchmark market", owner.address, RESOLUTION_TIME)),
+  },
+  {
+    name: "PredictionMarket.buyOutcome",
+    kind: "write",
+    size: "trades in the pool",
+    async setup(hre) {
+      const [owner] = await hre.ethers.getSigners();
+      const predictionMarket = await hre.ethers.deployContract("PredictionMarket", [owner.address, 100]);
+      await predictionMarket.createMarket("Benchmark market", owner.address, RESOLUTION_TIME);
+      await predictionMarket.addLiquidity(1, { value: 100n * CELO });
+      return { predictionMarket, trader: await account(hre, "trader") };
+    },
+    grow: ({ predictionMarket, trader }, index) => predictionMarket.connect(trader).buyOutcome(1, index % 2, 0, { value: CELO / 10n }),
+    measure: ({ predictionMarket, trader }) => gasUsed(predictionMarket.connect(trader).buyOutcome(1, 1, 0, { value: CELO / 10n })),
+  },
+  {
+    name: "DecentralizedInsurance.stake",
+    kind: "write",
+    size: "stakers in the pool",
+    async setup(hre) {
+      return { hre, insurance: await hre.ethers.deployContract("DecentralizedInsurance") };
+    },
+    grow: async ({ hre, insurance }, index) => insurance.connect(await account(hre, `staker-${index}`)).stake(HEALTH, { value: 100n * CELO }),
+    measure: async ({ hre, insurance }) => gasUsed(insurance.connect(await account(hre, "staker-measured")).stake(HEALTH, { value: 100n * CELO })),
+  },
+  {
+    name: "DecentralizedInsurance.createPolicy",
+    kind: "write",
+    size: "policies",
+    setup: deployInsurance,
+    grow: buyPolicy,
+    measure: async (state) => (await buyPolicy(state)).gas,
+  },
+  {
+    name: "DecentralizedInsurance.getTotalActiveCoverage",
+    kind: "view",
+    size: "policies",
+    setup: deployInsurance,
+    grow: buyPolicy,
+    measure: ({ insurance }) => insurance.getTotalActiveCoverage.estimateGas(),
+  },
+  {
+    name: "DecentralizedInsurance.claimRewards",
+    kind: "write",
+    size: "premiums paid into the pool",
+    setup: deployInsurance,
+    grow: buyPolicy,
+    measure: ({ insurance }) => gasUsed(insurance.claimRewards()),
+  },
+  {
+    name: "DecentralizedInsurance.cancelPolicy",
+    kind: "write",
+    size: "claims by the policyholder",
+    setup: deployInsurance,
+    async grow(state) {
+      const { policyId } = await buyPolicy(state);
+      await rejectClaim(state, policyId);
+    },
+    async measure(state) {
+      const { policyId } = await buyPolicy(state);
+      return gasUsed(state.insurance.connect(state.holder).cancelPolicy(policyId));
+    },
+  },
+  {
+    name: "DecentralizedInsurance.reportFraud",
+    kind: "write",
+    size: "active policies of the claimant",
+    setup: deployInsurance,
+    grow: buyPolicy,
+    async measure(state) {
+      const claimId = await rejectClaim(state, 1);
+      return gasUsed(state.insurance.reportFraud(claimId));
+    },
+  },
+  {
+    name: "TipJar.sendTip",
+    kind: "write",
+    size: "tippers",
+    async setup(hre) {
+      const [owner] = await hre.ethers.getSigners();
+      return { hre, tipJar: await hre.ethers.deployContract("TipJar", [owner.address]) };
+    },
+    // Every tip is bigger than the last, so each tipper climbs the whole leaderboard
+    grow: async ({ hre, tipJar }, index) => tipJar.connect(await account(hre, `tipper-${index}`)).sendTip("Benchmark tip", { value: BigInt(index + 1) * (CELO / 1000n) }),
+    measure: async ({ hre, tipJar }) => gasUsed(tipJar.connect(await account(hre, "tipper-measured")).sendTip("Benchmark tip", { value: CELO })),
+  },
+  {
+    name: "TipJar.getTopTippers",
+    kind: "view",
+    size: "tippers",
+    async setup(hre) {
+      const [owner] = await hre.ethers.getSigners();
+      return { hre, tipJar: await hre.ethers.deployContract("TipJar", [owner.address]) };
+    },
+    grow: async ({ hre, tipJar }, index) => tipJar.connect(await account(hre, `tipper-${index}`)).sendTip("Benchmark tip", { value: BigInt(index + 1) * (CELO / 1000n) }),
+    measure: ({ tipJar }) => tipJar.getTopTippers.estimateGas(),
+  },
+  {
+    name: "SimplePoll.vote",
+    kind: "write",
+    size: "voters",
+    async setup(hre) {
+      return { hre, poll: await hre.ethers.deployContract("SimplePoll", ["Benchmark question?"]) };
+    },
+    grow: async ({ hre, poll }, index) => poll.connect(await account(hre, `voter-${index}`)).vote(index % 2 === 0),
+    measure: async ({ hre, poll }) => gasUsed(poll.connect(await account(hre, "voter-measured")).vote(true)),
+  },
+];
+
+// Gas added per item between the two largest sizes.
+function growthPerItem(gas) {
+  const sizes = Object.keys(gas).map(Number).sort((a, b) => a - b);
+  if (sizes.length < 2) return 0;
+  const [smaller, larger] = sizes.slice(-2);
+  return Math.round((gas[larger] - gas[smaller]) / (larger - smaller));
+}
+
+/**
+ * Runs the benchmarks on the Hardhat network. Each one deploys fresh contracts and grows its data
+ * through `sizes` in order; every measurement is reverted so it does not add to the data.
+ * @returns {{ sizes: number[], gasPrice: string, results: object[] }}
+ */
+async function runBenchmarks(hre, { sizes = DEFAULT_SIZES, only } = {}) {
+  const sorted = [...sizes].sort((a, b) => a - b);
+  const benchmarks = only ? BENCHMARKS.filter((benchmark) => only.includes(benchmark.name)) : BENCHMARKS;
+  const results = [];
+
+  for (const benchmark of benchmarks) {
+    const state = await benchmark.setup(hre);
+    const gas = {};
+    let count = 0;
+    for (const size of sorted) {
+      while (count < size) {
+        await benchmark.grow(state, count++);
+      }
+      const snapshot = await hre.network.provider.send("evm_snapshot");
+      // A copy, so counters the measurement bumps are rolled back with the chain
+      gas[size] = Number(await benchmark.measure({ ...state }));
+      await hre.network.provider.send("evm_revert", [snapshot]);
+    }
+
+    const growth = growthPerItem(gas);
+    results.push({ name: benchmark.name, kind: benchmark.kind, size: benchmark.size, gas, growthPerItem: growth, unbounded: growth >= GROWTH_LIMIT });
+  }
+
+  // Costs are priced at the gas price transactions are sent with on CELO mainnet
+  const gasPrice = hre.config.networks.celo?.gasPrice;
+  return { sizes: sorted, gasPrice: typeof gasPrice === "number" ? String(gasPrice) : null, results };
+}
+
+/**
+ * Compares a report with the baseline. Costs more than `thresholdPct` above the baseline are
+ * regressions, and so is a cost that grows without bound where the baseline's did not.
+ */
+function compareWithBaseline(report, baseline, thresholdPct = DEFAULT_THRESHOLD_PCT) {
+  const baselineResults = new Map(baseline.results.map((result) => [result.name, result]));
+  const regressions = [];
+  const improvements = [];
+  const newlyUnbounded = [];
+  const added = [];
+
+  for (const result of report.results) {
+    const previous = baselineResults.get(result.name);
+    baselineResults.delete(result.name);
+    if (!previous) {
+      added.push(result.name);
+    }
+    if (result.unbounded && !previous?.unbounded) {
+      newlyUnbounded.push(result.name);
+    }
+    if (!previous) continue;
+
+    for (const [size, gas] of Object.entries(result.gas)) {
+      const before = previous.gas[size];
+      if (before === undefined) continue;
+      const change = { name: result.name, size: Number(size), baseline: before, current: gas, changePct: ((gas - before) / before) * 100 };
+      if (change.changePct > thresholdPct) {
+        regressions.push(change);
+      } else if (change.changePct < -thresholdPct) {
+        improvements.push(change);
+      }
+    }
+  }
+
+  return {
+    thresholdPct,
+    ok: regressions.length === 0 && newlyUnbounded.length === 0,
+    regressions,
+    improvements,
+    newlyUnbounded,
+    added,
+    removed: [...baselineResults.keys()],
+  };
+}
+
+function formatGas(gas) {
+  return gas.toLocaleString("en-US");
+}
+
+function formatChange({ name, size, baseline, current, changePct }) {
+  const sign = changePct > 0 ? "+" : "";
+  return `- \`${name}\` at ${size}: ${formatGas(baseline)} → ${formatGas(current)} (${sign}${changePct.toFixed(1)}%)`;
+}
+
+function tableRow(cells) {
+  return `| ${cells.join(" | ")} |`;
+}
+
+function formatMarkdown(report, comparison) {
+  const largest = report.sizes.at(-1);
+  const header = ["Function", "Kind", "Size", ...report.sizes.map((size) => `Gas at ${size}`), "Gas per item"];
+  if (report.gasPrice) header.push(`CELO at ${formatUnits(report.gasPrice, "gwei")} gwei, size ${largest}`);
+
+  const lines = ["# Gas Report", "", tableRow(header), tableRow(header.map((_, i) => (i < 3 ? "---" : "---:")))];
+  for (const result of report.results) {
+    const cells = [`\`${result.name}\``, result.kind, result.size, ...report.sizes.map((size) => formatGas(result.gas[size]))];
+    cells.push(`${formatGas(result.growthPerItem)}${result.unbounded ? " ⚠️" : ""}`);
+    if (report.gasPrice) cells.push(formatEther(BigInt(result.gas[largest]) * BigInt(report.gasPrice)));
+    lines.push(tableRow(cells));
+  }
+
+  const unbounded = report.results.filter((result) => result.unbounded);
+  if (unbounded.length > 0) {
+    lines.push("", "## Unbounded Growth", "", `These costs grow by ${GROWTH_LIMIT} gas or more per item and will eventually exceed the block gas limit:`, "");
+    lines.push(...unbounded.map((result) => `- \`${result.name}\`: +${formatGas(result.growthPerItem)} gas per item (${result.size})`));
+  }
+
+  if (comparison) {
+    lines.push("", `## Against the Baseline (±${comparison.thresholdPct}%)`, "");
+    if (comparison.regressions.length > 0) lines.push("Regressions:", ...comparison.regressions.map(formatChange), "");
+    if (comparison.newlyUnbounded.length > 0) lines.push("Newly unbounded:", ...comparison.newlyUnbounded.map((name) => `- \`${name}\``), "");
+    if (comparison.improvements.length > 0) lines.push("Improvements:", ...comparison.improvements.map(formatChange), "");
+    if (comparison.added.length > 0) lines.push(`Not in the baseline: ${comparison.added.map((name) => `\`${name}\``).join(", ")}`, "");
+    if (comparison.removed.length > 0) lines.push(`No longer benchmarked: ${comparison.removed.map((name) => `\`${name}\``).join(", ")}`, "");
+    if (comparison.ok) lines.push("No regressions.");
+  }
+  return `${lines.join("\n").trimEnd()}\n`;
+}
+
+// Usage:
+//   npx hardhat run scripts/gas-benchmark.js
+// Writes gas-reports/gas-report.json and gas-report.md and fails if a cost regressed past the
+// threshold (GAS_THRESHOLD_PCT, default 5) or started growing without bound, compared with
+// gas-reports/baseline.json. After an intended change, record a new baseline with GAS_UPDATE_BASELINE=1.
+// GAS_SIZES=1,10,100 changes the data sizes measured.
+async function main() {
+  const hre = require("hardhat");
+  if (hre.network.name !== "hardhat") {
+    throw new Error("Gas benchmarks run on the Hardhat network only");
+  }
+  const sizes = process.env.GAS_SIZES ? process.env.GAS_SIZES.split(",").map(Number) : DEFAULT_SIZES;
+  if (sizes.some((size) => !Number.isInteger(size) || size < 1)) {
+    throw new Error(`Invalid GAS_SIZES "${process.env.GAS_SIZES}": expected positive integers`);
+  }
+  const thresholdPct = Number(process.env.GAS_THRESHOLD_PCT ?? DEFAULT_THRESHOLD_PCT);
+
+  await hre.run("compile");
+  const report = await runBenchmarks(hre, { sizes });
+  fs.mkdirSync(REPORT_DIR, { recursive: true });
+
+  if (process.env.GAS_UPDATE_BASELINE) {
+    fs.writeFileSync(BASELINE_FILE, `${JSON.stringify(report, null, 2)}\n`);
+    console.log(formatMarkdown(report));
+    console.log(`Recorded the baseline in ${path.relative(process.cwd(), BASELINE_FILE)}`);
+    return;
+  }
+
+  const baseline = fs.existsSync(BASELINE_FILE) ? JSON.parse(fs.readFileSync(BASELINE_FILE, "utf8")) : null;
+  const comparison = baseline ? compareWithBaseline(report, baseline, thresholdPct) : null;
+  const markdown = formatMarkdown(report, comparison);
+  fs.writeFileSync(path.join(REPORT_DIR, "gas-report.json"), `${JSON.stringify({ ...report, comparison }, null, 2)}\n`);
+  fs.writeFileSync(path.join(REPORT_DIR, "gas-report.md"), markdown);
+  console.log(markdown);
+
+  if (!baseline) {
+    console.warn(`No baseline at ${path.relative(process.cwd(), BASELINE_FILE)}; run with GAS_UPDATE_BASELINE=1 to record one`);
+  } else if (!comparison.ok) {
+    throw new Error("Gas costs regressed against the baseline");
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit())
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  BENCHMARKS,
+  DEFAULT_SIZES,
+  GROWTH_LIMIT,
+  BASELINE_FILE,
+  runBenchmarks,
+  growthPerItem,
+  compareWithBaseline,
+  formatMarkdown,
+};
@@ -0,0 +1,177 @@
+const hre = require("hardhat");
+
+// EIP-712 types, matching VOTE_TYPEHASH in Poll and SimplePoll and TIP_TYPEHASH in TipJar.
+const VOTE_TYPES = {
+  Vote: [
+    { name: "voter", type: "address" },
+    { name: "option", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const SIMPLE_VOTE_TYPES = {
+  Vote: [
+    { name: "voter", type: "address" },
+    { name: "vote", type: "bool" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const TIP_TYPES = {
+  Tip: [
+    { name: "sender", type: "address" },
+    { name: "token", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "message", type: "string" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// Reads the signing domain a contract publishes through ERC-5267.
+async function getDomain(contract) {
+  const domain = await contract.eip712Domain();
+  return {
+    name: domain.name,
+    version: domain.version,
+    chainId: domain.chainId,
+    verifyingContract: domain.verifyingContract,
+  };
+}
+
+// Signs a vote off-chain. The voter pays no gas.
+async function signVote(voter, poll, option, deadline) {
+  const message = {
+    voter: voter.address,
+    option,
+    nonce: await poll.nonces(voter.address),
+    deadline,
+  };
+  return voter.signTypedData(await getDomain(poll), VOTE_TYPES, message);
+}
+
+// Signs a yes (true) or no (false) vote in a SimplePoll off-chain.
+async function signSimpleVote(voter, poll, vote, deadline) {
+  const message = {
+    voter: voter.address,
+    vote,
+    nonce: await poll.nonces(voter.address),
+    deadline,
+  };
+  return voter.signTypedData(await getDomain(poll), SIMPLE_VOTE_TYPES, message);
+}
+
+// Signs a token tip together with an ERC-2612 permit for the same amount,
+// so the tipper needs neither gas nor a prior approval.
+async function signTip(sender, tipJar, token, amount, message, deadline) {
+  const tip = {
+    sender: sender.address,
+    token: await token.getAddress(),
+    amount,
+    message,
+    nonce: await tipJar.nonces(sender.address),
+    deadline,
+  };
+  const signature = await sender.signTypedData(await getDomain(tipJar), TIP_TYPES, tip);
+
+  const permitSignature = await sender.signTypedData(await getDomain(token), PERMIT_TYPES, {
+    owner: sender.address,
+    spender: await tipJar.getAddress(),
+    value: amount,
+    nonce: await token.nonces(sender.address),
+    deadline,
+  });
+  const { v, r, s } = hre.ethers.Signature.from(permitSignature);
+
+  return { signature, permit: { deadline, v, r, s } };
+}
+
+// Submits a signed vote, paying the gas from the relayer account. `option` is a bool for a SimplePoll.
+async function relayVote(relayer, poll, voter, option, deadline, signature) {
+  const tx = await poll.connect(relayer).voteBySig(voter, option, deadline, signature);
+  return tx.wait();
+}
+
+// Submits a signed tip, paying the gas from the relayer account.
+async function relayTip(relayer, tipJar, sender, token, amount, message, deadline, signed) {
+  const tx = await tipJar
+    .connect(relayer)
+    .sendTipBySig(sender, token, amount, message, deadline, signed.signature, signed.permit);
+  return tx.wait();
+}
+
+// Usage against a running node (`npx hardhat node`):
+//   RELAY_ACTION=vote POLL_ADDRESS=0x... OPTION=0 npx hardhat run scripts/relayer.js --network localhost
+//   RELAY_ACTION=simple-vote SIMPLE_POLL_ADDRESS=0x... VOTE=yes npx hardhat run scripts/relayer.js --network localhost
+//   RELAY_ACTION=tip TIPJAR_ADDRESS=0x... TOKEN_ADDRESS=0x... AMOUNT=1.5 MESSAGE="gm" npx hardhat run scripts/relayer.js --network localhost
+// The first account relays and pays gas; the second account signs.
+async function main() {
+  const [relayer, user] = await hre.ethers.getSigners();
+  const latest = await hre.ethers.provider.getBlock("latest");
+  const deadline = BigInt(latest.timestamp) + BigInt(process.env.DEADLINE_SECONDS || 3600);
+  const action = process.env.RELAY_ACTION;
+
+  if (action === "vote") {
+    const poll = await hre.ethers.getContractAt("Poll", process.env.POLL_ADDRESS);
+    const option = BigInt(process.env.OPTION || 0);
+
+    const signature = await signVote(user, poll, option, deadline);
+    const receipt = await relayVote(relayer, poll, user.address, option, deadline, signature);
+    console.log(`Relayed vote for option ${option} by ${user.address} in tx ${receipt.hash}`);
+  } else if (action === "simple-vote") {
+    const poll = await hre.ethers.getContractAt("SimplePoll", process.env.SIMPLE_POLL_ADDRESS);
+    const answer = String(process.env.VOTE || "").toLowerCase();
+    if (answer !== "yes" && answer !== "no") throw new Error("Set VOTE to 'yes' or 'no'");
+    const vote = answer === "yes";
+
+    const signature = await signSimpleVote(user, poll, vote, deadline);
+    const receipt = await relayVote(relayer, poll, user.address, vote, deadline, signature);
+    console.log(`Relayed ${answer} vote by ${user.address} in tx ${receipt.hash}`);
+  } else if (action === "tip") {
+    const tipJar = await hre.ethers.getContractAt("TipJar", process.env.TIPJAR_ADDRESS);
+    const token = await hre.ethers.getContractAt("ERC20Permit", process.env.TOKEN_ADDRESS);
+    const amount = hre.ethers.parseUnits(process.env.AMOUNT || "1", await token.decimals());
+    const message = process.env.MESSAGE || "";
+
+    const signed = await signTip(user, tipJar, token, amount, message, deadline);
+    const receipt = await relayTip(relayer, tipJar, user.address, token, amount, message, deadline, signed);
+    console.log(`Relayed tip of ${process.env.AMOUNT || "1"} tokens from ${user.address} in tx ${receipt.hash}`);
+  } else {
+    throw new Error("Set RELAY_ACTION to 'vote', 'simple-vote' or 'tip'");
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  VOTE_TYPES,
+  SIMPLE_VOTE_TYPES,
+  TIP_TYPES,
+  PERMIT_TYPES,
+  getDomain,
+  signVote,
+  signSimpleVote,
+  signTip,
+  relayVote,
+  relayTip,
+  main,
+};
@@ -0,0 +1,63 @@
+const fs = require("fs");
+const path = require("path");
+const { getStorageLayout, getStorageUpgradeReport, getVersion, withValidationDefaults } = require("@openzeppelin/upgrades-core");
+const { readValidations } = require("@openzeppelin/hardhat-upgrades/dist/utils/validations");
+
+// Contracts deployed behind proxies; each has its deployed layout committed in storage-layouts/.
+const UPGRADEABLE_CONTRACTS = ["PredictionMarketUpgradeable", "DecentralizedInsuranceUpgradeable"];
+const LAYOUTS_DIR = path.join(__dirname, "..", "storage-layouts");
+
+// The storage layout of the compiled contract, as extracted by hardhat-upgrades during compilation.
+async function getCompiledLayout(hre, contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  return getStorageLayout(await readValidations(hre), getVersion(artifact.bytecode));
+}
+
+function readCommittedLayout(contractName, dir = LAYOUTS_DIR) {
+  return JSON.parse(fs.readFileSync(path.join(dir, `${contractName}.json`), "utf8"));
+}
+
+// Compares layouts with the rules hardhat-upgrades applies to upgradeProxy; `explain()` lists the problems.
+function compareLayouts(original, updated) {
+  return getStorageUpgradeReport(original, updated, withValidationDefaults({}));
+}
+
+// Usage, after deploying a new implementation:
+//   npx hardhat run scripts/storage-layout.js
+// Records the compiled layouts in storage-layouts/. A layout that is incompatible with the
+// committed one is refused, since the deployed proxies could not be upgraded to it.
+async function main() {
+  const hre = require("hardhat");
+  await hre.run("compile");
+  fs.mkdirSync(LAYOUTS_DIR, { recursive: true });
+
+  for (const contractName of UPGRADEABLE_CONTRACTS) {
+    const layout = await getCompiledLayout(hre, contractName);
+    const file = path.join(LAYOUTS_DIR, `${contractName}.json`);
+
+    if (fs.existsSync(file)) {
+      const report = compareLayouts(readCommittedLayout(contractName), layout);
+      if (!report.ok) {
+        throw new Error(`${contractName} is not upgrade-compatible with ${file}:\n${report.explain()}`);
+      }
+    }
+    fs.writeFileSync(file, `${JSON.stringify(layout, null, 2)}\n`);
+    console.log(`Recorded ${contractName} (${layout.storage.length} variables) in ${path.relative(process.cwd(), file)}`);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit())
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  UPGRADEABLE_CONTRACTS,
+  getCompiledLayout,
+  readCommittedLayout,
+  compareLayouts,
+};
@@ -0,0 +1,212 @@
+const fs = require("fs");
+const path = require("path");
+const { Interface } = require("ethers");
+const { getDeploymentDir } = require("../tasks/helpers");
+
+// Ignition future types that deploy bytecode we can verify.
+const DEPLOYMENT_FUTURE_TYPES = new Set([
+  "NAMED_ARTIFACT_CONTRACT_DEPLOYMENT",
+  "CONTRACT_DEPLOYMENT",
+  "NAMED_ARTIFACT_LIBRARY_DEPLOYMENT",
+  "LIBRARY_DEPLOYMENT",
+]);
+
+// Ignition serialises bigints in the journal as { _kind: "bigint", value: "123" }.
+function reviveJournalValue(value) {
+  if (Array.isArray(value)) return value.map(reviveJournalValue);
+  if (value !== null && typeof value === "object") {
+    if (value._kind === "bigint") return BigInt(value.value);
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, reviveJournalValue(item)]));
+  }
+  return value;
+}
+
+// Reads a journal.jsonl, skipping blank lines and reviving bigint values.
+function readJournal(journalPath) {
+  const entries = [];
+  fs.readFileSync(journalPath, "utf8").split(/\r?\n/).forEach((line, index) => {
+    if (line.trim() === "") return;
+    try {
+      entries.push(reviveJournalValue(JSON.parse(line)));
+    } catch (error) {
+      throw new Error(`${journalPath}:${index + 1}: invalid journal entry (${error.message})`);
+    }
+  });
+  return entries;
+}
+
+// Lists every successfully deployed contract in an Ignition deployment directory
+// (e.g. ignition/deployments/chain-42220) with the constructor arguments it was deployed with.
+function getDeployedContracts(deploymentDir) {
+  const addresses = JSON.parse(fs.readFileSync(path.join(deploymentDir, "deployed_addresses.json"), "utf8"));
+  const deployments = new Map();
+
+  for (const entry of readJournal(path.join(deploymentDir, "journal.jsonl"))) {
+    if (entry.type === "DEPLOYMENT_EXECUTION_STATE_INITIALIZE" && DEPLOYMENT_FUTURE_TYPES.has(entry.futureType)) {
+      deployments.set(entry.futureId, { init: entry, address: undefined });
+    } else if (entry.type === "DEPLOYMENT_EXECUTION_STATE_COMPLETE" && deployments.has(entry.futureId)) {
+      if (entry.result.type === "SUCCESS") deployments.get(entry.futureId).address = entry.result.address;
+    } else if (entry.type === "WIPE_APPLY") {
+      deployments.delete(entry.futureId);
+    }
+  }
+
+  const contracts = [];
+  for (const [futureId, { init, address }] of deployments) {
+    if (address === undefined) continue;
+    if (!addresses[futureId] || addresses[futureId].toLowerCase() !== address.toLowerCase()) {
+      throw new Error(`${futureId} was deployed at ${address} but deployed_addresses.json has ${addresses[futureId]}`);
+    }
+
+    contracts.push({
+      futureId,
+      moduleId: futureId.split("#")[0],
+      contractName: init.contractName,
+      address: addresses[futureId],
+      constructorArgs: init.constructorArgs,
+      libraries: init.libraries,
+    });
+  }
+  return contracts;
+}
+
+// Keeps the contracts of one Ignition module, e.g. "TipJarModule"; no module keeps everything.
+function filterByModule(contracts, moduleId) {
+  if (!moduleId) return contracts;
+  const selected = contracts.filter((contract) => contract.moduleId === moduleId);
+  if (selected.length === 0) {
+    const modules = [...new Set(contracts.map((contract) => contract.moduleId))];
+    throw new Error(`No contracts deployed by ${moduleId}; deployed modules are ${modules.join(", ")}`);
+  }
+  return selected;
+}
+
+// Gathers what the explorers need from the deployment's own artifacts and build info, so
+// contracts are verified against the sources they were compiled from, not the current ones.
+function getVerificationInput(deploymentDir, contract) {
+  const artifactsDir = path.join(deploymentDir, "artifacts");
+  const artifact = JSON.parse(fs.readFileSync(path.join(artifactsDir, `${contract.futureId}.json`), "utf8"));
+  const debug = JSON.parse(fs.readFileSync(path.join(artifactsDir, `${contract.futureId}.dbg.json`), "utf8"));
+
+  // Deployments made on Windows record the build info path with backslashes
+  const buildInfoPath = path.resolve(artifactsDir, debug.buildInfo.replace(/\\/g, "/"));
+  const buildInfo = JSON.parse(fs.readFileSync(buildInfoPath, "utf8"));
+  const output = buildInfo.output.contracts[artifact.sourceName][artifact.contractName];
+
+  const encodedArgs = new Interface(artifact.abi).encodeDeploy(contract.constructorArgs);
+
+  return {
+    ...contract,
+    fullyQualifiedName: `${artifact.sourceName}:${artifact.contractName}`,
+    compilerVersion: `v${buildInfo.solcLongVersion}`,
+    compilerInput: buildInfo.input,
+    metadata: output.metadata,
+    encodedConstructorArgs: encodedArgs.slice(2),
+  };
+}
+
+// Verifies on CeloScan through hardhat-verify's Etherscan client, skipping verified contracts.
+async function verifyOnEtherscan(etherscan, input) {
+  if (await etherscan.isVerified(input.address)) return "already verified";
+
+  const response = await etherscan.verify(
+    input.address,
+    JSON.stringify(input.compilerInput),
+    input.fullyQualifiedName,
+    input.compilerVersion,
+    input.encodedConstructorArgs
+  );
+  const status = await etherscan.getVerificationStatus(response.message);
+  if (status.isAlreadyVerified()) return "already verified";
+  if (!status.isSuccess()) throw new Error(status.message);
+  return "verified";
+}
+
+// Verifies on Sourcify with the metadata and sources from the build info, skipping verified contracts.
+async function verifyOnSourcify(sourcify, input) {
+  const existing = await sourcify.isVerified(input.address);
+  if (existing) return `already verified (${existing} match)`;
+
+  const files = { "metadata.json": input.metadata };
+  for (const [sourceName, { content }] of Object.entries(input.compilerInput.sources)) {
+    files[sourceName] = content;
+  }
+
+  const response = await sourcify.verify(input.address, files);
+  if (!response.isOk()) throw new Error(response.error || "Sourcify rejected the contract");
+  return `verified (${response.status} match)`;
+}
+
+// Renders results as a fixed-width table.
+function formatSummary(results) {
+  const rows = [["Contract", "Address", "Status"], ...results.map((result) => [result.futureId, result.address, result.status])];
+  const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => row[column].length)));
+  const format = (row) => row.map((cell, column) => cell.padEnd(widths[column])).join(" | ").trimEnd();
+  return [format(rows[0]), widths.map((width) => "-".repeat(width)).join("-|-"), ...rows.slice(1).map(format)].join("\n");
+}
+
+// Usage:
+//   npx hardhat run scripts/verify-deployment.js --network celo
+//   VERIFY_MODULE=TipJarModule VERIFY_SERVICE=sourcify npx hardhat run scripts/verify-deployment.js --network celo
+// VERIFY_SERVICE is "etherscan" (CeloScan, the default) or "sourcify". IGNITION_DEPLOYMENT_ID picks the deployment,
+// which defaults to the full-stack one when the network has it.
+async function main() {
+  const hre = require("hardhat");
+  const { Etherscan } = require("@nomicfoundation/hardhat-verify/etherscan");
+  const { Sourcify } = require("@nomicfoundation/hardhat-verify/sourcify");
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const deploymentDir = getDeploymentDir(hre, chainId);
+  const contracts = filterByModule(getDeployedContracts(deploymentDir), process.env.VERIFY_MODULE);
+  const service = process.env.VERIFY_SERVICE || "etherscan";
+
+  let verify;
+  if (service === "etherscan") {
+    const chainConfig = await Etherscan.getCurrentChainConfig(hre.network.name, hre.network.provider, hre.config.etherscan.customChains);
+    const etherscan = Etherscan.fromChainConfig(hre.config.etherscan.apiKey, chainConfig);
+    verify = (input) => verifyOnEtherscan(etherscan, input);
+  } else if (service === "sourcify") {
+    const sourcify = new Sourcify(Number(chainId), hre.config.sourcify.apiUrl, hre.config.sourcify.browserUrl);
+    verify = (input) => verifyOnSourcify(sourcify, input);
+  } else {
+    throw new Error(`Unknown VERIFY_SERVICE "${service}"; use etherscan or sourcify`);
+  }
+
+  console.log(`Verifying ${contracts.length} contract(s) from ${deploymentDir} on ${service}...`);
+  const results = [];
+  for (const contract of contracts) {
+    let status;
+    try {
+      status = await verify(getVerificationInput(deploymentDir, contract));
+    } catch (error) {
+      status = `failed: ${error.message.split("\n")[0]}`;
+    }
+    console.log(`${contract.futureId}: ${status}`);
+    results.push({ ...contract, status });
+  }
+
+  console.log(`\n${formatSummary(results)}`);
+  if (results.some((result) => result.status.startsWith("failed"))) {
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit())
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  reviveJournalValue,
+  readJournal,
+  getDeployedContracts,
+  filterByModule,
+  getVerificationInput,
+  verifyOnEtherscan,
+  verifyOnSourcify,
+  formatSummary,
+};
@@ -0,0 +1,126 @@
+const fs = require("fs");
+const path = require("path");
+
+const CELO_AMOUNT = /^\d+(\.\d{1,18})?$/;
+
+// The Ignition deployment tasks, the indexer and the verify script read for a chain: IGNITION_DEPLOYMENT_ID when
+// set, else the full-stack deployment (deployed with --deployment-id full-stack-chain-<id>) if there is one,
+// else Ignition's default chain-<id> deployment of the single-contract modules.
+function getDeploymentDir(hre, chainId) {
+  const deployments = path.join(hre.config.paths.ignition, "deployments");
+  if (process.env.IGNITION_DEPLOYMENT_ID) {
+    return path.join(deployments, process.env.IGNITION_DEPLOYMENT_ID);
+  }
+  const fullStack = path.join(deployments, `full-stack-chain-${chainId}`);
+  return fs.existsSync(fullStack) ? fullStack : path.join(deployments, `chain-${chainId}`);
+}
+
+// Reads the address Ignition recorded for `futureId` (e.g. "TipJarModule#TipJar")
+// in the deployed_addresses.json of the selected network's deployment.
+async function getDeployedAddress(hre, futureId) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const file = path.join(getDeploymentDir(hre, chainId), "deployed_addresses.json");
+
+  if (!fs.existsSync(file)) {
+    throw new Error(`No Ignition deployments found for chain ${chainId} (${hre.network.name}) in ${path.dirname(file)}; pass --address or deploy first`);
+  }
+  const addresses = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!addresses[futureId]) {
+    throw new Error(`${futureId} is not deployed on chain ${chainId} (${hre.network.name}); pass --address or deploy it first`);
+  }
+  return addresses[futureId];
+}
+
+// Attaches to a contract at `address`, or at its Ignition deployment when no address is given. A deployment
+// is attached with the ABI Ignition recorded for it in the deployment's artifacts/, since it
+// may have been made from an older version of the contract than the one in contracts/.
+async function getContract(hre, contractName, futureId, address) {
+  if (address && !hre.ethers.isAddress(address)) {
+    throw new Error(`Invalid address: ${address}`);
+  }
+  const [signer] = await hre.ethers.getSigners();
+  if (address) {
+    return hre.ethers.getContractAt(contractName, address, signer);
+  }
+
+  const deployedAddress = await getDeployedAddress(hre, futureId);
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const artifact = path.join(getDeploymentDir(hre, chainId), "artifacts", `${futureId}.json`);
+  if (!fs.existsSync(artifact)) {
+    return hre.ethers.getContractAt(contractName, deployedAddress, signer);
+  }
+  const { abi } = JSON.parse(fs.readFileSync(artifact, "utf8"));
+  return hre.ethers.getContractAt(abi, deployedAddress, signer);
+}
+
+// Throws unless `contract` has every function in `names`, and the payable ones in `payable`, so tasks fail
+// before sending anything to a deployment that predates the functions they call.
+async function requireFunctions(contract, contractName, names, { payable = [] } = {}) {
+  for (const name of [...names, ...payable]) {
+    const fragment = contract.interface.getFunction(name);
+    if (!fragment || (payable.includes(name) && !fragment.payable)) {
+      const missing = fragment ? `a payable ${name}()` : `${name}()`;
+      throw new Error(
+        `The ${contractName} at ${await contract.getAddress()} has no ${missing}: it was deployed from an older ` +
+          "version of the contract. Redeploy it, or pass --address to use a newer deployment"
+      );
+    }
+  }
+}
+
+// Parses a human-readable CELO amount ("1.5") into wei, rejecting anything that is not a positive number.
+function parseCelo(hre, value, name = "amount") {
+  const text = String(value).trim();
+  if (!CELO_AMOUNT.test(text)) {
+    throw new Error(`Invalid ${name} "${value}": expected a CELO amount such as 1 or 0.25`);
+  }
+  const wei = hre.ethers.parseEther(text);
+  if (wei === 0n) {
+    throw new Error(`Invalid ${name} "${value}": must be greater than zero`);
+  }
+  return wei;
+}
+
+function formatCelo(hre, wei) {
+  return `${hre.ethers.formatEther(wei)} CELO`;
+}
+
+// Parses a non-negative integer argument such as a market or policy ID.
+function parseIndex(value, name) {
+  const text = String(value).trim();
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`Invalid ${name} "${value}": expected a whole number`);
+  }
+  return BigInt(text);
+}
+
+// Waits for a transaction, prints the events `contract` emitted in it and returns them decoded.
+async function printReceipt(hre, contract, tx) {
+  const receipt = await tx.wait();
+  console.log(`Transaction ${receipt.hash} confirmed in block ${receipt.blockNumber}`);
+
+  const contractAddress = (await contract.getAddress()).toLowerCase();
+  const events = [];
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== contractAddress) continue;
+    const parsed = contract.interface.parseLog(log);
+    if (!parsed) continue;
+
+    const args = {};
+    parsed.fragment.inputs.forEach((input, i) => {
+      args[input.name] = parsed.args[i];
+    });
+    events.push({ name: parsed.name, args });
+
+    const formatted = parsed.fragment.inputs.map((input, i) => `${input.name}=${formatValue(parsed.args[i])}`);
+    console.log(`  ${parsed.name}(${formatted.join(", ")})`);
+  }
+  return { hash: receipt.hash, events };
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) return `[${Array.from(value, formatValue).join(", ")}]`;
+  return value.toString();
+}
+
+module.exports = { getDeploymentDir, getDeployedAddress, getContract, requireFunctions, parseCelo, formatCelo, parseIndex, printReceipt };
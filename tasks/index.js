@@ -0,0 +1,7 @@
+// Hardhat tasks for operating the deployed contracts, e.g.
+//   npx hardhat tipjar:send --amount 0.5 --message "Thanks!" --network celo
+// Run `npx hardhat help <task>` for each task's parameters.
+require("./tipjar");
+require("./market");
+require("./poll");
+require("./insurance");
@@ -0,0 +1,44 @@
+const { task } = require("hardhat/config");
+const { getContract, requireFunctions, parseCelo, formatCelo, parseIndex, printReceipt } = require("./helpers");
+
+const DECENTRALIZED_INSURANCE = "DecentralizedInsuranceModule#DecentralizedInsurance";
+
+// Enum orders from DecentralizedInsurance.sol
+const INSURANCE_TYPES = ["health", "property", "travel", "crypto", "life"];
+const RISK_LEVELS = ["low", "medium", "high", "critical"];
+
+function parseEnum(value, names, name) {
+  const index = names.indexOf(String(value).trim().toLowerCase());
+  if (index < 0) {
+    throw new Error(`Invalid ${name} "${value}": expected one of ${names.join(", ")}`);
+  }
+  return index;
+}
+
+task("insurance:policy", "Buys an insurance policy, paying the quoted premium")
+  .addParam("type", `The insurance type: ${INSURANCE_TYPES.join(", ")}`)
+  .addParam("coverage", "The coverage in CELO, e.g. 10")
+  .addOptionalParam("days", "The policy length in days, between 30 and 365", "30")
+  .addOptionalParam("risk", `The risk level: ${RISK_LEVELS.join(", ")}`, "low")
+  .addOptionalParam("metadata", "A metadata URI describing the insured item", "")
+  .addOptionalParam("address", "The DecentralizedInsurance address (defaults to the Ignition deployment)")
+  .setAction(async (args, hre) => {
+    const insurance = await getContract(hre, "DecentralizedInsurance", DECENTRALIZED_INSURANCE, args.address);
+    const [signer] = await hre.ethers.getSigners();
+
+    const insuranceType = parseEnum(args.type, INSURANCE_TYPES, "insurance type");
+    const riskLevel = parseEnum(args.risk, RISK_LEVELS, "risk level");
+    const coverage = parseCelo(hre, args.coverage, "coverage");
+    const days = parseIndex(args.days, "duration");
+    if (days < 30n || days > 365n) {
+      throw new Error(`Invalid duration ${days} days: policies run between 30 and 365 days`);
+    }
+    const duration = days * 24n * 60n * 60n;
+
+    await requireFunctions(insurance, "DecentralizedInsurance", ["calculatePremiumFor"], { payable: ["createPolicy"] });
+    const premium = await insurance.calculatePremiumFor(signer.address, insuranceType, coverage, duration, riskLevel);
+    console.log(`Insuring ${formatCelo(hre, coverage)} of ${INSURANCE_TYPES[insuranceType]} cover for ${days} days; premium ${formatCelo(hre, premium)}`);
+
+    const tx = await insurance.createPolicy(insuranceType, coverage, duration, riskLevel, args.metadata, { value: premium });
+    return printReceipt(hre, insurance, tx);
+  });
@@ -0,0 +1,116 @@
+const { task } = require("hardhat/config");
+const { ZeroAddress } = require("ethers");
+const { getContract, requireFunctions, parseCelo, formatCelo, parseIndex, printReceipt } = require("./helpers");
+
+const PREDICTION_MARKET = "PredictionMarketModule#PredictionMarket";
+const BINARY_OUTCOMES = { no: 0, yes: 1 };
+
+// Accepts a unix timestamp in seconds or any date Date.parse understands, e.g. 2026-12-31T12:00:00Z.
+function parseTimestamp(value) {
+  const text = String(value).trim();
+  const seconds = /^\d+$/.test(text) ? Number(text) : Math.floor(Date.parse(text) / 1000);
+  if (!Number.isFinite(seconds) || seconds <= 0) {
+    throw new Error(`Invalid resolution time "${value}": expected a unix timestamp or an ISO date`);
+  }
+  return seconds;
+}
+
+// Outcomes can be given by index, or as yes/no (and invalid) for binary markets.
+async function parseOutcome(market, marketId, value) {
+  const outcomeCount = (await market.getOutcomeTokens(marketId)).length;
+  const text = String(value).trim().toLowerCase();
+
+  let outcome;
+  if (text in BINARY_OUTCOMES && outcomeCount === 2) outcome = BINARY_OUTCOMES[text];
+  else if (text === "invalid") outcome = outcomeCount;
+  else if (/^\d+$/.test(text)) outcome = Number(text);
+  else throw new Error(`Invalid outcome "${value}"`);
+
+  return { outcome, outcomeCount };
+}
+
+async function getCeloMarket(market, marketId) {
+  const info = await market.getMarket(marketId);
+  if (info.id === 0n) {
+    throw new Error(`Market ${marketId} does not exist`);
+  }
+  // Deployments from before ERC-20 collateral have no collateralToken and only trade CELO
+  if (info.collateralToken !== undefined && info.collateralToken !== ZeroAddress) {
+    throw new Error(`Market ${marketId} trades in ${info.collateralToken}; these tasks only handle CELO markets`);
+  }
+  return info;
+}
+
+task("market:create", "Creates a binary prediction market")
+  .addParam("question", "The question the market resolves")
+  .addParam("resolveAt", "When the market can be resolved: a unix timestamp or an ISO date")
+  .addOptionalParam("resolver", "The account allowed to resolve the market (defaults to the signer)")
+  .addOptionalParam("address", "The PredictionMarket address (defaults to the Ignition deployment)")
+  .setAction(async ({ question, resolveAt, resolver, address }, hre) => {
+    const market = await getContract(hre, "PredictionMarket", PREDICTION_MARKET, address);
+    const [signer] = await hre.ethers.getSigners();
+
+    const resolverAddress = resolver || signer.address;
+    if (!hre.ethers.isAddress(resolverAddress)) throw new Error(`Invalid resolver address: ${resolverAddress}`);
+
+    const timestamp = parseTimestamp(resolveAt);
+    const latest = await hre.ethers.provider.getBlock("latest");
+    if (timestamp <= latest.timestamp) {
+      throw new Error(`Resolution time ${new Date(timestamp * 1000).toISOString()} is not in the future`);
+    }
+
+    console.log(`Creating market "${question}" resolving after ${new Date(timestamp * 1000).toISOString()}`);
+    return printReceipt(hre, market, await market.createMarket(question, resolverAddress, timestamp));
+  });
+
+task("market:buy", "Buys shares in a CELO prediction market")
+  .addParam("market", "The market ID")
+  .addParam("amount", "The CELO to spend, e.g. 2.5")
+  .addOptionalParam("outcome", "Buy a single outcome (index, or yes/no) instead of complete sets")
+  .addOptionalParam("slippage", "Maximum slippage for single-outcome buys, in basis points", "100")
+  .addOptionalParam("address", "The PredictionMarket address (defaults to the Ignition deployment)")
+  .setAction(async (args, hre) => {
+    const market = await getContract(hre, "PredictionMarket", PREDICTION_MARKET, args.address);
+    const marketId = parseIndex(args.market, "market ID");
+    const value = parseCelo(hre, args.amount);
+    await getCeloMarket(market, marketId);
+
+    if (args.outcome === undefined) {
+      console.log(`Buying ${formatCelo(hre, value)} of complete sets in market ${marketId}`);
+      return printReceipt(hre, market, await market.buyShares(marketId, { value }));
+    }
+
+    await requireFunctions(market, "PredictionMarket", ["getOutcomeTokens", "calcBuyAmount"], { payable: ["buyOutcome"] });
+    const { outcome, outcomeCount } = await parseOutcome(market, marketId, args.outcome);
+    if (outcome >= outcomeCount) throw new Error(`Market ${marketId} has no outcome ${args.outcome}`);
+
+    const slippageBps = parseIndex(args.slippage, "slippage");
+    if (slippageBps > 10000n) throw new Error("Slippage cannot exceed 10000 basis points");
+    const expected = await market.calcBuyAmount(marketId, outcome, value);
+    const minSharesOut = (expected * (10000n - slippageBps)) / 10000n;
+
+    console.log(`Buying outcome ${outcome} in market ${marketId} for ${formatCelo(hre, value)} (expecting ${hre.ethers.formatEther(expected)} shares)`);
+    return printReceipt(hre, market, await market.buyOutcome(marketId, outcome, minSharesOut, { value }));
+  });
+
+task("market:resolve", "Proposes the winning outcome of a market, posting the resolution bond")
+  .addParam("market", "The market ID")
+  .addParam("outcome", "The winning outcome: an index, yes/no for binary markets, or invalid")
+  .addOptionalParam("address", "The PredictionMarket address (defaults to the Ignition deployment)")
+  .setAction(async (args, hre) => {
+    const market = await getContract(hre, "PredictionMarket", PREDICTION_MARKET, args.address);
+    const [signer] = await hre.ethers.getSigners();
+    const marketId = parseIndex(args.market, "market ID");
+    await requireFunctions(market, "PredictionMarket", ["getOutcomeTokens", "resolutionBond"], { payable: ["resolveMarket"] });
+    const info = await getCeloMarket(market, marketId);
+
+    if (info.resolver !== signer.address) {
+      throw new Error(`Only the resolver (${info.resolver}) can resolve market ${marketId}`);
+    }
+    const { outcome, outcomeCount } = await parseOutcome(market, marketId, args.outcome);
+    if (outcome > outcomeCount) throw new Error(`Market ${marketId} has no outcome ${args.outcome}`);
+
+    const bond = await market.resolutionBond();
+    console.log(`Proposing outcome ${outcome} for market ${marketId} with a bond of ${formatCelo(hre, bond)}`);
+    return printReceipt(hre, market, await market.resolveMarket(marketId, outcome, { value: bond }));
+  });
@@ -0,0 +1,86 @@
+const { task } = require("hardhat/config");
+const { getContract, parseIndex, printReceipt } = require("./helpers");
+
+const SIMPLE_POLL = "SimplePollModule#SimplePoll";
+const POLL_FACTORY = "PollFactoryModule#PollFactory";
+
+// Poll.VotingMode values
+const ONE_PER_ADDRESS = 0;
+const TOKEN_WEIGHTED = 1;
+
+// Token-weighted polls read past votes from the token, so a plain ERC-20 (cUSD, CELO) cannot weight them.
+async function checkVotesToken(hre, token) {
+  if (!hre.ethers.isAddress(token)) throw new Error(`Invalid token address: ${token}`);
+  const votes = new hre.ethers.Contract(token, ["function clock() view returns (uint48)"], hre.ethers.provider);
+  try {
+    await votes.clock();
+  } catch {
+    throw new Error(
+      `${token} has no IERC5805 vote checkpoints: token-weighted polls need an ERC20Votes-style token, ` +
+        "not a plain ERC-20 such as cUSD or CELO"
+    );
+  }
+}
+
+task("poll:create", "Creates a poll through the deployed PollFactory")
+  .addParam("question", "The question for the poll")
+  .addParam("options", "The options, separated by commas, e.g. \"Celo,Alfajores\"")
+  .addOptionalParam(
+    "token",
+    "Weight votes by this token's delegated votes when the poll is created. The token must implement IERC5805 " +
+      "(e.g. ERC20Votes) and holders must delegate before the poll exists; plain ERC-20s such as cUSD or CELO are rejected"
+  )
+  .addOptionalParam("address", "The PollFactory address (defaults to the Ignition deployment)")
+  .setAction(async ({ question, options, token, address }, hre) => {
+    const factory = await getContract(hre, "PollFactory", POLL_FACTORY, address);
+    const labels = String(options).split(",").map((label) => label.trim());
+    if (labels.length < 2 || labels.some((label) => label === "")) {
+      throw new Error(`Invalid options "${options}": expected at least two comma-separated labels`);
+    }
+
+    const config = { mode: ONE_PER_ADDRESS, token: hre.ethers.ZeroAddress, merkleRoot: hre.ethers.ZeroHash, creditsPerVoter: 0 };
+    if (token) {
+      await checkVotesToken(hre, token);
+      Object.assign(config, { mode: TOKEN_WEIGHTED, token });
+    }
+
+    console.log(`Creating ${token ? "token-weighted " : ""}poll "${question}" with options ${labels.join(", ")}`);
+    return printReceipt(hre, factory, await factory.createWeightedPoll(question, labels, 0, 0, [], config));
+  });
+
+task("poll:vote", "Votes in the deployed SimplePoll, or in a PollFactory poll given by --poll")
+  .addParam("option", "yes/no for SimplePoll; an option index or label for factory polls")
+  .addOptionalParam("poll", "The address of a poll created through PollFactory")
+  .addOptionalParam("address", "The SimplePoll address (defaults to the Ignition deployment)")
+  .setAction(async ({ option, poll: pollAddress, address }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const choice = String(option).trim();
+
+    if (!pollAddress) {
+      const simplePoll = await getContract(hre, "SimplePoll", SIMPLE_POLL, address);
+      const answer = choice.toLowerCase();
+      if (answer !== "yes" && answer !== "no") {
+        throw new Error(`Invalid option "${option}": SimplePoll takes yes or no`);
+      }
+      if (await simplePoll.hasVoted(signer.address)) {
+        throw new Error(`${signer.address} has already voted`);
+      }
+
+      console.log(`Voting ${answer} on "${await simplePoll.question()}"`);
+      return printReceipt(hre, simplePoll, await simplePoll.vote(answer === "yes"));
+    }
+
+    const poll = await getContract(hre, "Poll", undefined, pollAddress);
+    const options = await poll.getOptions();
+    const labelIndex = options.findIndex((label) => label.toLowerCase() === choice.toLowerCase());
+    const index = labelIndex >= 0 ? BigInt(labelIndex) : parseIndex(choice, "option");
+    if (index >= BigInt(options.length)) {
+      throw new Error(`Invalid option "${option}": the poll has ${options.length} options (${options.join(", ")})`);
+    }
+    if (!(await poll.isOpen())) {
+      throw new Error("The poll is not open");
+    }
+
+    console.log(`Voting "${options[index]}" on "${await poll.question()}"`);
+    return printReceipt(hre, poll, await poll.vote(index));
+  });
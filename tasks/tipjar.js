@@ -0,0 +1,44 @@
+const { task } = require("hardhat/config");
+const { getContract, requireFunctions, parseCelo, formatCelo, printReceipt } = require("./helpers");
+
+const TIPJAR = "TipJarModule#TipJar";
+
+task("tipjar:send", "Sends a CELO tip to the TipJar")
+  .addParam("amount", "The tip in CELO, e.g. 0.5")
+  .addOptionalParam("message", "A public message to go with the tip", "")
+  .addOptionalParam("address", "The TipJar address (defaults to the Ignition deployment)")
+  .setAction(async ({ amount, message, address }, hre) => {
+    const tipJar = await getContract(hre, "TipJar", TIPJAR, address);
+    const value = parseCelo(hre, amount);
+
+    console.log(`Tipping ${formatCelo(hre, value)} to ${await tipJar.getAddress()}`);
+    return printReceipt(hre, tipJar, await tipJar.sendTip(message, { value }));
+  });
+
+task("tipjar:withdraw", "Withdraws the owner's CELO (or an ERC-20 token) from the TipJar")
+  .addOptionalParam("token", "An ERC-20 token to withdraw instead of CELO")
+  .addOptionalParam("address", "The TipJar address (defaults to the Ignition deployment)")
+  .setAction(async ({ token, address }, hre) => {
+    const tipJar = await getContract(hre, "TipJar", TIPJAR, address);
+    const [signer] = await hre.ethers.getSigners();
+
+    const owner = await tipJar.owner();
+    if (owner !== signer.address) {
+      throw new Error(`Only the owner (${owner}) can withdraw; the current signer is ${signer.address}`);
+    }
+
+    if (token) {
+      if (!hre.ethers.isAddress(token)) throw new Error(`Invalid token address: ${token}`);
+      await requireFunctions(tipJar, "TipJar", ["withdrawToken"]);
+      console.log(`Withdrawing ${token} from ${await tipJar.getAddress()}`);
+      return printReceipt(hre, tipJar, await tipJar.withdrawToken(token));
+    }
+
+    await requireFunctions(tipJar, "TipJar", ["releasable"]);
+    const releasable = await tipJar.releasable(hre.ethers.ZeroAddress, owner);
+    if (releasable === 0n) {
+      throw new Error("Nothing to withdraw");
+    }
+    console.log(`Withdrawing ${formatCelo(hre, releasable)} from ${await tipJar.getAddress()}`);
+    return printReceipt(hre, tipJar, await tipJar.withdraw());
+  });
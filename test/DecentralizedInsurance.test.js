@@ -0,0 +1,1212 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+// Enum values as declared in DecentralizedInsurance.sol
+const InsuranceType = { HEALTH: 0, PROPERTY: 1, TRAVEL: 2, CRYPTO: 3, LIFE: 4 };
+const PolicyStatus = { ACTIVE: 0, EXPIRED: 1, CANCELLED: 2, CLAIMED: 3 };
+const ClaimStatus = { PENDING: 0, INVESTIGATING: 1, APPROVED: 2, REJECTED: 3, PAID: 4 };
+const RiskLevel = { LOW: 0, MEDIUM: 1, HIGH: 2, CRITICAL: 3 };
+
+const YEAR = 365 * 24 * 60 * 60;
+
+describe("DecentralizedInsurance Contract", function () {
+
+    // Fixture to deploy the contract and set up accounts
+    async function deployInsuranceFixture() {
+        const [owner, investigator, oracle, staker1, staker2, holder1, holder2] = await ethers.getSigners();
+
+        const InsuranceFactory = await ethers.getContractFactory("DecentralizedInsurance");
+        const insurance = await InsuranceFactory.deploy();
+        await insurance.waitForDeployment();
+
+        await insurance.connect(owner).addInvestigator(investigator.address);
+        await insurance.connect(owner).addOracle(oracle.address);
+
+        return { insurance, owner, investigator, oracle, staker1, staker2, holder1, holder2 };
+    }
+
+    // Same as above, with staker1 holding 200 CELO in every pool
+    async function deployStakedInsuranceFixture() {
+        const fixture = await deployInsuranceFixture();
+        for (let i = 0; i < 5; i++) {
+            await fixture.insurance.connect(fixture.staker1).stake(i, { value: ethers.parseEther("200") });
+        }
+        return fixture;
+    }
+
+    // Buys a 90-day policy and returns its ID
+    async function buyPolicy(insurance, holder, insuranceType, coverage, riskLevel = RiskLevel.LOW, duration = 90 * 24 * 60 * 60) {
+        const premium = await insurance.calculatePremiumFor(holder.address, insuranceType, coverage, duration, riskLevel);
+        await insurance.connect(holder).createPolicy(insuranceType, coverage, duration, riskLevel, "ipfs://policy", { value: premium });
+        const policyIds = await insurance.getUserPolicies(holder.address);
+        return policyIds[policyIds.length - 1];
+    }
+
+    // Sums a numeric InsurancePool field across all five pools
+    async function sumPools(insurance, field) {
+        let total = 0n;
+        for (let i = 0; i < 5; i++) {
+            total += (await insurance.getInsurancePool(i))[field];
+        }
+        return total;
+    }
+
+    describe("Deployment", function () {
+        it("Should set the deployer as owner", async function () {
+            const { insurance, owner } = await loadFixture(deployInsuranceFixture);
+            expect(await insurance.owner()).to.equal(owner.address);
+        });
+
+        it("Should initialize every pool as active and empty", async function () {
+            const { insurance } = await loadFixture(deployInsuranceFixture);
+            for (let i = 0; i < 5; i++) {
+                const pool = await insurance.getInsurancePool(i);
+                expect(pool.active).to.be.true;
+                expect(pool.availableFunds).to.equal(0);
+                expect(pool.totalStaked).to.equal(0);
+                expect(pool.rewardRate).to.equal(1000);
+            }
+        });
+
+        it("Should initialize the premium rate table", async function () {
+            const { insurance } = await loadFixture(deployInsuranceFixture);
+            expect(await insurance.premiumRates(InsuranceType.HEALTH, RiskLevel.LOW)).to.equal(200);
+            expect(await insurance.premiumRates(InsuranceType.PROPERTY, RiskLevel.CRITICAL)).to.equal(1000);
+            expect(await insurance.premiumRates(InsuranceType.CRYPTO, RiskLevel.HIGH)).to.equal(1200);
+            expect(await insurance.premiumRates(InsuranceType.LIFE, RiskLevel.MEDIUM)).to.equal(150);
+        });
+    });
+
+    describe("Premium Calculation", function () {
+        it("Should charge the annual rate for a one-year policy", async function () {
+            const { insurance } = await loadFixture(deployInsuranceFixture);
+            const coverage = ethers.parseEther("100");
+            // Health / MEDIUM is 4% per year
+            expect(await insurance.calculatePremium(InsuranceType.HEALTH, coverage, YEAR, RiskLevel.MEDIUM))
+                .to.equal(ethers.parseEther("4"));
+        });
+
+        it("Should scale with duration and coverage", async function () {
+            const { insurance } = await loadFixture(deployInsuranceFixture);
+            const coverage = ethers.parseEther("50");
+            const duration = 73 * 24 * 60 * 60; // a fifth of a year
+            const expected = (coverage * 2000n * BigInt(duration)) / (10000n * BigInt(YEAR));
+            expect(await insurance.calculatePremium(InsuranceType.CRYPTO, coverage, duration, RiskLevel.CRITICAL))
+                .to.equal(expected);
+        });
+
+        it("Should rise with the risk level", async function () {
+            const { insurance } = await loadFixture(deployInsuranceFixture);
+            const coverage = ethers.parseEther("10");
+            let previous = 0n;
+            for (const risk of [RiskLevel.LOW, RiskLevel.MEDIUM, RiskLevel.HIGH, RiskLevel.CRITICAL]) {
+                const premium = await insurance.calculatePremium(InsuranceType.TRAVEL, coverage, YEAR, risk);
+                expect(premium).to.be.gt(previous);
+                previous = premium;
+            }
+        });
+    });
+
+    describe("Policy Creation", function () {
+        it("Should create a policy and split the premium between reserves and stakers", async function () {
+            const { insurance, holder1 } = await loadFixture(deployStakedInsuranceFixture);
+            const coverage = ethers.parseEther("100");
+            const duration = 90 * 24 * 60 * 60;
+            const premium = await insurance.calculatePremium(InsuranceType.HEALTH, coverage, duration, RiskLevel.LOW);
+            const fundsBefore = (await insurance.getInsurancePool(InsuranceType.HEALTH)).availableFunds;
+
+            await expect(insurance.connect(holder1).createPolicy(InsuranceType.HEALTH, coverage, duration, RiskLevel.LOW, "ipfs://p", { value: premium }))
+                .to.emit(insurance, "PolicyCreated")
+                .withArgs(1, holder1.address, InsuranceType.HEALTH, coverage)
+                .and.to.emit(insurance, "PremiumPaid")
+                .withArgs(1, holder1.address, premium);
+
+            const policy = await insurance.getPolicy(1);
+            expect(policy.policyholder).to.equal(holder1.address);
+            expect(policy.coverageAmount).to.equal(coverage);
+            expect(policy.premiumAmount).to.equal(premium);
+            expect(policy.endDate - policy.startDate).to.equal(duration);
+            expect(policy.status).to.equal(PolicyStatus.ACTIVE);
+            expect(policy.metadataURI).to.equal("ipfs://p");
+            expect(await insurance.getUserPolicies(holder1.address)).to.deep.equal([1n]);
+
+            // The default 10% reward rate sends a tenth of the premium to stakers
+            const rewards = premium / 10n;
+            const pool = await insurance.getInsurancePool(InsuranceType.HEALTH);
+            expect(pool.availableFunds - fundsBefore).to.equal(premium - rewards);
+            expect(pool.rewardFunds).to.equal(rewards);
+            expect(pool.totalPremiums).to.equal(premium);
+        });
+
+        it("Should refund any premium overpayment", async function () {
+            const { insurance, holder1 } = await loadFixture(deployStakedInsuranceFixture);
+            const coverage = ethers.parseEther("10");
+            const duration = 30 * 24 * 60 * 60;
+            const premium = await insurance.calculatePremium(InsuranceType.LIFE, coverage, duration, RiskLevel.LOW);
+
+            await expect(insurance.connect(holder1).createPolicy(InsuranceType.LIFE, coverage, duration, RiskLevel.LOW, "", { value: premium + ethers.parseEther("1") }))
+                .to.changeEtherBalances([holder1, insurance], [-premium, premium]);
+        });
+
+        it("Should revert if the premium is insufficient", async function () {
+            const { insurance, holder1 } = await loadFixture(deployStakedInsuranceFixture);
+            const coverage = ethers.parseEther("10");
+            const duration = 30 * 24 * 60 * 60;
+            const premium = await insurance.calculatePremium(InsuranceType.LIFE, coverage, duration, RiskLevel.LOW);
+            await expect(insurance.connect(holder1).createPolicy(InsuranceType.LIFE, coverage, duration, RiskLevel.LOW, "", { value: premium - 1n }))
+                .to.be.revertedWith("Insufficient premium payment");
+        });
+
+        it("Should enforce the duration limits and a positive coverage", async function () {
+            const { insurance, holder1 } = await loadFixture(deployStakedInsuranceFixture);
+            const value = ethers.parseEther("10");
+            await expect(insurance.connect(holder1).createPolicy(InsuranceType.HEALTH, 0, YEAR, RiskLevel.LOW, "", { value }))
+                .to.be.revertedWith("Coverage amount must be positive");
+            await expect(insurance.connect(holder1).createPolicy(InsuranceType.HEALTH, 1000, 29 * 24 * 60 * 60, RiskLevel.LOW, "", { value }))
+                .to.be.revertedWith("Minimum duration is 30 days");
+            await expect(insurance.connect(holder1).createPolicy(InsuranceType.HEALTH, 1000, YEAR + 1, RiskLevel.LOW, "", { value }))
+                .to.be.revertedWith("Maximum duration is 365 days");
+        });
+
+        it("Should cap coverage at 80% of the pool's available funds", async function () {
+            const { insurance, holder1 } = await loadFixture(deployStakedInsuranceFixture);
+            // Each pool holds 200 CELO of stake
+            const maxCoverage = ethers.parseEther("160");
+            await buyPolicy(insurance, holder1, InsuranceType.PROPERTY, maxCoverage);
+
+            const tooMuch = ethers.parseEther("1000");
+            await expect(insurance.connect(holder1).createPolicy(InsuranceType.PROPERTY, tooMuch, YEAR, RiskLevel.LOW, "", { value: ethers.parseEther("100") }))
+                .to.be.revertedWith("Coverage exceeds pool capacity");
+        });
+
+        it("Should revert without any staked capacity", async function () {
+            const { insurance, holder1 } = await loadFixture(deployInsuranceFixture);
+            await expect(insurance.connect(holder1).createPolicy(InsuranceType.HEALTH, 1000, YEAR, RiskLevel.LOW, "", { value: 1000 }))
+                .to.be.revertedWith("Coverage exceeds pool capacity");
+        });
+
+        it("Should revert for an inactive insurance type", async function () {
+            const { insurance, owner, holder1 } = await loadFixture(deployStakedInsuranceFixture);
+            await insurance.connect(owner).togglePoolStatus(InsuranceType.TRAVEL);
+            await expect(insurance.connect(holder1).createPolicy(InsuranceType.TRAVEL, 1000, YEAR, RiskLevel.LOW, "", { value: 1000 }))
+                .to.be.revertedWith("Insurance type not active");
+        });
+    });
+
+    describe("Claims Lifecycle", function () {
+        const coverage = ethers.parseEther("100");
+        let fixture;
+        beforeEach(async function () {
+            fixture = await loadFixture(deployStakedInsuranceFixture);
+            const { insurance, holder1 } = fixture;
+            fixture.policyId = await buyPolicy(insurance, holder1, InsuranceType.HEALTH, coverage);
+        });
+
+        it("Should let the policyholder submit a claim", async function () {
+            const { insurance, holder1, policyId } = fixture;
+            const claimAmount = ethers.parseEther("40");
+
+            await expect(insurance.connect(holder1).submitClaim(policyId, claimAmount, "ipfs://evidence"))
+                .to.emit(insurance, "ClaimSubmitted")
+                .withArgs(1, policyId, holder1.address, claimAmount);
+
+            const claim = await insurance.getClaim(1);
+            expect(claim.status).to.equal(ClaimStatus.PENDING);
+            expect(claim.claimAmount).to.equal(claimAmount);
+            expect(claim.investigationDeadline - claim.submissionDate).to.equal(7 * 24 * 60 * 60);
+            expect(await insurance.getUserClaims(holder1.address)).to.deep.equal([1n]);
+        });
+
+        it("Should reject invalid claims", async function () {
+            const { insurance, holder1, holder2, policyId } = fixture;
+            await expect(insurance.connect(holder2).submitClaim(policyId, 1, ""))
+                .to.be.revertedWith("Not policy holder");
+            await expect(insurance.connect(holder1).submitClaim(policyId, 0, ""))
+                .to.be.revertedWith("Claim amount must be positive");
+            await expect(insurance.connect(holder1).submitClaim(policyId, coverage + 1n, ""))
+                .to.be.revertedWith("Claim exceeds coverage");
+            await expect(insurance.connect(holder1).submitClaim(99, 1, ""))
+                .to.be.revertedWith("Invalid policy ID");
+        });
+
+        it("Should reject claims on an expired policy", async function () {
+            const { insurance, holder1, policyId } = fixture;
+            await time.increase(91 * 24 * 60 * 60);
+            await expect(insurance.connect(holder1).submitClaim(policyId, 1, ""))
+                .to.be.revertedWith("Policy expired");
+        });
+
+        it("Should approve and pay a claim after investigation", async function () {
+            const { insurance, investigator, holder1, policyId } = fixture;
+            await insurance.connect(holder1).submitClaim(policyId, ethers.parseEther("40"), "ipfs://evidence");
+            const approved = ethers.parseEther("30");
+
+            await expect(insurance.connect(investigator).investigateClaim(1, ClaimStatus.APPROVED, approved, ""))
+                .to.emit(insurance, "ClaimInvestigated")
+                .withArgs(1, investigator.address, ClaimStatus.APPROVED);
+
+            const fundsBefore = (await insurance.getInsurancePool(InsuranceType.HEALTH)).availableFunds;
+            const tx = insurance.payClaim(1);
+            await expect(tx)
+                .to.emit(insurance, "ClaimPaid")
+                .withArgs(1, holder1.address, approved);
+            await expect(tx).to.changeEtherBalances([holder1, insurance], [approved, -approved]);
+
+            const claim = await insurance.getClaim(1);
+            expect(claim.status).to.equal(ClaimStatus.PAID);
+            expect(claim.investigator).to.equal(investigator.address);
+
+            const policy = await insurance.getPolicy(policyId);
+            expect(policy.claimsCount).to.equal(1);
+            expect(policy.totalClaimsAmount).to.equal(approved);
+
+            const pool = await insurance.getInsurancePool(InsuranceType.HEALTH);
+            expect(fundsBefore - pool.availableFunds).to.equal(approved);
+            expect(pool.totalClaims).to.equal(approved);
+
+            await expect(insurance.payClaim(1)).to.be.revertedWith("Claim not approved");
+        });
+
+        it("Should record rejections with a reason", async function () {
+            const { insurance, investigator, holder1, policyId } = fixture;
+            await insurance.connect(holder1).submitClaim(policyId, ethers.parseEther("40"), "");
+
+            await expect(insurance.connect(investigator).investigateClaim(1, ClaimStatus.REJECTED, 0, ""))
+                .to.be.revertedWith("Rejection reason required");
+            await insurance.connect(investigator).investigateClaim(1, ClaimStatus.REJECTED, 0, "No evidence");
+
+            const claim = await insurance.getClaim(1);
+            expect(claim.status).to.equal(ClaimStatus.REJECTED);
+            expect(claim.rejectionReason).to.equal("No evidence");
+            await expect(insurance.payClaim(1)).to.be.revertedWith("Claim not approved");
+        });
+
+        it("Should validate investigation decisions", async function () {
+            const { insurance, investigator, holder1, holder2, policyId } = fixture;
+            await insurance.connect(holder1).submitClaim(policyId, ethers.parseEther("40"), "");
+
+            await expect(insurance.connect(holder2).investigateClaim(1, ClaimStatus.APPROVED, 1, ""))
+                .to.be.revertedWith("Not authorized investigator");
+            await expect(insurance.connect(investigator).investigateClaim(1, ClaimStatus.PAID, 1, ""))
+                .to.be.revertedWith("Invalid decision");
+            await expect(insurance.connect(investigator).investigateClaim(1, ClaimStatus.APPROVED, ethers.parseEther("41"), ""))
+                .to.be.revertedWith("Invalid approved amount");
+            await expect(insurance.connect(investigator).investigateClaim(2, ClaimStatus.APPROVED, 1, ""))
+                .to.be.revertedWith("Invalid claim ID");
+
+            await time.increase(8 * 24 * 60 * 60);
+            await expect(insurance.connect(investigator).investigateClaim(1, ClaimStatus.APPROVED, 1, ""))
+                .to.be.revertedWith("Investigation period expired");
+        });
+
+        it("Should let an oracle approve claims up to its limit", async function () {
+            const { insurance, oracle, holder1, holder2, policyId } = fixture;
+            await insurance.connect(holder1).submitClaim(policyId, ethers.parseEther("40"), "");
+
+            await expect(insurance.connect(holder2).oracleApproveClaim(1, 1))
+                .to.be.revertedWith("Not authorized oracle");
+            await expect(insurance.connect(oracle).oracleApproveClaim(1, ethers.parseEther("41")))
+                .to.be.revertedWith("Approved amount exceeds claim");
+
+            await insurance.connect(oracle).oracleApproveClaim(1, ethers.parseEther("25"));
+            const claim = await insurance.getClaim(1);
+            expect(claim.status).to.equal(ClaimStatus.APPROVED);
+            expect(claim.investigator).to.equal(oracle.address);
+
+            await expect(insurance.payClaim(1)).to.changeEtherBalance(holder1, ethers.parseEther("25"));
+        });
+
+        it("Should refuse oracle approvals above 1000 CELO", async function () {
+            const { insurance, oracle, staker2, holder2 } = fixture;
+            await insurance.connect(staker2).stake(InsuranceType.HEALTH, { value: ethers.parseEther("1800") });
+            const bigPolicy = await buyPolicy(insurance, holder2, InsuranceType.HEALTH, ethers.parseEther("1500"));
+            await insurance.connect(holder2).submitClaim(bigPolicy, ethers.parseEther("1500"), "");
+
+            await expect(insurance.connect(oracle).oracleApproveClaim(1, ethers.parseEther("1001")))
+                .to.be.revertedWith("Oracle approval limit exceeded");
+        });
+
+        it("Should only pay a claim the pool can cover", async function () {
+            const { insurance, investigator, holder1, policyId } = fixture;
+            // Three full claims on the same policy exceed the health pool's funds
+            for (let claimId = 1; claimId <= 3; claimId++) {
+                await insurance.connect(holder1).submitClaim(policyId, coverage, "");
+                await insurance.connect(investigator).investigateClaim(claimId, ClaimStatus.APPROVED, coverage, "");
+            }
+
+            await insurance.payClaim(1);
+            await insurance.payClaim(2);
+            await expect(insurance.payClaim(3)).to.be.revertedWith("Insufficient pool funds");
+        });
+    });
+
+    describe("Policy Lifecycle", function () {
+        const coverage = ethers.parseEther("100");
+        const duration = 100 * 24 * 60 * 60;
+
+        it("Should count new coverage against the pool's capacity", async function () {
+            const { insurance, holder1, holder2 } = await loadFixture(deployStakedInsuranceFixture);
+            await buyPolicy(insurance, holder1, InsuranceType.HEALTH, coverage);
+            expect(await insurance.getActiveCoverage(InsuranceType.HEALTH)).to.equal(coverage);
+
+            // 160 CELO of capacity minus the 100 CELO already written
+            await expect(insurance.connect(holder2).createPolicy(InsuranceType.HEALTH, ethers.parseEther("61"), YEAR, RiskLevel.LOW, "", { value: ethers.parseEther("10") }))
+                .to.be.revertedWith("Coverage exceeds pool capacity");
+            await buyPolicy(insurance, holder2, InsuranceType.HEALTH, ethers.parseEther("60"));
+        });
+
+        it("Should let anyone expire ended policies and release their coverage", async function () {
+            const { insurance, holder1, holder2 } = await loadFixture(deployStakedInsuranceFixture);
+            const shortPolicy = await buyPolicy(insurance, holder1, InsuranceType.HEALTH, coverage, RiskLevel.LOW, 30 * 24 * 60 * 60);
+            const longPolicy = await buyPolicy(insurance, holder1, InsuranceType.HEALTH, ethers.parseEther("50"), RiskLevel.LOW, YEAR);
+            await time.increase(31 * 24 * 60 * 60);
+
+            // Unknown and still-running policies are skipped
+            await expect(insurance.connect(holder2).expirePolicies([shortPolicy, longPolicy, 0, 99]))
+                .to.emit(insurance, "PolicyExpired")
+                .withArgs(shortPolicy);
+
+            expect((await insurance.getPolicy(shortPolicy)).status).to.equal(PolicyStatus.EXPIRED);
+            expect((await insurance.getPolicy(longPolicy)).status).to.equal(PolicyStatus.ACTIVE);
+            expect(await insurance.getActiveCoverage(InsuranceType.HEALTH)).to.equal(ethers.parseEther("50"));
+
+            // Sweeping again is a no-op
+            await expect(insurance.expirePolicies([shortPolicy])).to.not.emit(insurance, "PolicyExpired");
+            expect(await insurance.getActiveCoverage(InsuranceType.HEALTH)).to.equal(ethers.parseEther("50"));
+        });
+
+        it("Should refund the unused reserve part of the premium pro rata on cancellation", async function () {
+            const { insurance, holder1 } = await loadFixture(deployStakedInsuranceFixture);
+            const policyId = await buyPolicy(insurance, holder1, InsuranceType.PROPERTY, coverage, RiskLevel.HIGH, duration);
+            const policy = await insurance.getPolicy(policyId);
+            const poolBefore = await insurance.getInsurancePool(InsuranceType.PROPERTY);
+
+            // The stakers' share of the premium was already paid out as rewards and is not refunded
+            const reserve = policy.premiumAmount - (policy.premiumAmount * poolBefore.rewardRate) / 10000n;
+            expect(await insurance.policyReserves(policyId)).to.equal(reserve);
+
+            await time.increaseTo(policy.startDate + BigInt(duration / 4) - 1n);
+            const refund = (reserve * 3n) / 4n;
+
+            const tx = insurance.connect(holder1).cancelPolicy(policyId);
+            await expect(tx)
+                .to.emit(insurance, "PolicyCancelled")
+                .withArgs(policyId, holder1.address, refund);
+            await expect(tx).to.changeEtherBalances([holder1, insurance], [refund, -refund]);
+
+            expect((await insurance.getPolicy(policyId)).status).to.equal(PolicyStatus.CANCELLED);
+            const pool = await insurance.getInsurancePool(InsuranceType.PROPERTY);
+            expect(pool.activeCoverage).to.equal(0);
+            expect(poolBefore.availableFunds - pool.availableFunds).to.equal(refund);
+            expect(poolBefore.totalPremiums - pool.totalPremiums).to.equal(refund);
+            expect(pool.rewardFunds).to.equal(poolBefore.rewardFunds);
+
+            await expect(insurance.connect(holder1).submitClaim(policyId, 1, ""))
+                .to.be.revertedWith("Policy not active");
+            await expect(insurance.connect(holder1).cancelPolicy(policyId))
+                .to.be.revertedWith("Policy not active");
+        });
+
+        it("Should only cancel the holder's unexpired, unclaimed policies", async function () {
+            const { insurance, investigator, holder1, holder2 } = await loadFixture(deployStakedInsuranceFixture);
+            const policyId = await buyPolicy(insurance, holder1, InsuranceType.HEALTH, coverage);
+
+            await expect(insurance.connect(holder2).cancelPolicy(policyId))
+                .to.be.revertedWith("Not policy holder");
+
+            await insurance.connect(holder1).submitClaim(policyId, ethers.parseEther("10"), "");
+            await expect(insurance.connect(holder1).cancelPolicy(policyId))
+                .to.be.revertedWith("Policy has open or paid claims");
+
+            // A rejected claim no longer blocks cancellation
+            await insurance.connect(investigator).investigateClaim(1, ClaimStatus.REJECTED, 0, "Not covered");
+            await insurance.connect(holder1).cancelPolicy(policyId);
+
+            const expiring = await buyPolicy(insurance, holder1, InsuranceType.HEALTH, coverage);
+            await time.increase(91 * 24 * 60 * 60);
+            await expect(insurance.connect(holder1).cancelPolicy(expiring))
+                .to.be.revertedWith("Policy expired");
+        });
+
+        it("Should renew a policy at the current premium rates", async function () {
+            const { insurance, owner, holder1 } = await loadFixture(deployStakedInsuranceFixture);
+            const policyId = await buyPolicy(insurance, holder1, InsuranceType.TRAVEL, coverage, RiskLevel.MEDIUM, duration);
+            const before = await insurance.getPolicy(policyId);
+
+            await insurance.connect(owner).updatePremiumRate(InsuranceType.TRAVEL, RiskLevel.MEDIUM, 600);
+            const extension = 60 * 24 * 60 * 60;
+            const premium = await insurance.calculatePremium(InsuranceType.TRAVEL, coverage, extension, RiskLevel.MEDIUM);
+            expect(premium).to.equal((coverage * 600n * BigInt(extension)) / (10000n * BigInt(YEAR)));
+
+            const tx = insurance.connect(holder1).renewPolicy(policyId, extension, { value: premium + ethers.parseEther("1") });
+            await expect(tx)
+                .to.emit(insurance, "PolicyRenewed")
+                .withArgs(policyId, before.endDate + BigInt(extension), premium);
+            await expect(tx).to.changeEtherBalance(holder1, -premium);
+
+            const after = await insurance.getPolicy(policyId);
+            expect(after.endDate).to.equal(before.endDate + BigInt(extension));
+            expect(after.premiumAmount).to.equal(before.premiumAmount + premium);
+            // Renewal keeps the coverage that is already committed
+            expect(await insurance.getActiveCoverage(InsuranceType.TRAVEL)).to.equal(coverage);
+        });
+
+        it("Should validate renewals", async function () {
+            const { insurance, holder1, holder2 } = await loadFixture(deployStakedInsuranceFixture);
+            const policyId = await buyPolicy(insurance, holder1, InsuranceType.TRAVEL, coverage, RiskLevel.LOW, duration);
+            const value = ethers.parseEther("10");
+
+            await expect(insurance.connect(holder2).renewPolicy(policyId, 30 * 24 * 60 * 60, { value }))
+                .to.be.revertedWith("Not policy holder");
+            await expect(insurance.connect(holder1).renewPolicy(policyId, 29 * 24 * 60 * 60, { value }))
+                .to.be.revertedWith("Minimum duration is 30 days");
+            await expect(insurance.connect(holder1).renewPolicy(policyId, 300 * 24 * 60 * 60, { value }))
+                .to.be.revertedWith("Maximum duration is 365 days");
+            await expect(insurance.connect(holder1).renewPolicy(policyId, 30 * 24 * 60 * 60, { value: 1 }))
+                .to.be.revertedWith("Insufficient premium payment");
+
+            await time.increase(duration + 1);
+            await expect(insurance.connect(holder1).renewPolicy(policyId, 30 * 24 * 60 * 60, { value }))
+                .to.be.revertedWith("Policy expired");
+        });
+    });
+
+    describe("Staking", function () {
+        it("Should add a stake to the chosen pool only", async function () {
+            const { insurance, staker1 } = await loadFixture(deployInsuranceFixture);
+            const amount = ethers.parseEther("500");
+
+            await expect(insurance.connect(staker1).stake(InsuranceType.CRYPTO, { value: amount }))
+                .to.emit(insurance, "StakeDeposited")
+                .withArgs(staker1.address, InsuranceType.CRYPTO, amount);
+
+            expect((await insurance.getStakeInfo(staker1.address, InsuranceType.CRYPTO)).amount).to.equal(amount);
+            expect(await insurance.getTotalStake(staker1.address)).to.equal(amount);
+            for (let i = 0; i < 5; i++) {
+                const pool = await insurance.getInsurancePool(i);
+                const expected = i === InsuranceType.CRYPTO ? amount : 0n;
+                expect(pool.totalStaked).to.equal(expected);
+                expect(pool.availableFunds).to.equal(expected);
+            }
+        });
+
+        it("Should keep the full amount of stakes that are not multiples of five", async function () {
+            const { insurance, staker1 } = await loadFixture(deployInsuranceFixture);
+            const amount = ethers.parseEther("100") + 3n;
+            await insurance.connect(staker1).stake(InsuranceType.LIFE, { value: amount });
+            expect(await insurance.getTotalPoolFunds()).to.equal(amount);
+
+            await insurance.connect(staker1).withdrawStake(InsuranceType.LIFE, ethers.parseEther("10") + 4n);
+            const remaining = ethers.parseEther("90") - 1n;
+            expect(await insurance.getTotalPoolFunds()).to.equal(remaining);
+            expect(await ethers.provider.getBalance(await insurance.getAddress())).to.equal(remaining);
+        });
+
+        it("Should enforce the minimum stake and an active pool", async function () {
+            const { insurance, owner, staker1 } = await loadFixture(deployInsuranceFixture);
+            await expect(insurance.connect(staker1).stake(InsuranceType.HEALTH, { value: ethers.parseEther("99") }))
+                .to.be.revertedWith("Minimum stake amount not met");
+
+            await insurance.connect(owner).togglePoolStatus(InsuranceType.HEALTH);
+            await expect(insurance.connect(staker1).stake(InsuranceType.HEALTH, { value: ethers.parseEther("100") }))
+                .to.be.revertedWith("Insurance type not active");
+        });
+
+        it("Should allow withdrawing an uncommitted stake", async function () {
+            const { insurance, staker1 } = await loadFixture(deployStakedInsuranceFixture);
+            const amount = ethers.parseEther("150");
+
+            const tx = insurance.connect(staker1).withdrawStake(InsuranceType.TRAVEL, amount);
+            await expect(tx)
+                .to.emit(insurance, "StakeWithdrawn")
+                .withArgs(staker1.address, InsuranceType.TRAVEL, amount);
+            await expect(tx).to.changeEtherBalances([staker1, insurance], [amount, -amount]);
+
+            expect((await insurance.getStakeInfo(staker1.address, InsuranceType.TRAVEL)).amount).to.equal(ethers.parseEther("50"));
+            expect((await insurance.getInsurancePool(InsuranceType.TRAVEL)).availableFunds).to.equal(ethers.parseEther("50"));
+            expect(await insurance.getTotalStake(staker1.address)).to.equal(ethers.parseEther("850"));
+        });
+
+        it("Should reject invalid withdrawals", async function () {
+            const { insurance, staker1, staker2 } = await loadFixture(deployStakedInsuranceFixture);
+            await expect(insurance.connect(staker2).withdrawStake(InsuranceType.HEALTH, 1))
+                .to.be.revertedWith("Insufficient stake");
+            await expect(insurance.connect(staker1).withdrawStake(InsuranceType.HEALTH, ethers.parseEther("201")))
+                .to.be.revertedWith("Insufficient stake");
+            await expect(insurance.connect(staker1).withdrawStake(InsuranceType.HEALTH, 0))
+                .to.be.revertedWith("Amount must be positive");
+        });
+
+        it("Should block withdrawals that would leave a pool's coverage underfunded", async function () {
+            const { insurance, staker1, holder1 } = await loadFixture(deployStakedInsuranceFixture);
+            // 160 CELO of property coverage needs 128 CELO to stay in the property pool
+            await buyPolicy(insurance, holder1, InsuranceType.PROPERTY, ethers.parseEther("160"));
+            expect(await insurance.getActiveCoverage(InsuranceType.PROPERTY)).to.equal(ethers.parseEther("160"));
+            expect(await insurance.getTotalActiveCoverage()).to.equal(ethers.parseEther("160"));
+
+            const funds = (await insurance.getInsurancePool(InsuranceType.PROPERTY)).availableFunds;
+            const maxWithdrawal = funds - ethers.parseEther("128");
+            await expect(insurance.connect(staker1).withdrawStake(InsuranceType.PROPERTY, maxWithdrawal + 1n))
+                .to.be.revertedWith("Withdrawal would affect solvency");
+            await insurance.connect(staker1).withdrawStake(InsuranceType.PROPERTY, maxWithdrawal);
+
+            // Other pools are unaffected by property coverage
+            await insurance.connect(staker1).withdrawStake(InsuranceType.HEALTH, ethers.parseEther("200"));
+        });
+
+        it("Should free staked funds once ended policies are expired", async function () {
+            const { insurance, staker1, holder1 } = await loadFixture(deployStakedInsuranceFixture);
+            const policyId = await buyPolicy(insurance, holder1, InsuranceType.LIFE, ethers.parseEther("160"));
+
+            await time.increase(91 * 24 * 60 * 60);
+            await expect(insurance.connect(staker1).withdrawStake(InsuranceType.LIFE, ethers.parseEther("200")))
+                .to.be.revertedWith("Withdrawal would affect solvency");
+
+            await insurance.expirePolicies([policyId]);
+            await insurance.connect(staker1).withdrawStake(InsuranceType.LIFE, ethers.parseEther("200"));
+        });
+    });
+
+    describe("Staking Rewards", function () {
+        const coverage = ethers.parseEther("100");
+
+        it("Should not accrue rewards from time alone", async function () {
+            const { insurance, staker1 } = await loadFixture(deployStakedInsuranceFixture);
+            await time.increase(YEAR);
+            expect(await insurance.calculatePendingRewards(staker1.address)).to.equal(0);
+            await expect(insurance.connect(staker1).claimRewards())
+                .to.be.revertedWith("No rewards to claim");
+        });
+
+        it("Should share a pool's premium income pro rata to stake", async function () {
+            const { insurance, staker1, staker2, holder1 } = await loadFixture(deployStakedInsuranceFixture);
+            // staker1 holds 200 CELO and staker2 600 CELO of the health pool
+            await insurance.connect(staker2).stake(InsuranceType.HEALTH, { value: ethers.parseEther("600") });
+
+            await expect(insurance.connect(holder1).createPolicy(InsuranceType.HEALTH, coverage, YEAR, RiskLevel.MEDIUM, "", { value: ethers.parseEther("4") }))
+                .to.emit(insurance, "RewardsDistributed")
+                .withArgs(InsuranceType.HEALTH, ethers.parseEther("0.4"));
+
+            expect(await insurance.calculatePendingRewards(staker1.address)).to.equal(ethers.parseEther("0.1"));
+            expect(await insurance.calculatePendingRewards(staker2.address)).to.equal(ethers.parseEther("0.3"));
+        });
+
+        it("Should only reward stakers of the pool that earned the premium", async function () {
+            const { insurance, staker2, holder1 } = await loadFixture(deployStakedInsuranceFixture);
+            await insurance.connect(staker2).stake(InsuranceType.TRAVEL, { value: ethers.parseEther("200") });
+            await buyPolicy(insurance, holder1, InsuranceType.HEALTH, coverage);
+            expect(await insurance.calculatePendingRewards(staker2.address)).to.equal(0);
+        });
+
+        it("Should not reward stake added after the premium was paid", async function () {
+            const { insurance, staker1, staker2, holder1 } = await loadFixture(deployStakedInsuranceFixture);
+            await insurance.connect(holder1).createPolicy(InsuranceType.HEALTH, coverage, YEAR, RiskLevel.MEDIUM, "", { value: ethers.parseEther("4") });
+            await insurance.connect(staker2).stake(InsuranceType.HEALTH, { value: ethers.parseEther("200") });
+
+            expect(await insurance.calculatePendingRewards(staker1.address)).to.equal(ethers.parseEther("0.4"));
+            expect(await insurance.calculatePendingRewards(staker2.address)).to.equal(0);
+
+            // Rewards already earned survive a later top-up or withdrawal
+            await insurance.connect(staker1).stake(InsuranceType.HEALTH, { value: ethers.parseEther("200") });
+            await insurance.connect(staker1).withdrawStake(InsuranceType.HEALTH, ethers.parseEther("100"));
+            expect(await insurance.calculatePendingRewards(staker1.address)).to.equal(ethers.parseEther("0.4"));
+        });
+
+        it("Should use the pool's configured reward rate", async function () {
+            const { insurance, owner, staker1, holder1 } = await loadFixture(deployStakedInsuranceFixture);
+            await insurance.connect(owner).updatePoolRewardRate(InsuranceType.HEALTH, 2000);
+            await insurance.connect(holder1).createPolicy(InsuranceType.HEALTH, coverage, YEAR, RiskLevel.MEDIUM, "", { value: ethers.parseEther("4") });
+            expect(await insurance.calculatePendingRewards(staker1.address)).to.equal(ethers.parseEther("0.8"));
+        });
+
+        it("Should pay rewards out of the pool's reward funds", async function () {
+            const { insurance, staker1, holder1 } = await loadFixture(deployStakedInsuranceFixture);
+            await insurance.connect(holder1).createPolicy(InsuranceType.HEALTH, coverage, YEAR, RiskLevel.MEDIUM, "", { value: ethers.parseEther("4") });
+            await insurance.connect(holder1).createPolicy(InsuranceType.LIFE, coverage, YEAR, RiskLevel.MEDIUM, "", { value: ethers.parseEther("1.5") });
+            const expected = ethers.parseEther("0.55");
+            const fundsBefore = await insurance.getTotalPoolFunds();
+
+            const tx = insurance.connect(staker1).claimRewards();
+            await expect(tx).to.emit(insurance, "RewardsClaimed").withArgs(staker1.address, expected);
+            await expect(tx).to.changeEtherBalances([staker1, insurance], [expected, -expected]);
+
+            expect(await insurance.getTotalPoolFunds()).to.equal(fundsBefore);
+            expect(await sumPools(insurance, "rewardFunds")).to.equal(0);
+            expect(await insurance.calculatePendingRewards(staker1.address)).to.equal(0);
+            await expect(insurance.connect(staker1).claimRewards())
+                .to.be.revertedWith("No rewards to claim");
+        });
+    });
+
+    describe("Fraud Tracking", function () {
+        const coverage = ethers.parseEther("50");
+
+        // Files a claim on the policy, rejects it and reports it as fraud
+        async function reportFraudOn(insurance, investigator, holder, policyId) {
+            await insurance.connect(holder).submitClaim(policyId, ethers.parseEther("1"), "");
+            const claimIds = await insurance.getUserClaims(holder.address);
+            const claimId = claimIds[claimIds.length - 1];
+            await insurance.connect(investigator).investigateClaim(claimId, ClaimStatus.REJECTED, 0, "Forged");
+            await insurance.connect(investigator).reportFraud(claimId);
+            return claimId;
+        }
+
+        it("Should only let investigators report rejected claims once", async function () {
+            const { insurance, investigator, holder1 } = await loadFixture(deployStakedInsuranceFixture);
+            const policyId = await buyPolicy(insurance, holder1, InsuranceType.HEALTH, coverage);
+            await insurance.connect(holder1).submitClaim(policyId, ethers.parseEther("10"), "");
+
+            await expect(insurance.connect(investigator).reportFraud(1))
+                .to.be.revertedWith("Claim must be rejected first");
+            await insurance.connect(investigator).investigateClaim(1, ClaimStatus.REJECTED, 0, "Forged");
+            await expect(insurance.connect(holder1).reportFraud(1))
+                .to.be.revertedWith("Not authorized investigator");
+            await expect(insurance.connect(investigator).reportFraud(1))
+                .to.emit(insurance, "FraudDetected")
+                .withArgs(1, holder1.address);
+            await expect(insurance.connect(investigator).reportFraud(1))
+                .to.be.revertedWith("Fraud already reported");
+
+            const record = await insurance.getFraudRecord(holder1.address);
+            expect(record.claimIds).to.deep.equal([1n]);
+            expect(record.lastReportedAt).to.be.gt(0);
+            expect(await insurance.fraudReported(1)).to.be.true;
+            expect(await insurance.getFraudReportCount(holder1.address)).to.equal(1);
+        });
+
+        it("Should cut the coverage of the claimant's active policies", async function () {
+            const { insurance, investigator, holder1, holder2 } = await loadFixture(deployStakedInsuranceFixture);
+            const healthPolicy = await buyPolicy(insurance, holder1, InsuranceType.HEALTH, coverage);
+            const travelPolicy = await buyPolicy(insurance, holder1, InsuranceType.TRAVEL, ethers.parseEther("20"));
+            const cancelled = await buyPolicy(insurance, holder1, InsuranceType.TRAVEL, ethers.parseEther("30"));
+            await insurance.connect(holder1).cancelPolicy(cancelled);
+            const otherPolicy = await buyPolicy(insurance, holder2, InsuranceType.HEALTH, coverage);
+
+            await insurance.connect(holder1).submitClaim(healthPolicy, ethers.parseEther("1"), "");
+            await insurance.connect(investigator).investigateClaim(1, ClaimStatus.REJECTED, 0, "Forged");
+            await expect(insurance.connect(investigator).reportFraud(1))
+                .to.emit(insurance, "FraudPenaltyApplied")
+                .withArgs(healthPolicy, holder1.address, ethers.parseEther("5"))
+                .and.to.emit(insurance, "FraudPenaltyApplied")
+                .withArgs(travelPolicy, holder1.address, ethers.parseEther("2"));
+
+            expect((await insurance.getPolicy(healthPolicy)).coverageAmount).to.equal(ethers.parseEther("45"));
+            expect((await insurance.getPolicy(travelPolicy)).coverageAmount).to.equal(ethers.parseEther("18"));
+            expect((await insurance.getPolicy(cancelled)).coverageAmount).to.equal(ethers.parseEther("30"));
+            expect((await insurance.getPolicy(otherPolicy)).coverageAmount).to.equal(coverage);
+
+            expect(await insurance.getActiveCoverage(InsuranceType.HEALTH)).to.equal(ethers.parseEther("95"));
+            expect(await insurance.getActiveCoverage(InsuranceType.TRAVEL)).to.equal(ethers.parseEther("18"));
+        });
+
+        it("Should price flagged addresses one risk tier higher per report", async function () {
+            const { insurance, investigator, holder1, holder2 } = await loadFixture(deployStakedInsuranceFixture);
+            const policyId = await buyPolicy(insurance, holder1, InsuranceType.HEALTH, coverage, RiskLevel.LOW, YEAR);
+            await reportFraudOn(insurance, investigator, holder1, policyId);
+
+            expect(await insurance.getEffectiveRiskLevel(holder1.address, RiskLevel.LOW)).to.equal(RiskLevel.MEDIUM);
+            expect(await insurance.getEffectiveRiskLevel(holder2.address, RiskLevel.LOW)).to.equal(RiskLevel.LOW);
+            expect(await insurance.getEffectiveRiskLevel(holder1.address, RiskLevel.CRITICAL)).to.equal(RiskLevel.CRITICAL);
+
+            const basePremium = await insurance.calculatePremium(InsuranceType.HEALTH, coverage, YEAR, RiskLevel.LOW);
+            const flaggedPremium = await insurance.calculatePremiumFor(holder1.address, InsuranceType.HEALTH, coverage, YEAR, RiskLevel.LOW);
+            expect(flaggedPremium).to.equal(await insurance.calculatePremium(InsuranceType.HEALTH, coverage, YEAR, RiskLevel.MEDIUM));
+            expect(flaggedPremium).to.be.gt(basePremium);
+
+            await expect(insurance.connect(holder1).createPolicy(InsuranceType.HEALTH, coverage, YEAR, RiskLevel.LOW, "", { value: basePremium }))
+                .to.be.revertedWith("Insufficient premium payment");
+            await insurance.connect(holder1).createPolicy(InsuranceType.HEALTH, coverage, YEAR, RiskLevel.LOW, "", { value: flaggedPremium });
+
+            await reportFraudOn(insurance, investigator, holder1, policyId);
+            expect(await insurance.getEffectiveRiskLevel(holder1.address, RiskLevel.LOW)).to.equal(RiskLevel.HIGH);
+        });
+
+        it("Should block cover for addresses with too many reports", async function () {
+            const { insurance, investigator, holder1 } = await loadFixture(deployStakedInsuranceFixture);
+            const policyId = await buyPolicy(insurance, holder1, InsuranceType.HEALTH, coverage);
+            for (let i = 0; i < 2; i++) {
+                await reportFraudOn(insurance, investigator, holder1, policyId);
+            }
+            expect(await insurance.isBlocked(holder1.address)).to.be.false;
+
+            await reportFraudOn(insurance, investigator, holder1, policyId);
+            expect(await insurance.getFraudReportCount(holder1.address)).to.equal(await insurance.MAX_FRAUD_REPORTS());
+            expect(await insurance.isBlocked(holder1.address)).to.be.true;
+
+            const value = ethers.parseEther("10");
+            await expect(insurance.connect(holder1).createPolicy(InsuranceType.HEALTH, coverage, YEAR, RiskLevel.LOW, "", { value }))
+                .to.be.revertedWith("Address blocked for fraud");
+            await expect(insurance.connect(holder1).renewPolicy(policyId, 30 * 24 * 60 * 60, { value }))
+                .to.be.revertedWith("Address blocked for fraud");
+        });
+
+        it("Should let the owner clear a record on appeal", async function () {
+            const { insurance, owner, investigator, holder1, holder2 } = await loadFixture(deployStakedInsuranceFixture);
+            await expect(insurance.connect(holder1).fileFraudAppeal("Mistake"))
+                .to.be.revertedWith("No fraud record");
+
+            const policyId = await buyPolicy(insurance, holder1, InsuranceType.HEALTH, coverage);
+            const claimId = await reportFraudOn(insurance, investigator, holder1, policyId);
+
+            await expect(insurance.connect(holder1).fileFraudAppeal(""))
+                .to.be.revertedWith("Appeal reason required");
+            await expect(insurance.connect(holder1).fileFraudAppeal("Receipts attached"))
+                .to.emit(insurance, "FraudAppealFiled")
+                .withArgs(holder1.address, "Receipts attached");
+            await expect(insurance.connect(holder1).fileFraudAppeal("Again"))
+                .to.be.revertedWith("Appeal already pending");
+
+            const record = await insurance.getFraudRecord(holder1.address);
+            expect(record.appealPending).to.be.true;
+            expect(record.appealReason).to.equal("Receipts attached");
+
+            await expect(insurance.connect(holder1).resolveFraudAppeal(holder1.address, true))
+                .to.be.revertedWithCustomError(insurance, "OwnableUnauthorizedAccount");
+            await expect(insurance.connect(owner).resolveFraudAppeal(holder2.address, true))
+                .to.be.revertedWith("No pending appeal");
+
+            await expect(insurance.connect(owner).resolveFraudAppeal(holder1.address, true))
+                .to.emit(insurance, "FraudAppealResolved")
+                .withArgs(holder1.address, true);
+            expect(await insurance.getFraudReportCount(holder1.address)).to.equal(0);
+            expect((await insurance.getFraudRecord(holder1.address)).appealPending).to.be.false;
+            expect(await insurance.getEffectiveRiskLevel(holder1.address, RiskLevel.LOW)).to.equal(RiskLevel.LOW);
+
+            // The claim itself stays reported and cannot be reported again
+            await expect(insurance.connect(investigator).reportFraud(claimId))
+                .to.be.revertedWith("Fraud already reported");
+        });
+
+        it("Should keep the record when an appeal is denied", async function () {
+            const { insurance, owner, investigator, holder1 } = await loadFixture(deployStakedInsuranceFixture);
+            const policyId = await buyPolicy(insurance, holder1, InsuranceType.HEALTH, coverage);
+            await reportFraudOn(insurance, investigator, holder1, policyId);
+            await insurance.connect(holder1).fileFraudAppeal("Please review");
+
+            await expect(insurance.connect(owner).resolveFraudAppeal(holder1.address, false))
+                .to.emit(insurance, "FraudAppealResolved")
+                .withArgs(holder1.address, false);
+            expect(await insurance.getFraudReportCount(holder1.address)).to.equal(1);
+            expect((await insurance.getFraudRecord(holder1.address)).appealPending).to.be.false;
+
+            // A new appeal can be filed later
+            await insurance.connect(holder1).fileFraudAppeal("New evidence");
+        });
+    });
+
+    describe("Parametric Policies", function () {
+        const Comparison = { GREATER_THAN: 0, LESS_THAN: 1 };
+        const COVERAGE = ethers.parseEther("10");
+        const DURATION = 90 * 24 * 60 * 60;
+        const YEAR = 365 * 24 * 60 * 60;
+
+        // Staked pools with two products: CRYPTO cover paying when CELO/USD drops below 0.30 (5% a year),
+        // and TRAVEL cover paying when a flight's delay exceeds 120 minutes (10% a year)
+        async function deployParametricFixture() {
+            const fixture = await deployStakedInsuranceFixture();
+            const priceFeed = await ethers.deployContract("MockDataFeed", [8, "CELO / USD"]);
+            const delayFeed = await ethers.deployContract("MockDataFeed", [0, "CELO123 delay"]);
+            await priceFeed.updateAnswer(50_000_000n); // 0.50 USD
+            const priceTrigger = [await priceFeed.getAddress(), Comparison.LESS_THAN, 30_000_000n];
+            const delayTrigger = [await delayFeed.getAddress(), Comparison.GREATER_THAN, 120n];
+            await fixture.insurance.addParametricProduct(InsuranceType.CRYPTO, priceTrigger, 500);
+            await fixture.insurance.addParametricProduct(InsuranceType.TRAVEL, delayTrigger, 1000);
+            return { ...fixture, priceFeed, delayFeed, priceTrigger, delayTrigger, priceProduct: 1, delayProduct: 2 };
+        }
+
+        async function buyParametricPolicy(insurance, holder, productId) {
+            const premium = await insurance.calculateParametricPremium(productId, COVERAGE, DURATION);
+            await insurance.connect(holder).createParametricPolicy(productId, COVERAGE, DURATION, "ipfs://policy", { value: premium });
+            const policyIds = await insurance.getUserPolicies(holder.address);
+            return policyIds[policyIds.length - 1];
+        }
+
+        it("Should sell cover on the owner's products at the product's premium rate", async function () {
+            const { insurance, priceTrigger, priceProduct, holder1 } = await loadFixture(deployParametricFixture);
+            expect(await insurance.parametricProductCount()).to.equal(2);
+            expect(await insurance.parametricProducts(priceProduct)).to.deep.equal([InsuranceType.CRYPTO, priceTrigger, 500n, true]);
+
+            const premium = (COVERAGE * 500n * BigInt(DURATION)) / (10000n * BigInt(YEAR));
+            expect(await insurance.calculateParametricPremium(priceProduct, COVERAGE, DURATION)).to.equal(premium);
+            await expect(insurance.connect(holder1).createParametricPolicy(priceProduct, COVERAGE, DURATION, "", { value: premium - 1n }))
+                .to.be.revertedWith("Insufficient premium payment");
+
+            const tx = insurance.connect(holder1).createParametricPolicy(priceProduct, COVERAGE, DURATION, "", { value: COVERAGE });
+            await expect(tx).to.emit(insurance, "ParametricPolicyCreated").withArgs(1, priceProduct);
+            await expect(tx).to.emit(insurance, "PremiumPaid").withArgs(1, holder1.address, premium);
+            await expect(tx).to.changeEtherBalance(holder1, -premium);
+
+            const policy = await insurance.getPolicy(1);
+            expect(policy.insuranceType).to.equal(InsuranceType.CRYPTO);
+            expect(policy.premiumAmount).to.equal(premium);
+            expect(await insurance.policyProducts(1)).to.equal(priceProduct);
+        });
+
+        it("Should only sell products the owner defined", async function () {
+            const { insurance, holder1 } = await loadFixture(deployParametricFixture);
+
+            // Buyers pick a product and cannot bring their own trigger or threshold
+            await expect(insurance.connect(holder1).createParametricPolicy(0, COVERAGE, DURATION, "", { value: COVERAGE }))
+                .to.be.revertedWith("Product not available");
+            await expect(insurance.connect(holder1).createParametricPolicy(3, COVERAGE, DURATION, "", { value: COVERAGE }))
+                .to.be.revertedWith("Product not available");
+        });
+
+        it("Should pay CRYPTO cover in full when the price drops below the trigger", async function () {
+            const { insurance, priceFeed, priceProduct, holder1 } = await loadFixture(deployParametricFixture);
+            const policyId = await buyParametricPolicy(insurance, holder1, priceProduct);
+            const poolBefore = await insurance.getInsurancePool(InsuranceType.CRYPTO);
+
+            await time.increase(7 * 24 * 60 * 60);
+            await priceFeed.updateAnswer(25_000_000n);
+            const [anyone] = await ethers.getSigners();
+            const tx = insurance.connect(anyone).triggerParametricClaim(policyId, 2);
+            await expect(tx).to.emit(insurance, "ClaimPaid").withArgs(1, holder1.address, COVERAGE);
+            await expect(tx).to.changeEtherBalance(holder1, COVERAGE);
+
+            const policy = await insurance.getPolicy(policyId);
+            expect(policy.status).to.equal(PolicyStatus.CLAIMED);
+            expect(policy.totalClaimsAmount).to.equal(COVERAGE);
+            const claim = await insurance.getClaim(1);
+            expect(claim.status).to.equal(ClaimStatus.PAID);
+            expect(claim.approvedAmount).to.equal(COVERAGE);
+            expect(claim.investigator).to.equal(await priceFeed.getAddress());
+            expect(await insurance.getUserClaims(holder1.address)).to.deep.equal([1n]);
+
+            const poolAfter = await insurance.getInsurancePool(InsuranceType.CRYPTO);
+            expect(poolAfter.availableFunds).to.equal(poolBefore.availableFunds - COVERAGE);
+            expect(poolAfter.activeCoverage).to.equal(poolBefore.activeCoverage - COVERAGE);
+            expect(poolAfter.totalClaims).to.equal(COVERAGE);
+
+            await expect(insurance.triggerParametricClaim(policyId, 2)).to.be.revertedWith("Policy not active");
+        });
+
+        it("Should pay TRAVEL cover when a flight's delay exceeds the trigger", async function () {
+            const { insurance, delayFeed, delayProduct, holder1 } = await loadFixture(deployParametricFixture);
+            const policyId = await buyParametricPolicy(insurance, holder1, delayProduct);
+
+            await delayFeed.updateAnswer(45);
+            await expect(insurance.triggerParametricClaim(policyId, 1)).to.be.revertedWith("Trigger not met");
+
+            await delayFeed.updateAnswer(180);
+            await expect(insurance.triggerParametricClaim(policyId, 2)).to.changeEtherBalance(holder1, COVERAGE);
+        });
+
+        it("Should only accept rounds published during the coverage period", async function () {
+            const { insurance, priceFeed, priceProduct, holder1 } = await loadFixture(deployParametricFixture);
+            await priceFeed.updateAnswer(10_000_000n); // Already below the trigger before the policy starts
+            const policyId = await buyParametricPolicy(insurance, holder1, priceProduct);
+
+            await expect(insurance.triggerParametricClaim(policyId, 2)).to.be.revertedWith("Round outside coverage period");
+            await expect(insurance.triggerParametricClaim(policyId, 3)).to.be.revertedWith("No data present");
+
+            await time.increase(DURATION + 1);
+            await priceFeed.updateAnswer(10_000_000n);
+            await expect(insurance.triggerParametricClaim(policyId, 3)).to.be.revertedWith("Round outside coverage period");
+        });
+
+        it("Should still pay for an in-period round after the policy was expired", async function () {
+            const { insurance, priceFeed, priceProduct, holder1, holder2 } = await loadFixture(deployParametricFixture);
+            const policyId = await buyParametricPolicy(insurance, holder1, priceProduct);
+
+            await time.increase(DURATION / 2);
+            await priceFeed.updateAnswer(25_000_000n);
+            await time.increase(DURATION);
+            // Anyone can sweep the policy once it ends, before its holder triggers the claim
+            await insurance.connect(holder2).expirePolicies([policyId]);
+            const poolBefore = await insurance.getInsurancePool(InsuranceType.CRYPTO);
+            expect(poolBefore.activeCoverage).to.equal(0);
+
+            await expect(insurance.triggerParametricClaim(policyId, 2)).to.changeEtherBalance(holder1, COVERAGE);
+            expect((await insurance.getPolicy(policyId)).status).to.equal(PolicyStatus.CLAIMED);
+            const poolAfter = await insurance.getInsurancePool(InsuranceType.CRYPTO);
+            expect(poolAfter.activeCoverage).to.equal(0);
+            expect(poolAfter.availableFunds).to.equal(poolBefore.availableFunds - COVERAGE);
+            await expect(insurance.triggerParametricClaim(policyId, 2)).to.be.revertedWith("Policy not active");
+        });
+
+        it("Should not take manual claims on parametric policies or trigger regular ones", async function () {
+            const { insurance, priceFeed, priceProduct, holder1 } = await loadFixture(deployParametricFixture);
+            const parametricId = await buyParametricPolicy(insurance, holder1, priceProduct);
+            const regularId = await buyPolicy(insurance, holder1, InsuranceType.CRYPTO, COVERAGE);
+
+            await expect(insurance.connect(holder1).submitClaim(parametricId, COVERAGE, "ipfs://evidence"))
+                .to.be.revertedWith("Parametric policies pay on their trigger");
+            await priceFeed.updateAnswer(10_000_000n);
+            await expect(insurance.triggerParametricClaim(regularId, 2)).to.be.revertedWith("Not a parametric policy");
+        });
+
+        it("Should renew parametric policies at the product's rate", async function () {
+            const { insurance, delayProduct, holder1 } = await loadFixture(deployParametricFixture);
+            const policyId = await buyParametricPolicy(insurance, holder1, delayProduct);
+            const premium = await insurance.calculateParametricPremium(delayProduct, COVERAGE, 30 * 24 * 60 * 60);
+
+            await expect(insurance.connect(holder1).renewPolicy(policyId, 30 * 24 * 60 * 60, { value: premium }))
+                .to.emit(insurance, "PremiumPaid").withArgs(policyId, holder1.address, premium);
+        });
+
+        it("Should let only the owner define and withdraw products", async function () {
+            const { insurance, priceTrigger, priceProduct, holder1 } = await loadFixture(deployParametricFixture);
+            const policyId = await buyParametricPolicy(insurance, holder1, priceProduct);
+
+            await expect(insurance.connect(holder1).addParametricProduct(InsuranceType.CRYPTO, [priceTrigger[0], Comparison.GREATER_THAN, 0n], 1))
+                .to.be.revertedWithCustomError(insurance, "OwnableUnauthorizedAccount");
+            await expect(insurance.addParametricProduct(InsuranceType.CRYPTO, [ethers.ZeroAddress, Comparison.LESS_THAN, 0n], 500))
+                .to.be.revertedWith("Invalid feed");
+            await expect(insurance.addParametricProduct(InsuranceType.CRYPTO, priceTrigger, 0)).to.be.revertedWith("Invalid premium rate");
+            await expect(insurance.addParametricProduct(InsuranceType.CRYPTO, priceTrigger, 5001)).to.be.revertedWith("Invalid premium rate");
+            await expect(insurance.addParametricProduct(InsuranceType.CRYPTO, priceTrigger, 800))
+                .to.emit(insurance, "ParametricProductAdded").withArgs(3, InsuranceType.CRYPTO, priceTrigger[0], 800);
+
+            await expect(insurance.connect(holder1).setParametricProductActive(priceProduct, false))
+                .to.be.revertedWithCustomError(insurance, "OwnableUnauthorizedAccount");
+            await expect(insurance.setParametricProductActive(4, false)).to.be.revertedWith("Invalid product ID");
+            await expect(insurance.setParametricProductActive(priceProduct, false))
+                .to.emit(insurance, "ParametricProductStatusChanged").withArgs(priceProduct, false);
+
+            // A withdrawn product is neither sold nor renewed, but the policies already sold still pay
+            await expect(insurance.connect(holder1).createParametricPolicy(priceProduct, COVERAGE, DURATION, "", { value: COVERAGE }))
+                .to.be.revertedWith("Product not available");
+            await expect(insurance.connect(holder1).renewPolicy(policyId, 30 * 24 * 60 * 60, { value: COVERAGE }))
+                .to.be.revertedWith("Product not available");
+        });
+    });
+
+    describe("Pausing and Access Control", function () {
+        it("Should block new policies and stakes while paused", async function () {
+            const { insurance, owner, staker2, holder1 } = await loadFixture(deployStakedInsuranceFixture);
+            await insurance.connect(owner).pause();
+
+            await expect(insurance.connect(staker2).stake(InsuranceType.HEALTH, { value: ethers.parseEther("100") }))
+                .to.be.revertedWithCustomError(insurance, "EnforcedPause");
+            await expect(insurance.connect(holder1).createPolicy(InsuranceType.HEALTH, 1000, YEAR, RiskLevel.LOW, "", { value: 1000 }))
+                .to.be.revertedWithCustomError(insurance, "EnforcedPause");
+
+            await insurance.connect(owner).unpause();
+            await buyPolicy(insurance, holder1, InsuranceType.HEALTH, ethers.parseEther("10"));
+        });
+
+        it("Should still allow stake withdrawals while paused", async function () {
+            const { insurance, owner, staker1 } = await loadFixture(deployStakedInsuranceFixture);
+            await insurance.connect(owner).pause();
+            await insurance.connect(staker1).withdrawStake(InsuranceType.HEALTH, ethers.parseEther("100"));
+        });
+
+        it("Should only allow emergency withdrawals while paused", async function () {
+            const { insurance, owner, holder2 } = await loadFixture(deployStakedInsuranceFixture);
+            const amount = ethers.parseEther("50");
+            await expect(insurance.connect(owner).emergencyWithdraw(holder2.address, amount))
+                .to.be.revertedWithCustomError(insurance, "ExpectedPause");
+
+            await insurance.connect(owner).pause();
+            await expect(insurance.connect(owner).emergencyWithdraw(ethers.ZeroAddress, amount))
+                .to.be.revertedWith("Invalid recipient");
+            await expect(insurance.connect(owner).emergencyWithdraw(holder2.address, ethers.parseEther("1001")))
+                .to.be.revertedWith("Insufficient balance");
+
+            const tx = insurance.connect(owner).emergencyWithdraw(holder2.address, amount);
+            await expect(tx).to.emit(insurance, "EmergencyWithdrawal").withArgs(holder2.address, amount);
+            await expect(tx).to.changeEtherBalances([holder2, insurance], [amount, -amount]);
+        });
+
+        it("Should restrict admin functions to the owner", async function () {
+            const { insurance, holder1 } = await loadFixture(deployInsuranceFixture);
+            const attacker = insurance.connect(holder1);
+            const calls = [
+                () => attacker.addInvestigator(holder1.address),
+                () => attacker.removeInvestigator(holder1.address),
+                () => attacker.addOracle(holder1.address),
+                () => attacker.removeOracle(holder1.address),
+                () => attacker.updatePremiumRate(InsuranceType.HEALTH, RiskLevel.LOW, 1),
+                () => attacker.updatePoolRewardRate(InsuranceType.HEALTH, 1),
+                () => attacker.togglePoolStatus(InsuranceType.HEALTH),
+                () => attacker.lockStake(holder1.address, 1),
+                () => attacker.pause(),
+                () => attacker.unpause(),
+                () => attacker.emergencyWithdraw(holder1.address, 1),
+            ];
+            for (const call of calls) {
+                await expect(call()).to.be.revertedWithCustomError(insurance, "OwnableUnauthorizedAccount");
+            }
+        });
+
+        it("Should manage investigators and oracles", async function () {
+            const { insurance, owner, holder1 } = await loadFixture(deployInsuranceFixture);
+            await expect(insurance.connect(owner).addInvestigator(holder1.address))
+                .to.emit(insurance, "InvestigatorAdded")
+                .withArgs(holder1.address);
+            expect(await insurance.authorizedInvestigators(holder1.address)).to.be.true;
+            await insurance.connect(owner).removeInvestigator(holder1.address);
+            expect(await insurance.authorizedInvestigators(holder1.address)).to.be.false;
+
+            await expect(insurance.connect(owner).addOracle(holder1.address))
+                .to.emit(insurance, "OracleAdded")
+                .withArgs(holder1.address);
+            await insurance.connect(owner).removeOracle(holder1.address);
+            expect(await insurance.authorizedOracles(holder1.address)).to.be.false;
+        });
+
+        it("Should bound rate updates", async function () {
+            const { insurance, owner } = await loadFixture(deployInsuranceFixture);
+            await expect(insurance.connect(owner).updatePremiumRate(InsuranceType.HEALTH, RiskLevel.LOW, 5001))
+                .to.be.revertedWith("Rate cannot exceed 50%");
+            await expect(insurance.connect(owner).updatePoolRewardRate(InsuranceType.HEALTH, 2001))
+                .to.be.revertedWith("Rate cannot exceed 20%");
+
+            await insurance.connect(owner).updatePremiumRate(InsuranceType.HEALTH, RiskLevel.LOW, 300);
+            expect(await insurance.premiumRates(InsuranceType.HEALTH, RiskLevel.LOW)).to.equal(300);
+        });
+    });
+
+    describe("Invariants", function () {
+        // Small deterministic PRNG (mulberry32) so failures can be replayed from the seed
+        function createRandom(seed) {
+            let state = seed >>> 0;
+            const next = () => {
+                state = (state + 0x6d2b79f5) >>> 0;
+                let t = state;
+                t = Math.imul(t ^ (t >>> 15), t | 1);
+                t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+                return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+            };
+            return {
+                int: (max) => Math.floor(next() * max),
+                pick: (items) => items[Math.floor(next() * items.length)],
+                // Whole CELO plus a few wei so rounding in the per-pool split is exercised
+                ether: (min, max) => ethers.parseEther(String(min + Math.floor(next() * (max - min)))) + BigInt(Math.floor(next() * 5)),
+            };
+        }
+
+        // Sends a transaction and swallows reverts: random actions are allowed to fail
+        async function attempt(sendTransaction) {
+            try {
+                const tx = await sendTransaction();
+                if (tx) await tx.wait();
+                return Boolean(tx);
+            } catch (error) {
+                return false;
+            }
+        }
+
+        async function runRandomActions(seed, steps) {
+            const { insurance, investigator, oracle } = await loadFixture(deployInsuranceFixture);
+            const signers = await ethers.getSigners();
+            const stakers = signers.slice(3, 7);
+            const holders = signers.slice(7, 12);
+            const random = createRandom(seed);
+            const insuranceAddress = await insurance.getAddress();
+            const claimIds = [];
+            let rewardsPaid = 0n;
+            let successes = 0;
+
+            // Each action returns a pending transaction, or null when it has nothing to act on
+            const actions = [
+                async () => insurance.connect(random.pick(stakers)).stake(random.int(5), { value: random.ether(100, 800) }),
+                async () => {
+                    const staker = random.pick(stakers);
+                    const type = random.int(5);
+                    const staked = (await insurance.getStakeInfo(staker.address, type)).amount;
+                    if (staked === 0n) return null;
+                    const amount = (staked * BigInt(1 + random.int(100))) / 100n + BigInt(random.int(5));
+                    return insurance.connect(staker).withdrawStake(type, amount > staked ? staked : amount);
+                },
+                async () => {
+                    const staker = random.pick(stakers);
+                    const pending = await insurance.calculatePendingRewards(staker.address);
+                    const tx = await insurance.connect(staker).claimRewards();
+                    rewardsPaid += pending;
+                    return tx;
+                },
+                async () => {
+                    const type = random.int(5);
+                    const pool = await insurance.getInsurancePool(type);
+                    const maxCoverage = (pool.availableFunds * 80n) / 100n;
+                    if (maxCoverage === 0n) return null;
+                    const coverage = (maxCoverage * BigInt(1 + random.int(100))) / 100n;
+                    const duration = (30 + random.int(335)) * 24 * 60 * 60;
+                    const risk = random.int(4);
+                    const premium = await insurance.calculatePremium(type, coverage, duration, risk);
+                    return insurance.connect(random.pick(holders)).createPolicy(type, coverage, duration, risk, "", { value: premium + 1n });
+                },
+                async () => {
+                    const holder = random.pick(holders);
+                    const policyIds = await insurance.getUserPolicies(holder.address);
+                    if (policyIds.length === 0) return null;
+                    const policy = await insurance.getPolicy(random.pick(policyIds));
+                    const amount = (policy.coverageAmount * BigInt(1 + random.int(100))) / 100n;
+                    const tx = await insurance.connect(holder).submitClaim(policy.policyId, amount, "");
+                    claimIds.push(BigInt(claimIds.length + 1));
+                    return tx;
+                },
+                async () => {
+                    if (claimIds.length === 0) return null;
+                    const claim = await insurance.getClaim(random.pick(claimIds));
+                    if (random.int(3) === 0) {
+                        return insurance.connect(oracle).oracleApproveClaim(claim.claimId, claim.claimAmount / 2n);
+                    }
+                    return insurance.connect(investigator).investigateClaim(claim.claimId, ClaimStatus.APPROVED, claim.claimAmount, "");
+                },
+                async () => (claimIds.length === 0 ? null : insurance.payClaim(random.pick(claimIds))),
+                async () => {
+                    const holder = random.pick(holders);
+                    const policyIds = await insurance.getUserPolicies(holder.address);
+                    if (policyIds.length === 0) return null;
+                    const policyId = random.pick(policyIds);
+                    switch (random.int(3)) {
+                        case 0:
+                            return insurance.expirePolicies(policyIds);
+                        case 1:
+                            return insurance.connect(holder).cancelPolicy(policyId);
+                        default: {
+                            const policy = await insurance.getPolicy(policyId);
+                            const extension = (30 + random.int(90)) * 24 * 60 * 60;
+                            const premium = await insurance.calculatePremium(policy.insuranceType, policy.coverageAmount, extension, policy.riskLevel);
+                            return insurance.connect(holder).renewPolicy(policyId, extension, { value: premium });
+                        }
+                    }
+                },
+            ];
+
+            for (let step = 0; step < steps; step++) {
+                if (random.int(8) === 0) {
+                    await time.increase(1 + random.int(60 * 24 * 60 * 60));
+                } else if (await attempt(random.pick(actions))) {
+                    successes++;
+                }
+
+                const context = `seed ${seed}, step ${step}`;
+                const available = await sumPools(insurance, "availableFunds");
+                const rewardFunds = await sumPools(insurance, "rewardFunds");
+                const balance = await ethers.provider.getBalance(insuranceAddress);
+                expect(available, context).to.be.lte(balance);
+                expect(available + rewardFunds, context).to.be.lte(balance);
+                // Rewards paid plus rewards still owed can only come out of premiums
+                expect(rewardsPaid + rewardFunds, context).to.be.lte(await sumPools(insurance, "totalPremiums"));
+            }
+
+            // Each pool's coverage counter must match the policies still marked active
+            const activeCoverage = [0n, 0n, 0n, 0n, 0n];
+            for (const holder of holders) {
+                for (const policyId of await insurance.getUserPolicies(holder.address)) {
+                    const policy = await insurance.getPolicy(policyId);
+                    if (policy.status === BigInt(PolicyStatus.ACTIVE)) {
+                        activeCoverage[Number(policy.insuranceType)] += policy.coverageAmount;
+                    }
+                }
+            }
+            for (let i = 0; i < 5; i++) {
+                expect(await insurance.getActiveCoverage(i), `seed ${seed}, pool ${i}`).to.equal(activeCoverage[i]);
+            }
+            return successes;
+        }
+
+        for (const seed of [1, 42, 2024]) {
+            it(`Should keep pool and reward funds backed by the contract balance (seed ${seed})`, async function () {
+                const successes = await runRandomActions(seed, 100);
+                // Make sure the run exercised the contract rather than reverting throughout
+                expect(successes).to.be.gt(20);
+            });
+        }
+    });
+});
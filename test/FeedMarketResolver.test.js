@@ -0,0 +1,211 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+// Enum values as declared in IDataFeed.sol and PredictionMarket.sol
+const Comparison = { GREATER_THAN: 0, LESS_THAN: 1 };
+const Outcome = { NO: 0, YES: 1 };
+const ResolutionStatus = { NONE: 0, PROPOSED: 1, DISPUTED: 2, FINALIZED: 3 };
+
+const ONE_USD = 100_000_000n; // CELO / USD has 8 decimals
+
+describe("FeedMarketResolver Contract", function () {
+
+    // Deploys a market, a resolver for it and an approved CELO / USD feed answering 0.80
+    async function deployResolverFixture() {
+        const [owner, creator, trader, keeper, disputer] = await ethers.getSigners();
+
+        const predictionMarket = await ethers.deployContract("PredictionMarket", [owner.address, 100]);
+        const resolver = await ethers.deployContract("FeedMarketResolver", [await predictionMarket.getAddress(), owner.address]);
+        const feed = await ethers.deployContract("MockDataFeed", [8, "CELO / USD"]);
+        await feed.updateAnswer(80_000_000n);
+        await resolver.setFeedApproval(await feed.getAddress(), true);
+
+        const resolutionTimestamp = (await time.latest()) + time.duration.days(30);
+        const condition = [await feed.getAddress(), Comparison.GREATER_THAN, ONE_USD];
+
+        return { predictionMarket, resolver, feed, condition, resolutionTimestamp, owner, creator, trader, keeper, disputer };
+    }
+
+    // Same as above, with market 1 asking "CELO/USD > 1 at the resolution time" and 2 CELO of complete sets bought
+    async function deployFeedMarketFixture() {
+        const fixture = await deployResolverFixture();
+        const { predictionMarket, resolver, condition, resolutionTimestamp, creator, trader } = fixture;
+        await resolver.connect(creator).createFeedMarket("Will CELO/USD be above 1?", resolutionTimestamp, condition, ethers.ZeroAddress);
+        await predictionMarket.connect(trader).buyShares(1, { value: ethers.parseEther("2") });
+        return fixture;
+    }
+
+    describe("Market Creation", function () {
+        it("Should create a market the resolver resolves", async function () {
+            const { predictionMarket, resolver, feed, condition, resolutionTimestamp, creator } = await loadFixture(deployResolverFixture);
+            const resolverAddress = await resolver.getAddress();
+
+            await expect(resolver.connect(creator).createFeedMarket("Will CELO/USD be above 1?", resolutionTimestamp, condition, ethers.ZeroAddress))
+                .to.emit(predictionMarket, "MarketCreated")
+                .withArgs(1, "Will CELO/USD be above 1?", resolverAddress, resolutionTimestamp)
+                .and.to.emit(resolver, "FeedMarketCreated")
+                .withArgs(1, await feed.getAddress(), Comparison.GREATER_THAN, ONE_USD);
+
+            expect((await predictionMarket.getMarket(1)).resolver).to.equal(resolverAddress);
+            expect(await resolver.conditions(1)).to.deep.equal(condition);
+        });
+
+        it("Should create markets in an allowed collateral token", async function () {
+            const { predictionMarket, resolver, condition, resolutionTimestamp, owner } = await loadFixture(deployResolverFixture);
+            const cUSD = await ethers.deployContract("MockERC20", ["Celo Dollar", "cUSD"]);
+            await predictionMarket.connect(owner).setCollateralAllowed(await cUSD.getAddress(), true);
+
+            await resolver.createFeedMarket("Will CELO/USD be above 1?", resolutionTimestamp, condition, await cUSD.getAddress());
+            expect((await predictionMarket.getMarket(1)).collateralToken).to.equal(await cUSD.getAddress());
+        });
+
+        it("Should only accept feeds the owner approved", async function () {
+            const { resolver, resolutionTimestamp, creator } = await loadFixture(deployResolverFixture);
+            const ownFeed = await ethers.deployContract("MockDataFeed", [8, "Rigged"]);
+            const condition = [await ownFeed.getAddress(), Comparison.GREATER_THAN, ONE_USD];
+
+            await expect(resolver.connect(creator).createFeedMarket("Rigged?", resolutionTimestamp, condition, ethers.ZeroAddress))
+                .to.be.revertedWith("Feed not approved");
+            await expect(resolver.connect(creator).setFeedApproval(await ownFeed.getAddress(), true))
+                .to.be.revertedWithCustomError(resolver, "OwnableUnauthorizedAccount");
+        });
+    });
+
+    describe("Resolution", function () {
+        it("Should resolve YES from the last round before the resolution time", async function () {
+            const { predictionMarket, resolver, feed, resolutionTimestamp, keeper, trader } = await loadFixture(deployFeedMarketFixture);
+
+            await time.increaseTo(resolutionTimestamp - 60);
+            await feed.updateAnswer(120_000_000n); // Round 2: 1.20 just before the resolution time
+            await time.increaseTo(resolutionTimestamp + 60);
+            await feed.updateAnswer(90_000_000n); // Round 3: back to 0.90 afterwards
+
+            await expect(resolver.connect(keeper).resolve(1, 2))
+                .to.emit(resolver, "FeedMarketResolved").withArgs(1, 2, 120_000_000n, Outcome.YES)
+                .and.to.emit(predictionMarket, "OutcomeProposed");
+
+            await time.increase(await predictionMarket.challengePeriod());
+            await predictionMarket.finalizeResolution(1);
+            expect((await predictionMarket.getMarket(1)).winningOutcome).to.equal(Outcome.YES);
+
+            const fee = ethers.parseEther("2") / 100n;
+            await expect(predictionMarket.connect(trader).redeemWinnings(1)).to.changeEtherBalance(trader, ethers.parseEther("2") - fee);
+        });
+
+        it("Should resolve NO when the condition does not hold", async function () {
+            const { predictionMarket, resolver, resolutionTimestamp } = await loadFixture(deployFeedMarketFixture);
+
+            // No update since round 1, so it is still the answer at the resolution time
+            await time.increaseTo(resolutionTimestamp);
+            await expect(resolver.resolve(1, 1))
+                .to.emit(resolver, "FeedMarketResolved").withArgs(1, 1, 80_000_000n, Outcome.NO);
+            expect((await predictionMarket.resolutions(1)).proposedOutcome).to.equal(Outcome.NO);
+        });
+
+        it("Should reject rounds that are not the answer at the resolution time", async function () {
+            const { resolver, feed, resolutionTimestamp } = await loadFixture(deployFeedMarketFixture);
+
+            await time.increaseTo(resolutionTimestamp - 60);
+            await feed.updateAnswer(120_000_000n);
+            await time.increaseTo(resolutionTimestamp + 60);
+            await feed.updateAnswer(90_000_000n);
+
+            await expect(resolver.resolve(1, 1)).to.be.revertedWith("A later round is before the timestamp");
+            await expect(resolver.resolve(1, 3)).to.be.revertedWith("Round is after the timestamp");
+            await expect(resolver.resolve(1, 4)).to.be.revertedWith("No data present");
+        });
+
+        it("Should not resolve early, twice or markets it did not create", async function () {
+            const { predictionMarket, resolver, resolutionTimestamp } = await loadFixture(deployFeedMarketFixture);
+
+            await expect(resolver.resolve(1, 1)).to.be.revertedWith("Market not yet ready for resolution");
+
+            await time.increaseTo(resolutionTimestamp);
+            await resolver.resolve(1, 1);
+            await expect(resolver.resolve(1, 1)).to.be.revertedWith("Market already resolved");
+
+            await predictionMarket.createMarket("Not a feed market", await resolver.getAddress(), resolutionTimestamp + 60);
+            await expect(resolver.resolve(2, 1)).to.be.revertedWith("Not a feed market");
+        });
+    });
+
+    describe("Resolution Bonds", function () {
+        async function deployBondedMarketFixture() {
+            const fixture = await deployFeedMarketFixture();
+            await fixture.predictionMarket.connect(fixture.owner).setDisputeParameters(time.duration.days(1), ethers.parseEther("1"), ethers.parseEther("2"));
+            await time.increaseTo(fixture.resolutionTimestamp);
+            return fixture;
+        }
+
+        it("Should return the bond to whoever resolved the market", async function () {
+            const { predictionMarket, resolver, keeper } = await loadFixture(deployBondedMarketFixture);
+            const bond = ethers.parseEther("1");
+
+            await expect(resolver.connect(keeper).resolve(1, 1)).to.be.revertedWith("Incorrect resolution bond");
+            await resolver.connect(keeper).resolve(1, 1, { value: bond });
+            expect(await resolver.bondPosters(1)).to.equal(keeper.address);
+            await expect(resolver.reclaimBond(1)).to.be.revertedWith("Resolution not final");
+
+            await time.increase(time.duration.days(1));
+            await predictionMarket.finalizeResolution(1);
+            const tx = resolver.reclaimBond(1);
+            await expect(tx).to.emit(resolver, "BondReclaimed").withArgs(1, keeper.address, bond);
+            await expect(tx).to.changeEtherBalance(keeper, bond);
+            // The resolver pulled the bond the market credited it with
+            expect(await predictionMarket.pendingBonds(await resolver.getAddress())).to.equal(0);
+            expect(await ethers.provider.getBalance(await resolver.getAddress())).to.equal(0);
+            await expect(resolver.reclaimBond(1)).to.be.revertedWith("Market not resolved from the feed");
+        });
+
+        it("Should keep the bonds of other markets when pulling them from the market", async function () {
+            const { predictionMarket, resolver, condition, keeper, disputer } = await loadFixture(deployBondedMarketFixture);
+            const bond = ethers.parseEther("1");
+            const secondResolutionTimestamp = (await time.latest()) + time.duration.days(1);
+            await resolver.createFeedMarket("Will CELO/USD be above 1 tomorrow?", secondResolutionTimestamp, condition, ethers.ZeroAddress);
+
+            await resolver.connect(keeper).resolve(1, 1, { value: bond });
+            await time.increaseTo(secondResolutionTimestamp);
+            await resolver.connect(disputer).resolve(2, 1, { value: bond });
+            await time.increase(time.duration.days(1));
+            await predictionMarket.finalizeResolution(1);
+            await predictionMarket.finalizeResolution(2);
+
+            // The first reclaim pulls both bonds; the second market's stays with the resolver for its poster
+            await expect(resolver.reclaimBond(1)).to.changeEtherBalance(keeper, bond);
+            expect(await ethers.provider.getBalance(await resolver.getAddress())).to.equal(bond);
+            await expect(resolver.reclaimBond(2)).to.changeEtherBalance(disputer, bond);
+            expect(await ethers.provider.getBalance(await resolver.getAddress())).to.equal(0);
+        });
+
+        it("Should pay both bonds when a dispute upholds the feed's outcome", async function () {
+            const { predictionMarket, resolver, owner, keeper, disputer } = await loadFixture(deployBondedMarketFixture);
+
+            await resolver.connect(keeper).resolve(1, 1, { value: ethers.parseEther("1") });
+            await predictionMarket.connect(disputer).disputeResolution(1, { value: ethers.parseEther("2") });
+            await predictionMarket.connect(owner).settleDispute(1, Outcome.NO);
+
+            expect((await predictionMarket.resolutions(1)).status).to.equal(ResolutionStatus.FINALIZED);
+            await expect(resolver.reclaimBond(1)).to.changeEtherBalance(keeper, ethers.parseEther("3"));
+        });
+
+        it("Should not return the bond when a dispute overturns the feed's outcome", async function () {
+            const { predictionMarket, resolver, owner, keeper, disputer } = await loadFixture(deployBondedMarketFixture);
+
+            await resolver.connect(keeper).resolve(1, 1, { value: ethers.parseEther("1") });
+            await predictionMarket.connect(disputer).disputeResolution(1, { value: ethers.parseEther("2") });
+            await predictionMarket.connect(owner).settleDispute(1, Outcome.YES);
+            await expect(predictionMarket.connect(disputer).withdrawBond())
+                .to.changeEtherBalance(disputer, ethers.parseEther("3"));
+
+            await expect(resolver.reclaimBond(1)).to.be.revertedWith("Proposal was overturned");
+        });
+
+        it("Should only accept CELO from the prediction market", async function () {
+            const { resolver, keeper } = await loadFixture(deployBondedMarketFixture);
+
+            await expect(keeper.sendTransaction({ to: await resolver.getAddress(), value: 1 }))
+                .to.be.revertedWith("Only the prediction market can pay");
+        });
+    });
+});
@@ -0,0 +1,377 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+// Enum values as declared in the contracts
+const InsuranceType = { HEALTH: 0, PROPERTY: 1, TRAVEL: 2, CRYPTO: 3, LIFE: 4 };
+const RiskLevel = { LOW: 0, MEDIUM: 1, HIGH: 2, CRITICAL: 3 };
+const ProposalState = { ACTIVE: 0, DEFEATED: 1, SUCCEEDED: 2, QUEUED: 3, EXPIRED: 4, EXECUTED: 5, CANCELED: 6 };
+
+const DAY = 24 * 60 * 60;
+const VOTING_PERIOD = 3 * DAY;
+const TIMELOCK_DELAY = 2 * DAY;
+const GRACE_PERIOD = 14 * DAY;
+
+describe("InsuranceGovernor Contract", function () {
+
+    // Deploys the insurance contract, hands it to the governor and gives three stakers voting power
+    async function deployGovernorFixture() {
+        const [deployer, staker1, staker2, staker3, outsider, recipient] = await ethers.getSigners();
+
+        const InsuranceFactory = await ethers.getContractFactory("DecentralizedInsurance");
+        const insurance = await InsuranceFactory.deploy();
+        await insurance.waitForDeployment();
+
+        const quorum = ethers.parseEther("1000");
+        const threshold = ethers.parseEther("100");
+        const GovernorFactory = await ethers.getContractFactory("InsuranceGovernor");
+        const governor = await GovernorFactory.deploy(await insurance.getAddress(), quorum, threshold);
+        await governor.waitForDeployment();
+
+        await insurance.connect(staker1).stake(InsuranceType.HEALTH, { value: ethers.parseEther("800") });
+        await insurance.connect(staker2).stake(InsuranceType.PROPERTY, { value: ethers.parseEther("500") });
+        await insurance.connect(staker2).stake(InsuranceType.LIFE, { value: ethers.parseEther("100") });
+        await insurance.connect(staker3).stake(InsuranceType.TRAVEL, { value: ethers.parseEther("300") });
+
+        await insurance.connect(deployer).transferOwnership(await governor.getAddress());
+
+        return { insurance, governor, deployer, staker1, staker2, staker3, outsider, recipient, quorum, threshold };
+    }
+
+    // Creates a proposal from the given calls on the insurance contract and returns its ID
+    async function proposeInsuranceCalls(governor, insurance, proposer, calls, description = "Update parameters") {
+        const insuranceAddress = await insurance.getAddress();
+        const targets = calls.map(() => insuranceAddress);
+        const calldatas = calls.map(([name, args]) => insurance.interface.encodeFunctionData(name, args));
+        const tx = await governor.connect(proposer).propose(targets, calldatas, description);
+        const receipt = await tx.wait();
+        const event = receipt.logs
+            .map((log) => governor.interface.parseLog(log))
+            .find((parsed) => parsed && parsed.name === "ProposalCreated");
+        return event.args.proposalId;
+    }
+
+    // Votes with the given signers, ends voting and queues the proposal
+    async function passAndQueue(governor, proposalId, voters) {
+        for (const voter of voters) {
+            await governor.connect(voter).castVote(proposalId, true);
+        }
+        await time.increase(VOTING_PERIOD + 1);
+        await governor.queue(proposalId);
+    }
+
+    describe("Deployment", function () {
+        it("Should set the insurance contract and parameters", async function () {
+            const { insurance, governor, quorum, threshold } = await loadFixture(deployGovernorFixture);
+            expect(await governor.insurance()).to.equal(await insurance.getAddress());
+            expect(await governor.quorumVotes()).to.equal(quorum);
+            expect(await governor.proposalThreshold()).to.equal(threshold);
+            expect(await insurance.owner()).to.equal(await governor.getAddress());
+        });
+
+        it("Should reject an empty insurance address or zero quorum", async function () {
+            const { insurance } = await loadFixture(deployGovernorFixture);
+            const GovernorFactory = await ethers.getContractFactory("InsuranceGovernor");
+            await expect(GovernorFactory.deploy(ethers.ZeroAddress, 1, 0))
+                .to.be.revertedWith("Invalid insurance address");
+            await expect(GovernorFactory.deploy(await insurance.getAddress(), 0, 0))
+                .to.be.revertedWith("Quorum must be positive");
+        });
+
+        it("Should take owner-only functions away from the deployer", async function () {
+            const { insurance, deployer } = await loadFixture(deployGovernorFixture);
+            await expect(insurance.connect(deployer).updatePremiumRate(InsuranceType.HEALTH, RiskLevel.LOW, 300))
+                .to.be.revertedWithCustomError(insurance, "OwnableUnauthorizedAccount");
+        });
+    });
+
+    describe("Voting Power", function () {
+        it("Should sum the voter's stake across pools", async function () {
+            const { governor, staker1, staker2, outsider } = await loadFixture(deployGovernorFixture);
+            const now = await time.latest();
+            expect(await governor.getVotingPower(staker1.address, now)).to.equal(ethers.parseEther("800"));
+            expect(await governor.getVotingPower(staker2.address, now)).to.equal(ethers.parseEther("600"));
+            expect(await governor.getVotingPower(outsider.address, now)).to.equal(0);
+        });
+
+        it("Should ignore positions topped up at or after the given time", async function () {
+            const { insurance, governor, staker2 } = await loadFixture(deployGovernorFixture);
+            const before = await time.latest();
+            await insurance.connect(staker2).stake(InsuranceType.LIFE, { value: ethers.parseEther("100") });
+            const stakedAt = await time.latest();
+            expect(await governor.getVotingPower(staker2.address, before)).to.equal(ethers.parseEther("500"));
+            expect(await governor.getVotingPower(staker2.address, stakedAt)).to.equal(ethers.parseEther("500"));
+            expect(await governor.getVotingPower(staker2.address, stakedAt + 1)).to.equal(ethers.parseEther("700"));
+        });
+    });
+
+    describe("Proposal Lifecycle", function () {
+        it("Should take a proposal from creation to execution", async function () {
+            const { insurance, governor, staker1, staker2, staker3 } = await loadFixture(deployGovernorFixture);
+            const calldata = insurance.interface.encodeFunctionData("updatePremiumRate", [InsuranceType.HEALTH, RiskLevel.LOW, 350]);
+
+            await expect(governor.connect(staker1).propose([await insurance.getAddress()], [calldata], "Raise health premiums"))
+                .to.emit(governor, "ProposalCreated");
+            const proposalId = 1n;
+            expect(await governor.state(proposalId)).to.equal(ProposalState.ACTIVE);
+
+            const proposal = await governor.getProposal(proposalId);
+            expect(proposal.proposer).to.equal(staker1.address);
+            expect(proposal.description).to.equal("Raise health premiums");
+            expect(proposal.calldatas).to.deep.equal([calldata]);
+            expect(proposal.endTime - proposal.startTime).to.equal(VOTING_PERIOD);
+
+            await expect(governor.connect(staker1).castVote(proposalId, true))
+                .to.emit(governor, "VoteCast")
+                .withArgs(proposalId, staker1.address, true, ethers.parseEther("800"));
+            await governor.connect(staker2).castVote(proposalId, true);
+            await governor.connect(staker3).castVote(proposalId, false);
+
+            const tallied = await governor.getProposal(proposalId);
+            expect(tallied.forVotes).to.equal(ethers.parseEther("1400"));
+            expect(tallied.againstVotes).to.equal(ethers.parseEther("300"));
+
+            await expect(governor.queue(proposalId)).to.be.revertedWith("Proposal has not succeeded");
+            await time.increase(VOTING_PERIOD + 1);
+            expect(await governor.state(proposalId)).to.equal(ProposalState.SUCCEEDED);
+
+            await expect(governor.queue(proposalId)).to.emit(governor, "ProposalQueued");
+            expect(await governor.state(proposalId)).to.equal(ProposalState.QUEUED);
+
+            await expect(governor.execute(proposalId)).to.be.revertedWith("Timelock has not expired");
+            await time.increase(TIMELOCK_DELAY);
+
+            await expect(governor.execute(proposalId))
+                .to.emit(governor, "ProposalExecuted")
+                .withArgs(proposalId);
+            expect(await governor.state(proposalId)).to.equal(ProposalState.EXECUTED);
+            expect(await insurance.premiumRates(InsuranceType.HEALTH, RiskLevel.LOW)).to.equal(350);
+
+            await expect(governor.execute(proposalId)).to.be.revertedWith("Proposal is not queued");
+        });
+
+        it("Should run several parameter changes in one proposal", async function () {
+            const { insurance, governor, staker1, staker2, outsider } = await loadFixture(deployGovernorFixture);
+            const proposalId = await proposeInsuranceCalls(governor, insurance, staker1, [
+                ["updatePoolRewardRate", [InsuranceType.CRYPTO, 1500]],
+                ["togglePoolStatus", [InsuranceType.TRAVEL]],
+                ["addInvestigator", [outsider.address]],
+                ["addOracle", [outsider.address]],
+            ]);
+            await passAndQueue(governor, proposalId, [staker1, staker2]);
+            await time.increase(TIMELOCK_DELAY);
+            await governor.execute(proposalId);
+
+            expect((await insurance.getInsurancePool(InsuranceType.CRYPTO)).rewardRate).to.equal(1500);
+            expect((await insurance.getInsurancePool(InsuranceType.TRAVEL)).active).to.be.false;
+            expect(await insurance.authorizedInvestigators(outsider.address)).to.be.true;
+            expect(await insurance.authorizedOracles(outsider.address)).to.be.true;
+        });
+
+        it("Should replace the emergency withdrawal with a voted, time-delayed action", async function () {
+            const { insurance, governor, staker1, staker2, recipient } = await loadFixture(deployGovernorFixture);
+            const amount = ethers.parseEther("250");
+            const proposalId = await proposeInsuranceCalls(governor, insurance, staker1, [
+                ["pause", []],
+                ["emergencyWithdraw", [recipient.address, amount]],
+            ], "Migrate funds");
+            await passAndQueue(governor, proposalId, [staker1, staker2]);
+            await time.increase(TIMELOCK_DELAY);
+
+            await expect(governor.execute(proposalId)).to.changeEtherBalances([recipient, insurance], [amount, -amount]);
+            expect(await insurance.paused()).to.be.true;
+        });
+
+        it("Should revert the whole proposal if one of its calls fails", async function () {
+            const { insurance, governor, staker1, staker2 } = await loadFixture(deployGovernorFixture);
+            const proposalId = await proposeInsuranceCalls(governor, insurance, staker1, [
+                ["updatePremiumRate", [InsuranceType.HEALTH, RiskLevel.LOW, 300]],
+                ["updatePremiumRate", [InsuranceType.HEALTH, RiskLevel.LOW, 9000]],
+            ]);
+            await passAndQueue(governor, proposalId, [staker1, staker2]);
+            await time.increase(TIMELOCK_DELAY);
+
+            await expect(governor.execute(proposalId)).to.be.revertedWith("Rate cannot exceed 50%");
+            expect(await insurance.premiumRates(InsuranceType.HEALTH, RiskLevel.LOW)).to.equal(200);
+            expect(await governor.state(proposalId)).to.equal(ProposalState.QUEUED);
+        });
+
+        it("Should let governance change its own parameters", async function () {
+            const { governor, staker1, staker2 } = await loadFixture(deployGovernorFixture);
+            const calldata = governor.interface.encodeFunctionData("setGovernanceParameters", [ethers.parseEther("2000"), ethers.parseEther("500")]);
+            await governor.connect(staker1).propose([await governor.getAddress()], [calldata], "Raise quorum");
+            await passAndQueue(governor, 1, [staker1, staker2]);
+            await time.increase(TIMELOCK_DELAY);
+
+            await expect(governor.execute(1))
+                .to.emit(governor, "GovernanceParametersUpdated")
+                .withArgs(ethers.parseEther("2000"), ethers.parseEther("500"));
+            expect(await governor.quorumVotes()).to.equal(ethers.parseEther("2000"));
+
+            await expect(governor.connect(staker1).setGovernanceParameters(1, 1))
+                .to.be.revertedWith("Only callable through governance");
+        });
+
+        it("Should hold each proposal to the quorum it was created under", async function () {
+            const { insurance, governor, staker1, staker2 } = await loadFixture(deployGovernorFixture);
+            const calldata = governor.interface.encodeFunctionData("setGovernanceParameters", [ethers.parseEther("2000"), ethers.parseEther("100")]);
+            await governor.connect(staker1).propose([await governor.getAddress()], [calldata], "Raise quorum");
+            const pauseId = await proposeInsuranceCalls(governor, insurance, staker1, [["pause", []]], "Pause");
+            for (const voter of [staker1, staker2]) {
+                await governor.connect(voter).castVote(1, true);
+                await governor.connect(voter).castVote(pauseId, true);
+            }
+            await time.increase(VOTING_PERIOD + 1);
+            await governor.queue(1);
+            await time.increase(TIMELOCK_DELAY);
+            await governor.execute(1);
+
+            // 1400 CELO in favour met the 1000 CELO quorum of the time; raising it does not defeat the proposal
+            expect((await governor.getProposal(pauseId)).quorumVotes).to.equal(ethers.parseEther("1000"));
+            expect(await governor.state(pauseId)).to.equal(ProposalState.SUCCEEDED);
+            await governor.queue(pauseId);
+            await time.increase(TIMELOCK_DELAY);
+            await governor.execute(pauseId);
+            expect(await insurance.paused()).to.be.true;
+
+            // New proposals need the new quorum
+            const laterId = await proposeInsuranceCalls(governor, insurance, staker1, [["unpause", []]], "Unpause");
+            await governor.connect(staker1).castVote(laterId, true);
+            await governor.connect(staker2).castVote(laterId, true);
+            await time.increase(VOTING_PERIOD + 1);
+            expect(await governor.state(laterId)).to.equal(ProposalState.DEFEATED);
+        });
+    });
+
+    describe("Proposal Rules", function () {
+        it("Should validate proposals", async function () {
+            const { insurance, governor, staker1, outsider } = await loadFixture(deployGovernorFixture);
+            const insuranceAddress = await insurance.getAddress();
+            const calldata = insurance.interface.encodeFunctionData("pause", []);
+
+            await expect(governor.connect(staker1).propose([], [], ""))
+                .to.be.revertedWith("Proposal must contain calls");
+            await expect(governor.connect(staker1).propose([insuranceAddress], [calldata, calldata], ""))
+                .to.be.revertedWith("Proposal length mismatch");
+            await expect(governor.connect(staker1).propose([outsider.address], [calldata], ""))
+                .to.be.revertedWith("Invalid proposal target");
+            await expect(governor.connect(outsider).propose([insuranceAddress], [calldata], ""))
+                .to.be.revertedWith("Stake below proposal threshold");
+        });
+
+        it("Should validate votes", async function () {
+            const { insurance, governor, staker1, outsider } = await loadFixture(deployGovernorFixture);
+            const proposalId = await proposeInsuranceCalls(governor, insurance, staker1, [["pause", []]]);
+
+            await expect(governor.connect(outsider).castVote(proposalId, true))
+                .to.be.revertedWith("No voting power");
+            await governor.connect(staker1).castVote(proposalId, true);
+            await expect(governor.connect(staker1).castVote(proposalId, false))
+                .to.be.revertedWith("Already voted");
+            await expect(governor.connect(staker1).castVote(99, true))
+                .to.be.revertedWith("Invalid proposal ID");
+
+            await time.increase(VOTING_PERIOD + 1);
+            await expect(governor.connect(outsider).castVote(proposalId, true))
+                .to.be.revertedWith("Voting is closed");
+        });
+
+        it("Should not count stake added after the proposal was created", async function () {
+            const { insurance, governor, staker1, outsider } = await loadFixture(deployGovernorFixture);
+            const proposalId = await proposeInsuranceCalls(governor, insurance, staker1, [["pause", []]]);
+
+            await insurance.connect(outsider).stake(InsuranceType.HEALTH, { value: ethers.parseEther("5000") });
+            await expect(governor.connect(outsider).castVote(proposalId, true))
+                .to.be.revertedWith("No voting power");
+        });
+
+        it("Should not count stake added in the block that created the proposal", async function () {
+            const { insurance, governor, staker1, outsider } = await loadFixture(deployGovernorFixture);
+            const calldata = insurance.interface.encodeFunctionData("pause");
+
+            await network.provider.send("evm_setAutomine", [false]);
+            try {
+                await insurance.connect(outsider).stake(InsuranceType.HEALTH, { value: ethers.parseEther("5000") });
+                await governor.connect(staker1).propose([await insurance.getAddress()], [calldata], "Pause");
+                await network.provider.send("evm_mine");
+            } finally {
+                await network.provider.send("evm_setAutomine", [true]);
+            }
+
+            expect((await governor.getProposal(1)).startTime).to.equal((await insurance.getStakeInfo(outsider.address, InsuranceType.HEALTH)).stakingDate);
+            await expect(governor.connect(outsider).castVote(1, true))
+                .to.be.revertedWith("No voting power");
+        });
+
+        it("Should lock a voter's stake until voting ends", async function () {
+            const { insurance, governor, staker1, staker2 } = await loadFixture(deployGovernorFixture);
+            const proposalId = await proposeInsuranceCalls(governor, insurance, staker1, [["pause", []]]);
+            await governor.connect(staker1).castVote(proposalId, true);
+            const { endTime } = await governor.getProposal(proposalId);
+            expect(await insurance.stakeLockedUntil(staker1.address)).to.equal(endTime);
+
+            // Withdrawing would leave the counted votes without stake behind them
+            await expect(insurance.connect(staker1).withdrawStake(InsuranceType.HEALTH, ethers.parseEther("800")))
+                .to.be.revertedWith("Stake locked by an open vote");
+            // Stakers who have not voted can still withdraw
+            await insurance.connect(staker2).withdrawStake(InsuranceType.LIFE, ethers.parseEther("100"));
+
+            await time.increaseTo(endTime + 1n);
+            await expect(insurance.connect(staker1).withdrawStake(InsuranceType.HEALTH, ethers.parseEther("800")))
+                .to.emit(insurance, "StakeWithdrawn");
+        });
+
+        it("Should defeat proposals that miss quorum", async function () {
+            const { insurance, governor, staker1 } = await loadFixture(deployGovernorFixture);
+            const proposalId = await proposeInsuranceCalls(governor, insurance, staker1, [["pause", []]]);
+            // 800 CELO in favour is below the 1000 CELO quorum
+            await governor.connect(staker1).castVote(proposalId, true);
+            await time.increase(VOTING_PERIOD + 1);
+
+            expect(await governor.state(proposalId)).to.equal(ProposalState.DEFEATED);
+            await expect(governor.queue(proposalId)).to.be.revertedWith("Proposal has not succeeded");
+        });
+
+        it("Should defeat proposals with more votes against", async function () {
+            const { insurance, governor, deployer, staker1, staker2, staker3 } = await loadFixture(deployGovernorFixture);
+            await insurance.connect(deployer).stake(InsuranceType.CRYPTO, { value: ethers.parseEther("2000") });
+            const proposalId = await proposeInsuranceCalls(governor, insurance, staker1, [["pause", []]]);
+
+            await governor.connect(staker1).castVote(proposalId, true);
+            await governor.connect(staker2).castVote(proposalId, true);
+            await governor.connect(staker3).castVote(proposalId, true);
+            await governor.connect(deployer).castVote(proposalId, false);
+            await time.increase(VOTING_PERIOD + 1);
+
+            expect(await governor.state(proposalId)).to.equal(ProposalState.DEFEATED);
+        });
+
+        it("Should expire queued proposals after the grace period", async function () {
+            const { insurance, governor, staker1, staker2 } = await loadFixture(deployGovernorFixture);
+            const proposalId = await proposeInsuranceCalls(governor, insurance, staker1, [["pause", []]]);
+            await passAndQueue(governor, proposalId, [staker1, staker2]);
+            await time.increase(TIMELOCK_DELAY + GRACE_PERIOD + 1);
+
+            expect(await governor.state(proposalId)).to.equal(ProposalState.EXPIRED);
+            await expect(governor.execute(proposalId)).to.be.revertedWith("Proposal is not queued");
+        });
+
+        it("Should let the proposer cancel before execution", async function () {
+            const { insurance, governor, staker1, staker2 } = await loadFixture(deployGovernorFixture);
+            const proposalId = await proposeInsuranceCalls(governor, insurance, staker1, [["pause", []]]);
+            await passAndQueue(governor, proposalId, [staker1, staker2]);
+
+            await expect(governor.connect(staker2).cancel(proposalId))
+                .to.be.revertedWith("Not proposer");
+            await expect(governor.connect(staker1).cancel(proposalId))
+                .to.emit(governor, "ProposalCanceled")
+                .withArgs(proposalId);
+            expect(await governor.state(proposalId)).to.equal(ProposalState.CANCELED);
+
+            await time.increase(TIMELOCK_DELAY);
+            await expect(governor.execute(proposalId)).to.be.revertedWith("Proposal is not queued");
+            await expect(governor.connect(staker1).cancel(proposalId))
+                .to.be.revertedWith("Proposal already closed");
+        });
+    });
+});
@@ -0,0 +1,503 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { signVote } = require("../scripts/relayer");
+
+const POLL_QUESTION = "Which network should we deploy to next?";
+const POLL_OPTIONS = ["Celo", "Alfajores", "Baklava"];
+
+// Poll.VotingMode values
+const VotingMode = { ONE_PER_ADDRESS: 0, TOKEN_WEIGHTED: 1, MERKLE_ALLOWLIST: 2, QUADRATIC: 3 };
+
+// Leaf format expected by Poll.voteWithProof (same as OpenZeppelin's StandardMerkleTree)
+function merkleLeaf(address) {
+  const inner = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["address"], [address]));
+  return ethers.keccak256(inner);
+}
+
+// Hashes a pair of nodes in sorted order, as MerkleProof does
+function hashPair(a, b) {
+  return BigInt(a) < BigInt(b) ? ethers.keccak256(ethers.concat([a, b])) : ethers.keccak256(ethers.concat([b, a]));
+}
+
+// Builds a Merkle tree over the given addresses and returns its root and a proof lookup
+function buildMerkleTree(addresses) {
+  const layers = [addresses.map(merkleLeaf)];
+  while (layers[layers.length - 1].length > 1) {
+    const current = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < current.length; i += 2) {
+      next.push(i + 1 < current.length ? hashPair(current[i], current[i + 1]) : current[i]);
+    }
+    layers.push(next);
+  }
+
+  const getProof = (address) => {
+    let index = layers[0].indexOf(merkleLeaf(address));
+    const proof = [];
+    for (let level = 0; level < layers.length - 1; level++) {
+      const sibling = index % 2 === 0 ? index + 1 : index - 1;
+      if (sibling < layers[level].length) proof.push(layers[level][sibling]);
+      index = Math.floor(index / 2);
+    }
+    return proof;
+  };
+
+  return { root: layers[layers.length - 1][0], getProof };
+}
+
+describe("PollFactory Contract", function () {
+
+  async function deployFactoryFixture() {
+    const [owner, addr1, addr2, addr3] = await ethers.getSigners();
+    const PollFactory = await ethers.getContractFactory("PollFactory");
+    const pollFactory = await PollFactory.deploy();
+    await pollFactory.waitForDeployment();
+
+    return { pollFactory, owner, addr1, addr2, addr3 };
+  }
+
+  // Creates a poll through the factory and returns the attached Poll contract
+  async function createPoll(pollFactory, creator, { question = POLL_QUESTION, options = POLL_OPTIONS, startTime = 0, endTime = 0, allowlist = [] } = {}) {
+    await pollFactory.connect(creator).createPoll(question, options, startTime, endTime, allowlist);
+    const polls = await pollFactory.getPolls();
+    return ethers.getContractAt("Poll", polls[polls.length - 1]);
+  }
+
+  async function deployYesNoPollFixture() {
+    const fixture = await deployFactoryFixture();
+    await fixture.pollFactory.createYesNoPoll("Is Solidity fun?");
+    const simplePoll = await ethers.getContractAt("Poll", (await fixture.pollFactory.getPolls())[0]);
+    return { ...fixture, simplePoll };
+  }
+
+  describe("Poll Creation", function () {
+    it("Should create a poll with the given settings", async function () {
+      const { pollFactory, owner, addr1 } = await loadFixture(deployFactoryFixture);
+      const start = (await time.latest()) + 100;
+      const end = start + 3600;
+
+      await expect(pollFactory.connect(addr1).createPoll(POLL_QUESTION, POLL_OPTIONS, start, end, [owner.address]))
+        .to.emit(pollFactory, "PollCreated");
+
+      const pollAddress = (await pollFactory.getPolls())[0];
+      const poll = await ethers.getContractAt("Poll", pollAddress);
+      expect(await poll.creator()).to.equal(addr1.address);
+      expect(await poll.question()).to.equal(POLL_QUESTION);
+      expect(await poll.getOptions()).to.deep.equal(POLL_OPTIONS);
+      expect(await poll.startTime()).to.equal(start);
+      expect(await poll.endTime()).to.equal(end);
+      expect(await poll.restricted()).to.be.true;
+      expect(await poll.isAllowed(owner.address)).to.be.true;
+
+      expect(await pollFactory.getPollCount()).to.equal(1);
+      expect(await pollFactory.getPollsByCreator(addr1.address)).to.deep.equal([pollAddress]);
+      expect(await pollFactory.getPollsByCreator(owner.address)).to.deep.equal([]);
+    });
+
+    it("Should open polls without a start time immediately", async function () {
+      const { pollFactory, owner } = await loadFixture(deployFactoryFixture);
+      const poll = await createPoll(pollFactory, owner);
+      expect(await poll.startTime()).to.equal(await time.latest());
+      expect(await poll.isOpen()).to.be.true;
+      expect(await poll.restricted()).to.be.false;
+    });
+
+    it("Should reject invalid poll settings", async function () {
+      const { pollFactory } = await loadFixture(deployFactoryFixture);
+      const now = await time.latest();
+
+      await expect(pollFactory.createPoll("", POLL_OPTIONS, 0, 0, []))
+        .to.be.revertedWith("Question cannot be empty");
+      await expect(pollFactory.createPoll(POLL_QUESTION, ["Only"], 0, 0, []))
+        .to.be.revertedWith("Poll needs between 2 and 20 options");
+      await expect(pollFactory.createPoll(POLL_QUESTION, Array(21).fill("Option"), 0, 0, []))
+        .to.be.revertedWith("Poll needs between 2 and 20 options");
+      await expect(pollFactory.createPoll(POLL_QUESTION, ["Yes", ""], 0, 0, []))
+        .to.be.revertedWith("Option cannot be empty");
+      await expect(pollFactory.createPoll(POLL_QUESTION, POLL_OPTIONS, now + 100, now + 100, []))
+        .to.be.revertedWith("End time must be after start time");
+      await expect(pollFactory.createPoll(POLL_QUESTION, POLL_OPTIONS, 1, 2, []))
+        .to.be.revertedWith("End time must be in the future");
+    });
+
+    it("Should keep track of polls from several creators", async function () {
+      const { pollFactory, owner, addr1 } = await loadFixture(deployFactoryFixture);
+      const first = await createPoll(pollFactory, owner);
+      const second = await createPoll(pollFactory, addr1);
+      const third = await createPoll(pollFactory, owner);
+
+      expect(await pollFactory.getPolls()).to.deep.equal([
+        await first.getAddress(),
+        await second.getAddress(),
+        await third.getAddress(),
+      ]);
+      expect(await pollFactory.getPollsByCreator(owner.address)).to.deep.equal([
+        await first.getAddress(),
+        await third.getAddress(),
+      ]);
+    });
+  });
+
+  describe("Voting", function () {
+    it("Should tally votes per option", async function () {
+      const { pollFactory, owner, addr1, addr2, addr3 } = await loadFixture(deployFactoryFixture);
+      const poll = await createPoll(pollFactory, owner);
+
+      await poll.connect(addr1).vote(2);
+      await poll.connect(addr2).vote(0);
+      await expect(poll.connect(addr3).vote(2))
+        .to.emit(poll, "Voted")
+        .withArgs(addr3.address, 2, 1, 2);
+
+      const [voteCounts, finalized] = await poll.getResults();
+      expect(voteCounts).to.deep.equal([1n, 0n, 2n]);
+      expect(finalized).to.be.false;
+    });
+
+    it("Should reject an unknown option", async function () {
+      const { pollFactory, owner, addr1 } = await loadFixture(deployFactoryFixture);
+      const poll = await createPoll(pollFactory, owner);
+      await expect(poll.connect(addr1).vote(3)).to.be.revertedWith("Invalid option.");
+    });
+
+    it("Should only accept votes inside the voting window", async function () {
+      const { pollFactory, owner, addr1, addr2 } = await loadFixture(deployFactoryFixture);
+      const start = (await time.latest()) + 100;
+      const end = start + 3600;
+      const poll = await createPoll(pollFactory, owner, { startTime: start, endTime: end });
+
+      expect(await poll.isOpen()).to.be.false;
+      await expect(poll.connect(addr1).vote(0)).to.be.revertedWith("Poll is not open.");
+
+      await time.increaseTo(start);
+      await poll.connect(addr1).vote(0);
+
+      await time.increaseTo(end + 1);
+      await expect(poll.connect(addr2).vote(1)).to.be.revertedWith("Poll is not open.");
+
+      const [voteCounts, finalized] = await poll.getResults();
+      expect(voteCounts).to.deep.equal([1n, 0n, 0n]);
+      expect(finalized).to.be.true;
+    });
+
+    it("Should restrict voting to the allowlist", async function () {
+      const { pollFactory, owner, addr1, addr2 } = await loadFixture(deployFactoryFixture);
+      const poll = await createPoll(pollFactory, owner, { allowlist: [addr1.address] });
+
+      await expect(poll.connect(addr2).vote(0)).to.be.revertedWith("You are not allowed to vote in this poll.");
+      await poll.connect(addr1).vote(0);
+
+      await expect(poll.connect(owner).setAllowed([addr2.address], true))
+        .to.emit(poll, "AllowlistUpdated")
+        .withArgs(addr2.address, true);
+      await poll.connect(addr2).vote(1);
+    });
+
+    it("Should only let the creator manage the allowlist", async function () {
+      const { pollFactory, owner, addr1 } = await loadFixture(deployFactoryFixture);
+      const restricted = await createPoll(pollFactory, owner, { allowlist: [addr1.address] });
+      const open = await createPoll(pollFactory, owner);
+
+      await expect(restricted.connect(addr1).setAllowed([addr1.address], false))
+        .to.be.revertedWith("Only the poll creator can do this.");
+      await expect(open.connect(owner).setAllowed([addr1.address], true))
+        .to.be.revertedWith("Poll has no allowlist.");
+
+      await restricted.connect(owner).setAllowed([addr1.address], false);
+      await expect(restricted.connect(addr1).vote(0)).to.be.revertedWith("You are not allowed to vote in this poll.");
+    });
+
+    it("Should let the creator close a poll early", async function () {
+      const { pollFactory, owner, addr1, addr2 } = await loadFixture(deployFactoryFixture);
+      const poll = await createPoll(pollFactory, owner);
+      await poll.connect(addr1).vote(1);
+
+      await expect(poll.connect(addr1).close()).to.be.revertedWith("Only the poll creator can do this.");
+      await expect(poll.connect(owner).close()).to.emit(poll, "PollClosed");
+
+      await expect(poll.connect(addr2).vote(1)).to.be.revertedWith("Poll is not open.");
+      await expect(poll.connect(owner).close()).to.be.revertedWith("Poll is already finalized.");
+
+      const [voteCounts, finalized] = await poll.getResults();
+      expect(voteCounts).to.deep.equal([0n, 1n, 0n]);
+      expect(finalized).to.be.true;
+    });
+  });
+
+  describe("Weighted Voting", function () {
+    const emptyConfig = { mode: VotingMode.ONE_PER_ADDRESS, token: ethers.ZeroAddress, merkleRoot: ethers.ZeroHash, creditsPerVoter: 0 };
+
+    async function createWeightedPoll(pollFactory, creator, config, allowlist = []) {
+      await pollFactory.connect(creator).createWeightedPoll(POLL_QUESTION, POLL_OPTIONS, 0, 0, allowlist, { ...emptyConfig, ...config });
+      const polls = await pollFactory.getPolls();
+      return ethers.getContractAt("Poll", polls[polls.length - 1]);
+    }
+
+    async function deployVotesTokenFixture() {
+      const fixture = await deployFactoryFixture();
+      const { addr1, addr2, addr3 } = fixture;
+      const MockVotesToken = await ethers.getContractFactory("MockVotesToken");
+      const token = await MockVotesToken.deploy("Governance Token", "GOV");
+      await token.waitForDeployment();
+
+      await token.mint(addr1.address, ethers.parseEther("100"));
+      await token.mint(addr2.address, ethers.parseEther("40"));
+      await token.mint(addr3.address, ethers.parseEther("5"));
+      // Votes are only checkpointed for accounts that delegate
+      for (const holder of [addr1, addr2, addr3]) {
+        await token.connect(holder).delegate(holder.address);
+      }
+      return { ...fixture, token };
+    }
+
+    it("Should reject weighted polls without their settings", async function () {
+      const { pollFactory, owner } = await loadFixture(deployFactoryFixture);
+      await expect(createWeightedPoll(pollFactory, owner, { mode: VotingMode.TOKEN_WEIGHTED }))
+        .to.be.revertedWith("Token-weighted polls need a token");
+      await expect(createWeightedPoll(pollFactory, owner, { mode: VotingMode.MERKLE_ALLOWLIST }))
+        .to.be.revertedWith("Merkle polls need a root");
+      await expect(createWeightedPoll(pollFactory, owner, { mode: VotingMode.QUADRATIC }))
+        .to.be.revertedWith("Quadratic polls need voting credits");
+    });
+
+    it("Should reject tokens without vote checkpoints", async function () {
+      const { pollFactory, owner, addr1 } = await loadFixture(deployFactoryFixture);
+      const plainToken = await ethers.deployContract("MockERC20", ["Plain Token", "PLAIN"]);
+
+      for (const token of [await plainToken.getAddress(), addr1.address]) {
+        await expect(createWeightedPoll(pollFactory, owner, { mode: VotingMode.TOKEN_WEIGHTED, token }))
+          .to.be.revertedWith("Token must support IERC5805 vote checkpoints");
+      }
+    });
+
+    it("Should weight votes by the token balance at poll creation", async function () {
+      const { pollFactory, token, owner, addr1, addr2 } = await loadFixture(deployVotesTokenFixture);
+      const poll = await createWeightedPoll(pollFactory, owner, { mode: VotingMode.TOKEN_WEIGHTED, token: await token.getAddress() });
+      expect(await poll.votingMode()).to.equal(VotingMode.TOKEN_WEIGHTED);
+      expect(await poll.snapshot()).to.equal(await ethers.provider.getBlockNumber());
+
+      // Moving tokens after the snapshot changes nothing
+      await token.connect(addr2).transfer(addr1.address, ethers.parseEther("40"));
+
+      await expect(poll.connect(addr1).vote(0))
+        .to.emit(poll, "Voted")
+        .withArgs(addr1.address, 0, ethers.parseEther("100"), ethers.parseEther("100"));
+      await expect(poll.connect(addr2).vote(1))
+        .to.emit(poll, "Voted")
+        .withArgs(addr2.address, 1, ethers.parseEther("40"), ethers.parseEther("40"));
+
+      const [voteCounts] = await poll.getResults();
+      expect(voteCounts).to.deep.equal([ethers.parseEther("100"), ethers.parseEther("40"), 0n]);
+    });
+
+    it("Should reject voters without weight at the snapshot", async function () {
+      const { pollFactory, token, owner, addr1 } = await loadFixture(deployVotesTokenFixture);
+      const poll = await createWeightedPoll(pollFactory, owner, { mode: VotingMode.TOKEN_WEIGHTED, token: await token.getAddress() });
+
+      // Tokens received after creation do not count
+      await token.mint(owner.address, ethers.parseEther("1000"));
+      await token.connect(owner).delegate(owner.address);
+      await expect(poll.connect(owner).vote(0)).to.be.revertedWith("You had no voting weight at the snapshot.");
+
+      await poll.connect(addr1).vote(0);
+      await expect(poll.connect(addr1).vote(0)).to.be.revertedWith("You have already voted.");
+    });
+
+    it("Should only accept voters from the Merkle allowlist", async function () {
+      const { pollFactory, owner, addr1, addr2, addr3 } = await loadFixture(deployFactoryFixture);
+      const signers = await ethers.getSigners();
+      const listed = [addr1, addr2, ...signers.slice(5, 10)].map((signer) => signer.address);
+      const tree = buildMerkleTree(listed);
+      const poll = await createWeightedPoll(pollFactory, owner, { mode: VotingMode.MERKLE_ALLOWLIST, merkleRoot: tree.root });
+
+      await expect(poll.connect(addr1).vote(0)).to.be.revertedWith("Wrong vote function for this poll.");
+
+      await expect(poll.connect(addr1).voteWithProof(2, tree.getProof(addr1.address)))
+        .to.emit(poll, "Voted")
+        .withArgs(addr1.address, 2, 1, 1);
+      await poll.connect(signers[9]).voteWithProof(2, tree.getProof(signers[9].address));
+
+      // An unlisted voter cannot reuse someone else's proof
+      await expect(poll.connect(addr3).voteWithProof(0, tree.getProof(addr2.address)))
+        .to.be.revertedWith("Invalid Merkle proof.");
+      await expect(poll.connect(addr1).voteWithProof(0, tree.getProof(addr1.address)))
+        .to.be.revertedWith("You have already voted.");
+
+      const [voteCounts] = await poll.getResults();
+      expect(voteCounts).to.deep.equal([0n, 0n, 2n]);
+    });
+
+    it("Should charge quadratic voters n squared credits for n votes", async function () {
+      const { pollFactory, owner, addr1 } = await loadFixture(deployFactoryFixture);
+      const poll = await createWeightedPoll(pollFactory, owner, { mode: VotingMode.QUADRATIC, creditsPerVoter: 100 });
+
+      await expect(poll.connect(addr1).vote(0)).to.be.revertedWith("Wrong vote function for this poll.");
+
+      // 6 votes cost 36 credits
+      await expect(poll.connect(addr1).voteQuadratic(0, 6))
+        .to.emit(poll, "Voted")
+        .withArgs(addr1.address, 0, 6, 6);
+      expect(await poll.remainingCredits(addr1.address)).to.equal(64);
+
+      // Raising the same option to 8 votes costs 64 - 36 = 28 more
+      await poll.connect(addr1).voteQuadratic(0, 2);
+      expect(await poll.quadraticVotes(addr1.address, 0)).to.equal(8);
+      expect(await poll.remainingCredits(addr1.address)).to.equal(36);
+
+      // A fresh option is cheaper per vote
+      await poll.connect(addr1).voteQuadratic(1, 6);
+      expect(await poll.remainingCredits(addr1.address)).to.equal(0);
+      await expect(poll.connect(addr1).voteQuadratic(2, 1)).to.be.revertedWith("Not enough voting credits.");
+      await expect(poll.connect(addr1).voteQuadratic(2, 0)).to.be.revertedWith("Must cast at least one vote.");
+
+      const [voteCounts] = await poll.getResults();
+      expect(voteCounts).to.deep.equal([8n, 6n, 0n]);
+      expect(await poll.hasVoted(addr1.address)).to.be.true;
+    });
+
+    it("Should combine quadratic voting with the allowlist and voting window", async function () {
+      const { pollFactory, owner, addr1, addr2 } = await loadFixture(deployFactoryFixture);
+      const poll = await createWeightedPoll(pollFactory, owner, { mode: VotingMode.QUADRATIC, creditsPerVoter: 9 }, [addr1.address]);
+
+      await expect(poll.connect(addr2).voteQuadratic(0, 1)).to.be.revertedWith("You are not allowed to vote in this poll.");
+      await poll.connect(owner).close();
+      await expect(poll.connect(addr1).voteQuadratic(0, 1)).to.be.revertedWith("Poll is not open.");
+    });
+
+    it("Should weight a signed vote by the signer's snapshot balance", async function () {
+      const { pollFactory, owner, addr2, token } = await loadFixture(deployVotesTokenFixture);
+      const poll = await createWeightedPoll(pollFactory, owner, { mode: VotingMode.TOKEN_WEIGHTED, token: await token.getAddress() });
+      const deadline = (await time.latest()) + 3600;
+
+      const signature = await signVote(addr2, poll, 1, deadline);
+      await expect(poll.connect(owner).voteBySig(addr2.address, 1, deadline, signature))
+        .to.emit(poll, "Voted").withArgs(addr2.address, 1, ethers.parseEther("40"), ethers.parseEther("40"));
+    });
+
+    it("Should reject signed votes on Merkle and quadratic polls", async function () {
+      const { pollFactory, owner, addr1 } = await loadFixture(deployFactoryFixture);
+      const poll = await createWeightedPoll(pollFactory, owner, { mode: VotingMode.QUADRATIC, creditsPerVoter: 9 });
+      const deadline = (await time.latest()) + 3600;
+
+      const signature = await signVote(addr1, poll, 0, deadline);
+      await expect(poll.voteBySig(addr1.address, 0, deadline, signature)).to.be.revertedWith("Wrong vote function for this poll.");
+    });
+  });
+
+  describe("Gasless Voting", function () {
+    it("Should count a relayed vote for the signer", async function () {
+      const { pollFactory, owner, addr1, addr2 } = await loadFixture(deployFactoryFixture);
+      const poll = await createPoll(pollFactory, owner);
+      const deadline = (await time.latest()) + 3600;
+
+      const signature = await signVote(addr1, poll, 2, deadline);
+      await expect(poll.connect(addr2).voteBySig(addr1.address, 2, deadline, signature))
+        .to.emit(poll, "Voted").withArgs(addr1.address, 2, 1, 1);
+
+      expect(await poll.hasVoted(addr1.address)).to.be.true;
+      expect(await poll.hasVoted(addr2.address)).to.be.false;
+      expect(await poll.nonces(addr1.address)).to.equal(1);
+    });
+
+    it("Should reject a replayed signature", async function () {
+      const { pollFactory, owner, addr1 } = await loadFixture(deployFactoryFixture);
+      const poll = await createPoll(pollFactory, owner);
+      const deadline = (await time.latest()) + 3600;
+
+      const signature = await signVote(addr1, poll, 0, deadline);
+      await poll.voteBySig(addr1.address, 0, deadline, signature);
+      // The nonce has moved on, so the same signature no longer recovers to the voter
+      await expect(poll.voteBySig(addr1.address, 0, deadline, signature)).to.be.revertedWith("Invalid signature.");
+    });
+
+    it("Should reject an expired signature", async function () {
+      const { pollFactory, owner, addr1 } = await loadFixture(deployFactoryFixture);
+      const poll = await createPoll(pollFactory, owner);
+      const deadline = (await time.latest()) + 60;
+
+      const signature = await signVote(addr1, poll, 0, deadline);
+      await time.increase(120);
+      await expect(poll.voteBySig(addr1.address, 0, deadline, signature)).to.be.revertedWith("Signature has expired.");
+    });
+
+    it("Should reject a signature for another voter, option or poll", async function () {
+      const { pollFactory, owner, addr1, addr2 } = await loadFixture(deployFactoryFixture);
+      const poll = await createPoll(pollFactory, owner);
+      const otherPoll = await createPoll(pollFactory, owner);
+      const deadline = (await time.latest()) + 3600;
+
+      const signature = await signVote(addr1, poll, 0, deadline);
+      await expect(poll.voteBySig(addr2.address, 0, deadline, signature)).to.be.revertedWith("Invalid signature.");
+      await expect(poll.voteBySig(addr1.address, 1, deadline, signature)).to.be.revertedWith("Invalid signature.");
+      await expect(otherPoll.voteBySig(addr1.address, 0, deadline, signature)).to.be.revertedWith("Invalid signature.");
+    });
+
+    it("Should apply the allowlist and one-vote rule to the signer", async function () {
+      const { pollFactory, owner, addr1, addr2 } = await loadFixture(deployFactoryFixture);
+      const poll = await createPoll(pollFactory, owner, { allowlist: [addr1.address] });
+      const deadline = (await time.latest()) + 3600;
+
+      // An allowlisted relayer cannot lend its permission to the signer
+      const outsider = await signVote(addr2, poll, 0, deadline);
+      await expect(poll.connect(addr1).voteBySig(addr2.address, 0, deadline, outsider))
+        .to.be.revertedWith("You are not allowed to vote in this poll.");
+
+      await poll.connect(addr1).vote(0);
+      const again = await signVote(addr1, poll, 1, deadline);
+      await expect(poll.voteBySig(addr1.address, 1, deadline, again)).to.be.revertedWith("You have already voted.");
+    });
+  });
+
+  // The same behaviour SimplePoll offers, through a factory-made Yes/No poll
+  describe("Yes/No Polls", function () {
+    it("Should set the question and Yes/No options", async function () {
+      const { simplePoll, owner } = await loadFixture(deployYesNoPollFixture);
+      expect(await simplePoll.question()).to.equal("Is Solidity fun?");
+      expect(await simplePoll.getOptions()).to.deep.equal(["Yes", "No"]);
+      expect(await simplePoll.creator()).to.equal(owner.address);
+      expect(await simplePoll.endTime()).to.equal(0);
+    });
+
+    it("Should initialize vote counts to zero", async function () {
+      const { simplePoll } = await loadFixture(deployYesNoPollFixture);
+      const [voteCounts, finalized] = await simplePoll.getResults();
+      expect(voteCounts).to.deep.equal([0n, 0n]);
+      expect(finalized).to.be.false;
+    });
+
+    it("Should allow a user to vote Yes or No", async function () {
+      const { simplePoll, addr1, addr2 } = await loadFixture(deployYesNoPollFixture);
+      await simplePoll.connect(addr1).vote(0);
+      await simplePoll.connect(addr2).vote(1);
+      const [voteCounts] = await simplePoll.getResults();
+      expect(voteCounts).to.deep.equal([1n, 1n]);
+    });
+
+    it("Should prevent a user from voting twice", async function () {
+      const { simplePoll, addr1 } = await loadFixture(deployYesNoPollFixture);
+      await simplePoll.connect(addr1).vote(0);
+      await expect(simplePoll.connect(addr1).vote(1)).to.be.revertedWith("You have already voted.");
+    });
+
+    it("Should correctly record votes from multiple users", async function () {
+      const { simplePoll, owner, addr1, addr2 } = await loadFixture(deployYesNoPollFixture);
+      await simplePoll.connect(owner).vote(0);
+      await simplePoll.connect(addr1).vote(1);
+      await simplePoll.connect(addr2).vote(0);
+
+      const [voteCounts] = await simplePoll.getResults();
+      expect(voteCounts).to.deep.equal([2n, 1n]);
+    });
+
+    it("Should stay open until the creator closes it", async function () {
+      const { simplePoll, owner, addr1 } = await loadFixture(deployYesNoPollFixture);
+      await time.increase(365 * 24 * 60 * 60);
+      await simplePoll.connect(addr1).vote(0);
+
+      await simplePoll.connect(owner).close();
+      const [, finalized] = await simplePoll.getResults();
+      expect(finalized).to.be.true;
+    });
+  });
+});
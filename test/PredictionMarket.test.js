@@ -1,6 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadFixture, time, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("PredictionMarket Contract", function () {
 
@@ -17,6 +17,13 @@ describe("PredictionMarket Contract", function () {
         return { predictionMarket, marketAddress, owner, resolver, user1, user2 };
     }
 
+    // Proposes an outcome and finalizes it once the challenge period has passed
+    async function resolveAndFinalize(predictionMarket, resolver, marketId, outcome) {
+        await predictionMarket.connect(resolver).resolveMarket(marketId, outcome);
+        await time.increase(await predictionMarket.challengePeriod());
+        await predictionMarket.finalizeResolution(marketId);
+    }
+
     describe("Market Creation", function () {
         it("Should allow a user to create a new market", async function () {
             const { predictionMarket, resolver } = await loadFixture(deployPredictionMarketFixture);
@@ -33,6 +40,7 @@ describe("PredictionMarket Contract", function () {
             expect(market.resolver).to.equal(resolver.address);
             expect(market.yesToken).to.not.equal(ethers.ZeroAddress);
             expect(market.noToken).to.not.equal(ethers.ZeroAddress);
+            expect(await predictionMarket.getOutcomeTokens(1)).to.deep.equal([market.noToken, market.yesToken]);
         });
 
         it("Should revert if resolution time is in the past", async function () {
@@ -43,6 +51,125 @@ describe("PredictionMarket Contract", function () {
         });
     });
 
+    describe("Categorical Markets", function () {
+        const labels = ["Lions", "Tigers", "Bears", "Wolves", "Eagles"];
+        let fixture;
+        beforeEach(async function() {
+            fixture = await loadFixture(deployPredictionMarketFixture);
+            const { predictionMarket, resolver } = fixture;
+            const resolutionTimestamp = (await time.latest()) + time.duration.days(1);
+            await predictionMarket.createCategoricalMarket("Which team wins?", resolver.address, resolutionTimestamp, labels, ethers.ZeroAddress);
+        });
+
+        async function getOutcomeTokens(predictionMarket, marketId) {
+            const addresses = await predictionMarket.getOutcomeTokens(marketId);
+            return Promise.all(addresses.map((address) => ethers.getContractAt("OutcomeToken", address)));
+        }
+
+        it("Should deploy one outcome token per label", async function () {
+            const { predictionMarket } = fixture;
+            const tokens = await getOutcomeTokens(predictionMarket, 1);
+            expect(tokens.length).to.equal(labels.length);
+            for (let i = 0; i < labels.length; i++) {
+                expect(await tokens[i].name()).to.equal(`Market #1 - ${labels[i]}`);
+                expect(await tokens[i].symbol()).to.equal(`M1O${i}`);
+            }
+
+            const market = await predictionMarket.markets(1);
+            expect(market.yesToken).to.equal(ethers.ZeroAddress);
+            expect(market.noToken).to.equal(ethers.ZeroAddress);
+        });
+
+        it("Should emit the outcome labels", async function () {
+            const { predictionMarket, resolver } = fixture;
+            const resolutionTimestamp = (await time.latest()) + time.duration.days(1);
+            await expect(predictionMarket.createCategoricalMarket("Q", resolver.address, resolutionTimestamp, ["A", "B", "C"], ethers.ZeroAddress))
+                .to.emit(predictionMarket, "CategoricalMarketCreated")
+                .withArgs(2, ["A", "B", "C"]);
+        });
+
+        it("Should reject too few or too many outcomes and empty labels", async function () {
+            const { predictionMarket, resolver } = fixture;
+            const resolutionTimestamp = (await time.latest()) + time.duration.days(1);
+            await expect(predictionMarket.createCategoricalMarket("Q", resolver.address, resolutionTimestamp, ["Only"], ethers.ZeroAddress))
+                .to.be.revertedWith("Invalid number of outcomes");
+            const tooMany = Array.from({ length: 9 }, (_, i) => `Outcome ${i}`);
+            await expect(predictionMarket.createCategoricalMarket("Q", resolver.address, resolutionTimestamp, tooMany, ethers.ZeroAddress))
+                .to.be.revertedWith("Invalid number of outcomes");
+            await expect(predictionMarket.createCategoricalMarket("Q", resolver.address, resolutionTimestamp, ["A", ""], ethers.ZeroAddress))
+                .to.be.revertedWith("Outcome label cannot be empty");
+        });
+
+        it("Should mint and burn complete sets across all outcomes", async function () {
+            const { predictionMarket, user1 } = fixture;
+            await predictionMarket.connect(user1).buyShares(1, { value: ethers.parseEther("4") });
+            await predictionMarket.connect(user1).sellShares(1, ethers.parseEther("1"));
+
+            const tokens = await getOutcomeTokens(predictionMarket, 1);
+            for (const token of tokens) {
+                expect(await token.balanceOf(user1.address)).to.equal(ethers.parseEther("3"));
+            }
+            expect((await predictionMarket.markets(1)).liquidityPool).to.equal(ethers.parseEther("3"));
+        });
+
+        it("Should price every outcome through the pool", async function () {
+            const { predictionMarket, owner, user1 } = fixture;
+            await predictionMarket.connect(owner).addLiquidity(1, { value: ethers.parseEther("100") });
+            const initialPrices = await predictionMarket.getOutcomePrices(1);
+            for (const price of initialPrices) {
+                expect(price).to.equal(ethers.parseEther("0.2"));
+            }
+
+            await predictionMarket.connect(user1).buyOutcome(1, 3, 0, { value: ethers.parseEther("10") });
+            const prices = await predictionMarket.getOutcomePrices(1);
+            expect(prices[3]).to.be.gt(ethers.parseEther("0.2"));
+            expect(prices.reduce((a, b) => a + b, 0n)).to.be.closeTo(ethers.parseEther("1"), 5n);
+
+            const tokens = await getOutcomeTokens(predictionMarket, 1);
+            const shares = await tokens[3].balanceOf(user1.address);
+            await predictionMarket.connect(user1).sellOutcome(1, 3, shares, 0);
+            expect(await tokens[3].balanceOf(user1.address)).to.equal(0);
+
+            await expect(predictionMarket.connect(user1).buyOutcome(1, 5, 0, { value: ethers.parseEther("1") }))
+                .to.be.revertedWith("Invalid outcome");
+        });
+
+        it("Should redeem the winning outcome of a categorical market", async function () {
+            const { predictionMarket, resolver, user1, user2 } = fixture;
+            await predictionMarket.connect(user1).buyShares(1, { value: ethers.parseEther("10") });
+            const tokens = await getOutcomeTokens(predictionMarket, 1);
+            await tokens[2].connect(user1).transfer(user2.address, ethers.parseEther("4"));
+
+            await time.increase(time.duration.days(2));
+            await expect(predictionMarket.connect(resolver).resolveMarket(1, 6))
+                .to.be.revertedWith("Invalid outcome");
+            await resolveAndFinalize(predictionMarket, resolver, 1, 2); // Bears win
+
+            const payout = ethers.parseEther("4") - (ethers.parseEther("4") * 100n) / 10000n;
+            await expect(predictionMarket.connect(user2).redeemWinnings(1))
+                .to.changeEtherBalance(user2, payout);
+            await expect(predictionMarket.connect(user2).redeemWinnings(1))
+                .to.be.revertedWith("No winning shares to redeem");
+        });
+
+        it("Should refund all outcomes when resolved as invalid", async function () {
+            const { predictionMarket, resolver, user1, user2 } = fixture;
+            await predictionMarket.connect(user1).buyShares(1, { value: ethers.parseEther("10") });
+            const tokens = await getOutcomeTokens(predictionMarket, 1);
+            await tokens[0].connect(user1).transfer(user2.address, ethers.parseEther("10"));
+
+            await time.increase(time.duration.days(2));
+            await resolveAndFinalize(predictionMarket, resolver, 1, labels.length); // INVALID
+
+            // Each share of a 5-outcome market refunds a fifth of a CELO
+            await expect(predictionMarket.connect(user1).claimRefund(1))
+                .to.changeEtherBalance(user1, ethers.parseEther("8"));
+            await expect(predictionMarket.connect(user2).claimRefund(1))
+                .to.changeEtherBalance(user2, ethers.parseEther("2"));
+            expect((await predictionMarket.markets(1)).liquidityPool).to.equal(0);
+        });
+    });
+
     describe("Trading (Buying and Selling Shares)", function () {
         let fixture;
         beforeEach(async function() {
@@ -101,6 +228,285 @@ describe("PredictionMarket Contract", function () {
         });
     });
 
+    describe("Automated Market Maker", function () {
+        const liquidity = ethers.parseEther("100");
+        let fixture;
+        beforeEach(async function() {
+            fixture = await loadFixture(deployPredictionMarketFixture);
+            const { predictionMarket, owner, resolver } = fixture;
+            const resolutionTimestamp = (await time.latest()) + time.duration.days(1);
+            await predictionMarket.createMarket("AMM Market", resolver.address, resolutionTimestamp);
+            await predictionMarket.connect(owner).addLiquidity(1, { value: liquidity });
+        });
+
+        it("Should quote equal prices for a freshly funded pool", async function () {
+            const { predictionMarket, owner } = fixture;
+            const prices = await predictionMarket.getOutcomePrices(1);
+            expect(prices[0]).to.equal(ethers.parseEther("0.5"));
+            expect(prices[1]).to.equal(ethers.parseEther("0.5"));
+            expect(await predictionMarket.getPoolBalances(1)).to.deep.equal([liquidity, liquidity]);
+            expect(await predictionMarket.liquidityShares(1, owner.address)).to.equal(liquidity);
+        });
+
+        it("Should let a user buy a single outcome and move its price up", async function () {
+            const { predictionMarket, user1 } = fixture;
+            const investment = ethers.parseEther("10");
+            const expectedShares = await predictionMarket.calcBuyAmount(1, 1, investment);
+            expect(expectedShares).to.be.gt(investment); // YES is cheaper than 1 CELO
+
+            await expect(predictionMarket.connect(user1).buyOutcome(1, 1, expectedShares, { value: investment }))
+                .to.emit(predictionMarket, "OutcomeBought")
+                .withArgs(1, user1.address, 1, investment, expectedShares);
+
+            const market = await predictionMarket.markets(1);
+            const yesToken = await ethers.getContractAt("OutcomeToken", market.yesToken);
+            const noToken = await ethers.getContractAt("OutcomeToken", market.noToken);
+            expect(await yesToken.balanceOf(user1.address)).to.equal(expectedShares);
+            expect(await noToken.balanceOf(user1.address)).to.equal(0);
+
+            const [noPrice, yesPrice] = await predictionMarket.getOutcomePrices(1);
+            expect(yesPrice).to.be.gt(ethers.parseEther("0.5"));
+            expect(noPrice).to.be.lt(ethers.parseEther("0.5"));
+            expect(yesPrice + noPrice).to.be.closeTo(ethers.parseEther("1"), 1n);
+
+            // The product of the reserves never decreases
+            const [noBalance, yesBalance] = await predictionMarket.getPoolBalances(1);
+            expect(noBalance * yesBalance).to.be.gte(liquidity * liquidity);
+        });
+
+        it("Should move prices further with larger trades", async function () {
+            const { predictionMarket } = fixture;
+            const small = await predictionMarket.calcBuyAmount(1, 0, ethers.parseEther("1"));
+            const large = await predictionMarket.calcBuyAmount(1, 0, ethers.parseEther("50"));
+            // Average price per share rises with trade size
+            expect(large * ethers.parseEther("1")).to.be.lt(small * ethers.parseEther("50"));
+        });
+
+        it("Should let a user sell a single outcome and move its price down", async function () {
+            const { predictionMarket, user1 } = fixture;
+            const investment = ethers.parseEther("10");
+            await predictionMarket.connect(user1).buyOutcome(1, 1, 0, { value: investment });
+            const market = await predictionMarket.markets(1);
+            const yesToken = await ethers.getContractAt("OutcomeToken", market.yesToken);
+            const shares = await yesToken.balanceOf(user1.address);
+            const [, yesPriceBefore] = await predictionMarket.getOutcomePrices(1);
+
+            const celoOut = await predictionMarket.calcSellReturn(1, 1, shares);
+            // A round trip never returns more than was paid
+            expect(celoOut).to.be.lte(investment);
+            expect(celoOut).to.be.closeTo(investment, ethers.parseEther("0.000001"));
+
+            await expect(predictionMarket.connect(user1).sellOutcome(1, 1, shares, celoOut))
+                .to.changeEtherBalances([user1, predictionMarket], [celoOut, -celoOut]);
+
+            const [, yesPriceAfter] = await predictionMarket.getOutcomePrices(1);
+            expect(yesPriceAfter).to.be.lt(yesPriceBefore);
+            expect(await yesToken.balanceOf(user1.address)).to.equal(0);
+        });
+
+        it("Should enforce slippage limits on buys and sells", async function () {
+            const { predictionMarket, user1 } = fixture;
+            const investment = ethers.parseEther("10");
+            const quoted = await predictionMarket.calcBuyAmount(1, 1, investment);
+            await expect(predictionMarket.connect(user1).buyOutcome(1, 1, quoted + 1n, { value: investment }))
+                .to.be.revertedWith("Slippage limit exceeded");
+
+            await predictionMarket.connect(user1).buyOutcome(1, 1, quoted, { value: investment });
+            const celoOut = await predictionMarket.calcSellReturn(1, 1, quoted);
+            await expect(predictionMarket.connect(user1).sellOutcome(1, 1, quoted, celoOut + 1n))
+                .to.be.revertedWith("Slippage limit exceeded");
+        });
+
+        it("Should stop trading at the resolution time, before a resolver proposes", async function () {
+            const { predictionMarket, user1 } = fixture;
+            const shares = await predictionMarket.calcBuyAmount(1, 1, ethers.parseEther("10"));
+            await predictionMarket.connect(user1).buyOutcome(1, 1, shares, { value: ethers.parseEther("10") });
+
+            // Once the outcome may be known, the pool must not sell at stale prices
+            await time.increaseTo((await predictionMarket.getMarket(1)).resolutionTimestamp);
+            await expect(predictionMarket.connect(user1).buyOutcome(1, 1, 0, { value: ethers.parseEther("1") }))
+                .to.be.revertedWith("Trading has ended");
+            await expect(predictionMarket.connect(user1).sellOutcome(1, 1, shares, 0))
+                .to.be.revertedWith("Trading has ended");
+        });
+
+        it("Should revert trades on a market without liquidity", async function () {
+            const { predictionMarket, resolver, user1 } = fixture;
+            const resolutionTimestamp = (await time.latest()) + time.duration.days(1);
+            await predictionMarket.createMarket("Empty Market", resolver.address, resolutionTimestamp);
+            await expect(predictionMarket.connect(user1).buyOutcome(2, 1, 0, { value: ethers.parseEther("1") }))
+                .to.be.revertedWith("Market has no liquidity");
+            await expect(predictionMarket.getOutcomePrices(2)).to.be.revertedWith("Market has no liquidity");
+        });
+
+        it("Should return surplus outcome tokens to later liquidity providers", async function () {
+            const { predictionMarket, user1, user2 } = fixture;
+            await predictionMarket.connect(user1).buyOutcome(1, 1, 0, { value: ethers.parseEther("20") });
+            const pricesBefore = await predictionMarket.getOutcomePrices(1);
+
+            await predictionMarket.connect(user2).addLiquidity(1, { value: ethers.parseEther("30") });
+
+            const market = await predictionMarket.markets(1);
+            const yesToken = await ethers.getContractAt("OutcomeToken", market.yesToken);
+            const noToken = await ethers.getContractAt("OutcomeToken", market.noToken);
+            // YES is the scarce reserve, so the provider is handed back YES tokens
+            expect(await yesToken.balanceOf(user2.address)).to.be.gt(0);
+            expect(await noToken.balanceOf(user2.address)).to.equal(0);
+            expect(await predictionMarket.liquidityShares(1, user2.address)).to.be.gt(0);
+
+            const pricesAfter = await predictionMarket.getOutcomePrices(1);
+            expect(pricesAfter[1]).to.be.closeTo(pricesBefore[1], 10n);
+        });
+
+        it("Should stay solvent through trading, resolution and redemption", async function () {
+            const { predictionMarket, owner, resolver, user1, user2 } = fixture;
+            await predictionMarket.connect(user1).buyOutcome(1, 1, 0, { value: ethers.parseEther("25") });
+            await predictionMarket.connect(user2).buyOutcome(1, 0, 0, { value: ethers.parseEther("40") });
+            await predictionMarket.connect(user2).buyShares(1, { value: ethers.parseEther("5") });
+
+            const market = await predictionMarket.markets(1);
+            const yesToken = await ethers.getContractAt("OutcomeToken", market.yesToken);
+            const noToken = await ethers.getContractAt("OutcomeToken", market.noToken);
+            await predictionMarket.connect(user1).sellOutcome(1, 1, (await yesToken.balanceOf(user1.address)) / 3n, 0);
+
+            // Every outcome token in circulation or in the pool is backed by the liquidity pool
+            const poolBalances = await predictionMarket.getPoolBalances(1);
+            const liquidityPool = (await predictionMarket.markets(1)).liquidityPool;
+            expect((await noToken.totalSupply()) + poolBalances[0]).to.equal(liquidityPool);
+            expect((await yesToken.totalSupply()) + poolBalances[1]).to.equal(liquidityPool);
+            expect(await ethers.provider.getBalance(await predictionMarket.getAddress())).to.equal(liquidityPool);
+
+            await time.increase(time.duration.days(2));
+            await resolveAndFinalize(predictionMarket, resolver, 1, 1); // YES wins
+
+            await predictionMarket.connect(owner).removeLiquidity(1, await predictionMarket.liquidityShares(1, owner.address));
+            expect(await predictionMarket.getPoolBalances(1)).to.deep.equal([0n, 0n]);
+
+            await predictionMarket.connect(user1).redeemWinnings(1);
+            await predictionMarket.connect(user2).redeemWinnings(1);
+            await predictionMarket.connect(owner).redeemWinnings(1);
+
+            expect(await yesToken.totalSupply()).to.equal(0);
+            expect((await predictionMarket.markets(1)).liquidityPool).to.equal(0);
+            expect(await ethers.provider.getBalance(await predictionMarket.getAddress()))
+                .to.equal(await predictionMarket.accumulatedFees());
+        });
+    });
+
+    describe("ERC-20 Collateral", function () {
+        const startingBalance = ethers.parseEther("1000");
+        let fixture;
+        beforeEach(async function() {
+            fixture = await loadFixture(deployPredictionMarketFixture);
+            const { predictionMarket, marketAddress, owner, resolver, user1, user2 } = fixture;
+
+            const MockERC20Factory = await ethers.getContractFactory("MockERC20");
+            const cUSD = await MockERC20Factory.deploy("Celo Dollar", "cUSD");
+            await cUSD.waitForDeployment();
+            for (const account of [owner, user1, user2]) {
+                await cUSD.mint(account.address, startingBalance);
+                await cUSD.connect(account).approve(marketAddress, ethers.MaxUint256);
+            }
+            fixture.cUSD = cUSD;
+
+            await predictionMarket.connect(owner).setCollateralAllowed(await cUSD.getAddress(), true);
+            const resolutionTimestamp = (await time.latest()) + time.duration.days(1);
+            await predictionMarket.createMarketWithCollateral("cUSD Market", resolver.address, resolutionTimestamp, await cUSD.getAddress());
+        });
+
+        it("Should record the collateral token of the market", async function () {
+            const { predictionMarket, cUSD } = fixture;
+            const market = await predictionMarket.markets(1);
+            expect(market.collateralToken).to.equal(await cUSD.getAddress());
+        });
+
+        it("Should only create markets with allowlisted collateral", async function () {
+            const { predictionMarket, owner, resolver, cUSD } = fixture;
+            const resolutionTimestamp = (await time.latest()) + time.duration.days(1);
+            await predictionMarket.connect(owner).setCollateralAllowed(await cUSD.getAddress(), false);
+            await expect(predictionMarket.createMarketWithCollateral("Q", resolver.address, resolutionTimestamp, await cUSD.getAddress()))
+                .to.be.revertedWith("Collateral token not allowed");
+            await expect(predictionMarket.connect(resolver).setCollateralAllowed(await cUSD.getAddress(), true))
+                .to.be.revertedWithCustomError(predictionMarket, "OwnableUnauthorizedAccount");
+        });
+
+        it("Should buy and sell complete sets in the collateral token", async function () {
+            const { predictionMarket, marketAddress, user1, cUSD } = fixture;
+            const amount = ethers.parseEther("10");
+            await expect(predictionMarket.connect(user1).buySharesWithToken(1, amount))
+                .to.changeTokenBalances(cUSD, [user1, marketAddress], [-amount, amount]);
+
+            const market = await predictionMarket.markets(1);
+            const yesToken = await ethers.getContractAt("OutcomeToken", market.yesToken);
+            expect(await yesToken.balanceOf(user1.address)).to.equal(amount);
+            expect(market.liquidityPool).to.equal(amount);
+
+            const sellAmount = ethers.parseEther("4");
+            await expect(predictionMarket.connect(user1).sellShares(1, sellAmount))
+                .to.changeTokenBalances(cUSD, [user1, marketAddress], [sellAmount, -sellAmount]);
+        });
+
+        it("Should reject the wrong kind of payment", async function () {
+            const { predictionMarket, resolver, user1 } = fixture;
+            await expect(predictionMarket.connect(user1).buyShares(1, { value: ethers.parseEther("1") }))
+                .to.be.revertedWith("Market only accepts its collateral token");
+
+            const resolutionTimestamp = (await time.latest()) + time.duration.days(1);
+            await predictionMarket.createMarket("CELO Market", resolver.address, resolutionTimestamp);
+            await expect(predictionMarket.connect(user1).buySharesWithToken(2, ethers.parseEther("1")))
+                .to.be.revertedWith("Market only accepts CELO");
+        });
+
+        it("Should trade single outcomes through the pool in the collateral token", async function () {
+            const { predictionMarket, marketAddress, owner, user1, cUSD } = fixture;
+            await predictionMarket.connect(owner).addLiquidityWithToken(1, ethers.parseEther("100"));
+
+            const investment = ethers.parseEther("10");
+            const expectedShares = await predictionMarket.calcBuyAmount(1, 1, investment);
+            await predictionMarket.connect(user1).buyOutcomeWithToken(1, 1, investment, expectedShares);
+
+            const market = await predictionMarket.markets(1);
+            const yesToken = await ethers.getContractAt("OutcomeToken", market.yesToken);
+            expect(await yesToken.balanceOf(user1.address)).to.equal(expectedShares);
+
+            const returnAmount = await predictionMarket.calcSellReturn(1, 1, expectedShares);
+            await expect(predictionMarket.connect(user1).sellOutcome(1, 1, expectedShares, returnAmount))
+                .to.changeTokenBalances(cUSD, [user1, marketAddress], [returnAmount, -returnAmount]);
+            expect(await ethers.provider.getBalance(marketAddress)).to.equal(0);
+        });
+
+        it("Should redeem winnings and collect fees in the collateral token", async function () {
+            const { predictionMarket, marketAddress, owner, resolver, user1, cUSD } = fixture;
+            const amount = ethers.parseEther("10");
+            await predictionMarket.connect(user1).buySharesWithToken(1, amount);
+            await time.increase(time.duration.days(2));
+            await resolveAndFinalize(predictionMarket, resolver, 1, 1);
+
+            const fee = (amount * 100n) / 10000n;
+            await expect(predictionMarket.connect(user1).redeemWinnings(1))
+                .to.changeTokenBalance(cUSD, user1, amount - fee);
+            expect(await predictionMarket.accumulatedTokenFees(await cUSD.getAddress())).to.equal(fee);
+            expect(await predictionMarket.accumulatedFees()).to.equal(0);
+
+            await expect(predictionMarket.connect(owner).withdrawTokenFees(await cUSD.getAddress()))
+                .to.changeTokenBalances(cUSD, [owner, marketAddress], [fee, -fee]);
+            await expect(predictionMarket.connect(owner).withdrawTokenFees(await cUSD.getAddress()))
+                .to.be.revertedWith("No fees to withdraw");
+        });
+
+        it("Should refund an invalid categorical market in the collateral token", async function () {
+            const { predictionMarket, resolver, user1, cUSD } = fixture;
+            const resolutionTimestamp = (await time.latest()) + time.duration.days(1);
+            await predictionMarket.createCategoricalMarket("Q", resolver.address, resolutionTimestamp, ["A", "B", "C", "D"], await cUSD.getAddress());
+            await predictionMarket.connect(user1).buySharesWithToken(2, ethers.parseEther("8"));
+
+            await time.increase(time.duration.days(2));
+            await resolveAndFinalize(predictionMarket, resolver, 2, 4); // INVALID
+            await expect(predictionMarket.connect(user1).claimRefund(2))
+                .to.changeTokenBalance(cUSD, user1, ethers.parseEther("8"));
+        });
+    });
+
     describe("Market Resolution and Redemption", function () {
         let fixture;
         beforeEach(async function() {
@@ -119,7 +525,14 @@ describe("PredictionMarket Contract", function () {
             const marketId = 1;
             await time.increase(time.duration.days(2)); // Move time past deadline
 
+            const challengeDeadline = (await time.latest()) + 1 + Number(await predictionMarket.challengePeriod());
             await expect(predictionMarket.connect(resolver).resolveMarket(marketId, 1)) // YES wins
+                .to.emit(predictionMarket, "OutcomeProposed")
+                .withArgs(marketId, 1, challengeDeadline);
+            expect((await predictionMarket.markets(marketId)).isResolved).to.be.false;
+
+            await time.increaseTo(challengeDeadline);
+            await expect(predictionMarket.finalizeResolution(marketId))
                 .to.emit(predictionMarket, "MarketResolved")
                 .withArgs(marketId, 1);
 
@@ -138,7 +551,7 @@ describe("PredictionMarket Contract", function () {
         it("Should allow users to redeem winning shares", async function () {
             const { predictionMarket, resolver, user1 } = fixture;
             await time.increase(time.duration.days(2));
-            await predictionMarket.connect(resolver).resolveMarket(1, 1); // YES wins
+            await resolveAndFinalize(predictionMarket, resolver, 1, 1); // YES wins
 
             const user1BalanceBefore = await ethers.provider.getBalance(user1.address);
             const market = await predictionMarket.markets(1);
@@ -158,9 +571,15 @@ describe("PredictionMarket Contract", function () {
         });
 
         it("Should revert when redeeming losing shares", async function () {
-            const { predictionMarket, resolver, user1 } = fixture;
+            const { predictionMarket, resolver, user1, user2 } = fixture;
+
+            // User1 gives away their NO tokens so only YES shares remain
+            const market = await predictionMarket.markets(1);
+            const noToken = await ethers.getContractAt("OutcomeToken", market.noToken);
+            await noToken.connect(user1).transfer(user2.address, await noToken.balanceOf(user1.address));
+
             await time.increase(time.duration.days(2));
-            await predictionMarket.connect(resolver).resolveMarket(1, 0); // NO wins
+            await resolveAndFinalize(predictionMarket, resolver, 1, 0); // NO wins
 
             // User1 tries to redeem YES tokens, which are now worthless
             await expect(predictionMarket.connect(user1).redeemWinnings(1))
@@ -168,6 +587,282 @@ describe("PredictionMarket Contract", function () {
         });
     });
 
+    describe("Resolution Disputes", function () {
+        const disputeBond = ethers.parseEther("1");
+        let fixture;
+        beforeEach(async function() {
+            fixture = await loadFixture(deployPredictionMarketFixture);
+            const { predictionMarket, resolver, user1, user2 } = fixture;
+            const resolutionTimestamp = (await time.latest()) + time.duration.days(1);
+            await predictionMarket.createMarket("Dispute Test", resolver.address, resolutionTimestamp);
+            await predictionMarket.connect(user1).buyShares(1, { value: ethers.parseEther("10") });
+            await predictionMarket.connect(user2).buyShares(1, { value: ethers.parseEther("5") });
+            await time.increase(time.duration.days(2));
+        });
+
+        it("Should finalize an undisputed proposal after the challenge period", async function () {
+            const { predictionMarket, resolver, user1 } = fixture;
+            await predictionMarket.connect(resolver).resolveMarket(1, 1);
+
+            await expect(predictionMarket.connect(user1).redeemWinnings(1))
+                .to.be.revertedWith("Market must be resolved");
+            await expect(predictionMarket.finalizeResolution(1))
+                .to.be.revertedWith("Challenge period not over");
+
+            await time.increase(time.duration.days(1));
+            await expect(predictionMarket.connect(user1).finalizeResolution(1))
+                .to.emit(predictionMarket, "MarketResolved")
+                .withArgs(1, 1);
+
+            const resolution = await predictionMarket.resolutions(1);
+            expect(resolution.status).to.equal(3); // FINALIZED
+            await expect(predictionMarket.connect(user1).redeemWinnings(1))
+                .to.emit(predictionMarket, "WinningsRedeemed");
+        });
+
+        it("Should return the resolver's bond for withdrawal on finalization", async function () {
+            const { predictionMarket, owner, resolver } = fixture;
+            const resolutionBond = ethers.parseEther("2");
+            await predictionMarket.connect(owner).setDisputeParameters(time.duration.hours(12), resolutionBond, disputeBond);
+
+            await expect(predictionMarket.connect(resolver).resolveMarket(1, 1))
+                .to.be.revertedWith("Incorrect resolution bond");
+            await predictionMarket.connect(resolver).resolveMarket(1, 1, { value: resolutionBond });
+
+            await time.increase(time.duration.hours(12));
+            await predictionMarket.finalizeResolution(1);
+            expect(await predictionMarket.pendingBonds(resolver.address)).to.equal(resolutionBond);
+
+            const tx = predictionMarket.connect(resolver).withdrawBond();
+            await expect(tx).to.emit(predictionMarket, "BondWithdrawn").withArgs(resolver.address, resolutionBond);
+            await expect(tx).to.changeEtherBalances([resolver, predictionMarket], [resolutionBond, -resolutionBond]);
+            expect(await predictionMarket.pendingBonds(resolver.address)).to.equal(0);
+            await expect(predictionMarket.connect(resolver).withdrawBond())
+                .to.be.revertedWith("No bonds to withdraw");
+        });
+
+        it("Should finalize even if the resolver cannot receive CELO", async function () {
+            const { predictionMarket, owner } = fixture;
+            const resolutionBond = ethers.parseEther("2");
+            await predictionMarket.connect(owner).setDisputeParameters(time.duration.hours(12), resolutionBond, disputeBond);
+
+            // A contract without a receive function as resolver
+            const resolverContract = await ethers.deployContract("MockERC20", ["Resolver", "RSV"]);
+            const contractResolver = await ethers.getImpersonatedSigner(await resolverContract.getAddress());
+            await setBalance(contractResolver.address, ethers.parseEther("10"));
+            const resolutionTimestamp = (await time.latest()) + time.duration.days(1);
+            await predictionMarket.createMarket("Contract resolver", contractResolver.address, resolutionTimestamp);
+            await time.increaseTo(resolutionTimestamp);
+            await predictionMarket.connect(contractResolver).resolveMarket(2, 1, { value: resolutionBond });
+
+            await time.increase(time.duration.hours(12));
+            await expect(predictionMarket.finalizeResolution(2)).to.emit(predictionMarket, "MarketResolved").withArgs(2, 1);
+            expect(await predictionMarket.pendingBonds(contractResolver.address)).to.equal(resolutionBond);
+            await expect(predictionMarket.connect(contractResolver).withdrawBond())
+                .to.be.revertedWith("Bond withdrawal failed");
+        });
+
+        it("Should escalate a disputed proposal and pay the bonds to the resolver when upheld", async function () {
+            const { predictionMarket, owner, resolver, user2 } = fixture;
+            const resolutionBond = ethers.parseEther("0.5");
+            await predictionMarket.connect(owner).setDisputeParameters(time.duration.days(1), resolutionBond, disputeBond);
+            await predictionMarket.connect(resolver).resolveMarket(1, 1, { value: resolutionBond });
+
+            await expect(predictionMarket.connect(user2).disputeResolution(1))
+                .to.be.revertedWith("Incorrect dispute bond");
+            await expect(predictionMarket.connect(user2).disputeResolution(1, { value: disputeBond }))
+                .to.emit(predictionMarket, "ResolutionDisputed")
+                .withArgs(1, user2.address, disputeBond);
+
+            // A disputed market cannot be finalized by the clock alone
+            await time.increase(time.duration.days(2));
+            await expect(predictionMarket.finalizeResolution(1))
+                .to.be.revertedWith("No proposal to finalize");
+            await expect(predictionMarket.connect(user2).settleDispute(1, 0))
+                .to.be.revertedWith("Only arbitrator can call");
+
+            const payout = resolutionBond + disputeBond;
+            await expect(predictionMarket.connect(owner).settleDispute(1, 1))
+                .to.emit(predictionMarket, "DisputeSettled")
+                .withArgs(1, 1, resolver.address, payout)
+                .and.to.emit(predictionMarket, "MarketResolved")
+                .withArgs(1, 1);
+
+            const market = await predictionMarket.markets(1);
+            expect(market.isResolved).to.be.true;
+            expect(market.winningOutcome).to.equal(1);
+            expect(await predictionMarket.pendingBonds(resolver.address)).to.equal(payout);
+            expect(await predictionMarket.pendingBonds(user2.address)).to.equal(0);
+        });
+
+        it("Should let the arbitrator overturn a proposal and reward the disputer", async function () {
+            const { predictionMarket, owner, resolver, user1, user2 } = fixture;
+            const [, , , , arbitrator] = await ethers.getSigners();
+            await predictionMarket.connect(owner).setArbitrator(arbitrator.address);
+
+            await predictionMarket.connect(resolver).resolveMarket(1, 1);
+            await predictionMarket.connect(user2).disputeResolution(1, { value: disputeBond });
+
+            await expect(predictionMarket.connect(owner).settleDispute(1, 0))
+                .to.be.revertedWith("Only arbitrator can call");
+            await predictionMarket.connect(arbitrator).settleDispute(1, 0);
+            await expect(predictionMarket.connect(user2).withdrawBond())
+                .to.changeEtherBalances([user2, predictionMarket], [disputeBond, -disputeBond]);
+
+            const market = await predictionMarket.markets(1);
+            expect(market.winningOutcome).to.equal(0);
+
+            // NO holders redeem; the proposed YES outcome pays nothing
+            const yesToken = await ethers.getContractAt("OutcomeToken", market.yesToken);
+            const noToken = await ethers.getContractAt("OutcomeToken", market.noToken);
+            await predictionMarket.connect(user1).redeemWinnings(1);
+            expect(await noToken.balanceOf(user1.address)).to.equal(0);
+            expect(await yesToken.balanceOf(user1.address)).to.equal(ethers.parseEther("10"));
+        });
+
+        it("Should reject disputes after the challenge period", async function () {
+            const { predictionMarket, resolver, user2 } = fixture;
+            await predictionMarket.connect(resolver).resolveMarket(1, 1);
+            await time.increase(time.duration.days(1));
+            await expect(predictionMarket.connect(user2).disputeResolution(1, { value: disputeBond }))
+                .to.be.revertedWith("Challenge period has ended");
+        });
+
+        it("Should close the pool to trading while a proposal is pending", async function () {
+            const { predictionMarket, owner, resolver, user1 } = fixture;
+            await predictionMarket.connect(owner).addLiquidity(1, { value: ethers.parseEther("20") });
+            await predictionMarket.connect(resolver).resolveMarket(1, 1);
+            await expect(predictionMarket.connect(user1).buyOutcome(1, 1, 0, { value: ethers.parseEther("1") }))
+                .to.be.revertedWith("Market is closed for trading");
+            await expect(predictionMarket.connect(user1).addLiquidity(1, { value: ethers.parseEther("1") }))
+                .to.be.revertedWith("Market is closed for trading");
+        });
+
+        it("Should not accept a second proposal", async function () {
+            const { predictionMarket, resolver } = fixture;
+            await predictionMarket.connect(resolver).resolveMarket(1, 1);
+            await expect(predictionMarket.connect(resolver).resolveMarket(1, 0))
+                .to.be.revertedWith("Market already resolved");
+        });
+    });
+
+    describe("Invalid Market Refunds", function () {
+        let fixture;
+        beforeEach(async function() {
+            fixture = await loadFixture(deployPredictionMarketFixture);
+            const { predictionMarket, owner, resolver, user1, user2 } = fixture;
+            const resolutionTimestamp = (await time.latest()) + time.duration.days(1);
+            await predictionMarket.createMarket("Refund Test", resolver.address, resolutionTimestamp);
+            await predictionMarket.connect(owner).addLiquidity(1, { value: ethers.parseEther("50") });
+
+            // user1 holds complete sets; user2 holds sets and then sells part of one side
+            await predictionMarket.connect(user1).buyShares(1, { value: ethers.parseEther("10") });
+            await predictionMarket.connect(user2).buyShares(1, { value: ethers.parseEther("6") });
+            await predictionMarket.connect(user2).sellShares(1, ethers.parseEther("2"));
+            await predictionMarket.connect(user2).sellOutcome(1, 1, ethers.parseEther("3"), 0);
+        });
+
+        async function resolveInvalid() {
+            const { predictionMarket, resolver } = fixture;
+            await time.increase(time.duration.days(2));
+            await resolveAndFinalize(predictionMarket, resolver, 1, 2);
+        }
+
+        it("Should refund complete sets at their full price", async function () {
+            const { predictionMarket, user1 } = fixture;
+            await resolveInvalid();
+            const amount = ethers.parseEther("10");
+
+            await expect(predictionMarket.connect(user1).claimRefund(1))
+                .to.emit(predictionMarket, "RefundClaimed")
+                .withArgs(1, user1.address, amount * 2n, amount);
+        });
+
+        it("Should refund half a CELO per share to holders who sold one side", async function () {
+            const { predictionMarket, user2 } = fixture;
+            await resolveInvalid();
+            const yesLeft = ethers.parseEther("1");
+            const noLeft = ethers.parseEther("4");
+            const expectedRefund = (yesLeft + noLeft) / 2n;
+
+            await expect(predictionMarket.connect(user2).claimRefund(1))
+                .to.changeEtherBalances([user2, predictionMarket], [expectedRefund, -expectedRefund]);
+
+            const market = await predictionMarket.markets(1);
+            const yesToken = await ethers.getContractAt("OutcomeToken", market.yesToken);
+            const noToken = await ethers.getContractAt("OutcomeToken", market.noToken);
+            expect(await yesToken.balanceOf(user2.address)).to.equal(0);
+            expect(await noToken.balanceOf(user2.address)).to.equal(0);
+        });
+
+        it("Should pay every holder out of the pool without taking a fee", async function () {
+            const { predictionMarket, owner, user1, user2 } = fixture;
+            await resolveInvalid();
+            await predictionMarket.connect(owner).removeLiquidity(1, await predictionMarket.liquidityShares(1, owner.address));
+
+            await predictionMarket.connect(user1).claimRefund(1);
+            await predictionMarket.connect(user2).claimRefund(1);
+            await predictionMarket.connect(owner).claimRefund(1);
+
+            expect(await predictionMarket.accumulatedFees()).to.equal(0);
+            // Only rounding dust from halving odd share counts can remain
+            const market = await predictionMarket.markets(1);
+            expect(market.liquidityPool).to.be.lte(2n);
+            expect(await ethers.provider.getBalance(await predictionMarket.getAddress())).to.equal(market.liquidityPool);
+        });
+
+        it("Should leave shares that do not add up to a refund with the holder", async function () {
+            const { predictionMarket, resolver, user1 } = fixture;
+            const market = await predictionMarket.markets(1);
+            const yesToken = await ethers.getContractAt("OutcomeToken", market.yesToken);
+            const noToken = await ethers.getContractAt("OutcomeToken", market.noToken);
+            await yesToken.connect(user1).transfer(resolver.address, 1);
+            await resolveInvalid();
+
+            // A single share is worth half a wei, so nothing is paid or burned
+            await expect(predictionMarket.connect(resolver).claimRefund(1))
+                .to.be.revertedWith("No shares to refund");
+            expect(await yesToken.balanceOf(resolver.address)).to.equal(1);
+
+            // An odd share count is refunded up to the last whole pair
+            const amount = ethers.parseEther("10");
+            await expect(predictionMarket.connect(user1).claimRefund(1))
+                .to.emit(predictionMarket, "RefundClaimed")
+                .withArgs(1, user1.address, amount * 2n - 2n, amount - 1n);
+            // Outcomes are burned in order, NO (outcome 0) first
+            expect(await noToken.balanceOf(user1.address)).to.equal(0);
+            expect(await yesToken.balanceOf(user1.address)).to.equal(1);
+        });
+
+        it("Should revert when refunding twice or without shares", async function () {
+            const { predictionMarket, user1, resolver } = fixture;
+            await resolveInvalid();
+            await predictionMarket.connect(user1).claimRefund(1);
+            await expect(predictionMarket.connect(user1).claimRefund(1))
+                .to.be.revertedWith("No shares to refund");
+            await expect(predictionMarket.connect(resolver).claimRefund(1))
+                .to.be.revertedWith("No shares to refund");
+        });
+
+        it("Should point redeemWinnings at the refund path", async function () {
+            const { predictionMarket, user1 } = fixture;
+            await resolveInvalid();
+            await expect(predictionMarket.connect(user1).redeemWinnings(1))
+                .to.be.revertedWith("Market resolved as invalid; use claimRefund");
+        });
+
+        it("Should only refund markets resolved as invalid", async function () {
+            const { predictionMarket, resolver, user1 } = fixture;
+            await expect(predictionMarket.connect(user1).claimRefund(1))
+                .to.be.revertedWith("Market must be resolved");
+
+            await time.increase(time.duration.days(2));
+            await resolveAndFinalize(predictionMarket, resolver, 1, 1);
+            await expect(predictionMarket.connect(user1).claimRefund(1))
+                .to.be.revertedWith("Market was not resolved as invalid");
+        });
+    });
+
     describe("Admin Functions", function () {
         it("Should allow the owner to change the platform fee", async function () {
             const { predictionMarket, owner } = await loadFixture(deployPredictionMarketFixture);
@@ -182,7 +877,7 @@ describe("PredictionMarket Contract", function () {
             await predictionMarket.createMarket("Fee Test", resolver.address, resolutionTimestamp);
             await predictionMarket.connect(user1).buyShares(1, { value: ethers.parseEther("10") });
             await time.increase(time.duration.days(2));
-            await predictionMarket.connect(resolver).resolveMarket(1, 1);
+            await resolveAndFinalize(predictionMarket, resolver, 1, 1);
             await predictionMarket.connect(user1).redeemWinnings(1);
 
             const fees = await predictionMarket.accumulatedFees();
@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { signSimpleVote } = require("../scripts/relayer");
 
 const POLL_QUESTION = "Is Solidity fun?";
 
@@ -70,4 +71,39 @@ describe("SimplePoll Contract", function () {
         .withArgs(addr1.address, true, 1, 0);
     });
   });
+
+  describe("Gasless Voting", function () {
+    it("Should count a relayed vote for the signer", async function () {
+      const { simplePoll, addr1, addr2 } = await loadFixture(deployPollFixture);
+      const deadline = (await time.latest()) + 3600;
+
+      const signature = await signSimpleVote(addr1, simplePoll, false, deadline);
+      await expect(simplePoll.connect(addr2).voteBySig(addr1.address, false, deadline, signature))
+        .to.emit(simplePoll, "Voted").withArgs(addr1.address, false, 0, 1);
+
+      expect(await simplePoll.hasVoted(addr1.address)).to.be.true;
+      expect(await simplePoll.hasVoted(addr2.address)).to.be.false;
+      expect(await simplePoll.nonces(addr1.address)).to.equal(1);
+      await expect(simplePoll.connect(addr1).vote(true)).to.be.revertedWith("You have already voted.");
+    });
+
+    it("Should reject replayed, expired or altered signatures", async function () {
+      const { simplePoll, addr1, addr2 } = await loadFixture(deployPollFixture);
+      const otherPoll = await ethers.deployContract("SimplePoll", [POLL_QUESTION]);
+      const deadline = (await time.latest()) + 60;
+
+      const signature = await signSimpleVote(addr1, simplePoll, true, deadline);
+      await expect(simplePoll.voteBySig(addr2.address, true, deadline, signature)).to.be.revertedWith("Invalid signature.");
+      await expect(simplePoll.voteBySig(addr1.address, false, deadline, signature)).to.be.revertedWith("Invalid signature.");
+      await expect(otherPoll.voteBySig(addr1.address, true, deadline, signature)).to.be.revertedWith("Invalid signature.");
+
+      await simplePoll.voteBySig(addr1.address, true, deadline, signature);
+      // The nonce has moved on, so the same signature no longer recovers to the voter
+      await expect(simplePoll.voteBySig(addr1.address, true, deadline, signature)).to.be.revertedWith("Invalid signature.");
+
+      const late = await signSimpleVote(addr2, simplePoll, true, deadline);
+      await time.increase(120);
+      await expect(simplePoll.voteBySig(addr2.address, true, deadline, late)).to.be.revertedWith("Signature has expired.");
+    });
+  });
 });
@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { signTip } = require("../scripts/relayer");
 
 describe("TipJar Contract", function () {
 
@@ -150,6 +151,476 @@ describe("TipJar Contract", function () {
         });
     });
 
+    describe("ERC-20 Tips", function () {
+        async function deployTokenTipFixture() {
+            const fixture = await deployTipJarFixture();
+            const { tipJar, owner, tipper1, tipper2 } = fixture;
+
+            const MockERC20Factory = await ethers.getContractFactory("MockERC20");
+            const cUSD = await MockERC20Factory.deploy("Celo Dollar", "cUSD");
+            await cUSD.waitForDeployment();
+
+            for (const tipper of [tipper1, tipper2]) {
+                await cUSD.mint(tipper.address, ethers.parseEther("100"));
+                await cUSD.connect(tipper).approve(await tipJar.getAddress(), ethers.MaxUint256);
+            }
+            await tipJar.connect(owner).setTokenAllowed(await cUSD.getAddress(), true);
+
+            return { ...fixture, cUSD };
+        }
+
+        it("Should accept a tip in an allowlisted token", async function () {
+            const { tipJar, tipper1, cUSD } = await loadFixture(deployTokenTipFixture);
+            const tipAmount = ethers.parseEther("5");
+            const tokenAddress = await cUSD.getAddress();
+
+            await expect(tipJar.connect(tipper1).sendTokenTip(tokenAddress, tipAmount, "In cUSD"))
+                .to.emit(tipJar, "TokenTipReceived")
+                .withArgs(tipper1.address, tokenAddress, tipAmount, "In cUSD");
+
+            expect(await tipJar.getTokenBalance(tokenAddress)).to.equal(tipAmount);
+            expect(await tipJar.totalTippedByToken(tokenAddress)).to.equal(tipAmount);
+            expect(await tipJar.totalTipped()).to.equal(0); // CELO total is unaffected
+
+            const [tip] = await tipJar.getLatestTips(1);
+            expect(tip.token).to.equal(tokenAddress);
+            expect(tip.amount).to.equal(tipAmount);
+        });
+
+        it("Should record CELO tips with the zero token address", async function () {
+            const { tipJar, tipper1 } = await loadFixture(deployTokenTipFixture);
+            await tipJar.connect(tipper1).sendTip("In CELO", { value: ethers.parseEther("1") });
+            const [tip] = await tipJar.getLatestTips(1);
+            expect(tip.token).to.equal(ethers.ZeroAddress);
+        });
+
+        it("Should track totals separately per token", async function () {
+            const { tipJar, owner, tipper1, tipper2, cUSD } = await loadFixture(deployTokenTipFixture);
+            const MockERC20Factory = await ethers.getContractFactory("MockERC20");
+            const cEUR = await MockERC20Factory.deploy("Celo Euro", "cEUR");
+            await cEUR.mint(tipper2.address, ethers.parseEther("10"));
+            await cEUR.connect(tipper2).approve(await tipJar.getAddress(), ethers.MaxUint256);
+            await tipJar.connect(owner).setTokenAllowed(await cEUR.getAddress(), true);
+
+            await tipJar.connect(tipper1).sendTokenTip(await cUSD.getAddress(), ethers.parseEther("2"), "a");
+            await tipJar.connect(tipper2).sendTokenTip(await cUSD.getAddress(), ethers.parseEther("3"), "b");
+            await tipJar.connect(tipper2).sendTokenTip(await cEUR.getAddress(), ethers.parseEther("4"), "c");
+
+            expect(await tipJar.totalTippedByToken(await cUSD.getAddress())).to.equal(ethers.parseEther("5"));
+            expect(await tipJar.totalTippedByToken(await cEUR.getAddress())).to.equal(ethers.parseEther("4"));
+            expect(await tipJar.getTipCount()).to.equal(3);
+        });
+
+        it("Should revert for tokens that are not allowlisted", async function () {
+            const { tipJar, owner, tipper1, cUSD } = await loadFixture(deployTokenTipFixture);
+            await tipJar.connect(owner).setTokenAllowed(await cUSD.getAddress(), false);
+            await expect(tipJar.connect(tipper1).sendTokenTip(await cUSD.getAddress(), 1, "Nope"))
+                .to.be.revertedWith("TipJar: Token not allowed.");
+        });
+
+        it("Should revert if the token tip amount is zero", async function () {
+            const { tipJar, tipper1, cUSD } = await loadFixture(deployTokenTipFixture);
+            await expect(tipJar.connect(tipper1).sendTokenTip(await cUSD.getAddress(), 0, "Zero"))
+                .to.be.revertedWith("TipJar: Tip amount must be greater than zero.");
+        });
+
+        it("Should only let the owner manage the allowlist", async function () {
+            const { tipJar, tipper1, cUSD } = await loadFixture(deployTokenTipFixture);
+            await expect(tipJar.connect(tipper1).setTokenAllowed(await cUSD.getAddress(), true))
+                .to.be.revertedWithCustomError(tipJar, "OwnableUnauthorizedAccount");
+        });
+
+        it("Should allow the owner to withdraw a token balance", async function () {
+            const { tipJar, owner, tipper1, cUSD } = await loadFixture(deployTokenTipFixture);
+            const tokenAddress = await cUSD.getAddress();
+            const tipAmount = ethers.parseEther("7");
+            await tipJar.connect(tipper1).sendTokenTip(tokenAddress, tipAmount, "For you");
+
+            await expect(tipJar.connect(owner).withdrawToken(tokenAddress))
+                .to.emit(tipJar, "TokenWithdrawn")
+                .withArgs(tokenAddress, tipAmount, owner.address);
+            expect(await cUSD.balanceOf(owner.address)).to.equal(tipAmount);
+            expect(await tipJar.getTokenBalance(tokenAddress)).to.equal(0);
+
+            await expect(tipJar.connect(owner).withdrawToken(tokenAddress))
+                .to.be.revertedWith("TipJar: No funds to withdraw.");
+        });
+
+        it("Should revert if a non-owner tries to withdraw a token", async function () {
+            const { tipJar, tipper1, cUSD } = await loadFixture(deployTokenTipFixture);
+            await tipJar.connect(tipper1).sendTokenTip(await cUSD.getAddress(), 1, "x");
+            await expect(tipJar.connect(tipper1).withdrawToken(await cUSD.getAddress()))
+                .to.be.revertedWithCustomError(tipJar, "OwnableUnauthorizedAccount");
+        });
+    });
+
+    describe("Beneficiaries", function () {
+        async function deployTeamFixture() {
+            const fixture = await deployTipJarFixture();
+            const [, , , alice, bob, carol] = await ethers.getSigners();
+            return { ...fixture, alice, bob, carol };
+        }
+
+        async function deploySplitFixture() {
+            const fixture = await deployTeamFixture();
+            const { tipJar, owner, alice, bob } = fixture;
+            await tipJar.connect(owner).setBeneficiaries([alice.address, bob.address], [7000, 3000]);
+            return fixture;
+        }
+
+        it("Should let the owner configure beneficiaries", async function () {
+            const { tipJar, alice, bob } = await loadFixture(deploySplitFixture);
+
+            const [beneficiaries, shares] = await tipJar.getBeneficiaries();
+            expect(beneficiaries).to.deep.equal([alice.address, bob.address]);
+            expect(shares).to.deep.equal([7000n, 3000n]);
+            expect(await tipJar.shares(alice.address)).to.equal(7000);
+        });
+
+        it("Should reject invalid beneficiary lists", async function () {
+            const { tipJar, owner, tipper1, alice, bob } = await loadFixture(deployTeamFixture);
+
+            await expect(tipJar.connect(tipper1).setBeneficiaries([alice.address], [10000]))
+                .to.be.revertedWithCustomError(tipJar, "OwnableUnauthorizedAccount");
+            await expect(tipJar.connect(owner).setBeneficiaries([alice.address], [10000, 0]))
+                .to.be.revertedWith("TipJar: Beneficiaries and shares length mismatch.");
+            await expect(tipJar.connect(owner).setBeneficiaries([alice.address, bob.address], [5000, 4000]))
+                .to.be.revertedWith("TipJar: Shares must add up to 10000.");
+            await expect(tipJar.connect(owner).setBeneficiaries([alice.address, alice.address], [5000, 5000]))
+                .to.be.revertedWith("TipJar: Duplicate beneficiary.");
+            await expect(tipJar.connect(owner).setBeneficiaries([alice.address, bob.address], [10000, 0]))
+                .to.be.revertedWith("TipJar: Share must be greater than zero.");
+            await expect(tipJar.connect(owner).setBeneficiaries([ethers.ZeroAddress], [10000]))
+                .to.be.revertedWith("TipJar: Beneficiary cannot be the zero address.");
+        });
+
+        it("Should split CELO tips by share and pay each beneficiary on release", async function () {
+            const { tipJar, tipper1, tipper2, alice, bob } = await loadFixture(deploySplitFixture);
+            await tipJar.connect(tipper1).sendTip("One", { value: ethers.parseEther("10") });
+
+            expect(await tipJar.releasable(ethers.ZeroAddress, alice.address)).to.equal(ethers.parseEther("7"));
+            expect(await tipJar.releasable(ethers.ZeroAddress, bob.address)).to.equal(ethers.parseEther("3"));
+
+            // Anyone can trigger the payout; the funds go to the beneficiary
+            const tx = tipJar.connect(tipper2).release(alice.address);
+            await expect(tx)
+                .to.emit(tipJar, "PaymentReleased")
+                .withArgs(ethers.ZeroAddress, alice.address, ethers.parseEther("7"));
+            await expect(tx).to.changeEtherBalances([alice, tipJar], [ethers.parseEther("7"), -ethers.parseEther("7")]);
+
+            expect(await tipJar.releasable(ethers.ZeroAddress, alice.address)).to.equal(0);
+            expect(await tipJar.getContractBalance()).to.equal(ethers.parseEther("3"));
+            await expect(tipJar.release(alice.address)).to.be.revertedWith("TipJar: Nothing to release.");
+
+            await tipJar.connect(tipper2).sendTip("Two", { value: ethers.parseEther("20") });
+            expect(await tipJar.releasable(ethers.ZeroAddress, alice.address)).to.equal(ethers.parseEther("14"));
+            expect(await tipJar.releasable(ethers.ZeroAddress, bob.address)).to.equal(ethers.parseEther("9"));
+
+            await tipJar.release(bob.address);
+            await tipJar.release(alice.address);
+            expect(await tipJar.released(ethers.ZeroAddress, alice.address)).to.equal(ethers.parseEther("21"));
+            expect(await tipJar.released(ethers.ZeroAddress, bob.address)).to.equal(ethers.parseEther("9"));
+            expect(await tipJar.getContractBalance()).to.equal(0);
+        });
+
+        it("Should keep earlier income under the old shares when shares change", async function () {
+            const { tipJar, owner, tipper1, alice, bob, carol } = await loadFixture(deploySplitFixture);
+            await tipJar.connect(tipper1).sendTip("Before", { value: ethers.parseEther("10") });
+
+            await expect(tipJar.connect(owner).setBeneficiaries([bob.address, carol.address], [5000, 5000]))
+                .to.emit(tipJar, "BeneficiariesUpdated")
+                .withArgs([bob.address, carol.address], [5000, 5000]);
+            await tipJar.connect(tipper1).sendTip("After", { value: ethers.parseEther("4") });
+
+            // Alice is no longer a beneficiary but keeps what she earned
+            expect(await tipJar.releasable(ethers.ZeroAddress, alice.address)).to.equal(ethers.parseEther("7"));
+            expect(await tipJar.releasable(ethers.ZeroAddress, bob.address)).to.equal(ethers.parseEther("5"));
+            expect(await tipJar.releasable(ethers.ZeroAddress, carol.address)).to.equal(ethers.parseEther("2"));
+
+            for (const payee of [alice, bob, carol]) {
+                await tipJar.release(payee.address);
+            }
+            expect(await tipJar.getContractBalance()).to.equal(0);
+        });
+
+        it("Should keep tips received before the first split for the owner", async function () {
+            const { tipJar, owner, tipper1, alice } = await loadFixture(deployTeamFixture);
+            await tipJar.connect(tipper1).sendTip("Early", { value: ethers.parseEther("2") });
+            await tipJar.connect(owner).setBeneficiaries([alice.address], [10000]);
+            await tipJar.connect(tipper1).sendTip("Late", { value: ethers.parseEther("5") });
+
+            await expect(tipJar.connect(owner).withdraw())
+                .to.emit(tipJar, "Withdrawn")
+                .withArgs(ethers.parseEther("2"), owner.address);
+            expect(await tipJar.releasable(ethers.ZeroAddress, alice.address)).to.equal(ethers.parseEther("5"));
+            await expect(tipJar.connect(owner).withdraw()).to.be.revertedWith("TipJar: No funds to withdraw.");
+        });
+
+        it("Should not let a beneficiary that rejects CELO block the others", async function () {
+            const { tipJar, owner, tipper1, alice } = await loadFixture(deployTeamFixture);
+            // PollFactory has no receive function, so it cannot accept CELO
+            const rejecting = await ethers.deployContract("PollFactory");
+            await tipJar.connect(owner).setBeneficiaries([await rejecting.getAddress(), alice.address], [5000, 5000]);
+            await tipJar.connect(tipper1).sendTip("Split", { value: ethers.parseEther("4") });
+
+            await expect(tipJar.release(await rejecting.getAddress())).to.be.revertedWith("TipJar: Withdrawal failed.");
+            await expect(tipJar.release(alice.address)).to.changeEtherBalance(alice, ethers.parseEther("2"));
+            expect(await tipJar.releasable(ethers.ZeroAddress, await rejecting.getAddress())).to.equal(ethers.parseEther("2"));
+        });
+
+        it("Should split ERC-20 tips the same way", async function () {
+            const { tipJar, owner, tipper1, alice, bob } = await loadFixture(deploySplitFixture);
+            const cUSD = await ethers.deployContract("MockERC20", ["Celo Dollar", "cUSD"]);
+            const tokenAddress = await cUSD.getAddress();
+            await tipJar.connect(owner).setTokenAllowed(tokenAddress, true);
+            await cUSD.mint(tipper1.address, 1001);
+            await cUSD.connect(tipper1).approve(await tipJar.getAddress(), 1001);
+
+            await tipJar.connect(tipper1).sendTokenTip(tokenAddress, 1001, "Tokens");
+            await expect(tipJar.releaseToken(tokenAddress, alice.address))
+                .to.emit(tipJar, "PaymentReleased")
+                .withArgs(tokenAddress, alice.address, 700);
+            await tipJar.releaseToken(tokenAddress, bob.address);
+
+            expect(await cUSD.balanceOf(alice.address)).to.equal(700);
+            expect(await cUSD.balanceOf(bob.address)).to.equal(300);
+            // Rounding dust stays in the jar and is shared out with later income
+            expect(await tipJar.getTokenBalance(tokenAddress)).to.equal(1);
+            await expect(tipJar.connect(owner).withdrawToken(tokenAddress)).to.be.revertedWith("TipJar: No funds to withdraw.");
+        });
+    });
+
+    describe("Streaming Tips", function () {
+        const DEPOSIT = ethers.parseEther("100");
+        const DURATION = 1000;
+        const StreamStatus = { ACTIVE: 0, COMPLETED: 1, CANCELED: 2 };
+
+        async function deployStreamFixture() {
+            const fixture = await deployTipJarFixture();
+            await fixture.tipJar.connect(fixture.tipper1).startStream(DURATION, "Monthly support", { value: DEPOSIT });
+            const [stream] = await fixture.tipJar.getStream(0);
+            return { ...fixture, startTime: Number(stream.startTime) };
+        }
+
+        it("Should start a stream holding the deposit", async function () {
+            const { tipJar, tipper1, startTime } = await loadFixture(deployStreamFixture);
+
+            const [stream, status, collectable, refundable] = await tipJar.getStream(0);
+            expect(stream.supporter).to.equal(tipper1.address);
+            expect(stream.deposit).to.equal(DEPOSIT);
+            expect(stream.endTime).to.equal(startTime + DURATION);
+            expect(stream.message).to.equal("Monthly support");
+            expect(status).to.equal(StreamStatus.ACTIVE);
+            expect(collectable).to.equal(0);
+            expect(refundable).to.equal(DEPOSIT);
+
+            expect(await tipJar.getStreamsBySupporter(tipper1.address)).to.deep.equal([0n]);
+            expect(await tipJar.getStreamCount()).to.equal(1);
+            expect(await tipJar.getContractBalance()).to.equal(DEPOSIT);
+            // Nothing counts as tipped until it unlocks
+            expect(await tipJar.totalTipped()).to.equal(0);
+            expect(await tipJar.releasable(ethers.ZeroAddress, await tipJar.owner())).to.equal(0);
+        });
+
+        it("Should reject empty or instant streams", async function () {
+            const { tipJar, tipper1 } = await loadFixture(deployTipJarFixture);
+            await expect(tipJar.connect(tipper1).startStream(DURATION, "", { value: 0 }))
+                .to.be.revertedWith("TipJar: Stream deposit must be greater than zero.");
+            await expect(tipJar.connect(tipper1).startStream(0, "", { value: 1 }))
+                .to.be.revertedWith("TipJar: Stream duration must be greater than zero.");
+            await expect(tipJar.getStream(0)).to.be.revertedWith("TipJar: Invalid stream.");
+        });
+
+        it("Should unlock the deposit linearly for the owner to withdraw", async function () {
+            const { tipJar, owner, tipper1, startTime } = await loadFixture(deployStreamFixture);
+
+            await time.increaseTo(startTime + DURATION / 4);
+            expect((await tipJar.getStream(0)).collectable).to.equal(DEPOSIT / 4n);
+
+            await time.setNextBlockTimestamp(startTime + DURATION / 2);
+            await expect(tipJar.connect(owner).collectStream(0))
+                .to.emit(tipJar, "StreamCollected")
+                .withArgs(0, DEPOSIT / 2n)
+                .and.to.emit(tipJar, "TipReceived")
+                .withArgs(tipper1.address, DEPOSIT / 2n, "Monthly support");
+            expect(await tipJar.totalTipped()).to.equal(DEPOSIT / 2n);
+            expect(await tipJar.totalTippedBySender(tipper1.address, ethers.ZeroAddress)).to.equal(DEPOSIT / 2n);
+
+            // Each collection is a tip in the history, from the supporter and with the stream's message
+            const [tip] = await tipJar.getTipsBySender(tipper1.address, 0, 10);
+            expect(tip.amount).to.equal(DEPOSIT / 2n);
+            expect(tip.message).to.equal("Monthly support");
+            expect(tip.token).to.equal(ethers.ZeroAddress);
+            expect(await tipJar.getTipCount()).to.equal(1);
+
+            await expect(tipJar.connect(owner).withdraw()).to.changeEtherBalance(owner, DEPOSIT / 2n);
+            expect(await tipJar.getContractBalance()).to.equal(DEPOSIT / 2n);
+
+            await time.increaseTo(startTime + DURATION * 2);
+            const [, status, collectable, refundable] = await tipJar.getStream(0);
+            expect(status).to.equal(StreamStatus.COMPLETED);
+            expect(collectable).to.equal(DEPOSIT / 2n);
+            expect(refundable).to.equal(0);
+
+            await tipJar.collectStream(0);
+            await expect(tipJar.collectStream(0)).to.be.revertedWith("TipJar: Nothing to collect.");
+            expect(await tipJar.totalTipped()).to.equal(DEPOSIT);
+            expect(await tipJar.getTipCountBySender(tipper1.address)).to.equal(2);
+            await expect(tipJar.connect(tipper1).cancelStream(0)).to.be.revertedWith("TipJar: Stream is not active.");
+        });
+
+        it("Should refund the locked part when the supporter cancels", async function () {
+            const { tipJar, owner, tipper1, tipper2, startTime } = await loadFixture(deployStreamFixture);
+
+            await expect(tipJar.connect(tipper2).cancelStream(0)).to.be.revertedWith("TipJar: Only the supporter can cancel.");
+
+            await time.setNextBlockTimestamp(startTime + DURATION / 10);
+            const tx = tipJar.connect(tipper1).cancelStream(0);
+            await expect(tx)
+                .to.emit(tipJar, "StreamCanceled")
+                .withArgs(0, DEPOSIT * 9n / 10n);
+            await expect(tx).to.emit(tipJar, "StreamCollected").withArgs(0, DEPOSIT / 10n);
+            await expect(tx).to.changeEtherBalance(tipper1, DEPOSIT * 9n / 10n);
+
+            const [stream, status, collectable, refundable] = await tipJar.getStream(0);
+            expect(stream.canceled).to.be.true;
+            expect(status).to.equal(StreamStatus.CANCELED);
+            expect(collectable).to.equal(0);
+            expect(refundable).to.equal(0);
+
+            // Only the unlocked tenth was tipped, and it stays with the jar
+            await time.increase(DURATION);
+            expect(await tipJar.totalTipped()).to.equal(DEPOSIT / 10n);
+            await expect(tipJar.collectStream(0)).to.be.revertedWith("TipJar: Nothing to collect.");
+            await expect(tipJar.connect(tipper1).cancelStream(0)).to.be.revertedWith("TipJar: Stream is not active.");
+            await expect(tipJar.connect(owner).withdraw()).to.changeEtherBalance(owner, DEPOSIT / 10n);
+            expect(await tipJar.getContractBalance()).to.equal(0);
+        });
+
+        it("Should keep locked stream funds out of beneficiary payouts", async function () {
+            const { tipJar, owner, tipper2, startTime } = await loadFixture(deployStreamFixture);
+            const [, , , , alice] = await ethers.getSigners();
+            await tipJar.connect(owner).setBeneficiaries([alice.address], [10000]);
+            await tipJar.connect(tipper2).sendTip("One-off", { value: ethers.parseEther("1") });
+
+            expect(await tipJar.releasable(ethers.ZeroAddress, alice.address)).to.equal(ethers.parseEther("1"));
+            await tipJar.release(alice.address);
+            await expect(tipJar.release(alice.address)).to.be.revertedWith("TipJar: Nothing to release.");
+
+            await time.setNextBlockTimestamp(startTime + DURATION / 2);
+            await tipJar.collectStream(0);
+            await expect(tipJar.release(alice.address)).to.changeEtherBalance(alice, DEPOSIT / 2n);
+            expect(await tipJar.getContractBalance()).to.equal(DEPOSIT / 2n);
+        });
+
+        it("Should rank streamed tips on the leaderboard as they are collected", async function () {
+            const { tipJar, tipper1, tipper2, startTime } = await loadFixture(deployStreamFixture);
+            await tipJar.connect(tipper2).sendTip("Big one-off", { value: ethers.parseEther("60") });
+
+            await time.setNextBlockTimestamp(startTime + DURATION / 2);
+            await tipJar.collectStream(0);
+            expect((await tipJar.getTopTippers())[0]).to.deep.equal([tipper2.address, tipper1.address]);
+
+            await time.increaseTo(startTime + DURATION);
+            await tipJar.collectStream(0);
+            expect((await tipJar.getTopTippers())[0]).to.deep.equal([tipper1.address, tipper2.address]);
+        });
+    });
+
+    describe("Gasless Tips", function () {
+        async function deployPermitTokenFixture() {
+            const fixture = await deployTipJarFixture();
+            const { tipJar, owner, tipper1 } = fixture;
+
+            // MockVotesToken implements ERC-2612 permit
+            const TokenFactory = await ethers.getContractFactory("MockVotesToken");
+            const token = await TokenFactory.deploy("Celo Dollar", "cUSD");
+            await token.waitForDeployment();
+
+            await token.mint(tipper1.address, ethers.parseEther("100"));
+            await tipJar.connect(owner).setTokenAllowed(await token.getAddress(), true);
+
+            const deadline = (await time.latest()) + 3600;
+            return { ...fixture, token, deadline };
+        }
+
+        it("Should record a relayed tip under the signer without a prior approval", async function () {
+            const { tipJar, tipper1, tipper2, token, deadline } = await loadFixture(deployPermitTokenFixture);
+            const tipAmount = ethers.parseEther("5");
+            const tokenAddress = await token.getAddress();
+
+            const signed = await signTip(tipper1, tipJar, token, tipAmount, "Gas is on me", deadline);
+            const tx = tipJar.connect(tipper2).sendTipBySig(tipper1.address, tokenAddress, tipAmount, "Gas is on me", deadline, signed.signature, signed.permit);
+
+            await expect(tx)
+                .to.emit(tipJar, "TokenTipReceived")
+                .withArgs(tipper1.address, tokenAddress, tipAmount, "Gas is on me");
+            await expect(tx).to.changeTokenBalances(token, [tipper1, tipJar], [-tipAmount, tipAmount]);
+
+            const [tip] = await tipJar.getLatestTips(1);
+            expect(tip.sender).to.equal(tipper1.address);
+            expect(await tipJar.nonces(tipper1.address)).to.equal(1);
+        });
+
+        it("Should fall back to an existing allowance when no permit is given", async function () {
+            const { tipJar, tipper1, tipper2, token, deadline } = await loadFixture(deployPermitTokenFixture);
+            const tokenAddress = await token.getAddress();
+            const noPermit = { deadline: 0, v: 0, r: ethers.ZeroHash, s: ethers.ZeroHash };
+
+            const { signature } = await signTip(tipper1, tipJar, token, 1, "Approved", deadline);
+            await expect(tipJar.connect(tipper2).sendTipBySig(tipper1.address, tokenAddress, 1, "Approved", deadline, signature, noPermit))
+                .to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance");
+
+            await token.connect(tipper1).approve(await tipJar.getAddress(), 1);
+            await tipJar.connect(tipper2).sendTipBySig(tipper1.address, tokenAddress, 1, "Approved", deadline, signature, noPermit);
+            expect(await tipJar.getTokenBalance(tokenAddress)).to.equal(1);
+        });
+
+        it("Should still accept the tip if the permit was front-run", async function () {
+            const { tipJar, tipper1, tipper2, token, deadline } = await loadFixture(deployPermitTokenFixture);
+            const tokenAddress = await token.getAddress();
+
+            const signed = await signTip(tipper1, tipJar, token, 2, "Front-run", deadline);
+            const { v, r, s } = signed.permit;
+            await token.connect(tipper2).permit(tipper1.address, await tipJar.getAddress(), 2, deadline, v, r, s);
+
+            await tipJar.connect(tipper2).sendTipBySig(tipper1.address, tokenAddress, 2, "Front-run", deadline, signed.signature, signed.permit);
+            expect(await tipJar.getTokenBalance(tokenAddress)).to.equal(2);
+        });
+
+        it("Should reject replayed, expired and tampered signatures", async function () {
+            const { tipJar, tipper1, tipper2, token, deadline } = await loadFixture(deployPermitTokenFixture);
+            const tokenAddress = await token.getAddress();
+
+            const signed = await signTip(tipper1, tipJar, token, 3, "Once", deadline);
+            await expect(tipJar.sendTipBySig(tipper1.address, tokenAddress, 4, "Once", deadline, signed.signature, signed.permit))
+                .to.be.revertedWith("TipJar: Invalid signature.");
+            await expect(tipJar.sendTipBySig(tipper1.address, tokenAddress, 3, "Twice", deadline, signed.signature, signed.permit))
+                .to.be.revertedWith("TipJar: Invalid signature.");
+            await expect(tipJar.sendTipBySig(tipper2.address, tokenAddress, 3, "Once", deadline, signed.signature, signed.permit))
+                .to.be.revertedWith("TipJar: Invalid signature.");
+
+            await tipJar.sendTipBySig(tipper1.address, tokenAddress, 3, "Once", deadline, signed.signature, signed.permit);
+            await expect(tipJar.sendTipBySig(tipper1.address, tokenAddress, 3, "Once", deadline, signed.signature, signed.permit))
+                .to.be.revertedWith("TipJar: Invalid signature.");
+
+            const late = await signTip(tipper1, tipJar, token, 3, "Late", deadline);
+            await time.increaseTo(deadline + 1);
+            await expect(tipJar.sendTipBySig(tipper1.address, tokenAddress, 3, "Late", deadline, late.signature, late.permit))
+                .to.be.revertedWith("TipJar: Signature has expired.");
+        });
+
+        it("Should still require the token to be allowlisted", async function () {
+            const { tipJar, owner, tipper1, token, deadline } = await loadFixture(deployPermitTokenFixture);
+            const tokenAddress = await token.getAddress();
+            await tipJar.connect(owner).setTokenAllowed(tokenAddress, false);
+
+            const signed = await signTip(tipper1, tipJar, token, 1, "Nope", deadline);
+            await expect(tipJar.sendTipBySig(tipper1.address, tokenAddress, 1, "Nope", deadline, signed.signature, signed.permit))
+                .to.be.revertedWith("TipJar: Token not allowed.");
+        });
+    });
+
     describe("Data Retrieval", function () {
         it("getLatestTips should return the correct number of tips", async function () {
             const { tipJar, tipper1, tipper2 } = await loadFixture(deployTipJarFixture);
@@ -176,5 +647,103 @@ describe("TipJar Contract", function () {
             const tips = await tipJar.getLatestTips(5);
             expect(tips.length).to.equal(0);
         });
+
+        it("getTips should page through tips oldest first", async function () {
+            const { tipJar, tipper1, tipper2 } = await loadFixture(deployTipJarFixture);
+            for (const [tipper, message] of [[tipper1, "1"], [tipper2, "2"], [tipper1, "3"], [tipper2, "4"], [tipper1, "5"]]) {
+                await tipJar.connect(tipper).sendTip(message, { value: ethers.parseEther("0.1") });
+            }
+
+            expect((await tipJar.getTips(0, 2)).map((tip) => tip.message)).to.deep.equal(["1", "2"]);
+            expect((await tipJar.getTips(2, 2)).map((tip) => tip.message)).to.deep.equal(["3", "4"]);
+            expect((await tipJar.getTips(4, 2)).map((tip) => tip.message)).to.deep.equal(["5"]);
+        });
+
+        it("getTips should return an empty page for offsets past the end or a zero limit", async function () {
+            const { tipJar, tipper1 } = await loadFixture(deployTipJarFixture);
+            expect((await tipJar.getTips(0, 5)).length).to.equal(0);
+
+            await tipJar.connect(tipper1).sendTip("1", { value: ethers.parseEther("0.1") });
+            expect((await tipJar.getTips(1, 5)).length).to.equal(0);
+            expect((await tipJar.getTips(100, 5)).length).to.equal(0);
+            expect((await tipJar.getTips(0, 0)).length).to.equal(0);
+            expect((await tipJar.getTips(0, ethers.MaxUint256)).length).to.equal(1);
+        });
+
+        it("getTipsBySender should only return that sender's tips", async function () {
+            const { tipJar, tipper1, tipper2 } = await loadFixture(deployTipJarFixture);
+            await tipJar.connect(tipper1).sendTip("a1", { value: ethers.parseEther("0.1") });
+            await tipJar.connect(tipper2).sendTip("b1", { value: ethers.parseEther("0.2") });
+            await tipJar.connect(tipper1).sendTip("a2", { value: ethers.parseEther("0.3") });
+            await tipJar.connect(tipper1).sendTip("a3", { value: ethers.parseEther("0.4") });
+
+            const page = await tipJar.getTipsBySender(tipper1.address, 1, 5);
+            expect(page.map((tip) => tip.message)).to.deep.equal(["a2", "a3"]);
+            expect(page.every((tip) => tip.sender === tipper1.address)).to.be.true;
+
+            expect((await tipJar.getTipsBySender(tipper2.address, 0, 5)).map((tip) => tip.message)).to.deep.equal(["b1"]);
+            expect((await tipJar.getTipsBySender(tipper2.address, 1, 5)).length).to.equal(0);
+            expect((await tipJar.getTipsBySender(ethers.ZeroAddress, 0, 5)).length).to.equal(0);
+        });
+
+        it("Should track tip counts and totals per sender and token", async function () {
+            const { tipJar, owner, tipper1 } = await loadFixture(deployTipJarFixture);
+            const cUSD = await ethers.deployContract("MockERC20", ["Celo Dollar", "cUSD"]);
+            const tokenAddress = await cUSD.getAddress();
+            await tipJar.connect(owner).setTokenAllowed(tokenAddress, true);
+            await cUSD.mint(tipper1.address, 50);
+            await cUSD.connect(tipper1).approve(await tipJar.getAddress(), 50);
+
+            await tipJar.connect(tipper1).sendTip("1", { value: ethers.parseEther("1") });
+            await tipJar.connect(tipper1).sendTip("2", { value: ethers.parseEther("2") });
+            await tipJar.connect(tipper1).sendTokenTip(tokenAddress, 50, "3");
+
+            expect(await tipJar.getTipCountBySender(tipper1.address)).to.equal(3);
+            expect(await tipJar.totalTippedBySender(tipper1.address, ethers.ZeroAddress)).to.equal(ethers.parseEther("3"));
+            expect(await tipJar.totalTippedBySender(tipper1.address, tokenAddress)).to.equal(50);
+            expect(await tipJar.getTipCountBySender(owner.address)).to.equal(0);
+        });
+
+        it("getTopTippers should rank CELO tippers by total", async function () {
+            const { tipJar, tipper1, tipper2 } = await loadFixture(deployTipJarFixture);
+            let [tippers] = await tipJar.getTopTippers();
+            expect(tippers.length).to.equal(0);
+
+            await tipJar.connect(tipper1).sendTip("1", { value: ethers.parseEther("1") });
+            await tipJar.connect(tipper2).sendTip("2", { value: ethers.parseEther("2") });
+            let totals;
+            [tippers, totals] = await tipJar.getTopTippers();
+            expect(tippers).to.deep.equal([tipper2.address, tipper1.address]);
+            expect(totals).to.deep.equal([ethers.parseEther("2"), ethers.parseEther("1")]);
+
+            // A repeat tipper moves up without appearing twice
+            await tipJar.connect(tipper1).sendTip("3", { value: ethers.parseEther("1.5") });
+            [tippers, totals] = await tipJar.getTopTippers();
+            expect(tippers).to.deep.equal([tipper1.address, tipper2.address]);
+            expect(totals).to.deep.equal([ethers.parseEther("2.5"), ethers.parseEther("2")]);
+        });
+
+        it("getTopTippers should keep only the biggest tippers once full", async function () {
+            const { tipJar } = await loadFixture(deployTipJarFixture);
+            const signers = (await ethers.getSigners()).slice(1, 13);
+            const size = Number(await tipJar.LEADERBOARD_SIZE());
+
+            // Tippers 1..12 tip 1..12 wei, so the two smallest drop off the board
+            for (let i = 0; i < signers.length; i++) {
+                await tipJar.connect(signers[i]).sendTip("", { value: i + 1 });
+            }
+
+            const [tippers, totals] = await tipJar.getTopTippers();
+            expect(tippers.length).to.equal(size);
+            expect(tippers).to.deep.equal(signers.slice(2).reverse().map((signer) => signer.address));
+            expect(totals[0]).to.equal(12);
+            expect(totals[size - 1]).to.equal(3);
+
+            // A tip that only ties the last place does not displace it
+            await tipJar.connect(signers[0]).sendTip("", { value: 2 });
+            expect((await tipJar.getTopTippers())[0]).to.not.include(signers[0].address);
+            await tipJar.connect(signers[0]).sendTip("", { value: 1 });
+            expect((await tipJar.getTopTippers())[0][size - 1]).to.equal(signers[0].address);
+        });
     });
 });
@@ -0,0 +1,126 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const FullStackModule = require("../ignition/modules/FullStack");
+const PredictionMarketModule = require("../ignition/modules/PredictionMarket");
+const SimplePollModule = require("../ignition/modules/SimplePoll");
+
+const { ethers } = hre;
+
+const PARAMETERS_DIR = path.join(__dirname, "..", "ignition", "parameters");
+
+// Reads a parameter file the way Ignition does, turning "123n" strings into bigints.
+function readParameters(network) {
+  return JSON.parse(fs.readFileSync(path.join(PARAMETERS_DIR, `${network}.json`), "utf8"), (key, value) =>
+    typeof value === "string" && /^\d+n$/.test(value) ? BigInt(value.slice(0, -1)) : value
+  );
+}
+
+// Runs FullStackModule on the Hardhat network with each network's parameter file.
+describe("Full-stack deployment", function () {
+  async function deployWith(network) {
+    const [deployer] = await ethers.getSigners();
+    const contracts = await hre.ignition.deploy(FullStackModule, { parameters: path.join(PARAMETERS_DIR, `${network}.json`) });
+    return { ...contracts, deployer, parameters: readParameters(network) };
+  }
+
+  const fixtures = {
+    localhost: async function deployLocalhostFixture() {
+      return deployWith("localhost");
+    },
+    alfajores: async function deployAlfajoresFixture() {
+      return deployWith("alfajores");
+    },
+    celo: async function deployCeloFixture() {
+      return deployWith("celo");
+    },
+  };
+
+  for (const [network, fixture] of Object.entries(fixtures)) {
+    describe(`${network}.json`, function () {
+      it("Should deploy with the network's fees and poll question", async function () {
+        const { predictionMarket, poll, parameters } = await loadFixture(fixture);
+        const settings = parameters.FullStackModule;
+
+        expect(await predictionMarket.platformFeeBps()).to.equal(parameters.PredictionMarketModule.feeBps);
+        expect(await predictionMarket.challengePeriod()).to.equal(settings.challengePeriod);
+        expect(await predictionMarket.resolutionBond()).to.equal(settings.resolutionBond);
+        expect(await predictionMarket.disputeBond()).to.equal(settings.disputeBond);
+        expect(await poll.question()).to.equal(parameters.SimplePollModule.question);
+      });
+
+      it("Should grant the insurance roles and seed every pool", async function () {
+        const { decentralizedInsurance, deployer, parameters } = await loadFixture(fixture);
+        const settings = parameters.FullStackModule;
+        const investigator = settings.investigator ?? deployer.address;
+        const oracle = settings.oracle ?? deployer.address;
+
+        expect(await decentralizedInsurance.authorizedInvestigators(investigator)).to.be.true;
+        expect(await decentralizedInsurance.authorizedOracles(oracle)).to.be.true;
+        for (let insuranceType = 0; insuranceType < 5; insuranceType++) {
+          expect((await decentralizedInsurance.getInsurancePool(insuranceType)).totalStaked).to.equal(settings.seedStake);
+          expect((await decentralizedInsurance.getStakeInfo(deployer.address, insuranceType)).amount).to.equal(settings.seedStake);
+        }
+        expect(await ethers.provider.getBalance(await decentralizedInsurance.getAddress())).to.equal(settings.seedStake * 5n);
+      });
+
+      it("Should hand ownership and arbitration to the owner", async function () {
+        const { tipJar, predictionMarket, deployer, parameters } = await loadFixture(fixture);
+        const owner = parameters.FullStackModule.owner ?? deployer.address;
+
+        expect(await tipJar.owner()).to.equal(owner);
+        expect(await predictionMarket.owner()).to.equal(owner);
+        expect(await predictionMarket.arbitrator()).to.equal(owner);
+      });
+
+      it("Should put the insurance contract under staker governance", async function () {
+        const { decentralizedInsurance, insuranceGovernor, deployer, parameters } = await loadFixture(fixture);
+
+        expect(await insuranceGovernor.insurance()).to.equal(await decentralizedInsurance.getAddress());
+        expect(await insuranceGovernor.quorumVotes()).to.equal(parameters.FullStackModule.quorumVotes);
+        expect(await insuranceGovernor.proposalThreshold()).to.equal(parameters.FullStackModule.proposalThreshold);
+        expect(await decentralizedInsurance.owner()).to.equal(await insuranceGovernor.getAddress());
+        // Emergency withdrawals need a proposal, a vote and the timelock
+        await expect(decentralizedInsurance.connect(deployer).emergencyWithdraw(deployer.address, 1))
+          .to.be.revertedWithCustomError(decentralizedInsurance, "OwnableUnauthorizedAccount");
+      });
+
+      it("Should let the seed stake alone pass a proposal", async function () {
+        const { decentralizedInsurance, insuranceGovernor, deployer, parameters } = await loadFixture(fixture);
+        const { seedStake, quorumVotes, proposalThreshold } = parameters.FullStackModule;
+        expect(quorumVotes).to.be.at.most(seedStake * 5n);
+        expect(proposalThreshold).to.be.at.most(seedStake * 5n);
+
+        const calldata = decentralizedInsurance.interface.encodeFunctionData("pause");
+        await insuranceGovernor.connect(deployer).propose([await decentralizedInsurance.getAddress()], [calldata], "Pause");
+        await insuranceGovernor.connect(deployer).castVote(1, true);
+        await time.increase(await insuranceGovernor.VOTING_PERIOD());
+        await insuranceGovernor.queue(1);
+        await time.increase(await insuranceGovernor.TIMELOCK_DELAY());
+        await insuranceGovernor.execute(1);
+        expect(await decentralizedInsurance.paused()).to.be.true;
+      });
+    });
+  }
+
+  it("Should give the CELO deployment to the TimeLockMultiSig", async function () {
+    const { predictionMarket, deployer } = await loadFixture(fixtures.celo);
+    const addresses = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "ignition", "deployments", "chain-42220", "deployed_addresses.json"), "utf8"));
+
+    expect(await predictionMarket.owner()).to.equal(addresses["TimeLockMultiSigV2Module#TimeLockMultiSig"]);
+    await expect(predictionMarket.connect(deployer).setPlatformFee(0))
+      .to.be.revertedWithCustomError(predictionMarket, "OwnableUnauthorizedAccount");
+  });
+
+  it("Should keep the single-contract modules' defaults without parameters", async function () {
+    const [deployer] = await ethers.getSigners();
+    const { predictionMarket } = await hre.ignition.deploy(PredictionMarketModule);
+    const { poll } = await hre.ignition.deploy(SimplePollModule);
+
+    expect(await predictionMarket.platformFeeBps()).to.equal(100);
+    expect(await predictionMarket.owner()).to.equal(deployer.address);
+    expect(await poll.question()).to.equal("Is building on CELO a good experience?");
+  });
+});
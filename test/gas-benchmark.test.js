@@ -0,0 +1,113 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const {
+  BENCHMARKS,
+  DEFAULT_SIZES,
+  BASELINE_FILE,
+  runBenchmarks,
+  growthPerItem,
+  compareWithBaseline,
+  formatMarkdown,
+} = require("../scripts/gas-benchmark");
+
+function result(name, gas, unbounded = false) {
+  return { name, kind: "write", size: "items", gas, growthPerItem: growthPerItem(gas), unbounded };
+}
+
+describe("Gas benchmarks", function () {
+  const baseline = {
+    sizes: [1, 10, 50],
+    gasPrice: "100000000000",
+    results: [
+      result("A.flat", { 1: 50000, 10: 50000, 50: 50000 }),
+      result("B.scan", { 1: 60000, 10: 100000, 50: 300000 }, true),
+      result("C.removed", { 1: 1000, 10: 1000, 50: 1000 }),
+    ],
+  };
+
+  describe("Analysis", function () {
+    it("Should measure the growth per item between the two largest sizes", function () {
+      expect(growthPerItem({ 1: 100, 10: 1000, 50: 5000 })).to.equal(100);
+      expect(growthPerItem({ 50: 7000, 1: 7000, 10: 9000 })).to.equal(-50);
+      expect(growthPerItem({ 1: 100 })).to.equal(0);
+    });
+
+    it("Should flag costs past the threshold as regressions", function () {
+      const report = {
+        ...baseline,
+        results: [
+          result("A.flat", { 1: 52000, 10: 50000, 50: 53000 }),
+          result("B.scan", { 1: 60000, 10: 90000, 50: 250000 }, true),
+          result("C.removed", { 1: 1000, 10: 1000, 50: 1000 }),
+        ],
+      };
+      const comparison = compareWithBaseline(report, baseline, 5);
+
+      expect(comparison.ok).to.be.false;
+      expect(comparison.regressions).to.deep.equal([{ name: "A.flat", size: 50, baseline: 50000, current: 53000, changePct: 6 }]);
+      expect(comparison.improvements.map(({ name, size }) => `${name}@${size}`)).to.deep.equal(["B.scan@10", "B.scan@50"]);
+      expect(compareWithBaseline(report, baseline, 10).ok).to.be.true;
+    });
+
+    it("Should fail on costs that start growing without bound", function () {
+      const report = {
+        ...baseline,
+        results: [
+          result("A.flat", { 1: 50000, 10: 50000, 50: 50000 }, true),
+          result("B.scan", baseline.results[1].gas, true),
+          result("D.added", { 1: 1000, 10: 1000, 50: 1000 }),
+        ],
+      };
+      const comparison = compareWithBaseline(report, baseline);
+
+      // B.scan was already unbounded in the baseline, so only A.flat counts
+      expect(comparison.ok).to.be.false;
+      expect(comparison.newlyUnbounded).to.deep.equal(["A.flat"]);
+      expect(comparison.regressions).to.be.empty;
+      expect(comparison.added).to.deep.equal(["D.added"]);
+      expect(comparison.removed).to.deep.equal(["C.removed"]);
+    });
+
+    it("Should report the table, the unbounded costs and the comparison in markdown", function () {
+      const report = { ...baseline, results: [result("A.flat", { 1: 50000, 10: 50000, 50: 60000 }), baseline.results[1]] };
+      const markdown = formatMarkdown(report, compareWithBaseline(report, baseline));
+
+      expect(markdown).to.include("| Function | Kind | Size | Gas at 1 | Gas at 10 | Gas at 50 | Gas per item | CELO at 100.0 gwei, size 50 |");
+      expect(markdown).to.include("| `B.scan` | write | items | 60,000 | 100,000 | 300,000 | 5,000 ⚠️ | 0.03 |");
+      expect(markdown).to.include("- `B.scan`: +5,000 gas per item (items)");
+      expect(markdown).to.include("- `A.flat` at 50: 50,000 → 60,000 (+20.0%)");
+      expect(markdown).to.include("No longer benchmarked: `C.removed`");
+    });
+  });
+
+  describe("Benchmarks", function () {
+    it("Should measure each size and flag scans over stored data", async function () {
+      const report = await runBenchmarks(hre, {
+        sizes: [3, 1, 2],
+        only: ["DecentralizedInsurance.cancelPolicy", "DecentralizedInsurance.stake"],
+      });
+
+      expect(report.sizes).to.deep.equal([1, 2, 3]);
+      expect(report.gasPrice).to.equal(String(hre.config.networks.celo.gasPrice));
+      const [stake, cancelPolicy] = report.results;
+      expect(stake.name).to.equal("DecentralizedInsurance.stake");
+      expect(stake.gas[1]).to.equal(stake.gas[3]);
+      expect(stake.unbounded).to.be.false;
+      // Every earlier claim of the policyholder is read to check the policy has none
+      expect(cancelPolicy.gas[3]).to.be.gt(cancelPolicy.gas[2]).and.gt(cancelPolicy.gas[1]);
+      expect(cancelPolicy.unbounded).to.be.true;
+    });
+
+    it("Should stay within the committed baseline", async function () {
+      const committed = JSON.parse(fs.readFileSync(BASELINE_FILE, "utf8"));
+      expect(committed.sizes).to.deep.equal(DEFAULT_SIZES);
+      expect(committed.results.map(({ name }) => name)).to.deep.equal(BENCHMARKS.map(({ name }) => name));
+
+      const comparison = compareWithBaseline(await runBenchmarks(hre), committed);
+      // Run `npx hardhat run scripts/gas-benchmark.js` for the full report
+      const { regressions, newlyUnbounded } = comparison;
+      expect(comparison.ok, JSON.stringify({ regressions, newlyUnbounded }, null, 2)).to.be.true;
+    });
+  });
+});
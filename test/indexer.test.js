@@ -0,0 +1,427 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture, mine, takeSnapshot, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { createApi, createIndexer, loadDeployedContracts, openStore } = require("../indexer");
+
+const { ethers } = hre;
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+// Indexes contracts deployed on the in-process Hardhat network and queries them through the HTTP API.
+describe("Event indexer", function () {
+  let store;
+  let server;
+
+  afterEach(async function () {
+    if (server) await new Promise((resolve) => server.close(resolve));
+    if (store) store.close();
+    server = undefined;
+    store = undefined;
+  });
+
+  async function deployFixture() {
+    const [owner, alice, bob] = await ethers.getSigners();
+    const tipJar = await ethers.deployContract("TipJar", [owner.address]);
+    const predictionMarket = await ethers.deployContract("PredictionMarket", [owner.address, 100]);
+    const simplePoll = await ethers.deployContract("SimplePoll", ["Ship the indexer?"]);
+    const pollFactory = await ethers.deployContract("PollFactory");
+    const insurance = await ethers.deployContract("DecentralizedInsurance");
+
+    const contracts = [];
+    for (const [name, contract] of Object.entries({ TipJar: tipJar, PredictionMarket: predictionMarket, SimplePoll: simplePoll, PollFactory: pollFactory, DecentralizedInsurance: insurance })) {
+      contracts.push({ name, address: await contract.getAddress(), abi: (await hre.artifacts.readArtifact(name)).abi });
+    }
+    return { tipJar, predictionMarket, simplePoll, pollFactory, insurance, contracts, owner, alice, bob };
+  }
+
+  function indexerFor(contracts, options = {}) {
+    store = store || openStore(":memory:");
+    return createIndexer({
+      provider: ethers.provider,
+      store,
+      contracts,
+      getAbi: (name) => hre.artifacts.readArtifactSync(name).abi,
+      logger: quiet,
+      ...options,
+    });
+  }
+
+  async function startApi(indexer) {
+    server = createApi({ store, getContracts: indexer.getContracts });
+    await new Promise((resolve) => server.listen(0, resolve));
+    const { port } = server.address();
+    return async (route) => {
+      const response = await fetch(`http://localhost:${port}${route}`);
+      return { status: response.status, body: await response.json() };
+    };
+  }
+
+  describe("Syncing", function () {
+    it("Should store decoded events up to the head", async function () {
+      const { tipJar, contracts, alice } = await loadFixture(deployFixture);
+      await tipJar.connect(alice).sendTip("Hello", { value: ethers.parseEther("1") });
+
+      const indexer = indexerFor(contracts, { batchSize: 3 });
+      const head = await ethers.provider.getBlockNumber();
+      expect(await indexer.sync()).to.equal(head);
+      expect(store.getCheckpoint()).to.equal(head);
+      expect(store.getChainId()).to.equal(31337);
+
+      const [tip] = store.getEvents({ names: ["TipReceived"] });
+      expect(tip.contract).to.equal("TipJar");
+      expect(tip.address).to.equal(await tipJar.getAddress());
+      expect(tip.args).to.deep.equal({ sender: alice.address, amount: ethers.parseEther("1").toString(), message: "Hello" });
+      expect(tip.timestamp).to.equal((await ethers.provider.getBlock(tip.blockNumber)).timestamp);
+    });
+
+    it("Should resume from the checkpoint", async function () {
+      const { tipJar, contracts, alice } = await loadFixture(deployFixture);
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"));
+      const file = path.join(dir, "index.db");
+
+      try {
+        await tipJar.connect(alice).sendTip("First", { value: 1 });
+        store = openStore(file);
+        const checkpoint = await indexerFor(contracts).sync();
+        store.close();
+
+        await tipJar.connect(alice).sendTip("Second", { value: 2 });
+        const requests = [];
+        const provider = {
+          getNetwork: () => ethers.provider.getNetwork(),
+          getBlockNumber: () => ethers.provider.getBlockNumber(),
+          getBlock: (number) => ethers.provider.getBlock(number),
+          getLogs: (filter) => {
+            requests.push(filter);
+            return ethers.provider.getLogs(filter);
+          },
+        };
+        store = openStore(file);
+        await indexerFor(contracts, { provider }).sync();
+
+        expect(requests.map((filter) => filter.fromBlock)).to.deep.equal([checkpoint + 1]);
+        expect(store.getEvents({ names: ["TipReceived"] }).map((event) => event.args.message)).to.deep.equal(["First", "Second"]);
+      } finally {
+        if (store) store.close();
+        store = undefined;
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it("Should roll back events from blocks dropped by a reorg", async function () {
+      const { tipJar, contracts, alice, bob } = await loadFixture(deployFixture);
+      const indexer = indexerFor(contracts);
+      const forkPoint = await indexer.sync();
+
+      const snapshot = await takeSnapshot();
+      await tipJar.connect(alice).sendTip("Orphaned", { value: 1 });
+      await indexer.sync();
+      expect(store.getEvents({ names: ["TipReceived"] })).to.have.length(1);
+
+      // Replace the tip's block with a different one and extend the new chain past the old head
+      await snapshot.restore();
+      await tipJar.connect(bob).sendTip("Canonical", { value: 2 });
+      await mine(2);
+
+      expect(await indexer.sync()).to.equal(await ethers.provider.getBlockNumber());
+      const tips = store.getEvents({ names: ["TipReceived"] });
+      expect(tips.map((event) => event.args.message)).to.deep.equal(["Canonical"]);
+      expect(tips[0].blockNumber).to.equal(forkPoint + 1);
+      expect(tips[0].blockHash).to.equal((await ethers.provider.getBlock(forkPoint + 1)).hash);
+    });
+
+    it("Should stay the given number of blocks behind the head", async function () {
+      const { tipJar, contracts, alice } = await loadFixture(deployFixture);
+      await tipJar.connect(alice).sendTip("Unconfirmed", { value: 1 });
+
+      const indexer = indexerFor(contracts, { confirmations: 2 });
+      expect(await indexer.sync()).to.equal((await ethers.provider.getBlockNumber()) - 2);
+      expect(store.getEvents({ names: ["TipReceived"] })).to.have.length(0);
+
+      await mine(2);
+      await indexer.sync();
+      expect(store.getEvents({ names: ["TipReceived"] })).to.have.length(1);
+    });
+
+    it("Should log and skip the events the contract's ABI does not decode", async function () {
+      const { tipJar, alice } = await loadFixture(deployFixture);
+      const tip = await (await tipJar.connect(alice).sendTip("Hello", { value: 1 })).wait();
+      const stream = await (await tipJar.connect(alice).startStream(3600, "Streaming", { value: 3600 })).wait();
+      const address = await tipJar.getAddress();
+
+      // The TipJar on CELO mainnet was deployed before streams; misdeclaring TipReceived makes it fail to decode
+      const deployed = path.join(hre.config.paths.ignition, "deployments", "chain-42220", "artifacts", "TipJarModule#TipJar.json");
+      const abi = JSON.parse(fs.readFileSync(deployed, "utf8")).abi;
+      const misdeclared = abi.map((item) => item.name !== "TipReceived" ? item : { ...item, inputs: item.inputs.map((input) => ({ ...input, indexed: false })) });
+      const unknownTopic = `Skipping log 0 of block ${stream.blockNumber} from TipJar at ${address}: no TipJar event has topic ${stream.logs[0].topics[0]}`;
+
+      const warnings = [];
+      const logger = { ...quiet, warn: (line) => warnings.push(line) };
+      await indexerFor([{ name: "TipJar", address, abi }], { logger }).sync();
+      expect(warnings).to.deep.equal([unknownTopic]);
+      expect(store.getEvents({ names: ["TipReceived"] })).to.have.length(1);
+
+      store.close();
+      store = undefined;
+      warnings.length = 0;
+      await indexerFor([{ name: "TipJar", address, abi: misdeclared }], { logger }).sync();
+      expect(warnings).to.deep.equal([`Skipping log 0 of block ${tip.blockNumber} from TipJar at ${address}: data out-of-bounds`, unknownTopic]);
+      expect(store.getEvents({ names: ["TipReceived"] })).to.have.length(0);
+    });
+
+    it("Should refuse an index built on another chain", async function () {
+      const { contracts } = await loadFixture(deployFixture);
+      const indexer = indexerFor(contracts);
+      store.setChainId(42220);
+      await expect(indexer.sync()).to.be.rejectedWith("The index was created for chain 42220 but the provider is on chain 31337");
+    });
+
+    it("Should load the contracts of an Ignition deployment with the ABIs they were deployed with", async function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployment-"));
+      const warn = console.warn;
+      const warnings = [];
+      console.warn = (line) => warnings.push(line);
+
+      try {
+        fs.writeFileSync(path.join(dir, "deployed_addresses.json"), JSON.stringify({
+          "TipJarModule#TipJar": "0x0000000000000000000000000000000000000001",
+          "PredictionMarketModule#PredictionMarket": "0x0000000000000000000000000000000000000002",
+          "MessageBoardModule#MessageBoard": "0x0000000000000000000000000000000000000003",
+        }));
+        // PredictionMarket was deployed from an older version, recorded with its ABI as on CELO mainnet
+        fs.mkdirSync(path.join(dir, "artifacts"));
+        const artifact = "PredictionMarketModule#PredictionMarket.json";
+        fs.copyFileSync(path.join(hre.config.paths.ignition, "deployments", "chain-42220", "artifacts", artifact), path.join(dir, "artifacts", artifact));
+
+        const contracts = await loadDeployedContracts(hre, dir);
+        expect(contracts.map((contract) => contract.name)).to.deep.equal(["TipJar", "PredictionMarket"]);
+        expect(contracts[0].abi.some((item) => item.name === "StreamStarted")).to.be.true;
+        expect(contracts[1].abi.some((item) => item.name === "SharesBought")).to.be.true;
+        expect(contracts[1].abi.some((item) => item.name === "OutcomeBought")).to.be.false;
+        expect(warnings).to.deep.equal(["Skipping MessageBoardModule#MessageBoard: no deployment artifact and MessageBoard is not compiled in this repository"]);
+      } finally {
+        console.warn = warn;
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe("API", function () {
+    it("Should report the indexed contracts and checkpoint", async function () {
+      const { contracts } = await loadFixture(deployFixture);
+      const indexer = indexerFor(contracts);
+      const checkpoint = await indexer.sync();
+      const get = await startApi(indexer);
+
+      const { status, body } = await get("/status");
+      expect(status).to.equal(200);
+      expect(body.chainId).to.equal(31337);
+      expect(body.checkpoint).to.equal(checkpoint);
+      expect(body.contracts.map((contract) => contract.name)).to.deep.equal(["TipJar", "PredictionMarket", "SimplePoll", "PollFactory", "DecentralizedInsurance"]);
+    });
+
+    it("Should list tips by sender with totals per token", async function () {
+      const { tipJar, contracts, owner, alice, bob } = await loadFixture(deployFixture);
+      const token = await ethers.deployContract("MockERC20", ["Mock Token", "MOCK"]);
+      await tipJar.connect(owner).setTokenAllowed(await token.getAddress(), true);
+      await token.mint(alice.address, 500);
+      await token.connect(alice).approve(await tipJar.getAddress(), 500);
+
+      await tipJar.connect(alice).sendTip("One", { value: ethers.parseEther("1") });
+      await tipJar.connect(bob).sendTip("Not Alice", { value: ethers.parseEther("5") });
+      await tipJar.connect(alice).sendTokenTip(await token.getAddress(), 300, "Tokens");
+      await tipJar.connect(alice).sendTip("Two", { value: ethers.parseEther("2") });
+
+      const indexer = indexerFor(contracts);
+      await indexer.sync();
+      const get = await startApi(indexer);
+
+      const { body } = await get(`/tips/${alice.address.toLowerCase()}`);
+      expect(body.sender).to.equal(alice.address);
+      expect(body.count).to.equal(3);
+      expect(body.totals).to.deep.equal({
+        [ethers.ZeroAddress]: ethers.parseEther("3").toString(),
+        [await token.getAddress()]: "300",
+      });
+      expect(body.tips.map((tip) => tip.message)).to.deep.equal(["One", "Tokens", "Two"]);
+
+      const page = await get(`/tips/${alice.address}?limit=1&offset=1`);
+      expect(page.body.count).to.equal(3);
+      expect(page.body.tips.map((tip) => tip.message)).to.deep.equal(["Tokens"]);
+    });
+
+    it("Should rebuild market positions and P&L", async function () {
+      const { predictionMarket, contracts, owner, alice, bob } = await loadFixture(deployFixture);
+      const resolveAt = (await time.latest()) + 3600;
+      await predictionMarket.createMarket("Will the indexer ship?", owner.address, resolveAt);
+      await predictionMarket.connect(owner).addLiquidity(1, { value: ethers.parseEther("10") });
+
+      await predictionMarket.connect(alice).buyShares(1, { value: ethers.parseEther("2") });
+      await predictionMarket.connect(alice).sellOutcome(1, 0, ethers.parseEther("2"), 0);
+      await predictionMarket.connect(bob).buyOutcome(1, 0, 0, { value: ethers.parseEther("1") });
+
+      await time.increaseTo(resolveAt);
+      await predictionMarket.resolveMarket(1, 1, { value: await predictionMarket.resolutionBond() });
+      await time.increase(24 * 60 * 60);
+      await predictionMarket.finalizeResolution(1);
+      await predictionMarket.connect(alice).redeemWinnings(1);
+
+      const indexer = indexerFor(contracts);
+      await indexer.sync();
+      const get = await startApi(indexer);
+
+      const { body: positions } = await get("/markets/1/positions");
+      expect(positions.map((position) => position.user)).to.deep.equal([owner.address, alice.address, bob.address]);
+
+      const [lp, trader, loser] = positions;
+      expect(lp.liquidity).to.deep.equal({ deposited: ethers.parseEther("10").toString(), shares: ethers.parseEther("10").toString() });
+      expect(lp.pnl).to.equal("0");
+
+      const [sold] = store.getEvents({ names: ["OutcomeSold"] });
+      const [redeemed] = store.getEvents({ names: ["WinningsRedeemed"] });
+      const received = BigInt(sold.args.celoAmount) + BigInt(redeemed.args.payout);
+      expect(trader.winningOutcome).to.equal(1);
+      expect(trader.shares).to.deep.equal(["0", "0"]);
+      expect(trader.spent).to.equal(ethers.parseEther("2").toString());
+      expect(trader.received).to.equal(received.toString());
+      expect(trader.pnl).to.equal((received - ethers.parseEther("2")).toString());
+
+      const [bought] = store.getEvents({ names: ["OutcomeBought"] });
+      expect(loser.shares).to.deep.equal([bought.args.sharesOut, "0"]);
+      expect(loser.pnl).to.equal((-ethers.parseEther("1")).toString());
+
+      const { body: bobPositions } = await get(`/positions/${bob.address}`);
+      expect(bobPositions).to.deep.equal([loser]);
+    });
+
+    it("Should serve an upgradeable deployment through the queries of the contract it replaces", async function () {
+      const [owner, alice] = await ethers.getSigners();
+      const { predictionMarket, proxy, implementation } = await hre.ignition.deploy(require("../ignition/modules/PredictionMarketProxy"));
+
+      // Record the deployment the way Ignition does, with an artifact per future
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployment-"));
+      try {
+        const futures = {
+          "PredictionMarketProxyModule#PredictionMarketImplementation": ["PredictionMarketUpgradeable", implementation],
+          "PredictionMarketProxyModule#ERC1967Proxy": ["ERC1967Proxy", proxy],
+          "PredictionMarketProxyModule#PredictionMarketUpgradeable": ["PredictionMarketUpgradeable", predictionMarket],
+        };
+        const addresses = {};
+        fs.mkdirSync(path.join(dir, "artifacts"));
+        for (const [futureId, [contractName, contract]] of Object.entries(futures)) {
+          addresses[futureId] = await contract.getAddress();
+          const { abi } = await hre.artifacts.readArtifact(contractName);
+          fs.writeFileSync(path.join(dir, "artifacts", `${futureId}.json`), JSON.stringify({ contractName, abi }));
+        }
+        fs.writeFileSync(path.join(dir, "deployed_addresses.json"), JSON.stringify(addresses));
+
+        const contracts = await loadDeployedContracts(hre, dir);
+        expect(contracts.map((contract) => [contract.name, contract.address])).to.deep.equal([
+          ["PredictionMarket", await implementation.getAddress()],
+          ["PredictionMarket", await predictionMarket.getAddress()],
+        ]);
+
+        const renamed = await loadDeployedContracts(hre, dir, { PredictionMarketUpgradeable: "Market" });
+        expect(renamed.map((contract) => contract.name)).to.deep.equal(["Market", "Market"]);
+
+        const resolveAt = (await time.latest()) + 3600;
+        await predictionMarket.createMarket("Will the proxy be indexed?", owner.address, resolveAt);
+        await predictionMarket.connect(alice).buyShares(1, { value: ethers.parseEther("2") });
+
+        const indexer = indexerFor(contracts);
+        await indexer.sync();
+        const get = await startApi(indexer);
+
+        const { body: positions } = await get("/markets/1/positions");
+        expect(positions.map((position) => position.user)).to.deep.equal([alice.address]);
+        expect(positions[0].spent).to.equal(ethers.parseEther("2").toString());
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it("Should follow polls created through the factory and report tallies over time", async function () {
+      const { pollFactory, simplePoll, contracts, owner, alice, bob } = await loadFixture(deployFixture);
+      await simplePoll.connect(alice).vote(true);
+      await simplePoll.connect(bob).vote(false);
+
+      const indexer = indexerFor(contracts);
+      await indexer.sync();
+
+      // Votes cast in the block range that discovers the poll are indexed with it
+      await pollFactory.createPoll("Best network?", ["Celo", "Alfajores", "Baklava"], 0, 0, []);
+      const pollAddress = (await pollFactory.getPolls())[0];
+      const poll = await ethers.getContractAt("Poll", pollAddress);
+      await poll.connect(alice).vote(2);
+      await poll.connect(bob).vote(0);
+      await poll.connect(owner).vote(2);
+      await indexer.sync();
+
+      const get = await startApi(indexer);
+      const { body } = await get(`/polls/${pollAddress}/tallies`);
+      expect(body.contract).to.equal("Poll");
+      expect(body.question).to.equal("Best network?");
+      expect(body.tallies).to.deep.equal(["1", "0", "2"]);
+      expect(body.history.map((entry) => entry.tallies)).to.deep.equal([["0", "0", "1"], ["1", "0", "1"], ["1", "0", "2"]]);
+      expect(body.history.map((entry) => entry.voter)).to.deep.equal([alice.address, bob.address, owner.address]);
+
+      const simple = await get(`/polls/${await simplePoll.getAddress()}/tallies`);
+      expect(simple.body.tallies).to.deep.equal(["1", "1"]);
+      expect(simple.body.history.map((entry) => entry.option)).to.deep.equal([0, 1]);
+
+      const status = await get("/status");
+      expect(status.body.contracts.at(-1)).to.deep.include({ name: "Poll", address: pollAddress });
+    });
+
+    it("Should return the timeline of a policy and its claims", async function () {
+      const { insurance, contracts, owner, alice } = await loadFixture(deployFixture);
+      await insurance.addInvestigator(owner.address);
+      await insurance.stake(0, { value: ethers.parseEther("200") });
+
+      const coverage = ethers.parseEther("10");
+      const duration = 90 * 24 * 60 * 60;
+      const premium = await insurance.calculatePremiumFor(alice.address, 0, coverage, duration, 0);
+      await insurance.connect(alice).createPolicy(0, coverage, duration, 0, "ipfs://policy", { value: premium });
+      await insurance.connect(alice).createPolicy(0, coverage, duration, 0, "ipfs://other", { value: premium });
+      await insurance.connect(alice).submitClaim(1, ethers.parseEther("4"), "ipfs://evidence");
+      await insurance.connect(alice).submitClaim(2, ethers.parseEther("1"), "");
+      await insurance.investigateClaim(1, 2, ethers.parseEther("3"), "");
+      await insurance.payClaim(1);
+
+      const indexer = indexerFor(contracts);
+      await indexer.sync();
+      const get = await startApi(indexer);
+
+      const { status, body } = await get("/policies/1/timeline");
+      expect(status).to.equal(200);
+      expect(body.policyholder).to.equal(alice.address);
+      expect(body.claims).to.deep.equal(["1"]);
+      expect(body.timeline.map((entry) => entry.event)).to.deep.equal(["PolicyCreated", "PremiumPaid", "ClaimSubmitted", "ClaimInvestigated", "ClaimPaid"]);
+      expect(body.timeline[4].args.amount).to.equal(ethers.parseEther("3").toString());
+      expect(body.timeline[0].timestamp).to.be.at.most(body.timeline[4].timestamp);
+    });
+
+    it("Should filter raw events and reject bad requests", async function () {
+      const { tipJar, contracts, alice } = await loadFixture(deployFixture);
+      await tipJar.connect(alice).sendTip("a", { value: 1 });
+      await tipJar.connect(alice).sendTip("b", { value: 2 });
+      const indexer = indexerFor(contracts);
+      await indexer.sync();
+      const get = await startApi(indexer);
+
+      const { body } = await get(`/events?contract=TipJar&name=TipReceived&address=${await tipJar.getAddress()}&limit=1&offset=1`);
+      expect(body.map((event) => event.args.message)).to.deep.equal(["b"]);
+
+      expect((await get("/tips/0x1234")).body).to.deep.equal({ error: "Invalid sender: 0x1234" });
+      expect((await get("/tips/0x1234")).status).to.equal(400);
+      expect((await get("/events?limit=5000")).status).to.equal(400);
+      expect((await get("/markets/one/positions")).status).to.equal(400);
+      expect((await get("/policies/99/timeline")).status).to.equal(404);
+      expect((await get(`/polls/${await tipJar.getAddress()}/tallies`)).status).to.equal(404);
+      expect((await get("/nowhere")).status).to.equal(404);
+    });
+  });
+});
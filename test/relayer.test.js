@@ -0,0 +1,113 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const relayer = require("../scripts/relayer");
+
+// Runs scripts/relayer.js end to end on the in-process Hardhat network:
+// the second account signs, the first account submits and pays the gas.
+describe("Relayer script", function () {
+  const ENV_KEYS = ["RELAY_ACTION", "POLL_ADDRESS", "OPTION", "SIMPLE_POLL_ADDRESS", "VOTE", "TIPJAR_ADDRESS", "TOKEN_ADDRESS", "AMOUNT", "MESSAGE", "DEADLINE_SECONDS"];
+  let savedEnv;
+  let savedLog;
+
+  beforeEach(function () {
+    savedEnv = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+    savedLog = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    for (const key of ENV_KEYS) {
+      if (savedEnv[key] === undefined) delete process.env[key];
+      else process.env[key] = savedEnv[key];
+    }
+    console.log = savedLog;
+  });
+
+  async function deployFixture() {
+    const [owner, user] = await ethers.getSigners();
+
+    const pollFactory = await ethers.deployContract("PollFactory");
+    await pollFactory.createPoll("Relay this?", ["Yes", "No", "Maybe"], 0, 0, []);
+    const poll = await ethers.getContractAt("Poll", (await pollFactory.getPolls())[0]);
+    const simplePoll = await ethers.deployContract("SimplePoll", ["Relay this too?"]);
+
+    const tipJar = await ethers.deployContract("TipJar", [owner.address]);
+    const token = await ethers.deployContract("MockVotesToken", ["Celo Dollar", "cUSD"]);
+    await token.mint(user.address, ethers.parseEther("10"));
+    await tipJar.setTokenAllowed(await token.getAddress(), true);
+
+    return { owner, user, poll, simplePoll, tipJar, token };
+  }
+
+  it("Should relay a signed vote without the voter paying gas", async function () {
+    const { user, poll } = await loadFixture(deployFixture);
+    const balanceBefore = await ethers.provider.getBalance(user.address);
+
+    process.env.RELAY_ACTION = "vote";
+    process.env.POLL_ADDRESS = await poll.getAddress();
+    process.env.OPTION = "2";
+    await relayer.main();
+
+    expect(await poll.hasVoted(user.address)).to.be.true;
+    const [voteCounts] = await poll.getResults();
+    expect(voteCounts).to.deep.equal([0n, 0n, 1n]);
+    expect(await ethers.provider.getBalance(user.address)).to.equal(balanceBefore);
+  });
+
+  it("Should relay a signed SimplePoll vote", async function () {
+    const { user, simplePoll } = await loadFixture(deployFixture);
+    const balanceBefore = await ethers.provider.getBalance(user.address);
+
+    process.env.RELAY_ACTION = "simple-vote";
+    process.env.SIMPLE_POLL_ADDRESS = await simplePoll.getAddress();
+    process.env.VOTE = "no";
+    await relayer.main();
+
+    expect(await simplePoll.hasVoted(user.address)).to.be.true;
+    expect(await simplePoll.getResults()).to.deep.equal([0n, 1n]);
+    expect(await simplePoll.nonces(user.address)).to.equal(1);
+    expect(await ethers.provider.getBalance(user.address)).to.equal(balanceBefore);
+
+    process.env.VOTE = "maybe";
+    await expect(relayer.main()).to.be.rejectedWith("Set VOTE to 'yes' or 'no'");
+  });
+
+  it("Should relay a signed token tip with a permit", async function () {
+    const { user, tipJar, token } = await loadFixture(deployFixture);
+    const balanceBefore = await ethers.provider.getBalance(user.address);
+
+    process.env.RELAY_ACTION = "tip";
+    process.env.TIPJAR_ADDRESS = await tipJar.getAddress();
+    process.env.TOKEN_ADDRESS = await token.getAddress();
+    process.env.AMOUNT = "1.5";
+    process.env.MESSAGE = "Relayed";
+    await relayer.main();
+
+    const [tip] = await tipJar.getLatestTips(1);
+    expect(tip.sender).to.equal(user.address);
+    expect(tip.amount).to.equal(ethers.parseEther("1.5"));
+    expect(tip.message).to.equal("Relayed");
+    expect(await token.balanceOf(user.address)).to.equal(ethers.parseEther("8.5"));
+    expect(await ethers.provider.getBalance(user.address)).to.equal(balanceBefore);
+  });
+
+  it("Should keep working for repeated signatures from the same account", async function () {
+    const { user, tipJar, token } = await loadFixture(deployFixture);
+
+    process.env.RELAY_ACTION = "tip";
+    process.env.TIPJAR_ADDRESS = await tipJar.getAddress();
+    process.env.TOKEN_ADDRESS = await token.getAddress();
+    process.env.AMOUNT = "1";
+    await relayer.main();
+    await relayer.main();
+
+    expect(await tipJar.nonces(user.address)).to.equal(2);
+    expect(await tipJar.getTokenBalance(await token.getAddress())).to.equal(ethers.parseEther("2"));
+  });
+
+  it("Should refuse an unknown action", async function () {
+    process.env.RELAY_ACTION = "bridge";
+    await expect(relayer.main()).to.be.rejectedWith("Set RELAY_ACTION to 'vote', 'simple-vote' or 'tip'");
+  });
+});
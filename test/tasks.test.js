@@ -0,0 +1,277 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const TipJarModule = require("../ignition/modules/TipJar");
+const PredictionMarketModule = require("../ignition/modules/PredictionMarket");
+const SimplePollModule = require("../ignition/modules/SimplePoll");
+const DecentralizedInsuranceModule = require("../ignition/modules/DecentralizedInsurance");
+
+const { ethers } = hre;
+
+// Runs the tasks in tasks/ against the in-process Hardhat network, resolving addresses from a
+// deployed_addresses.json written to a temporary Ignition directory.
+describe("Hardhat tasks", function () {
+  let originalIgnitionPath;
+  let ignitionDir;
+  let savedLog;
+
+  before(function () {
+    originalIgnitionPath = hre.config.paths.ignition;
+    ignitionDir = fs.mkdtempSync(path.join(os.tmpdir(), "ignition-"));
+    hre.config.paths.ignition = ignitionDir;
+  });
+
+  after(function () {
+    hre.config.paths.ignition = originalIgnitionPath;
+    fs.rmSync(ignitionDir, { recursive: true, force: true });
+  });
+
+  beforeEach(function () {
+    savedLog = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    console.log = savedLog;
+  });
+
+  async function deployFixture() {
+    const { tipJar } = await hre.ignition.deploy(TipJarModule);
+    const { predictionMarket } = await hre.ignition.deploy(PredictionMarketModule);
+    const { poll } = await hre.ignition.deploy(SimplePollModule);
+    const { decentralizedInsurance } = await hre.ignition.deploy(DecentralizedInsuranceModule);
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const deploymentDir = path.join(ignitionDir, "deployments", `chain-${chainId}`);
+    fs.mkdirSync(deploymentDir, { recursive: true });
+    fs.writeFileSync(path.join(deploymentDir, "deployed_addresses.json"), JSON.stringify({
+      "TipJarModule#TipJar": await tipJar.getAddress(),
+      "PredictionMarketModule#PredictionMarket": await predictionMarket.getAddress(),
+      "SimplePollModule#SimplePoll": await poll.getAddress(),
+      "DecentralizedInsuranceModule#DecentralizedInsurance": await decentralizedInsurance.getAddress(),
+    }, null, 2));
+
+    const [owner] = await ethers.getSigners();
+    return { tipJar, predictionMarket, poll, decentralizedInsurance, owner };
+  }
+
+  describe("Address resolution", function () {
+    it("Should fail clearly when the contract is not deployed on the network", async function () {
+      const { chainId } = await ethers.provider.getNetwork();
+      const file = path.join(ignitionDir, "deployments", `chain-${chainId}`, "deployed_addresses.json");
+      fs.rmSync(file, { force: true });
+
+      await expect(hre.run("tipjar:send", { amount: "1" }))
+        .to.be.rejectedWith(`No Ignition deployments found for chain ${chainId}`);
+
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, "{}");
+      await expect(hre.run("tipjar:send", { amount: "1" }))
+        .to.be.rejectedWith("TipJarModule#TipJar is not deployed");
+    });
+
+    it("Should prefer an explicit --address", async function () {
+      const { tipJar } = await loadFixture(deployFixture);
+      const other = await ethers.deployContract("TipJar", [(await ethers.getSigners())[0].address]);
+
+      await hre.run("tipjar:send", { amount: "1", address: await other.getAddress() });
+      expect(await other.getContractBalance()).to.equal(ethers.parseEther("1"));
+      expect(await tipJar.getContractBalance()).to.equal(0);
+
+      await expect(hre.run("tipjar:send", { amount: "1", address: "0x1234" })).to.be.rejectedWith("Invalid address: 0x1234");
+    });
+
+    it("Should prefer the full-stack deployment, or the one IGNITION_DEPLOYMENT_ID names", async function () {
+      const { tipJar } = await loadFixture(deployFixture);
+      const { chainId } = await ethers.provider.getNetwork();
+      const [owner] = await ethers.getSigners();
+      const fullStackJar = await ethers.deployContract("TipJar", [owner.address]);
+      const fullStackDir = path.join(ignitionDir, "deployments", `full-stack-chain-${chainId}`);
+      fs.mkdirSync(fullStackDir, { recursive: true });
+      fs.writeFileSync(path.join(fullStackDir, "deployed_addresses.json"), JSON.stringify({ "TipJarModule#TipJar": await fullStackJar.getAddress() }));
+
+      try {
+        await hre.run("tipjar:send", { amount: "1" });
+        expect(await fullStackJar.getContractBalance()).to.equal(ethers.parseEther("1"));
+
+        process.env.IGNITION_DEPLOYMENT_ID = `chain-${chainId}`;
+        await hre.run("tipjar:send", { amount: "2" });
+        expect(await tipJar.getContractBalance()).to.equal(ethers.parseEther("2"));
+      } finally {
+        delete process.env.IGNITION_DEPLOYMENT_ID;
+        fs.rmSync(fullStackDir, { recursive: true, force: true });
+      }
+    });
+
+    it("Should use the deployed ABI and fail clearly on functions the deployment lacks", async function () {
+      const { tipJar } = await loadFixture(deployFixture);
+      const { chainId } = await ethers.provider.getNetwork();
+      // The ABIs of the CELO mainnet deployments, which predate most of the functions the tasks call
+      const artifactsDir = path.join(ignitionDir, "deployments", `chain-${chainId}`, "artifacts");
+      fs.cpSync(path.join(originalIgnitionPath, "deployments", "chain-42220", "artifacts"), artifactsDir, { recursive: true });
+
+      try {
+        await hre.run("tipjar:send", { amount: "1" });
+        expect(await tipJar.getContractBalance()).to.equal(ethers.parseEther("1"));
+
+        await expect(hre.run("tipjar:withdraw")).to.be.rejectedWith(
+          `The TipJar at ${await tipJar.getAddress()} has no releasable(): it was deployed from an older version`
+        );
+        await expect(hre.run("market:resolve", { market: "1", outcome: "yes" })).to.be.rejectedWith("has no getOutcomeTokens()");
+        await expect(hre.run("insurance:policy", { type: "life", coverage: "1" })).to.be.rejectedWith("has no calculatePremiumFor()");
+      } finally {
+        fs.rmSync(artifactsDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe("TipJar", function () {
+    it("Should send a tip and print the decoded event", async function () {
+      const { tipJar, owner } = await loadFixture(deployFixture);
+      const logged = [];
+      console.log = (line) => logged.push(line);
+
+      const { events } = await hre.run("tipjar:send", { amount: "1.25", message: "From the CLI" });
+
+      expect(await tipJar.getContractBalance()).to.equal(ethers.parseEther("1.25"));
+      expect(events).to.have.length(1);
+      expect(events[0].name).to.equal("TipReceived");
+      expect(events[0].args).to.deep.equal({ sender: owner.address, amount: ethers.parseEther("1.25"), message: "From the CLI" });
+      expect(logged).to.include("Tipping 1.25 CELO to " + (await tipJar.getAddress()));
+      expect(logged.some((line) => line.startsWith("  TipReceived(sender=" + owner.address))).to.be.true;
+    });
+
+    it("Should reject malformed CELO amounts", async function () {
+      await loadFixture(deployFixture);
+      for (const amount of ["abc", "-1", "0", "0.0", "1e18", "1.0000000000000000001", ""]) {
+        await expect(hre.run("tipjar:send", { amount })).to.be.rejectedWith("Invalid amount");
+      }
+    });
+
+    it("Should withdraw the owner's balance", async function () {
+      const { tipJar, owner } = await loadFixture(deployFixture);
+      await expect(hre.run("tipjar:withdraw")).to.be.rejectedWith("Nothing to withdraw");
+
+      await hre.run("tipjar:send", { amount: "2" });
+      const { events } = await hre.run("tipjar:withdraw");
+      expect(events.map((event) => event.name)).to.deep.equal(["Withdrawn"]);
+      expect(events[0].args.recipient).to.equal(owner.address);
+      expect(await tipJar.getContractBalance()).to.equal(0);
+    });
+  });
+
+  describe("PredictionMarket", function () {
+    it("Should create, buy into and resolve a market", async function () {
+      const { predictionMarket, owner } = await loadFixture(deployFixture);
+      const resolveAt = (await time.latest()) + 3600;
+
+      const created = await hre.run("market:create", { question: "Will the CLI work?", resolveAt: String(resolveAt) });
+      expect(created.events[0].name).to.equal("MarketCreated");
+      expect(created.events[0].args.marketId).to.equal(1);
+
+      const bought = await hre.run("market:buy", { market: "1", amount: "3" });
+      expect(bought.events.map((event) => event.name)).to.include("SharesBought");
+      expect((await predictionMarket.getMarket(1)).liquidityPool).to.equal(ethers.parseEther("3"));
+
+      await predictionMarket.addLiquidity(1, { value: ethers.parseEther("10") });
+      const single = await hre.run("market:buy", { market: "1", amount: "1", outcome: "yes" });
+      expect(single.events.length).to.be.greaterThan(0);
+
+      await expect(hre.run("market:resolve", { market: "1", outcome: "yes" }))
+        .to.be.rejectedWith("Market not yet ready for resolution");
+      await time.increaseTo(resolveAt);
+      const resolved = await hre.run("market:resolve", { market: "1", outcome: "yes" });
+      expect(resolved.events[0].name).to.equal("OutcomeProposed");
+      expect(resolved.events[0].args.proposedOutcome).to.equal(1);
+      expect((await predictionMarket.getMarket(1)).resolver).to.equal(owner.address);
+    });
+
+    it("Should validate market arguments before sending", async function () {
+      await loadFixture(deployFixture);
+      const past = (await time.latest()) - 10;
+
+      await expect(hre.run("market:create", { question: "Late?", resolveAt: String(past) }))
+        .to.be.rejectedWith("is not in the future");
+      await expect(hre.run("market:create", { question: "When?", resolveAt: "someday" }))
+        .to.be.rejectedWith("Invalid resolution time");
+      await expect(hre.run("market:buy", { market: "7", amount: "1" })).to.be.rejectedWith("Market 7 does not exist");
+      await expect(hre.run("market:buy", { market: "x", amount: "1" })).to.be.rejectedWith("Invalid market ID");
+    });
+  });
+
+  describe("Polls", function () {
+    it("Should vote in the deployed SimplePoll", async function () {
+      const { poll, owner } = await loadFixture(deployFixture);
+
+      const { events } = await hre.run("poll:vote", { option: "Yes" });
+      expect(events[0].name).to.equal("Voted");
+      expect(await poll.yesVotes()).to.equal(1);
+
+      await expect(hre.run("poll:vote", { option: "no" })).to.be.rejectedWith(`${owner.address} has already voted`);
+      await expect(hre.run("poll:vote", { option: "maybe" })).to.be.rejectedWith("SimplePoll takes yes or no");
+    });
+
+    it("Should vote in a factory poll by label or index", async function () {
+      await loadFixture(deployFixture);
+      const factory = await ethers.deployContract("PollFactory");
+      await factory.createPoll("Best network?", ["Celo", "Alfajores"], 0, 0, []);
+      const pollAddress = (await factory.getPolls())[0];
+      const poll = await ethers.getContractAt("Poll", pollAddress);
+
+      await hre.run("poll:vote", { option: "alfajores", poll: pollAddress });
+      expect((await poll.getResults())[0]).to.deep.equal([0n, 1n]);
+
+      await expect(hre.run("poll:vote", { option: "5", poll: pollAddress })).to.be.rejectedWith("the poll has 2 options");
+    });
+
+    it("Should create polls, weighted only by tokens with vote checkpoints", async function () {
+      await loadFixture(deployFixture);
+      const factory = await ethers.deployContract("PollFactory");
+      const { events } = await hre.run("poll:create", { question: "Best network?", options: "Celo, Alfajores", address: await factory.getAddress() });
+      expect(events[0].name).to.equal("PollCreated");
+      const poll = await ethers.getContractAt("Poll", events[0].args.poll);
+      expect(await poll.getOptions()).to.deep.equal(["Celo", "Alfajores"]);
+
+      const votesToken = await ethers.deployContract("MockVotesToken", ["Governance", "GOV"]);
+      const weighted = await hre.run("poll:create", {
+        question: "Weighted?",
+        options: "Yes,No",
+        token: await votesToken.getAddress(),
+        address: await factory.getAddress(),
+      });
+      expect(weighted.events[0].args.votingMode).to.equal(1);
+
+      const plainToken = await ethers.deployContract("MockERC20", ["Celo Dollar", "cUSD"]);
+      await expect(hre.run("poll:create", { question: "Weighted?", options: "Yes,No", token: await plainToken.getAddress(), address: await factory.getAddress() }))
+        .to.be.rejectedWith("has no IERC5805 vote checkpoints");
+      await expect(hre.run("poll:create", { question: "One option?", options: "Yes", address: await factory.getAddress() }))
+        .to.be.rejectedWith("Invalid options");
+    });
+  });
+
+  describe("DecentralizedInsurance", function () {
+    it("Should buy a policy for the quoted premium", async function () {
+      const { decentralizedInsurance, owner } = await loadFixture(deployFixture);
+      await decentralizedInsurance.stake(0, { value: ethers.parseEther("200") });
+
+      const { events } = await hre.run("insurance:policy", { type: "health", coverage: "10", days: "60", risk: "medium", metadata: "ipfs://policy" });
+      const created = events.find((event) => event.name === "PolicyCreated");
+      expect(created.args.policyholder).to.equal(owner.address);
+      expect(created.args.coverageAmount).to.equal(ethers.parseEther("10"));
+
+      const policy = await decentralizedInsurance.policies(created.args.policyId);
+      expect(policy.endDate - policy.startDate).to.equal(60n * 24n * 60n * 60n);
+    });
+
+    it("Should validate policy arguments before sending", async function () {
+      await loadFixture(deployFixture);
+      await expect(hre.run("insurance:policy", { type: "pet", coverage: "1" })).to.be.rejectedWith("Invalid insurance type");
+      await expect(hre.run("insurance:policy", { type: "life", coverage: "1", risk: "extreme" })).to.be.rejectedWith("Invalid risk level");
+      await expect(hre.run("insurance:policy", { type: "life", coverage: "1", days: "10" })).to.be.rejectedWith("between 30 and 365 days");
+      await expect(hre.run("insurance:policy", { type: "life", coverage: "lots" })).to.be.rejectedWith("Invalid coverage");
+    });
+  });
+});
@@ -0,0 +1,247 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const PredictionMarketProxyModule = require("../ignition/modules/PredictionMarketProxy");
+const PredictionMarketUpgradeModule = require("../ignition/modules/PredictionMarketUpgrade");
+const DecentralizedInsuranceProxyModule = require("../ignition/modules/DecentralizedInsuranceProxy");
+const DecentralizedInsuranceUpgradeModule = require("../ignition/modules/DecentralizedInsuranceUpgrade");
+const {
+  UPGRADEABLE_CONTRACTS,
+  getCompiledLayout,
+  readCommittedLayout,
+  compareLayouts,
+} = require("../scripts/storage-layout");
+
+const { ethers, upgrades } = hre;
+
+describe("Upgradeable deployments", function () {
+  describe("Storage layout", function () {
+    for (const contractName of UPGRADEABLE_CONTRACTS) {
+      it(`Should keep ${contractName} compatible with its deployed layout`, async function () {
+        const report = compareLayouts(readCommittedLayout(contractName), await getCompiledLayout(hre, contractName));
+        // Run `npx hardhat run scripts/storage-layout.js` only after deploying a compatible upgrade
+        expect(report.ok, report.explain()).to.be.true;
+      });
+
+      it(`Should pass the upgrade-safety checks for ${contractName}`, async function () {
+        await upgrades.validateImplementation(await ethers.getContractFactory(contractName), { kind: "uups" });
+      });
+    }
+
+    it("Should catch variables inserted, removed or retyped", async function () {
+      const committed = readCommittedLayout("PredictionMarketUpgradeable");
+      const [first, second] = committed.storage;
+
+      const inserted = structuredClone(committed);
+      inserted.storage.splice(1, 0, { ...first, label: "newCounter" });
+      expect(compareLayouts(committed, inserted).explain()).to.include("Inserted `newCounter`");
+
+      const removed = structuredClone(committed);
+      removed.storage.splice(1, 1);
+      expect(compareLayouts(committed, removed).explain()).to.include(`Deleted \`${second.label}\``);
+
+      const retyped = structuredClone(committed);
+      retyped.storage[0] = { ...first, type: "t_address" };
+      retyped.types.t_address = { label: "address", numberOfBytes: "20" };
+      expect(compareLayouts(committed, retyped).ok).to.be.false;
+
+      const appended = structuredClone(committed);
+      const last = appended.storage.at(-1);
+      appended.storage.push({ ...first, label: "appended", slot: String(Number(last.slot) + 1) });
+      expect(compareLayouts(committed, appended).ok).to.be.true;
+    });
+
+    it("Should accept an append-only release and reject an unsafe one", async function () {
+      const current = await ethers.getContractFactory("PredictionMarketUpgradeable");
+      const next = await ethers.getContractFactory("PredictionMarketUpgradeableV2");
+      // V2 only adds a reinitializer; the parent initializers already ran through the proxy
+      const options = { kind: "uups", unsafeAllow: ["missing-initializer"] };
+      await upgrades.validateUpgrade(current, next, options);
+
+      // Swapping the implementations reverses the append into a deletion
+      await expect(upgrades.validateUpgrade(next, current, options))
+        .to.be.rejectedWith("Deleted `releaseNotes`");
+    });
+  });
+
+  async function deployProxiesFixture() {
+    const [owner, investigator, staker, holder, trader, other] = await ethers.getSigners();
+    const { predictionMarket, implementation: marketImplementation } = await hre.ignition.deploy(PredictionMarketProxyModule);
+    const { decentralizedInsurance, implementation: insuranceImplementation } = await hre.ignition.deploy(DecentralizedInsuranceProxyModule);
+    return { predictionMarket, marketImplementation, decentralizedInsurance, insuranceImplementation, owner, investigator, staker, holder, trader, other };
+  }
+
+  describe("Proxies", function () {
+    it("Should initialize PredictionMarket through the proxy", async function () {
+      const { predictionMarket, marketImplementation, owner } = await loadFixture(deployProxiesFixture);
+
+      expect(await predictionMarket.owner()).to.equal(owner.address);
+      expect(await predictionMarket.arbitrator()).to.equal(owner.address);
+      expect(await predictionMarket.platformFeeBps()).to.equal(100);
+      expect(await predictionMarket.challengePeriod()).to.equal(24 * 60 * 60);
+      expect(await predictionMarket.disputeBond()).to.equal(ethers.parseEther("1"));
+      expect(await upgrades.erc1967.getImplementationAddress(await predictionMarket.getAddress()))
+        .to.equal(await marketImplementation.getAddress());
+    });
+
+    it("Should initialize DecentralizedInsurance through the proxy", async function () {
+      const { decentralizedInsurance, owner } = await loadFixture(deployProxiesFixture);
+
+      expect(await decentralizedInsurance.owner()).to.equal(owner.address);
+      expect(await decentralizedInsurance.premiumRates(0, 0)).to.equal(200);
+      expect((await decentralizedInsurance.getInsurancePool(4)).active).to.be.true;
+      expect((await decentralizedInsurance.getInsurancePool(4)).rewardRate).to.equal(1000);
+    });
+
+    it("Should not initialize twice or initialize the implementations", async function () {
+      const { predictionMarket, marketImplementation, decentralizedInsurance, insuranceImplementation, other } = await loadFixture(deployProxiesFixture);
+
+      await expect(predictionMarket.initialize(other.address, 0))
+        .to.be.revertedWithCustomError(predictionMarket, "InvalidInitialization");
+      await expect(decentralizedInsurance.initialize(other.address))
+        .to.be.revertedWithCustomError(decentralizedInsurance, "InvalidInitialization");
+      await expect(marketImplementation.initialize(other.address, 0))
+        .to.be.revertedWithCustomError(marketImplementation, "InvalidInitialization");
+      await expect(insuranceImplementation.initialize(other.address))
+        .to.be.revertedWithCustomError(insuranceImplementation, "InvalidInitialization");
+    });
+
+    it("Should only let the owner upgrade", async function () {
+      const { predictionMarket, decentralizedInsurance, other } = await loadFixture(deployProxiesFixture);
+      const implementation = await ethers.deployContract("PredictionMarketUpgradeableV2");
+
+      await expect(predictionMarket.connect(other).upgradeToAndCall(await implementation.getAddress(), "0x"))
+        .to.be.revertedWithCustomError(predictionMarket, "OwnableUnauthorizedAccount");
+      await expect(decentralizedInsurance.connect(other).upgradeToAndCall(await implementation.getAddress(), "0x"))
+        .to.be.revertedWithCustomError(decentralizedInsurance, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Upgrading with live state", function () {
+    // Markets with liquidity, trades and an approved claim on a staked insurance pool
+    async function liveStateFixture() {
+      const fixture = await deployProxiesFixture();
+      const { predictionMarket, decentralizedInsurance, owner, investigator, staker, holder, trader } = fixture;
+
+      const resolveAt = (await time.latest()) + 3600;
+      await predictionMarket.createMarket("Will the upgrade keep my shares?", owner.address, resolveAt);
+      await predictionMarket.createCategoricalMarket("Which pool grows most?", owner.address, resolveAt, ["Health", "Travel", "Life"], ethers.ZeroAddress);
+      await predictionMarket.addLiquidity(1, { value: ethers.parseEther("10") });
+      await predictionMarket.connect(trader).buyShares(1, { value: ethers.parseEther("2") });
+      await predictionMarket.connect(trader).buyOutcome(1, 1, 0, { value: ethers.parseEther("1") });
+      await predictionMarket.connect(trader).buyShares(2, { value: ethers.parseEther("3") });
+
+      await decentralizedInsurance.addInvestigator(investigator.address);
+      await decentralizedInsurance.connect(staker).stake(0, { value: ethers.parseEther("200") });
+      await decentralizedInsurance.connect(staker).stake(2, { value: ethers.parseEther("150") });
+      const coverage = ethers.parseEther("20");
+      const duration = 90 * 24 * 60 * 60;
+      const premium = await decentralizedInsurance.calculatePremiumFor(holder.address, 0, coverage, duration, 1);
+      await decentralizedInsurance.connect(holder).createPolicy(0, coverage, duration, 1, "ipfs://policy", { value: premium });
+      await decentralizedInsurance.connect(holder).submitClaim(1, ethers.parseEther("5"), "ipfs://evidence");
+      await decentralizedInsurance.connect(investigator).investigateClaim(1, 2, ethers.parseEther("4"), "");
+
+      return { ...fixture, resolveAt };
+    }
+
+    // Everything a user could observe about the contracts' state
+    async function readState({ predictionMarket, decentralizedInsurance, owner, investigator, staker, holder, trader }) {
+      const tokens = [...(await predictionMarket.getOutcomeTokens(1)), ...(await predictionMarket.getOutcomeTokens(2))];
+      const tokenBalances = [];
+      for (const address of tokens) {
+        const token = await ethers.getContractAt("OutcomeToken", address);
+        tokenBalances.push(await token.balanceOf(trader.address), await token.totalSupply());
+      }
+      const pools = [];
+      for (let insuranceType = 0; insuranceType < 5; insuranceType++) {
+        pools.push(await decentralizedInsurance.getInsurancePool(insuranceType));
+        pools.push(await decentralizedInsurance.getStakeInfo(staker.address, insuranceType));
+      }
+
+      return {
+        owners: [await predictionMarket.owner(), await decentralizedInsurance.owner()],
+        marketCounter: await predictionMarket.marketCounter(),
+        markets: [await predictionMarket.getMarket(1), await predictionMarket.getMarket(2)],
+        tokens,
+        tokenBalances,
+        liquidity: [await predictionMarket.liquidityShares(1, owner.address), await predictionMarket.totalLiquidityShares(1)],
+        settings: [await predictionMarket.platformFeeBps(), await predictionMarket.challengePeriod(), await predictionMarket.disputeBond()],
+        policy: await decentralizedInsurance.getPolicy(1),
+        claim: await decentralizedInsurance.getClaim(1),
+        userPolicies: await decentralizedInsurance.getUserPolicies(holder.address),
+        investigator: await decentralizedInsurance.authorizedInvestigators(investigator.address),
+        pools,
+        balances: [
+          await ethers.provider.getBalance(await predictionMarket.getAddress()),
+          await ethers.provider.getBalance(await decentralizedInsurance.getAddress()),
+        ],
+      };
+    }
+
+    it("Should keep markets, policies, stakes and balances through the Ignition upgrades", async function () {
+      const fixture = await loadFixture(liveStateFixture);
+      const { predictionMarket, decentralizedInsurance, marketImplementation, insuranceImplementation } = fixture;
+      const before = await readState(fixture);
+
+      const { implementation: newMarketImplementation } = await hre.ignition.deploy(PredictionMarketUpgradeModule, {
+        parameters: { PredictionMarketUpgradeV2Module: { proxy: await predictionMarket.getAddress() } },
+      });
+      const { implementation: newInsuranceImplementation } = await hre.ignition.deploy(DecentralizedInsuranceUpgradeModule, {
+        parameters: { DecentralizedInsuranceUpgradeV2Module: { proxy: await decentralizedInsurance.getAddress() } },
+      });
+
+      const marketImplementationAddress = await upgrades.erc1967.getImplementationAddress(await predictionMarket.getAddress());
+      const insuranceImplementationAddress = await upgrades.erc1967.getImplementationAddress(await decentralizedInsurance.getAddress());
+      expect(marketImplementationAddress).to.equal(await newMarketImplementation.getAddress());
+      expect(marketImplementationAddress).to.not.equal(await marketImplementation.getAddress());
+      expect(insuranceImplementationAddress).to.equal(await newInsuranceImplementation.getAddress());
+      expect(insuranceImplementationAddress).to.not.equal(await insuranceImplementation.getAddress());
+
+      expect(await readState(fixture)).to.deep.equal(before);
+    });
+
+    it("Should keep serving existing positions and claims after the upgrade", async function () {
+      const fixture = await loadFixture(liveStateFixture);
+      const { predictionMarket, decentralizedInsurance, holder, trader, staker, resolveAt } = fixture;
+
+      await hre.ignition.deploy(PredictionMarketUpgradeModule, {
+        parameters: { PredictionMarketUpgradeV2Module: { proxy: await predictionMarket.getAddress() } },
+      });
+      await hre.ignition.deploy(DecentralizedInsuranceUpgradeModule, {
+        parameters: { DecentralizedInsuranceUpgradeV2Module: { proxy: await decentralizedInsurance.getAddress() } },
+      });
+
+      // The approved claim from before the upgrade is paid from the pool
+      await expect(decentralizedInsurance.payClaim(1)).to.changeEtherBalance(holder, ethers.parseEther("4"));
+      await expect(decentralizedInsurance.connect(staker).withdrawStake(2, ethers.parseEther("150")))
+        .to.changeEtherBalance(staker, ethers.parseEther("150"));
+
+      // Shares bought before the upgrade redeem once the market resolves
+      const yesToken = await ethers.getContractAt("OutcomeToken", (await predictionMarket.getOutcomeTokens(1))[1]);
+      const yesShares = await yesToken.balanceOf(trader.address);
+      await time.increaseTo(resolveAt);
+      await predictionMarket.resolveMarket(1, 1);
+      await time.increase(24 * 60 * 60);
+      await predictionMarket.finalizeResolution(1);
+      const fee = (yesShares * 100n) / 10000n;
+      await expect(predictionMarket.connect(trader).redeemWinnings(1)).to.changeEtherBalance(trader, yesShares - fee);
+      expect(await predictionMarket.accumulatedFees()).to.equal(fee);
+    });
+
+    it("Should upgrade to a release with new storage and reinitialize it", async function () {
+      const fixture = await loadFixture(liveStateFixture);
+      const { predictionMarket } = fixture;
+      const before = await readState(fixture);
+
+      const implementation = await ethers.deployContract("PredictionMarketUpgradeableV2");
+      const initializeV2 = implementation.interface.encodeFunctionData("initializeV2", ["Adds release notes"]);
+      await predictionMarket.upgradeToAndCall(await implementation.getAddress(), initializeV2);
+
+      const upgraded = await ethers.getContractAt("PredictionMarketUpgradeableV2", await predictionMarket.getAddress());
+      expect(await upgraded.version()).to.equal(2);
+      expect(await upgraded.releaseNotes()).to.equal("Adds release notes");
+      await expect(upgraded.initializeV2("Again")).to.be.revertedWithCustomError(upgraded, "InvalidInitialization");
+      expect(await readState(fixture)).to.deep.equal(before);
+    });
+  });
+});
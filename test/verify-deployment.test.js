@@ -0,0 +1,220 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  readJournal,
+  getDeployedContracts,
+  filterByModule,
+  getVerificationInput,
+  verifyOnEtherscan,
+  verifyOnSourcify,
+  formatSummary,
+} = require("../scripts/verify-deployment");
+
+// Runs offline against the committed CELO mainnet deployment.
+const DEPLOYMENT_DIR = path.join(__dirname, "..", "ignition", "deployments", "chain-42220");
+const DEPLOYER = "0xaf59b12ea11914a0373ffbb13ff8b03f8537c599";
+
+describe("Deployment verification script", function () {
+  describe("Journal parsing", function () {
+    it("Should skip blank lines and revive bigint values", function () {
+      const entries = readJournal(path.join(DEPLOYMENT_DIR, "journal.jsonl"));
+      expect(entries[0]).to.deep.equal({ chainId: 42220, type: "DEPLOYMENT_INITIALIZE" });
+
+      const multisig = entries.find((entry) => entry.futureId === "TimeLockMultiSigV2Module#TimeLockMultiSig" && entry.constructorArgs);
+      expect(multisig.constructorArgs.slice(1)).to.deep.equal([2, 86400, 10n ** 19n, 10n ** 18n]);
+      expect(multisig.value).to.equal(0n);
+    });
+
+    it("Should report the line of a malformed entry", function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "journal-"));
+      try {
+        fs.writeFileSync(path.join(dir, "journal.jsonl"), '\n{"type":"DEPLOYMENT_INITIALIZE"}\n{not json\n');
+        expect(() => readJournal(path.join(dir, "journal.jsonl"))).to.throw("journal.jsonl:3: invalid journal entry");
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe("Deployed contracts", function () {
+    it("Should recover every deployed future with its constructor arguments", function () {
+      const contracts = getDeployedContracts(DEPLOYMENT_DIR);
+      const addresses = JSON.parse(fs.readFileSync(path.join(DEPLOYMENT_DIR, "deployed_addresses.json"), "utf8"));
+
+      expect(contracts.map((contract) => contract.futureId).sort()).to.deep.equal(Object.keys(addresses).sort());
+      for (const contract of contracts) {
+        expect(contract.address).to.equal(addresses[contract.futureId]);
+      }
+
+      const byId = Object.fromEntries(contracts.map((contract) => [contract.futureId, contract]));
+      expect(byId["TipJarModule#TipJar"].constructorArgs).to.deep.equal([DEPLOYER]);
+      expect(byId["PredictionMarketModule#PredictionMarket"].constructorArgs).to.deep.equal([DEPLOYER, 100]);
+      expect(byId["SimplePollModule#SimplePoll"].constructorArgs).to.deep.equal(["Is building on CELO a good experience?"]);
+      expect(byId["DecentralizedInsuranceModule#DecentralizedInsurance"].constructorArgs).to.deep.equal([]);
+      expect(byId["TipJarModule#TipJar"].moduleId).to.equal("TipJarModule");
+    });
+
+    it("Should select a single module", function () {
+      const contracts = getDeployedContracts(DEPLOYMENT_DIR);
+      expect(filterByModule(contracts, "TipJarModule").map((contract) => contract.contractName)).to.deep.equal(["TipJar"]);
+      expect(filterByModule(contracts, undefined)).to.have.length(contracts.length);
+      expect(() => filterByModule(contracts, "MissingModule")).to.throw("No contracts deployed by MissingModule");
+    });
+
+    it("Should ignore unfinished and wiped futures and catch address mismatches", function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployment-"));
+      const init = (futureId, args) => ({
+        type: "DEPLOYMENT_EXECUTION_STATE_INITIALIZE",
+        futureType: "NAMED_ARTIFACT_CONTRACT_DEPLOYMENT",
+        futureId,
+        contractName: futureId.split("#")[1],
+        constructorArgs: args,
+        libraries: {},
+      });
+      const complete = (futureId, address) => ({
+        type: "DEPLOYMENT_EXECUTION_STATE_COMPLETE",
+        futureId,
+        result: { type: "SUCCESS", address },
+      });
+      const write = (entries, addresses) => {
+        fs.writeFileSync(path.join(dir, "journal.jsonl"), entries.map((entry) => JSON.stringify(entry)).join("\n"));
+        fs.writeFileSync(path.join(dir, "deployed_addresses.json"), JSON.stringify(addresses));
+      };
+
+      try {
+        const address = "0x0000000000000000000000000000000000000001";
+        write([
+          init("A#Done", [{ _kind: "bigint", value: "5" }]),
+          complete("A#Done", address),
+          init("A#Pending", []),
+          init("A#Wiped", []),
+          { type: "WIPE_APPLY", futureId: "A#Wiped" },
+        ], { "A#Done": address });
+
+        const contracts = getDeployedContracts(dir);
+        expect(contracts.map((contract) => contract.futureId)).to.deep.equal(["A#Done"]);
+        expect(contracts[0].constructorArgs).to.deep.equal([5n]);
+
+        write([init("A#Done", []), complete("A#Done", address)], { "A#Done": "0x0000000000000000000000000000000000000002" });
+        expect(() => getDeployedContracts(dir)).to.throw("A#Done was deployed at");
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe("Verification input", function () {
+    it("Should encode constructor arguments exactly as they were deployed", function () {
+      const entries = readJournal(path.join(DEPLOYMENT_DIR, "journal.jsonl"));
+
+      for (const contract of getDeployedContracts(DEPLOYMENT_DIR)) {
+        const input = getVerificationInput(DEPLOYMENT_DIR, contract);
+        const request = entries.find((entry) => entry.futureId === contract.futureId && entry.type === "NETWORK_INTERACTION_REQUEST");
+
+        // The deployment transaction's data is the creation bytecode followed by the encoded arguments
+        expect(request.networkInteraction.data.endsWith(input.encodedConstructorArgs), contract.futureId).to.be.true;
+      }
+    });
+
+    it("Should use the deployment's own build info", function () {
+      const [tipJar] = filterByModule(getDeployedContracts(DEPLOYMENT_DIR), "TipJarModule");
+      const input = getVerificationInput(DEPLOYMENT_DIR, tipJar);
+
+      expect(input.fullyQualifiedName).to.equal("contracts/TipJar.sol:TipJar");
+      expect(input.compilerVersion).to.equal("v0.8.28+commit.7893614a");
+      expect(input.encodedConstructorArgs).to.equal(DEPLOYER.slice(2).padStart(64, "0"));
+      expect(input.compilerInput.sources).to.have.property("contracts/TipJar.sol");
+      // The deployed TipJar predates token tips, unlike the current source
+      expect(input.compilerInput.sources["contracts/TipJar.sol"].content).to.not.include("sendTokenTip");
+      expect(JSON.parse(input.metadata).compiler.version).to.equal("0.8.28+commit.7893614a");
+    });
+  });
+
+  describe("Verifiers", function () {
+    function tipJarInput() {
+      const [tipJar] = filterByModule(getDeployedContracts(DEPLOYMENT_DIR), "TipJarModule");
+      return getVerificationInput(DEPLOYMENT_DIR, tipJar);
+    }
+
+    it("Should skip contracts that are already verified", async function () {
+      const input = tipJarInput();
+      const unexpected = () => { throw new Error("should not submit"); };
+
+      expect(await verifyOnEtherscan({ isVerified: async () => true, verify: unexpected }, input)).to.equal("already verified");
+      expect(await verifyOnSourcify({ isVerified: async () => "perfect", verify: unexpected }, input)).to.equal("already verified (perfect match)");
+    });
+
+    it("Should submit the recovered input to CeloScan", async function () {
+      const input = tipJarInput();
+      const submitted = [];
+      const etherscan = {
+        isVerified: async () => false,
+        verify: async (...args) => {
+          submitted.push(args);
+          return { message: "guid-1" };
+        },
+        getVerificationStatus: async (guid) => ({
+          message: guid === "guid-1" ? "Pass - Verified" : "unknown",
+          isAlreadyVerified: () => false,
+          isSuccess: () => guid === "guid-1",
+        }),
+      };
+
+      expect(await verifyOnEtherscan(etherscan, input)).to.equal("verified");
+      const [address, sourceCode, contractName, compilerVersion, constructorArgs] = submitted[0];
+      expect(address).to.equal(input.address);
+      expect(JSON.parse(sourceCode).language).to.equal("Solidity");
+      expect(contractName).to.equal("contracts/TipJar.sol:TipJar");
+      expect(compilerVersion).to.equal("v0.8.28+commit.7893614a");
+      expect(constructorArgs).to.equal(input.encodedConstructorArgs);
+    });
+
+    it("Should submit metadata and sources to Sourcify", async function () {
+      const input = tipJarInput();
+      let files;
+      const sourcify = {
+        isVerified: async () => false,
+        verify: async (address, submittedFiles) => {
+          files = submittedFiles;
+          return { status: "perfect", isOk: () => true };
+        },
+      };
+
+      expect(await verifyOnSourcify(sourcify, input)).to.equal("verified (perfect match)");
+      expect(files["metadata.json"]).to.equal(input.metadata);
+      expect(files).to.have.property("contracts/TipJar.sol");
+    });
+
+    it("Should surface verification failures", async function () {
+      const input = tipJarInput();
+      const etherscan = {
+        isVerified: async () => false,
+        verify: async () => ({ message: "guid" }),
+        getVerificationStatus: async () => ({
+          message: "Fail - Unable to verify",
+          isAlreadyVerified: () => false,
+          isSuccess: () => false,
+        }),
+      };
+      await expect(verifyOnEtherscan(etherscan, input)).to.be.rejectedWith("Fail - Unable to verify");
+    });
+  });
+
+  describe("Summary", function () {
+    it("Should print an aligned table", function () {
+      const table = formatSummary([
+        { futureId: "TipJarModule#TipJar", address: "0x8c7FF72Cd2AfBa97Bf4F1a42D1e50e01E114a1AE", status: "verified" },
+        { futureId: "SimplePollModule#SimplePoll", address: "0xd57007D7b057982070F9122C2Fe1452df78f0fB3", status: "already verified" },
+      ]);
+
+      expect(table.split("\n")).to.deep.equal([
+        "Contract                    | Address                                    | Status",
+        "----------------------------|--------------------------------------------|-----------------",
+        "TipJarModule#TipJar         | 0x8c7FF72Cd2AfBa97Bf4F1a42D1e50e01E114a1AE | verified",
+        "SimplePollModule#SimplePoll | 0xd57007D7b057982070F9122C2Fe1452df78f0fB3 | already verified",
+      ]);
+    });
+  });
+});
@@ -1,5 +0,0 @@
-// tipjar-args.js
-// Replace the placeholder with the public address of the account you used to deploy.
-module.exports = [
-  "0xaf59B12ea11914A0373ffbb13FF8b03F8537C599"
-];